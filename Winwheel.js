@@ -31,8 +31,8 @@
 // ====================================================================================================================
 function Winwheel(options, drawWheel)
 {
-    defaultOptions = {
-        'canvasId'          : 'canvas',     // Id of the canvas which the wheel is to draw on to.
+    let defaultOptions = {
+        'canvasId'          : 'canvas',     // Id of the canvas which the wheel is to draw on to. Can also be a canvas element, OffscreenCanvas, or 2D context.
         'centerX'           : null,         // X position of the center of the wheel. The default of these are null which means will be placed in center of the canvas.
         'centerY'           : null,         // Y position of the wheel center. If left null at time of construct the center of the canvas is used.
         'outerRadius'       : null,         // The radius of the outside of the wheel. If left null it will be set to the radius from the center of the canvas to its shortest side.
@@ -47,10 +47,14 @@ function Winwheel(options, drawWheel)
         'textAlignment'     : 'center',     // Either center, inner, or outer.
         'textDirection'     : 'normal',     // Either normal or reversed. In normal mode for horizontal text in segment at 3 o'clock is correct way up, in reversed text at 9 o'clock segment is correct way up.
         'textMargin'        : null,         // Margin between the inner or outer of the wheel (depends on textAlignment).
-        'textFillStyle'     : 'black',      // This is basically the text colour.
+        'textFillStyle'     : 'black',      // This is basically the text colour. Can also be a gradient fill spec, see resolveFillStyle().
         'textStrokeStyle'   : null,         // Basically the line colour for segment text, only looks good for large text so off by default.
         'textLineWidth'     : 1,            // Width of the lines around the text. Even though this defaults to 1, a line is only drawn if textStrokeStyle specified.
-        'fillStyle'         : 'silver',     // The segment background colour.
+        'textFit'           : null,         // Fits the text in to the segments. True, an array of 'shrink', 'wrap' and 'truncate' in the order to try them, or an object, see fitSegmentText().
+        'palette'           : null,         // Colours the segments without a fillStyle, and picks a textFillStyle with enough contrast. A palette name, 'hsl', an array of colours, or an object, see applyPalette().
+        'pattern'           : null,         // Default pattern settings for the segments, such as {'color' : 'white'}. If this has a type all segments get that pattern.
+        'autoPatterns'      : false,        // If set to true segments without a pattern are given one which is different to the segments either side, so they can be told apart without colour.
+        'fillStyle'         : 'silver',     // The segment background colour. Can also be a gradient fill spec such as {'type' : 'radial', 'stops' : ['white', 'red']}.
         'strokeStyle'       : 'black',      // Segment line colour. Again segment lines only drawn if this is specified.
         'lineWidth'         : 1,            // Width of lines around segments.
         'clearTheCanvas'    : true,         // When set to true the canvas will be cleared before the wheel is drawn.
@@ -61,6 +65,14 @@ function Winwheel(options, drawWheel)
         'imageDirection'    : 'N',          // Used when drawMode is segmentImage. Default is north, can also be (E)ast, (S)outh, (W)est.
         'responsive'        : false,        // If set to true the wheel will resize when the window first loads and also onResize.
         'scaleFactor'       : 1,            // Set by the responsive function. Used in many calculations to scale the wheel.
+        'random'            : null,         // Random number generator returning 0 to less than 1, or a number to use as the seed for the built in seeded generator. Default is Math.random.
+        'allowEval'         : true,         // If set to false string callbacks are never eval'd, they must be the name of a function in the callbacks registry. Use for strict Content-Security-Policy.
+        'callbacks'         : null,         // Registry of named callback functions, string callback options which match a name here call that function.
+        'createImage'       : null,         // Function returning a new image object, for use where there is no Image such as Node. Default is new Image().
+        'renderCache'       : false,        // If set to true the turning parts of the wheel are drawn once to an offscreen canvas which is then rotated each frame, for faster animation.
+        'renderer'          : 'canvas',     // Either canvas or svg. With svg the canvasId can be any element and the wheel is drawn as SVG inside it.
+        'highDpi'           : false,        // If set to true the canvas is sized by the devicePixelRatio of the screen, keeping its size on the page, so the wheel is sharp on high resolution screens.
+        'validation'        : 'lenient',    // How the options are checked. 'strict' throws if there are errors (for development) and logs warnings, 'lenient' logs both to the console, 'off' does not check.
     };
 
     // -----------------------------------------
@@ -85,10 +97,19 @@ function Winwheel(options, drawWheel)
 
 
     // ------------------------------------------
-    // If the id of the canvas is set, try to get the canvas as we need it for drawing.
-    if (this.canvasId) {
-        this.canvas = document.getElementById(this.canvasId);
+    // For high DPI the canvas is made bigger by this pixel ratio, everything else still works in the size set on the page.
+    this._pixelRatio = 1;
+
+    // ------------------------------------------
+    // If the id of the canvas is set, try to get the canvas and a 2D context to it as we need them for drawing.
+    // Instead of an id this can be a canvas, OffscreenCanvas or 2D context so the wheel can be drawn without a page.
+    let drawingTarget = winwheelGetDrawingTarget(this.canvasId, this.renderer);
+
+    this.canvasId = drawingTarget.canvasId;
+    this.canvas = drawingTarget.canvas;
+    this.ctx = drawingTarget.ctx;
 
+    if (this.ctx) {
         if (this.canvas) {
             // If the centerX and centerY have not been specified in the options then default to center of the canvas
             // and make the outerRadius half of the canvas width - this means the wheel will fill the canvas.
@@ -110,18 +131,27 @@ function Winwheel(options, drawWheel)
                     this.outerRadius = (this.canvas.height / 2) - this.lineWidth;
                 }
             }
+        }
+    }
 
-            // Also get a 2D context to the canvas as we need this to draw with.
-            this.ctx = this.canvas.getContext('2d');
-        } else {
-            this.canvas = null;
-            this.ctx = null;
+    // ------------------------------------------
+    // Listeners for the wheel events, see the on() function.
+    this._listeners = {};
+
+    // Copy the callbacks registry so that registering more callbacks later does not change the options passed in.
+    let callbacks = this.callbacks;
+    this.callbacks = {};
+
+    if (callbacks != null) {
+        for (let name in callbacks) {
+            this.registerCallback(name, callbacks[name]);
         }
-    } else {
-        this.canvas = null;
-        this.ctx = null;
     }
 
+    // ------------------------------------------
+    // Sort out the random number generator, this turns a seed in to a seeded generator.
+    this.setRandom(this.random);
+
     // ------------------------------------------
     // Add array of segments to the wheel, then populate with segments if number of segments is specified for this object.
     this.segments = new Array(null);
@@ -134,12 +164,19 @@ function Winwheel(options, drawWheel)
         } else {
             this.segments[x] = new Segment();
         }
+
+        winwheelSetSegmentOwner(this.segments[x], this);
     }
 
     // ------------------------------------------
     // Call function to update the segment sizes setting the starting and ending angles.
     this.updateSegmentSizes();
 
+    // Colour the segments from the palette, if there is one.
+    if (this.palette !== null) {
+        this.applyPalette();
+    }
+
     // If the text margin is null then set to same as font size as we want some by default.
     if (this.textMargin === null) {
         this.textMargin = (this.textFontSize / 1.7);
@@ -201,25 +238,98 @@ function Winwheel(options, drawWheel)
         this.pointerGuide = new PointerGuide();
     }
 
+    // If pointer options have been passed in then create the pointer object so the pointer is drawn, and swings as the pins pass it.
+    if ((options != null) && (options['pointer'])) {
+        this.pointer = new WinwheelPointer((options['pointer'] === true) ? null : options['pointer']);
+    }
+
+    // If interaction options have been passed in then create the interaction object and listen to the pointer on the canvas.
+    this.selectedSegmentNumber = null;
+    this._hoverSegmentNumber = null;
+
+    if ((options != null) && (options['interaction'])) {
+        this.interaction = new WinwheelInteraction((options['interaction'] === true) ? null : options['interaction']);
+    }
+
+    // If gesture options have been passed in then create the gestures object and listen for the wheel being dragged and flicked.
+    this._gesture = null;
+
+    if ((options != null) && (options['gestures'])) {
+        this.gestures = new WinwheelGestures((options['gestures'] === true) ? null : options['gestures']);
+    }
+
+    // If audio options have been passed in then create the audio object and play the sounds as the wheel spins.
+    if ((options != null) && (options['audio'])) {
+        this.audio = new WinwheelAudio((options['audio'] === true) ? null : options['audio']);
+    }
+
+    // If callout options have been passed in then create the callouts object so the text of small segments is drawn outside the wheel.
+    if ((options != null) && (options['callouts'])) {
+        this.callouts = new WinwheelCallouts((options['callouts'] === true) ? null : options['callouts']);
+    }
+
+    // If accessibility options have been passed in then create the accessibility object and the hidden elements for screen readers.
+    if ((options != null) && (options['accessibility'])) {
+        this.accessibility = new WinwheelAccessibility((options['accessibility'] === true) ? null : options['accessibility']);
+    }
+
+    // Check the options are valid now that all of them have been set, how problems are reported depends on the validation mode.
+    // This is done before anything outside the wheel is changed, such as the size of the canvas or listeners added to it and
+    // the window, so that if it throws in strict mode nothing is left behind.
+    this.checkValidation();
+
+    // On high DPI screens the canvas is made bigger so the wheel is sharp.
+    if ((this.canvas) && (this.highDpi)) {
+        this.setupHighDpi();
+    }
+
+    if (this.pointer) {
+        this.setupPointer();
+    }
+
+    if (this.interaction) {
+        this.setupInteraction();
+    }
+
+    if (this.gestures) {
+        this.setupGestures();
+    }
+
+    if (this.audio) {
+        this.setupAudio();
+    }
+
+    if (this.accessibility) {
+        this.setupAccessibility();
+    }
+
     // Check if the wheel is to be responsive, if so then need to save the original size of the canvas
     // and also check for data- attributes on the canvas which help control the scaling.
-    if (this.responsive) {
-        winwheelToDrawDuringAnimation = this;
-
+    if ((this.responsive) && ((typeof window === 'undefined') || (!this.canvas))) {
+        console.log('Responsive wheels need a window and canvas, so this wheel will not be responsive');
+    } else if (this.responsive) {
         // Save the original defined width and height of the canvas, this is needed later to work out the scaling.
-        this._originalCanvasWidth = this.canvas.width;
-        this._originalCanvasHeight = this.canvas.height;
+        this._originalCanvasWidth = this.getCanvasWidth();
+        this._originalCanvasHeight = this.getCanvasHeight();
 
-        // Get data-attributes on the canvas.
-        this._responsiveScaleHeight = this.canvas.dataset.responsivescaleheight;
-        this._responsiveMinWidth = this.canvas.dataset.responsiveminwidth;
-        this._responsiveMinHeight = this.canvas.dataset.responsiveminheight;
-        this._responsiveMargin = this.canvas.dataset.responsivemargin;
+        // Get data-attributes on the canvas, an OffscreenCanvas does not have these.
+        let dataset = (this.canvas.dataset) ? this.canvas.dataset : {};
+
+        this._responsiveScaleHeight = dataset.responsivescaleheight;
+        this._responsiveMinWidth = dataset.responsiveminwidth;
+        this._responsiveMinHeight = dataset.responsiveminheight;
+        this._responsiveMargin = dataset.responsivemargin;
 
         // Add event listeners for onload and onresize and call a function defined at the bottom
-        // of this script which will handle that and work out the scale factor.
-        window.addEventListener("load", winwheelResize);
-        window.addEventListener("resize", winwheelResize);
+        // of this script which will handle that and work out the scale factor. The listener is kept on the wheel
+        // so that each wheel on the page resizes itself and it can be removed again if needed.
+        let theWheel = this;
+        this._resizeHandler = function() {
+            winwheelResize(theWheel);
+        };
+
+        window.addEventListener("load", this._resizeHandler);
+        window.addEventListener("resize", this._resizeHandler);
     }
 
     // Finally if drawWheel is true then call function to render the wheel, segment text, overlay etc.
@@ -228,13 +338,21 @@ function Winwheel(options, drawWheel)
     } else if (this.drawMode == 'segmentImage') {
         // If segment image then loop though all the segments and load the images for them setting a callback
         // which will call the draw function of the wheel once all the images have been loaded.
-        winwheelToDrawDuringAnimation = this;
-        winhweelAlreadyDrawn = false;
+        this._imagesAlreadyDrawn = false;
+
+        let theWheel = this;
 
         for (let y = 1; y <= this.numSegments; y ++) {
             if (this.segments[y].image !== null) {
-                this.segments[y].imgData = new Image();
-                this.segments[y].imgData.onload = winwheelLoadedImage;
+                this.segments[y].imgData = winwheelCreateImage(this);
+
+                if (this.segments[y].imgData === null) {
+                    continue;
+                }
+
+                this.segments[y].imgData.onload = function() {
+                    winwheelLoadedImage(theWheel);
+                };
                 this.segments[y].imgData.src = this.segments[y].image;
             }
         }
@@ -296,7 +414,8 @@ Winwheel.prototype.updateSegmentSizes = function()
 // ====================================================================================================================
 Winwheel.prototype.clearCanvas = function()
 {
-    if (this.ctx) {
+    // When drawing on to a 2D context without a canvas there is no size to clear.
+    if ((this.ctx) && (this.canvas)) {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
     }
 }
@@ -308,6 +427,12 @@ Winwheel.prototype.draw = function(clearTheCanvas)
 {
     // If have the canvas context.
     if (this.ctx) {
+        // In high DPI mode everything is drawn scaled up by the pixel ratio. Changing the size of the canvas resets
+        // the transform, so this is done every draw.
+        if (this.highDpi) {
+            this.ctx.setTransform(this._pixelRatio, 0, 0, this._pixelRatio, 0, 0);
+        }
+
         // Clear the canvas, unless told not to.
         if (typeof(clearTheCanvas) !== 'undefined') {
             if (clearTheCanvas == true) {
@@ -317,60 +442,342 @@ Winwheel.prototype.draw = function(clearTheCanvas)
             this.clearCanvas();
         }
 
-        // Call functions to draw the segments and then segment text.
-        if (this.drawMode == 'image') {
-            // Draw the wheel by loading and drawing an image such as a png on the canvas.
-            this.drawWheelImage();
+        // With the render cache the parts of the wheel which turn are copied from the cache, otherwise they are drawn now.
+        if ((this.renderCache == false) || (this.drawRenderCache() == false)) {
+            this.drawTurningParts();
+        }
 
-            // If we are to draw the text, do so before the overlay is drawn
-            // as this allows the overlay to be used to create some interesting effects.
-            if (this.drawText == true) {
-                this.drawSegmentText();
-            }
+        // Callouts are outside the wheel and can stay upright as it turns, so are never part of the render cache.
+        if ((this.callouts) && (this.drawText == true)) {
+            this.drawCallouts();
+        }
+
+        // If pointer guide is display property is set to true then call function to draw the pointer guide.
+        if (this.pointerGuide.display == true) {
+            this.drawPointerGuide();
+        }
+
+        // If a segment has keyboard focus then outline it.
+        if (this.accessibility) {
+            this.drawFocusedSegment();
+        }
+
+        // The pointer is drawn last so it is over everything else.
+        if (this.pointer) {
+            this.drawPointer();
+        }
+
+        // Anything drawn in the draw event, such as a pointer, has no class.
+        this.setRenderClass(null);
+
+        this.emit('draw');
+    }
+}
+
+// ====================================================================================================================
+// Draws the parts of the wheel which turn with the rotationAngle; the segments or images, the text, and the pins.
+// ====================================================================================================================
+Winwheel.prototype.drawTurningParts = function()
+{
+    // Call functions to draw the segments and then segment text.
+    if (this.drawMode == 'image') {
+        // Draw the wheel by loading and drawing an image such as a png on the canvas.
+        this.drawWheelImage();
+        this.drawSegmentPatterns();
+
+        // If we are to draw the text, do so before the overlay is drawn
+        // as this allows the overlay to be used to create some interesting effects.
+        if (this.drawText == true) {
+            this.drawSegmentText();
+        }
+
+        // If image overlay is true then call function to draw the segments over the top of the image.
+        // This is useful during development to check alignment between where the code thinks the segments are and where they appear on the image.
+        if (this.imageOverlay == true) {
+            this.drawSegments();
+        }
+    } else if (this.drawMode == 'segmentImage') {
+        // Draw the wheel by rendering the image for each segment.
+        this.drawSegmentImages();
+        this.drawSegmentPatterns();
+
+        // If we are to draw the text, do so before the overlay is drawn
+        // as this allows the overlay to be used to create some interesting effects.
+        if (this.drawText == true) {
+            this.drawSegmentText();
+        }
+
+        // If image overlay is true then call function to draw the segments over the top of the image.
+        // This is useful during development to check alignment between where the code thinks the segments are and where they appear on the image.
+        if (this.imageOverlay == true) {
+            this.drawSegments();
+        }
+    } else {
+        // The default operation is to draw the segments using code via the canvas arc() method.
+        this.drawSegments();
+        this.drawSegmentPatterns();
+
+        // The text is drawn on top.
+        if (this.drawText == true) {
+            this.drawSegmentText();
+        }
+    }
+
+    // If this class has pins.
+    if (typeof this.pins !== 'undefined') {
+        // If they are to be visible then draw them.
+        if (this.pins.visible == true) {
+            this.drawPins();
+        }
+    }
+}
+
+// ====================================================================================================================
+// Draws the turning parts of the wheel from the render cache, rotated to the rotationAngle. The cache is an offscreen
+// canvas with the wheel drawn on it at a rotationAngle of 0, which is drawn again whenever anything other than the
+// rotationAngle changes. Returns false if the cache cannot be used, in which case the wheel needs to be drawn normally.
+// ====================================================================================================================
+Winwheel.prototype.drawRenderCache = function()
+{
+    // SVG has no pixels to copy so is always drawn normally.
+    if ((this.ctx instanceof WinwheelSvgContext) || (typeof this.ctx.drawImage !== 'function')) {
+        return false;
+    }
+
+    let state = this.getRenderCacheState();
+
+    if ((winwheelSameValues(state, this._renderCacheState) == false) && (this.updateRenderCache() == false)) {
+        return false;
+    }
+
+    this._renderCacheState = state;
+
+    let centerX = (this.centerX * this.scaleFactor);
+    let centerY = (this.centerY * this.scaleFactor);
+    let radius = this._renderCacheRadius;
+
+    this.ctx.save();
+    this.ctx.translate(centerX, centerY);
+    this.ctx.rotate(this.degToRad(this.rotationAngle));
+    this.ctx.drawImage(this._renderCache, -radius, -radius, radius * 2, radius * 2);
+    this.ctx.restore();
+
+    return true;
+}
+
+// ====================================================================================================================
+// Draws the turning parts of the wheel on to the render cache. Returns false if an offscreen canvas cannot be created.
+// ====================================================================================================================
+Winwheel.prototype.updateRenderCache = function()
+{
+    if (!this._renderCache) {
+        this._renderCache = winwheelCreateCanvas();
+
+        if (this._renderCache === null) {
+            return false;
+        }
+    }
+
+    let radius = this.getRenderCacheRadius();
+    let centerX = (this.centerX * this.scaleFactor);
+    let centerY = (this.centerY * this.scaleFactor);
+    let pixelRatio = this._pixelRatio;
+
+    // Setting the size also clears the cache.
+    this._renderCache.width = (radius * 2 * pixelRatio);
+    this._renderCache.height = (radius * 2 * pixelRatio);
+    this._renderCacheRadius = radius;
+
+    let ctx = this.ctx;
+    let rotationAngle = this.rotationAngle;
+
+    // Draw as normal but with the center of the wheel moved to the center of the cache.
+    this.ctx = this._renderCache.getContext('2d');
+    this.ctx.setTransform(pixelRatio, 0, 0, pixelRatio, pixelRatio * (radius - centerX), pixelRatio * (radius - centerY));
+    this.rotationAngle = 0;
+
+    try {
+        this.drawTurningParts();
+    } finally {
+        this.ctx = ctx;
+        this.rotationAngle = rotationAngle;
+    }
+
+    return true;
+}
+
+// ====================================================================================================================
+// Returns the radius the render cache needs to be to hold everything drawn on it; the wheel plus the lines around it
+// and any segment offset by interaction, the images which can be bigger than the wheel, and the text which can go past
+// the rim, for example with a negative textMargin. Nothing further from the center than the corners of the canvas can
+// be seen whatever the rotationAngle, so the radius is no bigger than that.
+// ====================================================================================================================
+Winwheel.prototype.getRenderCacheRadius = function()
+{
+    let outerRadius = (this.outerRadius * this.scaleFactor);
+    let innerRadius = (this.innerRadius * this.scaleFactor);
+    let maxLineWidth = this.lineWidth;
 
-            // If image overlay is true then call function to draw the segments over the top of the image.
-            // This is useful during development to check alignment between where the code thinks the segments are and where they appear on the image.
-            if (this.imageOverlay == true) {
-                this.drawSegments();
+    for (let x = 1; x <= this.numSegments; x ++) {
+        if (this.segments[x].lineWidth !== null) {
+            maxLineWidth = Math.max(maxLineWidth, this.segments[x].lineWidth);
+        }
+    }
+
+    let maxOffset = (this.interaction) ? Math.max(this.interaction.hoverOffset, this.interaction.selectedOffset) : 0;
+
+    if (this.interaction) {
+        maxLineWidth = Math.max(maxLineWidth, this.interaction.hoverLineWidth, this.interaction.selectedLineWidth);
+    }
+
+    let extent = outerRadius;
+
+    // The wheel image is drawn centered on the wheel, and the segment images from the center out.
+    if ((this.drawMode == 'image') && (this.wheelImage)) {
+        extent = Math.max(extent, Math.sqrt((this.wheelImage.width * this.wheelImage.width) + (this.wheelImage.height * this.wheelImage.height)) * this.scaleFactor / 2);
+    } else if (this.drawMode == 'segmentImage') {
+        for (let x = 1; x <= this.numSegments; x ++) {
+            let imgData = this.segments[x].imgData;
+
+            if ((imgData) && (imgData.height)) {
+                extent = Math.max(extent, Math.sqrt((imgData.width * imgData.width) + (imgData.height * imgData.height)) * this.scaleFactor);
             }
-        } else if (this.drawMode == 'segmentImage') {
-            // Draw the wheel by rendering the image for each segment.
-            this.drawSegmentImages();
+        }
+    }
+
+    // The text goes out from where it is placed by up to its length, depending on the orientation and alignment,
+    // plus its height to the side. Text made to fit can only be smaller, so it is measured as it is before that.
+    if (this.drawText == true) {
+        for (let x = 1; x <= this.numSegments; x ++) {
+            let seg = this.segments[x];
 
-            // If we are to draw the text, do so before the overlay is drawn
-            // as this allows the overlay to be used to create some interesting effects.
-            if (this.drawText == true) {
-                this.drawSegmentText();
+            if ((!seg.text) || (this.hasCallout(x))) {
+                continue;
             }
 
-            // If image overlay is true then call function to draw the segments over the top of the image.
-            // This is useful during development to check alignment between where the code thinks the segments are and where they appear on the image.
-            if (this.imageOverlay == true) {
-                this.drawSegments();
+            let fontFamily  = (seg.textFontFamily  !== null) ? seg.textFontFamily  : this.textFontFamily;
+            let fontSize    = (seg.textFontSize    !== null) ? seg.textFontSize    : this.textFontSize;
+            let fontWeight  = (seg.textFontWeight  !== null) ? seg.textFontWeight  : this.textFontWeight;
+            let orientation = (seg.textOrientation !== null) ? seg.textOrientation : this.textOrientation;
+            let alignment   = (seg.textAlignment   !== null) ? seg.textAlignment   : this.textAlignment;
+            let margin      = (seg.textMargin      !== null) ? seg.textMargin      : this.textMargin;
+
+            fontSize = (fontSize * this.scaleFactor);
+            margin = (margin * this.scaleFactor);
+
+            let lines = String(seg.text).split('\n');
+            let length = (fontSize * lines.length);
+
+            if (orientation == 'horizontal') {
+                let fontSetting = winwheelGetFontSetting(fontWeight, fontSize, fontFamily);
+
+                length = 0;
+
+                for (let i = 0; i < lines.length; i ++) {
+                    length = Math.max(length, winwheelMeasureText(this.ctx, lines[i], fontSetting, fontSize));
+                }
+            } else if (orientation == 'vertical') {
+                length = 0;
+
+                for (let i = 0; i < lines.length; i ++) {
+                    length = Math.max(length, (lines[i].length * fontSize));
+                }
             }
-        } else {
-            // The default operation is to draw the segments using code via the canvas arc() method.
-            this.drawSegments();
 
-            // The text is drawn on top.
-            if (this.drawText == true) {
-                this.drawSegmentText();
+            let textExtent = (innerRadius + margin + length);
+
+            if (alignment == 'outer') {
+                textExtent = (outerRadius - margin);
+            } else if (alignment != 'inner') {
+                textExtent = (innerRadius + ((outerRadius - innerRadius) / 2) + Math.abs(margin) + (length / 2));
             }
+
+            extent = Math.max(extent, textExtent + (fontSize * lines.length));
         }
+    }
 
-        // If this class has pins.
-        if (typeof this.pins !== 'undefined') {
-            // If they are to be visible then draw them.
-            if (this.pins.visible == true) {
-                this.drawPins();
-            }
+    let radius = Math.ceil(extent + maxLineWidth + maxOffset + 1);
+
+    if (this.canvas) {
+        let centerX = (this.centerX * this.scaleFactor);
+        let centerY = (this.centerY * this.scaleFactor);
+        let cornerX = Math.max(centerX, this.getCanvasWidth() - centerX);
+        let cornerY = Math.max(centerY, this.getCanvasHeight() - centerY);
+
+        radius = Math.min(radius, Math.ceil(Math.sqrt((cornerX * cornerX) + (cornerY * cornerY)) + 1));
+    }
+
+    return radius;
+}
+
+// ====================================================================================================================
+// Returns the values the render cache is drawn from, it is drawn again when any of them are different. These are the
+// options of the wheel, pins, interaction, callouts and segments, less the rotationAngle and the options of things not
+// drawn on the cache, plus things which are not options such as the segment hovered over and the sizes of the images.
+// This is worked out every frame so it is kept cheap. Objects such as gradients and fill specs are compared by which
+// object they are, so a new one is seen but changing one in place needs clearRenderCache().
+// ====================================================================================================================
+Winwheel.prototype.getRenderCacheState = function()
+{
+    let exclude = ['rotationAngle', 'animation', 'accessibility', 'pointerGuide', 'pointer', 'gestures', 'audio', 'canvas', 'ctx', 'tween', 'segments', 'pins', 'interaction', 'callouts', 'random', 'callbacks'];
+    let state = [this._pixelRatio, this._hoverSegmentNumber, ((this.wheelImage) ? this.wheelImage.width : 0)];
+
+    winwheelPushOwnValues(state, this, exclude);
+    winwheelPushOwnValues(state, this.pins, []);
+    winwheelPushOwnValues(state, this.interaction, []);
+    winwheelPushOwnValues(state, this.callouts, []);
+
+    for (let x = 1; x <= this.numSegments; x ++) {
+        winwheelPushOwnValues(state, this.segments[x], []);
+        state.push((this.segments[x].imgData) ? this.segments[x].imgData.width : 0);
+    }
+
+    return state;
+}
+
+// ====================================================================================================================
+// Adds the values of the own properties of the object to the array, except those starting with _ and those excluded.
+// Undefined objects add nothing but a marker, so an option object being added or removed changes the array.
+// ====================================================================================================================
+function winwheelPushOwnValues(values, object, exclude)
+{
+    if ((object === null) || (typeof object !== 'object')) {
+        values.push(object);
+        return;
+    }
+
+    for (let key in object) {
+        if ((object.hasOwnProperty(key)) && (key.charAt(0) != '_') && (exclude.indexOf(key) == -1)) {
+            values.push(key, object[key]);
         }
+    }
+}
 
-        // If pointer guide is display property is set to true then call function to draw the pointer guide.
-        if (this.pointerGuide.display == true) {
-            this.drawPointerGuide();
+// ====================================================================================================================
+// Returns true if the two arrays have the same values in the same order, objects are the same if they are one object.
+// ====================================================================================================================
+function winwheelSameValues(a, b)
+{
+    if ((!a) || (!b) || (a.length != b.length)) {
+        return false;
+    }
+
+    for (let i = 0; i < a.length; i ++) {
+        if (a[i] !== b[i]) {
+            return false;
         }
     }
+
+    return true;
+}
+
+// ====================================================================================================================
+// Makes the render cache be drawn again next time the wheel is drawn. Only needed when something the cache cannot
+// see changes, such as a web font used by the text finishing loading, or a gradient or fill spec being changed in place.
+// ====================================================================================================================
+Winwheel.prototype.clearRenderCache = function()
+{
+    this._renderCacheState = null;
 }
 
 // ====================================================================================================================
@@ -394,11 +801,12 @@ Winwheel.prototype.drawPins = function()
         }
 
         // Work out the angle to draw each pin a which is simply 360 / the number of pins as they space evenly around.
-        //++ There is a slight oddity with the pins in that there is a pin at 0 and also one at 360 and these will be drawn
-        //++ directly over the top of each other. Also pins are 0 indexed which could possibly cause some confusion
-        //++ with the getCurrentPin function - for now this is just used for audio so probably not a problem.
+        // The last pin drawn, at 360 degrees, is the pin at the top of the wheel when the rotationAngle is 0. This is
+        // pin 0 in the pinpass event and getCurrentPinNumber(), the numbers go up clockwise to the number of pins less 1.
         let pinSpacing = (360 / this.pins.number);
 
+        this.setRenderClass('winwheel-pin');
+
         for(let i=1; i<=this.pins.number; i ++) {
             this.ctx.save();
 
@@ -446,6 +854,7 @@ Winwheel.prototype.drawPointerGuide = function()
         let centerY = (this.centerY * this.scaleFactor);
         let outerRadius = (this.outerRadius * this.scaleFactor);
 
+        this.setRenderClass('winwheel-pointer-guide');
         this.ctx.save();
 
         // Rotate the canvas to the line goes towards the location of the pointer.
@@ -468,65 +877,248 @@ Winwheel.prototype.drawPointerGuide = function()
 }
 
 // ====================================================================================================================
-// This function takes an image such as PNG and draws it on the canvas making its center at the centerX and center for the wheel.
+// Draws the pointer of the pointer option at the pointerAngle, pointing in to the wheel with its tip over the edge.
+// It is drawn turned by the deflection of the spring, which pins passing the pointer push it out of the way against.
 // ====================================================================================================================
-Winwheel.prototype.drawWheelImage = function()
+Winwheel.prototype.drawPointer = function()
 {
-    // Double check the wheelImage property of this class is not null. This does not actually detect that an image
-    // source was set and actually loaded so might get error if this is not the case. This is why the initial call
-    // to draw() should be done from a wheelImage.onload callback as detailed in example documentation.
-    if (this.wheelImage != null) {
-        // Get the centerX and centerY in to variables, adjust by the scaleFactor.
-        let centerX = (this.centerX * this.scaleFactor);
-        let centerY = (this.centerY * this.scaleFactor);
+    if (!this.ctx) {
+        return;
+    }
 
-        // Get the scaled width and height of the image.
-        let scaledWidth = (this.wheelImage.width * this.scaleFactor);
-        let scaledHeight = (this.wheelImage.height * this.scaleFactor);
+    this.updatePointerSpring();
 
-        // Work out the correct X and Y to draw the image at. We need to get the center point of the image
-        // aligned over the center point of the wheel, we can't just place it at 0, 0.
-        let imageLeft = (centerX - (scaledWidth / 2));
-        let imageTop  = (centerY - (scaledHeight / 2));
+    let centerX = (this.centerX * this.scaleFactor);
+    let centerY = (this.centerY * this.scaleFactor);
+    let size = (this.pointer.size * this.scaleFactor);
+    let halfWidth = ((this.pointer.width / 2) * this.scaleFactor);
+
+    // The pointer is drawn pointing down from the top of the wheel, then turned to the pointerAngle.
+    let tipY = (centerY - ((this.outerRadius - this.pointer.overlap) * this.scaleFactor));
+    let backY = (tipY - size);
+
+    this.setRenderClass('winwheel-pointer');
+    this.ctx.save();
+
+    this.ctx.translate(centerX, centerY);
+    this.ctx.rotate(this.degToRad(this.pointerAngle));
+    this.ctx.translate(-centerX, -centerY);
+
+    // The pointer swings about its back, where a flapper would be fixed.
+    this.ctx.translate(centerX, backY);
+    this.ctx.rotate(this.degToRad(this._pointerDeflection));
+    this.ctx.translate(-centerX, -backY);
+
+    this.ctx.fillStyle = this.pointer.fillStyle;
+    this.ctx.strokeStyle = this.pointer.strokeStyle;
+    this.ctx.lineWidth = (this.pointer.lineWidth * this.scaleFactor);
+    this.ctx.shadowColor = this.pointer.shadowColor;
+    this.ctx.shadowBlur = (this.pointer.shadowBlur * this.scaleFactor);
+    this.ctx.shadowOffsetX = (this.pointer.shadowOffsetX * this.scaleFactor);
+    this.ctx.shadowOffsetY = (this.pointer.shadowOffsetY * this.scaleFactor);
+
+    this.ctx.beginPath();
+    this.ctx.moveTo(centerX, tipY);
+
+    if (this.pointer.shape == 'arrow') {
+        // A head half the length of the arrow with a shaft a third of the width behind it.
+        let headY = (tipY - (size / 2));
+
+        this.ctx.lineTo((centerX + halfWidth), headY);
+        this.ctx.lineTo((centerX + (halfWidth / 3)), headY);
+        this.ctx.lineTo((centerX + (halfWidth / 3)), backY);
+        this.ctx.lineTo((centerX - (halfWidth / 3)), backY);
+        this.ctx.lineTo((centerX - (halfWidth / 3)), headY);
+        this.ctx.lineTo((centerX - halfWidth), headY);
+    } else if (this.pointer.shape == 'flapper') {
+        // Tapers from a rounded back to the tip.
+        this.ctx.lineTo((centerX + halfWidth), backY);
+        this.ctx.arc(centerX, backY, halfWidth, 0, Math.PI, true);
+    } else {
+        this.ctx.lineTo((centerX + halfWidth), backY);
+        this.ctx.lineTo((centerX - halfWidth), backY);
+    }
 
-        // Rotate and then draw the wheel.
-        // We must rotate by the rotationAngle before drawing to ensure that image wheels will spin.
-        this.ctx.save();
-        this.ctx.translate(centerX, centerY);
-        this.ctx.rotate(this.degToRad(this.rotationAngle));
-        this.ctx.translate(-centerX, -centerY);
+    this.ctx.closePath();
 
-        // Draw the image passing the scaled width and height which will ensure the image will be responsive.
-        this.ctx.drawImage(this.wheelImage, imageLeft, imageTop, scaledWidth, scaledHeight);
+    if (this.pointer.fillStyle) {
+        this.ctx.fill();
+    }
 
-        this.ctx.restore();
+    // The shadow is only wanted under the fill, not again for the outline.
+    this.ctx.shadowColor = 'transparent';
+
+    if ((this.pointer.strokeStyle) && (this.pointer.lineWidth > 0)) {
+        this.ctx.stroke();
+    }
+
+    // The flapper has a pin through its back which it swings on.
+    if (this.pointer.shape == 'flapper') {
+        this.ctx.fillStyle = this.pointer.strokeStyle;
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, backY, (halfWidth / 3), 0, (2 * Math.PI));
+        this.ctx.fill();
     }
+
+    this.ctx.restore();
+
+    // Once the wheel has stopped the spring still needs frames until the pointer settles.
+    this.requestPointerFrame();
 }
 
 // ====================================================================================================================
-// This function draws the wheel on the canvas by rendering the image for each segment.
+// Adds the listeners which swing the pointer when pins pass it.
 // ====================================================================================================================
-Winwheel.prototype.drawSegmentImages = function()
+Winwheel.prototype.setupPointer = function()
 {
-    // Again check have context in case this function was called directly and not via draw function.
-    if (this.ctx) {
-        // Get the centerX and centerY of the wheel adjusted with the scale factor.
-        let centerX = (this.centerX * this.scaleFactor);
-        let centerY = (this.centerY * this.scaleFactor);
+    let theWheel = this;
 
-        // Draw the segments if there is at least one in the segments array.
-        if (this.segments) {
-            // Loop though and output all segments - position 0 of the array is not used, so start loop from index 1
-            // this is to avoid confusion when talking about the first segment.
-            for (let x = 1; x <= this.numSegments; x ++) {
-                // Get the segment object as we need it to read options from.
-                let seg = this.segments[x];
+    this._pointerDeflection = 0;    // Degrees the pointer is turned from pointing at the center.
+    this._pointerVelocity = 0;      // Degrees per second it is swinging at.
+    this._pointerTime = null;       // When the spring was last worked out.
+    this._pointerFrameId = null;
 
-                // Check image has loaded so a property such as height has a value.
-                if (seg.imgData.height) {
-                    // Work out the correct X and Y to draw the image at which depends on the direction of the image.
-                    // Images can be created in 4 directions. North, South, East, West.
-                    // North: Outside at top, inside at bottom. Sits evenly over the 0 degrees angle.
+    this.on('pinpass', function(pinNumber, speed, direction) {
+        theWheel.deflectPointer(speed, direction);
+    });
+
+    // The animation stops drawing the wheel when it ends, but the pointer may still be swinging.
+    this.on('spinend', function() {
+        theWheel.requestPointerFrame();
+    });
+
+    this.on('spincancel', function() {
+        theWheel.requestPointerFrame();
+    });
+}
+
+// ====================================================================================================================
+// Pushes the pointer over as a pin passing it would. The faster the wheel in degrees per second the further it goes,
+// up to the deflection at the maxSpeed. It goes the way the pins are moving then springs back.
+// ====================================================================================================================
+Winwheel.prototype.deflectPointer = function(speed, direction)
+{
+    this.updatePointerSpring();
+
+    let power = Math.min(1, ((speed) ? speed : 0) / this.pointer.maxSpeed);
+    let deflection = (this.pointer.deflection * power * ((direction == 'anti-clockwise') ? 1 : -1));
+
+    // If the pointer is already further over the same way the pin does not reach it.
+    if ((Math.abs(deflection) > Math.abs(this._pointerDeflection)) || ((deflection * this._pointerDeflection) < 0)) {
+        this._pointerDeflection = deflection;
+        this._pointerVelocity = 0;
+    }
+
+    this.requestPointerFrame();
+}
+
+// ====================================================================================================================
+// Moves the spring of the pointer on to now. The pointer is pulled back to the middle by the stiffness, and the
+// damping slows its swing so it settles. This is worked out in small steps so it is the same at any frame rate.
+// ====================================================================================================================
+Winwheel.prototype.updatePointerSpring = function()
+{
+    let now = winwheelNow();
+
+    // After a long gap, such as the page being hidden, the pointer would have settled so it is not stepped through.
+    let elapsed = (this._pointerTime !== null) ? Math.min(1, ((now - this._pointerTime) / 1000)) : 0;
+    let steps = Math.ceil(elapsed / 0.004);
+
+    this._pointerTime = now;
+
+    for (let i = 0; i < steps; i ++) {
+        let acceleration = ((0 - (this.pointer.stiffness * this._pointerDeflection)) - (this.pointer.damping * this._pointerVelocity));
+
+        this._pointerVelocity += (acceleration * (elapsed / steps));
+        this._pointerDeflection += (this._pointerVelocity * (elapsed / steps));
+    }
+
+    if ((Math.abs(this._pointerDeflection) < 0.01) && (Math.abs(this._pointerVelocity) < 0.1)) {
+        this._pointerDeflection = 0;
+        this._pointerVelocity = 0;
+    }
+}
+
+// ====================================================================================================================
+// Re-draws the wheel on the next frame if the pointer is still swinging. While the wheel is spinning nothing is done
+// as the animation is drawing it anyway.
+// ====================================================================================================================
+Winwheel.prototype.requestPointerFrame = function()
+{
+    if ((this.isSpinning()) || (this._pointerFrameId !== null) || ((this._pointerDeflection == 0) && (this._pointerVelocity == 0))) {
+        return;
+    }
+
+    let theWheel = this;
+    let frame = function() {
+        theWheel._pointerFrameId = null;
+        theWheel.draw();
+    };
+
+    this._pointerFrameId = (typeof requestAnimationFrame === 'function') ? requestAnimationFrame(frame) : setTimeout(frame, 16);
+}
+
+// ====================================================================================================================
+// This function takes an image such as PNG and draws it on the canvas making its center at the centerX and center for the wheel.
+// ====================================================================================================================
+Winwheel.prototype.drawWheelImage = function()
+{
+    // Double check the wheelImage property of this class is not null. This does not actually detect that an image
+    // source was set and actually loaded so might get error if this is not the case. This is why the initial call
+    // to draw() should be done from a wheelImage.onload callback as detailed in example documentation.
+    if (this.wheelImage != null) {
+        // Get the centerX and centerY in to variables, adjust by the scaleFactor.
+        let centerX = (this.centerX * this.scaleFactor);
+        let centerY = (this.centerY * this.scaleFactor);
+
+        // Get the scaled width and height of the image.
+        let scaledWidth = (this.wheelImage.width * this.scaleFactor);
+        let scaledHeight = (this.wheelImage.height * this.scaleFactor);
+
+        // Work out the correct X and Y to draw the image at. We need to get the center point of the image
+        // aligned over the center point of the wheel, we can't just place it at 0, 0.
+        let imageLeft = (centerX - (scaledWidth / 2));
+        let imageTop  = (centerY - (scaledHeight / 2));
+
+        // Rotate and then draw the wheel.
+        // We must rotate by the rotationAngle before drawing to ensure that image wheels will spin.
+        this.setRenderClass('winwheel-wheel-image');
+        this.ctx.save();
+        this.ctx.translate(centerX, centerY);
+        this.ctx.rotate(this.degToRad(this.rotationAngle));
+        this.ctx.translate(-centerX, -centerY);
+
+        // Draw the image passing the scaled width and height which will ensure the image will be responsive.
+        this.ctx.drawImage(this.wheelImage, imageLeft, imageTop, scaledWidth, scaledHeight);
+
+        this.ctx.restore();
+    }
+}
+
+// ====================================================================================================================
+// This function draws the wheel on the canvas by rendering the image for each segment.
+// ====================================================================================================================
+Winwheel.prototype.drawSegmentImages = function()
+{
+    // Again check have context in case this function was called directly and not via draw function.
+    if (this.ctx) {
+        // Get the centerX and centerY of the wheel adjusted with the scale factor.
+        let centerX = (this.centerX * this.scaleFactor);
+        let centerY = (this.centerY * this.scaleFactor);
+
+        // Draw the segments if there is at least one in the segments array.
+        if (this.segments) {
+            // Loop though and output all segments - position 0 of the array is not used, so start loop from index 1
+            // this is to avoid confusion when talking about the first segment.
+            for (let x = 1; x <= this.numSegments; x ++) {
+                // Get the segment object as we need it to read options from.
+                let seg = this.segments[x];
+
+                // Check image has loaded so a property such as height has a value.
+                if ((seg.imgData) && (seg.imgData.height)) {
+                    // Work out the correct X and Y to draw the image at which depends on the direction of the image.
+                    // Images can be created in 4 directions. North, South, East, West.
+                    // North: Outside at top, inside at bottom. Sits evenly over the 0 degrees angle.
                     // South: Outside at bottom, inside at top. Sits evenly over the 180 degrees angle.
                     // East: Outside at right, inside at left. Sits evenly over the 90 degrees angle.
                     // West: Outside at left, inside at right. Sits evenly over the 270 degrees angle.
@@ -590,6 +1182,7 @@ Winwheel.prototype.drawSegmentImages = function()
 
                     // --------------------------------------------------
                     // Rotate to the position of the segment and then draw the image.
+                    this.setRenderClass('winwheel-segment-image winwheel-segment-image-' + x);
                     this.ctx.save();
                     this.ctx.translate(centerX, centerY);
 
@@ -641,8 +1234,6 @@ Winwheel.prototype.drawSegments = function()
                     fillStyle = this.fillStyle;
                 }
 
-                this.ctx.fillStyle = fillStyle;
-
                 if (seg.lineWidth !== null) {
                     lineWidth = seg.lineWidth;
                 } else {
@@ -657,8 +1248,33 @@ Winwheel.prototype.drawSegments = function()
                     strokeStyle = this.strokeStyle;
                 }
 
+                // If the segment is hovered over or selected then the interaction styles replace those set above.
+                let interactionStyle = this.getSegmentInteractionStyle(x);
+
+                if (interactionStyle !== null) {
+                    if (interactionStyle.fillStyle !== null) {
+                        fillStyle = interactionStyle.fillStyle;
+                    }
+
+                    if (interactionStyle.lineWidth !== null) {
+                        lineWidth = interactionStyle.lineWidth;
+                        this.ctx.lineWidth = lineWidth;
+                    }
+
+                    if (interactionStyle.strokeStyle !== null) {
+                        strokeStyle = interactionStyle.strokeStyle;
+                    }
+                }
+
+                this.ctx.fillStyle = this.resolveFillStyle(fillStyle, x);
                 this.ctx.strokeStyle = strokeStyle;
 
+                // Move the segment out from the center of the wheel if it is to be offset when hovered or selected.
+                let offset = this.getSegmentOffset(x);
+
+                this.setRenderClass('winwheel-segment winwheel-segment-' + x);
+                this.ctx.save();
+                this.ctx.translate(offset.x, offset.y);
 
                 // Check there is a strokeStyle or fillStyle, if not the segment is invisible so should not try to draw it otherwise a path is began but not ended.
                 if ((strokeStyle) || (fillStyle)) {
@@ -702,516 +1318,770 @@ Winwheel.prototype.drawSegments = function()
                         this.ctx.stroke();
                     }
                 }
+
+                this.ctx.restore();
             }
         }
     }
 }
 
 // ====================================================================================================================
-// This draws the text on the segments using the specified text options.
+// Colours the segments from the palette option. Segments without a fillStyle of their own are given the colours of
+// the palette in turn, skipping any colour which is the same as the segment before or after so that segments next to
+// each other are never the same colour, including the last and first segments. Then each segment without a
+// textFillStyle of its own is given whichever of the text colours has the most contrast with the fill of the segment,
+// which with the default black and white always meets the WCAG AA contrast ratio of 4.5.
+//
+// The palette can be the name of one in winwheelPalettes, 'hsl' to generate a colour for each segment with the hues
+// evenly spaced, an array of colours, or an object such as {'colors' : 'hsl', 'saturation' : 70, 'lightness' : 55,
+// 'hue' : 0, 'textColors' : ['#000000', '#ffffff']}. This is called automatically when segments are added or deleted,
+// call it after changing the palette or the colours of segments.
 // ====================================================================================================================
-Winwheel.prototype.drawSegmentText = function()
+Winwheel.prototype.applyPalette = function()
 {
-    // Again only draw the text if have a canvas context.
-    if (this.ctx) {
-        // Declare variables to hold the values. These are populated either with the value for the specific segment,
-        // or if not specified then the global default value.
-        let fontFamily;
-        let fontSize;
-        let fontWeight;
-        let orientation;
-        let alignment;
-        let direction;
-        let margin;
-        let fillStyle;
-        let strokeStyle;
-        let lineWidth;
-        let fontSetting;
+    let palette = ((this.palette !== null) && (typeof this.palette === 'object') && (!Array.isArray(this.palette))) ? this.palette : {'colors' : this.palette};
+    let colors = winwheelGetPaletteColors(palette, this.numSegments);
+    let textColors = (palette.textColors) ? palette.textColors : ['#000000', '#ffffff'];
 
-        // Get the centerX and centerY scaled with the scale factor, also the same for outer and inner radius.
-        let centerX = (this.centerX * this.scaleFactor);
-        let centerY = (this.centerY * this.scaleFactor);
-        let outerRadius = (this.outerRadius * this.scaleFactor);
-        let innerRadius = (this.innerRadius * this.scaleFactor);
+    // Colours given by the palette before are replaced, so remove them first to know which segments have their own.
+    for (let x = 1; x <= this.numSegments; x ++) {
+        let seg = this.segments[x];
 
-        // Loop though all the segments.
-        for (let x = 1; x <= this.numSegments; x ++) {
-            // Save the context so it is certain that each segment text option will not affect the other.
-            this.ctx.save();
+        if ((typeof seg._paletteFillStyle !== 'undefined') && (seg.fillStyle === seg._paletteFillStyle)) {
+            seg.fillStyle = null;
+        }
 
-            // Get the segment object as we need it to read options from.
-            let seg = this.segments[x];
+        if ((typeof seg._paletteTextFillStyle !== 'undefined') && (seg.textFillStyle === seg._paletteTextFillStyle)) {
+            seg.textFillStyle = null;
+        }
 
-            // Check is text as no point trying to draw if there is no text to render.
-            if (seg.text) {
-                // Set values to those for the specific segment or use global default if null.
-                if (seg.textFontFamily  !== null)   fontFamily  = seg.textFontFamily;  else fontFamily  = this.textFontFamily;
-                if (seg.textFontSize    !== null)   fontSize    = seg.textFontSize;    else fontSize    = this.textFontSize;
-                if (seg.textFontWeight  !== null)   fontWeight  = seg.textFontWeight;  else fontWeight  = this.textFontWeight;
-                if (seg.textOrientation !== null)   orientation = seg.textOrientation; else orientation = this.textOrientation;
-                if (seg.textAlignment   !== null)   alignment   = seg.textAlignment;   else alignment   = this.textAlignment;
-                if (seg.textDirection   !== null)   direction   = seg.textDirection;   else direction   = this.textDirection;
-                if (seg.textMargin      !== null)   margin      = seg.textMargin;      else margin      = this.textMargin;
-                if (seg.textFillStyle   !== null)   fillStyle   = seg.textFillStyle;   else fillStyle   = this.textFillStyle;
-                if (seg.textStrokeStyle !== null)   strokeStyle = seg.textStrokeStyle; else strokeStyle = this.textStrokeStyle;
-                if (seg.textLineWidth   !== null)   lineWidth   = seg.textLineWidth;   else lineWidth   = this.textLineWidth;
+        delete seg._paletteFillStyle;
+        delete seg._paletteTextFillStyle;
+    }
 
-                // Scale the font size and the margin by the scale factor so the text can be responsive.
-                fontSize = (fontSize * this.scaleFactor);
-                margin = (margin * this.scaleFactor);
+    let sameColor = function(a, b) {
+        return ((typeof a === 'string') && (typeof b === 'string') && (a.toLowerCase() == b.toLowerCase()));
+    };
 
-                // ------------------------------
-                // We need to put the font bits together in to one string.
-                let fontSetting = '';
+    if (colors.length) {
+        for (let x = 1; x <= this.numSegments; x ++) {
+            let seg = this.segments[x];
 
-                if (fontWeight != null) {
-                    fontSetting += fontWeight + ' ';
-                }
+            if (seg.fillStyle !== null) {
+                continue;
+            }
 
-                if (fontSize != null) {
-                    fontSetting += fontSize + 'px ';    // Fonts on canvas are always a px value.
-                }
+            let before = (x > 1) ? this.segments[x - 1].fillStyle : this.segments[this.numSegments].fillStyle;
+            let after = (x < this.numSegments) ? this.segments[x + 1].fillStyle : this.segments[1].fillStyle;
 
-                if (fontFamily != null) {
-                    fontSetting += fontFamily;
-                }
+            // Start from the next colour in turn, if no colour is different to both sides (only possible with fewer
+            // than 3 colours) just use that one.
+            seg.fillStyle = colors[(x - 1) % colors.length];
 
-                // Now set the canvas context to the decided values.
-                this.ctx.font        = fontSetting;
-                this.ctx.fillStyle   = fillStyle;
-                this.ctx.strokeStyle = strokeStyle;
-                this.ctx.lineWidth   = lineWidth;
+            for (let i = 0; i < colors.length; i ++) {
+                let color = colors[(x - 1 + i) % colors.length];
 
-                // Split the text in to multiple lines on the \n character.
-                let lines = seg.text.split('\n');
+                if ((sameColor(color, before) == false) && ((this.numSegments == 1) || (sameColor(color, after) == false))) {
+                    seg.fillStyle = color;
+                    break;
+                }
+            }
 
-                // Figure out the starting offset for the lines as when there are multiple lines need to center the text
-                // vertically in the segment (when thinking of normal horozontal text).
-                let lineOffset = 0 - (fontSize * (lines.length / 2)) + (fontSize / 2);
+            seg._paletteFillStyle = seg.fillStyle;
+        }
+    }
 
-                // The offset works great for horozontal and vertial text, also centered curved. But when the text is curved
-                // and the alignment is outer then the multiline text should not have some text outside the wheel. Same if inner curved.
-                if ((orientation == 'curved') && ((alignment == 'inner') || (alignment == 'outer'))) {
-                    lineOffset = 0;
-                }
+    for (let x = 1; x <= this.numSegments; x ++) {
+        let seg = this.segments[x];
 
-                for (let i = 0; i < lines.length; i ++) {
-                    // If direction is reversed then do things differently than if normal (which is the default - see further down)
-                    if (direction == 'reversed') {
-                        // When drawing reversed or 'upside down' we need to do some trickery on our part.
-                        // The canvas text rendering function still draws the text left to right and the correct way up,
-                        // so we need to overcome this with rotating the opposite side of the wheel the correct way up then pulling the text
-                        // through the center point to the correct segment it is supposed to be on.
-                        if (orientation == 'horizontal') {
-                            if (alignment == 'inner') {
-                                this.ctx.textAlign = 'right';
-                            } else if (alignment == 'outer') {
-                                this.ctx.textAlign = 'left';
-                            } else {
-                                this.ctx.textAlign = 'center';
-                            }
+        if (seg.textFillStyle === null) {
+            let fillStyle = (seg.fillStyle !== null) ? seg.fillStyle : this.fillStyle;
+            let textColor = this.getContrastingColor(fillStyle, textColors);
 
-                            this.ctx.textBaseline = 'middle';
+            if (textColor !== null) {
+                seg.textFillStyle = textColor;
+                seg._paletteTextFillStyle = textColor;
+            }
+        }
+    }
+}
 
-                            // Work out the angle to rotate the wheel, this is in the center of the segment but on the opposite side of the wheel which is why do -180.
-                            let textAngle = this.degToRad((seg.endAngle - ((seg.endAngle - seg.startAngle) / 2) + this.rotationAngle - 90) - 180);
+// ====================================================================================================================
+// Returns whichever of the colors has the most contrast with the fillStyle, which can also be a fill spec in which
+// case the contrast with the stop it contrasts least with is used. Returns null if the fillStyle is not a colour.
+// ====================================================================================================================
+Winwheel.prototype.getContrastingColor = function(fillStyle, colors)
+{
+    let fillColors = [];
 
-                            this.ctx.save();
-                            this.ctx.translate(centerX, centerY);
-                            this.ctx.rotate(textAngle);
-                            this.ctx.translate(-centerX, -centerY);
+    if (winwheelIsFillSpec(fillStyle)) {
+        let stops = winwheelGetGradientStops(fillStyle.stops);
 
-                            if (alignment == 'inner') {
-                                // In reversed state the margin is subtracted from the innerX.
-                                // When inner the inner radius also comes in to play.
-                                if (fillStyle) {
-                                    this.ctx.fillText(lines[i], centerX - innerRadius - margin, centerY + lineOffset);
-                                }
+        for (let i = 0; i < stops.length; i ++) {
+            fillColors.push(winwheelParseColor(stops[i].color, this.ctx));
+        }
+    } else {
+        fillColors.push(winwheelParseColor(fillStyle, this.ctx));
+    }
 
-                                if (strokeStyle) {
-                                    this.ctx.strokeText(lines[i], centerX - innerRadius - margin, centerY + lineOffset);
-                                }
-                            } else if (alignment == 'outer') {
-                                // In reversed state the position is the center minus the radius + the margin for outer aligned text.
-                                if (fillStyle) {
-                                    this.ctx.fillText(lines[i], centerX - outerRadius + margin, centerY + lineOffset);
-                                }
+    if ((fillColors.length == 0) || (fillColors.indexOf(null) != -1)) {
+        return null;
+    }
 
-                                if (strokeStyle) {
-                                    this.ctx.strokeText(lines[i], centerX - outerRadius + margin, centerY + lineOffset);
-                                }
-                            } else {
-                                // In reversed state the everything in minused.
-                                if (fillStyle) {
-                                    this.ctx.fillText(lines[i], centerX - innerRadius - ((outerRadius - innerRadius) / 2) - margin, centerY + lineOffset);
-                                }
+    let bestColor = null;
+    let bestContrast = 0;
 
-                                if (strokeStyle) {
-                                    this.ctx.strokeText(lines[i], centerX - innerRadius - ((outerRadius - innerRadius) / 2) - margin, centerY + lineOffset);
-                                }
-                            }
+    for (let i = 0; i < colors.length; i ++) {
+        let color = winwheelParseColor(colors[i], this.ctx);
 
-                            this.ctx.restore();
+        if (color === null) {
+            continue;
+        }
 
-                        } else if (orientation == 'vertical') {
-                            // See normal code further down for comments on how it works, this is similar by plus/minus is reversed.
-                            this.ctx.textAlign = 'center';
+        let contrast = Infinity;
 
-                            // In reversed mode this are reversed.
-                            if (alignment == 'inner') {
-                                this.ctx.textBaseline = 'top';
-                            } else if (alignment == 'outer') {
-                                this.ctx.textBaseline = 'bottom';
-                            } else {
-                                this.ctx.textBaseline = 'middle';
-                            }
+        for (let f = 0; f < fillColors.length; f ++) {
+            contrast = Math.min(contrast, winwheelContrastRatio(color, fillColors[f]));
+        }
 
-                            let textAngle = (seg.endAngle - ((seg.endAngle - seg.startAngle) / 2) - 180);
-                            textAngle += this.rotationAngle;
+        if (contrast > bestContrast) {
+            bestContrast = contrast;
+            bestColor = colors[i];
+        }
+    }
 
-                            this.ctx.save();
-                            this.ctx.translate(centerX, centerY);
-                            this.ctx.rotate(this.degToRad(textAngle));
-                            this.ctx.translate(-centerX, -centerY);
+    return bestColor;
+}
 
-                            //++ @TODO double-check the default of 0 is correct.
-                            let yPos = 0;
-                            if (alignment == 'outer') {
-                                yPos = (centerY + outerRadius - margin);
-                            } else if (alignment == 'inner') {
-                                yPos = (centerY + innerRadius + margin);
-                            }
+// ====================================================================================================================
+// Draws the patterns over the segments. Each pattern is drawn with the segment as the clipping region, and is turned
+// to the middle of the segment plus the angle of the pattern so it turns with the wheel.
+// ====================================================================================================================
+Winwheel.prototype.drawSegmentPatterns = function()
+{
+    if ((this.ctx) && (this.segments)) {
+        let centerX = (this.centerX * this.scaleFactor);
+        let centerY = (this.centerY * this.scaleFactor);
+        let innerRadius = (this.innerRadius * this.scaleFactor);
+        let outerRadius = (this.outerRadius * this.scaleFactor);
+        let autoPatternTypes = (this.autoPatterns) ? this.getAutoPatternTypes() : [];
 
-                            // I have found that the text looks best when a fraction of the font size is shaved off.
-                            let yInc = (fontSize - (fontSize / 9));
+        for (let x = 1; x <= this.numSegments; x ++) {
+            let pattern = this.getSegmentPattern(x, autoPatternTypes[x]);
 
-                            // Loop though and output the characters.
-                            if (alignment == 'outer') {
-                                // In reversed mode outer means text in 6 o'clock segment sits at bottom of the wheel and we draw up.
-                                for (let c = (lines[i].length -1); c >= 0; c--) {
-                                    let character = lines[i].charAt(c);
+            if (pattern === null) {
+                continue;
+            }
 
-                                    if (fillStyle) {
-                                        this.ctx.fillText(character, centerX + lineOffset, yPos);
-                                    }
+            let seg = this.segments[x];
+            let offset = this.getSegmentOffset(x);
+            let scale = (pattern.scale * this.scaleFactor);
+            let lineWidth = (pattern.lineWidth * this.scaleFactor);
 
-                                    if (strokeStyle) {
-                                        this.ctx.strokeText(character, centerX + lineOffset, yPos);
-                                    }
+            this.setRenderClass('winwheel-segment-pattern winwheel-segment-pattern-' + x);
+            this.ctx.save();
+            this.ctx.translate(offset.x, offset.y);
 
-                                    yPos -= yInc;
-                                }
-                            } else if (alignment == 'inner') {
-                                // In reversed mode inner text is drawn from top of segment at 6 o'clock position to bottom of the wheel.
-                                for (let c = 0; c < lines[i].length; c++) {
-                                    let character = lines[i].charAt(c);
+            // Clip to the same shape as the segment so the pattern only appears on it.
+            this.ctx.beginPath();
 
-                                    if (fillStyle) {
-                                        this.ctx.fillText(character, centerX + lineOffset, yPos);
-                                    }
+            if (!this.innerRadius) {
+                this.ctx.moveTo(centerX, centerY);
+            }
 
-                                    if (strokeStyle) {
-                                        this.ctx.strokeText(character, centerX + lineOffset, yPos);
-                                    }
+            this.ctx.arc(centerX, centerY, outerRadius, this.degToRad(seg.startAngle + this.rotationAngle - 90), this.degToRad(seg.endAngle + this.rotationAngle - 90), false);
 
-                                    yPos += yInc;
-                                }
-                            } else if (alignment == 'center') {
-                                // Again for reversed this is the opposite of before.
-                                // If there is more than one character in the text then an adjustment to the position needs to be done.
-                                // What we are aiming for is to position the center of the text at the center point between the inner and outer radius.
-                                let centerAdjustment = 0;
+            if (this.innerRadius) {
+                this.ctx.arc(centerX, centerY, innerRadius, this.degToRad(seg.endAngle + this.rotationAngle - 90), this.degToRad(seg.startAngle + this.rotationAngle - 90), true);
+            } else {
+                this.ctx.lineTo(centerX, centerY);
+            }
 
-                                if (lines[i].length > 1) {
-                                    centerAdjustment = (yInc * (lines[i].length -1) / 2);
-                                }
+            this.ctx.clip();
 
-                                let yPos = (centerY + innerRadius + ((outerRadius - innerRadius) / 2)) + centerAdjustment + margin;
+            // Turn so the pattern can be drawn with horizontal rows around the center of the wheel.
+            let middleAngle = (seg.startAngle + ((seg.endAngle - seg.startAngle) / 2));
 
-                                for (let c = (lines[i].length -1); c >= 0; c--) {
-                                    let character = lines[i].charAt(c);
+            this.ctx.translate(centerX, centerY);
+            this.ctx.rotate(this.degToRad(middleAngle + this.rotationAngle + pattern.angle));
 
-                                    if (fillStyle) {
-                                        this.ctx.fillText(character, centerX + lineOffset, yPos);
-                                    }
+            // Only the area the segment covers needs the pattern, which is worked out with the segment turned the same way.
+            let bounds = winwheelGetSectorBounds(seg.startAngle - middleAngle - pattern.angle, seg.endAngle - middleAngle - pattern.angle, innerRadius, outerRadius);
 
-                                    if (strokeStyle) {
-                                        this.ctx.strokeText(character, centerX + lineOffset, yPos);
-                                    }
+            this.ctx.beginPath();
+            winwheelAddPatternPath(this.ctx, pattern.type, bounds, scale, lineWidth);
 
-                                    yPos -= yInc;
-                                }
-                            }
+            if (pattern.type == 'dots') {
+                this.ctx.fillStyle = pattern.color;
+                this.ctx.fill();
+            } else {
+                this.ctx.strokeStyle = pattern.color;
+                this.ctx.lineWidth = lineWidth;
+                this.ctx.stroke();
+            }
 
-                            this.ctx.restore();
+            this.ctx.restore();
+        }
+    }
+}
 
-                        } else if (orientation == 'curved') {
-                            // There is no built in canvas function to draw text around an arc,
-                            // so we need to do this ourselves.
-                            let radius = 0;
+// ====================================================================================================================
+// Returns the pattern for the segment with all its settings, or null if the segment has no pattern. The settings come
+// from the segment's pattern, then the wheel's pattern, then the defaults. If the segment has no pattern type of its
+// own the autoPatternType is used, which is the type from getAutoPatternTypes() when autoPatterns is on.
+// ====================================================================================================================
+Winwheel.prototype.getSegmentPattern = function(segmentNumber, autoPatternType)
+{
+    let segmentPattern = this.segments[segmentNumber].pattern;
+    let pattern = {
+        'type'      : null,
+        'color'     : 'rgba(0, 0, 0, 0.4)',
+        'scale'     : 10,
+        'angle'     : 45,
+        'lineWidth' : 2
+    };
 
-                            // Set the alignment of the text - inner, outer, or center by calculating
-                            // how far out from the center point of the wheel the text is drawn.
-                            if (alignment == 'inner') {
-                                // When alignment is inner the radius is the innerRadius plus any margin.
-                                radius = innerRadius + margin;
-                                this.ctx.textBaseline = 'top';
-                            } else if (alignment == 'outer') {
-                                // Outer it is the outerRadius minus any margin.
-                                radius = outerRadius - margin;
-                                this.ctx.textBaseline = 'bottom';
+    // The pattern options can be just the type.
+    let options = [
+        (typeof this.pattern === 'string') ? {'type' : this.pattern} : this.pattern,
+        (typeof segmentPattern === 'string') ? {'type' : segmentPattern} : segmentPattern
+    ];
+
+    for (let i = 0; i < options.length; i ++) {
+        if (options[i]) {
+            for (let key in pattern) {
+                if ((typeof options[i][key] !== 'undefined') && (options[i][key] !== null)) {
+                    pattern[key] = options[i][key];
+                }
+            }
+        }
+    }
 
-                                // We need to adjust the radius in this case to take in to multiline text.
-                                // In this case the radius needs to be further out, not at the inner radius.
-                                radius -= (fontSize * (lines.length - 1));
-                            } else if (alignment == 'center') {
-                                // When center we want the text halfway between the inner and outer radius.
-                                radius = innerRadius + margin + ((outerRadius - innerRadius) / 2);
-                                this.ctx.textBaseline = 'middle';
-                            }
+    if ((autoPatternType) && ((!options[1]) || (!options[1].type))) {
+        pattern.type = autoPatternType;
+    }
 
-                            // Set the angle to increment by when looping though and outputting the characters in the text
-                            // as we do this by rotating the wheel small amounts adding each character.
-                            let anglePerChar = 0;
-                            let drawAngle = 0;
+    return (pattern.type) ? pattern : null;
+}
 
-                            // If more than one character in the text then...
-                            if (lines[i].length > 1) {
-                                // Text is drawn from the left.
-                                this.ctx.textAlign = 'left';
+// ====================================================================================================================
+// Works out the pattern types for autoPatterns. Segments with their own pattern type keep it, the others are given the
+// next type which is not the same as the segment before or after, including the last segment being next to the first.
+// Returns an array of the types where, like the segments, position 0 is not used.
+// ====================================================================================================================
+Winwheel.prototype.getAutoPatternTypes = function()
+{
+    let types = [null];
 
-                                // Work out how much angle the text rendering loop below needs to rotate by for each character to render them next to each other.
-                                // I have discovered that 4 * the font size / 10 at 100px radius is the correct spacing for between the characters
-                                // using a monospace font, non monospace may look a little odd as in there will appear to be extra spaces between chars.
-                                anglePerChar = (4 * (fontSize / 10));
+    let typeOf = function(pattern) {
+        if (typeof pattern === 'string') {
+            return pattern;
+        }
 
-                                // Work out what percentage the radius the text will be drawn at is of 100px.
-                                let radiusPercent = (100 / radius);
+        return ((pattern) && (pattern.type)) ? pattern.type : null;
+    };
 
-                                // Then use this to scale up or down the anglePerChar value.
-                                // When the radius is less than 100px we need more angle between the letters, when radius is greater (so the text is further
-                                // away from the center of the wheel) the angle needs to be less otherwise the characters will appear further apart.
-                                anglePerChar = (anglePerChar * radiusPercent);
+    for (let x = 1; x <= this.numSegments; x ++) {
+        types.push(typeOf(this.segments[x].pattern));
+    }
 
-                                // Next we want the text to be drawn in the middle of the segment, without this it would start at the beginning of the segment.
-                                // To do this we need to work out how much arc the text will take up in total then subtract half of this from the center
-                                // of the segment so that it sits centred.
-                                let totalArc = (anglePerChar * lines[i].length);
+    for (let x = 1; x <= this.numSegments; x ++) {
+        if (types[x] !== null) {
+            continue;
+        }
 
-                                // Now set initial draw angle to half way between the start and end of the segment.
-                                drawAngle = seg.startAngle + (((seg.endAngle - seg.startAngle) / 2) - (totalArc / 2));
-                            } else {
-                                // The initial draw angle is the center of the segment when only one character.
-                                drawAngle = (seg.startAngle + ((seg.endAngle - seg.startAngle) / 2));
+        let before = (x > 1) ? types[x - 1] : types[this.numSegments];
+        let after = (x < this.numSegments) ? types[x + 1] : types[1];
 
-                                // To ensure is dead-center the text alignment also needs to be centered.
-                                this.ctx.textAlign = 'center';
-                            }
+        for (let i = 0; i < winwheelPatternTypes.length; i ++) {
+            let type = winwheelPatternTypes[(x - 1 + i) % winwheelPatternTypes.length];
 
-                            // ----------------------
-                            // Adjust the initial draw angle as needed to take in to account the rotationAngle of the wheel.
-                            drawAngle += this.rotationAngle;
+            if ((type != before) && (type != after)) {
+                types[x] = type;
+                break;
+            }
+        }
+    }
 
-                            // And as with other 'reverse' text direction functions we need to subtract 180 degrees from the angle
-                            // because when it comes to draw the characters in the loop below we add the radius instead of subtract it.
-                            drawAngle -= 180;
+    return types;
+}
 
-                            // ----------------------
-                            // Now the drawing itself.
-                            // In reversed direction mode we loop through the characters in the text backwards in order for them to appear on screen correctly
-                            for (let c = lines[i].length; c >= 0; c--) {
-                                this.ctx.save();
+// ====================================================================================================================
+// Returns true if the text of the segment is drawn outside the wheel as a callout, because the segment is smaller than
+// the threshold of the callouts option.
+// ====================================================================================================================
+Winwheel.prototype.hasCallout = function(segmentNumber)
+{
+    if ((!this.callouts) || (!this.segments[segmentNumber]) || (!this.segments[segmentNumber].text)) {
+        return false;
+    }
 
-                                let character = lines[i].charAt(c);
+    let seg = this.segments[segmentNumber];
 
-                                // Rotate the wheel to the draw angle as we need to add the character at this location.
-                                this.ctx.translate(centerX, centerY);
-                                this.ctx.rotate(this.degToRad(drawAngle));
-                                this.ctx.translate(-centerX, -centerY);
+    return ((seg.endAngle - seg.startAngle) < this.callouts.threshold);
+}
 
-                                // Now draw the character directly below the center point of the wheel at the appropriate radius.
-                                // Note in the reversed mode we add the radius to the this.centerY instead of subtract.
-                                if (strokeStyle) {
-                                    this.ctx.strokeText(character, centerX, centerY + radius + lineOffset);
-                                }
+// ====================================================================================================================
+// Draws the text of small segments outside the wheel with a leader line from the segment to the text, like the labels
+// of a pie chart. The lines start outside any pins. Upright callouts have the text the right way up on the left or
+// right of the wheel and are spread up and down so they do not overlap or go off the canvas, callouts which turn with
+// the wheel have the text going out from the wheel and are spread around it so they do not overlap.
+// ====================================================================================================================
+Winwheel.prototype.drawCallouts = function()
+{
+    if (this.ctx) {
+        let centerX = (this.centerX * this.scaleFactor);
+        let centerY = (this.centerY * this.scaleFactor);
+        let outerRadius = (this.outerRadius * this.scaleFactor);
+        let length = (this.callouts.length * this.scaleFactor);
+        let margin = (this.callouts.margin * this.scaleFactor);
 
-                                if (fillStyle) {
-                                    this.ctx.fillText(character, centerX, centerY + radius + lineOffset);
-                                }
+        // Start the lines outside the pins, which can stick out past the edge of the wheel with a negative margin.
+        let startRadius = outerRadius;
 
-                                // Increment the drawAngle by the angle per character so next loop we rotate
-                                // to the next angle required to draw the character at.
-                                drawAngle += anglePerChar;
+        if ((typeof this.pins !== 'undefined') && (this.pins.visible)) {
+            let pinMargin = (this.pins.responsive) ? (this.pins.margin * this.scaleFactor) : this.pins.margin;
 
-                                this.ctx.restore();
-                            }
-                        }
-                    } else {
-                        // Normal direction so do things normally.
-                        // Check text orientation, of horizontal then reasonably straight forward, if vertical then a bit more work to do.
-                        if (orientation == 'horizontal') {
-                            // Based on the text alignment, set the correct value in the context.
-                            if (alignment == 'inner') {
-                                this.ctx.textAlign = 'left';
-                            } else if (alignment == 'outer') {
-                                this.ctx.textAlign = 'right';
-                            } else {
-                                this.ctx.textAlign = 'center';
-                            }
+            startRadius = Math.max(startRadius, (outerRadius - pinMargin) + (this.pins.lineWidth / 2));
+        }
 
-                            // Set this too.
-                            this.ctx.textBaseline = 'middle';
+        let elbowRadius = (startRadius + length);
+        let callouts = [];
 
-                            // Work out the angle around the wheel to draw the text at, which is simply in the middle of the segment the text is for.
-                            // The rotation angle is added in to correct the annoyance with the canvas arc drawing functions which put the 0 degrees at the 3 oclock
-                            let textAngle = this.degToRad(seg.endAngle - ((seg.endAngle - seg.startAngle) / 2) + this.rotationAngle - 90);
+        for (let x = 1; x <= this.numSegments; x ++) {
+            if (this.hasCallout(x) == false) {
+                continue;
+            }
 
-                            // We need to rotate in order to draw the text because it is output horizontally, so to
-                            // place correctly around the wheel for all but a segment at 3 o'clock we need to rotate.
-                            this.ctx.save();
-                            this.ctx.translate(centerX, centerY);
-                            this.ctx.rotate(textAngle);
-                            this.ctx.translate(-centerX, -centerY);
+            let seg = this.segments[x];
+            let fontSize = (this.callouts.fontSize !== null) ? this.callouts.fontSize : ((seg.textFontSize !== null) ? seg.textFontSize : this.textFontSize);
+
+            callouts.push({
+                'segmentNumber' : x,
+                'text'          : seg.text.replace(/\n/g, ' '),
+                'angle'         : seg.startAngle + ((seg.endAngle - seg.startAngle) / 2),
+                'fontSize'      : (fontSize * this.scaleFactor),
+                'fontFamily'    : (seg.textFontFamily !== null) ? seg.textFontFamily : this.textFontFamily,
+                'fontWeight'    : (seg.textFontWeight !== null) ? seg.textFontWeight : this.textFontWeight
+            });
+        }
 
-                            // --------------------------
-                            // Draw the text based on its alignment adding margin if inner or outer.
-                            if (alignment == 'inner') {
-                                // Inner means that the text is aligned with the inner of the wheel. If looking at a segment in in the 3 o'clock position
-                                // it would look like the text is left aligned within the segment.
+        // Returns the point at the angle of the wheel (0 is 12 o'clock, the rotationAngle is added) and distance from the center.
+        let theWheel = this;
 
-                                // Because the segments are smaller towards the inner of the wheel, in order for the text to fit is is a good idea that
-                                // a margin is added which pushes the text towards the outer a bit.
+        let pointAt = function(angle, radius) {
+            let radians = theWheel.degToRad(angle + theWheel.rotationAngle);
 
-                                // The inner radius also needs to be taken in to account as when inner aligned.
+            return {'x' : centerX + (radius * Math.sin(radians)), 'y' : centerY - (radius * Math.cos(radians))};
+        };
 
-                                // If fillstyle is set the draw the text filled in.
-                                if (fillStyle) {
-                                    this.ctx.fillText(lines[i], centerX + innerRadius + margin, centerY + lineOffset);
-                                }
+        if (this.callouts.upright) {
+            // Work out where the lines bend, then which side of the wheel each callout is on.
+            for (let i = 0; i < callouts.length; i ++) {
+                callouts[i].elbow = pointAt(callouts[i].angle, elbowRadius);
+                callouts[i].side = (callouts[i].elbow.x >= centerX) ? 1 : -1;
+                callouts[i].y = callouts[i].elbow.y;
+            }
 
-                                // If stroke style is set draw the text outline.
-                                if (strokeStyle) {
-                                    this.ctx.strokeText(lines[i], centerX + innerRadius + margin, centerY + lineOffset);
-                                }
-                            } else if (alignment == 'outer') {
-                                // Outer means the text is aligned with the outside of the wheel, so if looking at a segment in the 3 o'clock position
-                                // it would appear the text is right aligned. To position we add the radius of the wheel in to the equation
-                                // and subtract the margin this time, rather than add it.
+            // Down each side spread out the text so it does not overlap, keeping it on the canvas if there is one.
+            let canvasHeight = this.getCanvasHeight();
 
-                                // I don't understand why, but in order of the text to render correctly with stroke and fill, the stroke needs to
-                                // come first when drawing outer, rather than second when doing inner.
-                                if (fillStyle) {
-                                    this.ctx.fillText(lines[i], centerX + outerRadius - margin, centerY + lineOffset);
-                                }
+            for (let side = -1; side <= 1; side += 2) {
+                let sideCallouts = callouts.filter(function(callout) { return (callout.side == side); });
 
-                                // If fillstyle the fill the text.
-                                if (strokeStyle) {
-                                    this.ctx.strokeText(lines[i], centerX + outerRadius - margin, centerY + lineOffset);
-                                }
-                            } else {
-                                // In this case the text is to drawn centred in the segment.
-                                // Typically no margin is required, however even though centred the text can look closer to the inner of the wheel
-                                // due to the way the segments narrow in (is optical effect), so if a margin is specified it is placed on the inner
-                                // side so the text is pushed towards the outer.
+                sideCallouts.sort(function(a, b) { return a.y - b.y; });
 
-                                // If stoke style the stroke the text.
+                let positions = sideCallouts.map(function(callout) { return callout.y; });
+                let gaps = [0];
+
+                for (let i = 1; i < sideCallouts.length; i ++) {
+                    gaps.push(Math.max(sideCallouts[i].fontSize, sideCallouts[i - 1].fontSize) * this.callouts.spacing);
+                }
+
+                if (sideCallouts.length > 0) {
+                    let min = null;
+                    let max = null;
+
+                    if (canvasHeight > 0) {
+                        min = (sideCallouts[0].fontSize / 2);
+                        max = (canvasHeight - (sideCallouts[sideCallouts.length - 1].fontSize / 2));
+                    }
+
+                    positions = winwheelSpreadPositions(positions, gaps, min, max);
+
+                    for (let i = 0; i < sideCallouts.length; i ++) {
+                        sideCallouts[i].y = positions[i];
+                    }
+                }
+            }
+        } else if (callouts.length > 0) {
+            // Around the wheel spread out the text so it does not overlap, the angle the text takes up is its height at
+            // the radius it starts at. Going around the wheel starts after the biggest gap between callouts, so ones
+            // either side of 0 degrees are spread out from each other too.
+            callouts.sort(function(a, b) { return a.angle - b.angle; });
+
+            let first = 0;
+            let biggestGap = -1;
+
+            for (let i = 0; i < callouts.length; i ++) {
+                let previous = callouts[(i + callouts.length - 1) % callouts.length];
+                let gap = winwheelModulo(callouts[i].angle - previous.angle, 360);
+
+                if ((callouts.length > 1) && (gap > biggestGap)) {
+                    biggestGap = gap;
+                    first = i;
+                }
+            }
+
+            callouts = callouts.slice(first).concat(callouts.slice(0, first));
+
+            let positions = [];
+            let gaps = [0];
+
+            for (let i = 0; i < callouts.length; i ++) {
+                positions.push(callouts[0].angle + winwheelModulo(callouts[i].angle - callouts[0].angle, 360));
+
+                if (i > 0) {
+                    let spacing = (Math.max(callouts[i].fontSize, callouts[i - 1].fontSize) * this.callouts.spacing);
+
+                    gaps.push(spacing / elbowRadius * 180 / Math.PI);
+                }
+            }
+
+            positions = winwheelSpreadPositions(positions, gaps, null, null);
+
+            for (let i = 0; i < callouts.length; i ++) {
+                callouts[i].textAngle = positions[i];
+            }
+        }
+
+        for (let i = 0; i < callouts.length; i ++) {
+            let callout = callouts[i];
+            let start = pointAt(callout.angle, startRadius);
+
+            this.setRenderClass('winwheel-callout winwheel-callout-' + callout.segmentNumber);
+            this.ctx.save();
+
+            this.ctx.strokeStyle = this.callouts.strokeStyle;
+            this.ctx.lineWidth = this.callouts.lineWidth;
+            this.ctx.fillStyle = this.callouts.fillStyle;
+            this.ctx.font = winwheelGetFontSetting(callout.fontWeight, callout.fontSize, callout.fontFamily);
+            this.ctx.textBaseline = 'middle';
+
+            this.ctx.beginPath();
+            this.ctx.moveTo(start.x, start.y);
+
+            if (this.callouts.upright) {
+                // The line goes out from the segment then across to the side the text is on.
+                let end = {'x' : callout.elbow.x + (callout.side * (length / 2)), 'y' : callout.y};
+
+                this.ctx.lineTo(callout.elbow.x, callout.elbow.y);
+                this.ctx.lineTo(end.x, end.y);
+                this.ctx.stroke();
+
+                this.ctx.textAlign = (callout.side > 0) ? 'left' : 'right';
+                this.ctx.fillText(callout.text, end.x + (callout.side * margin), end.y);
+            } else {
+                // The line goes out to where the text starts, which may have been moved around from the segment.
+                let end = pointAt(callout.textAngle, elbowRadius);
+
+                this.ctx.lineTo(end.x, end.y);
+                this.ctx.stroke();
+
+                this.ctx.translate(centerX, centerY);
+                this.ctx.rotate(this.degToRad(callout.textAngle + this.rotationAngle - 90));
+                this.ctx.textAlign = 'left';
+                this.ctx.fillText(callout.text, elbowRadius + margin, 0);
+            }
+
+            this.ctx.restore();
+        }
+    }
+}
+
+// ====================================================================================================================
+// Moves the positions, which are in order, apart so each is at least its gap from the one before. Positions which
+// have to move are put in groups packed as close as allowed, each group as near as it can be to where its positions
+// were, so they are moved both ways rather than only pushed on. If a min and max are passed the groups are kept
+// between them. The gaps array has the gap before each position, so the first is not used.
+// ====================================================================================================================
+function winwheelSpreadPositions(positions, gaps, min, max)
+{
+    let groups = [];
+
+    for (let i = 0; i < positions.length; i ++) {
+        groups.push({'first' : i, 'offsets' : [0], 'start' : positions[i]});
+
+        while (true) {
+            let group = groups[groups.length - 1];
+            let span = group.offsets[group.offsets.length - 1];
+
+            if ((min !== null) && (max !== null)) {
+                group.start = Math.max(min, Math.min(group.start, (max - span)));
+            }
+
+            if (groups.length == 1) {
+                break;
+            }
+
+            let previous = groups[groups.length - 2];
+            let previousEnd = (previous.start + previous.offsets[previous.offsets.length - 1]);
+
+            if (group.start >= (previousEnd + gaps[group.first])) {
+                break;
+            }
+
+            // Join the group on to the end of the one before and put the joined group where its positions are on average.
+            let base = (previousEnd - previous.start + gaps[group.first]);
+            let total = 0;
+
+            for (let j = 0; j < group.offsets.length; j ++) {
+                previous.offsets.push(base + group.offsets[j]);
+            }
+
+            for (let j = 0; j < previous.offsets.length; j ++) {
+                total += (positions[previous.first + j] - previous.offsets[j]);
+            }
+
+            previous.start = (total / previous.offsets.length);
+            groups.pop();
+        }
+    }
+
+    let spread = [];
+
+    for (let i = 0; i < groups.length; i ++) {
+        for (let j = 0; j < groups[i].offsets.length; j ++) {
+            spread.push(groups[i].start + groups[i].offsets[j]);
+        }
+    }
+
+    return spread;
+}
+
+// ====================================================================================================================
+// This draws the text on the segments using the specified text options.
+// ====================================================================================================================
+Winwheel.prototype.drawSegmentText = function()
+{
+    // Again only draw the text if have a canvas context.
+    if (this.ctx) {
+        // Declare variables to hold the values. These are populated either with the value for the specific segment,
+        // or if not specified then the global default value.
+        let fontFamily;
+        let fontSize;
+        let fontWeight;
+        let orientation;
+        let alignment;
+        let direction;
+        let margin;
+        let fillStyle;
+        let strokeStyle;
+        let lineWidth;
+        let fontSetting;
+        let theWheel = this;
+
+        // Get the centerX and centerY scaled with the scale factor, also the same for outer and inner radius.
+        let centerX = (this.centerX * this.scaleFactor);
+        let centerY = (this.centerY * this.scaleFactor);
+        let outerRadius = (this.outerRadius * this.scaleFactor);
+        let innerRadius = (this.innerRadius * this.scaleFactor);
+
+        // Loop though all the segments.
+        for (let x = 1; x <= this.numSegments; x ++) {
+            // Save the context so it is certain that each segment text option will not affect the other.
+            this.ctx.save();
+
+            // Get the segment object as we need it to read options from.
+            let seg = this.segments[x];
+
+            this.setRenderClass('winwheel-segment-text winwheel-segment-text-' + x);
+
+            // A gradient fill spec depends on how the context is rotated when the text is drawn, so it is worked out
+            // again for each piece of text.
+            let fillText = function(text, textX, textY) {
+                theWheel.ctx.fillStyle = theWheel.resolveFillStyle(fillStyle, x);
+                theWheel.ctx.fillText(text, textX, textY);
+            };
+
+            // The text moves with the segment if it is offset when hovered or selected.
+            let offset = this.getSegmentOffset(x);
+            this.ctx.translate(offset.x, offset.y);
+
+            // Check is text as no point trying to draw if there is no text to render. The text of segments with a callout is drawn by drawCallouts().
+            if ((seg.text) && (this.hasCallout(x) == false)) {
+                // Set values to those for the specific segment or use global default if null.
+                if (seg.textFontFamily  !== null)   fontFamily  = seg.textFontFamily;  else fontFamily  = this.textFontFamily;
+                if (seg.textFontSize    !== null)   fontSize    = seg.textFontSize;    else fontSize    = this.textFontSize;
+                if (seg.textFontWeight  !== null)   fontWeight  = seg.textFontWeight;  else fontWeight  = this.textFontWeight;
+                if (seg.textOrientation !== null)   orientation = seg.textOrientation; else orientation = this.textOrientation;
+                if (seg.textAlignment   !== null)   alignment   = seg.textAlignment;   else alignment   = this.textAlignment;
+                if (seg.textDirection   !== null)   direction   = seg.textDirection;   else direction   = this.textDirection;
+                if (seg.textMargin      !== null)   margin      = seg.textMargin;      else margin      = this.textMargin;
+                if (seg.textFillStyle   !== null)   fillStyle   = seg.textFillStyle;   else fillStyle   = this.textFillStyle;
+                if (seg.textStrokeStyle !== null)   strokeStyle = seg.textStrokeStyle; else strokeStyle = this.textStrokeStyle;
+                if (seg.textLineWidth   !== null)   lineWidth   = seg.textLineWidth;   else lineWidth   = this.textLineWidth;
+
+                // Scale the font size and the margin by the scale factor so the text can be responsive.
+                fontSize = (fontSize * this.scaleFactor);
+                margin = (margin * this.scaleFactor);
+
+                // If the text is to be fitted in to the segment it may be made smaller, wrapped or truncated.
+                let text = seg.text;
+                let textFit = (seg.textFit !== null) ? seg.textFit : this.textFit;
+
+                if (textFit) {
+                    let fittedText = this.fitSegmentText(x, textFit, fontWeight, fontSize, fontFamily, orientation, alignment, margin);
+
+                    text = fittedText.text;
+                    fontSize = fittedText.fontSize;
+                }
+
+                // ------------------------------
+                // We need to put the font bits together in to one string.
+                let fontSetting = winwheelGetFontSetting(fontWeight, fontSize, fontFamily);
+
+                // Now set the canvas context to the decided values.
+                this.ctx.font        = fontSetting;
+                this.ctx.strokeStyle = strokeStyle;
+                this.ctx.lineWidth   = lineWidth;
+
+                // Split the text in to multiple lines on the \n character.
+                let lines = text.split('\n');
+
+                // Figure out the starting offset for the lines as when there are multiple lines need to center the text
+                // vertically in the segment (when thinking of normal horozontal text).
+                let lineOffset = 0 - (fontSize * (lines.length / 2)) + (fontSize / 2);
+
+                // The offset works great for horozontal and vertial text, also centered curved. But when the text is curved
+                // and the alignment is outer then the multiline text should not have some text outside the wheel. Same if inner curved.
+                if ((orientation == 'curved') && ((alignment == 'inner') || (alignment == 'outer'))) {
+                    lineOffset = 0;
+                }
+
+                for (let i = 0; i < lines.length; i ++) {
+                    // If direction is reversed then do things differently than if normal (which is the default - see further down)
+                    if (direction == 'reversed') {
+                        // When drawing reversed or 'upside down' we need to do some trickery on our part.
+                        // The canvas text rendering function still draws the text left to right and the correct way up,
+                        // so we need to overcome this with rotating the opposite side of the wheel the correct way up then pulling the text
+                        // through the center point to the correct segment it is supposed to be on.
+                        if (orientation == 'horizontal') {
+                            if (alignment == 'inner') {
+                                this.ctx.textAlign = 'right';
+                            } else if (alignment == 'outer') {
+                                this.ctx.textAlign = 'left';
+                            } else {
+                                this.ctx.textAlign = 'center';
+                            }
+
+                            this.ctx.textBaseline = 'middle';
+
+                            // Work out the angle to rotate the wheel, this is in the center of the segment but on the opposite side of the wheel which is why do -180.
+                            let textAngle = this.degToRad((seg.endAngle - ((seg.endAngle - seg.startAngle) / 2) + this.rotationAngle - 90) - 180);
+
+                            this.ctx.save();
+                            this.ctx.translate(centerX, centerY);
+                            this.ctx.rotate(textAngle);
+                            this.ctx.translate(-centerX, -centerY);
+
+                            if (alignment == 'inner') {
+                                // In reversed state the margin is subtracted from the innerX.
+                                // When inner the inner radius also comes in to play.
                                 if (fillStyle) {
-                                    this.ctx.fillText(lines[i], centerX + innerRadius + ((outerRadius - innerRadius) / 2) + margin, centerY + lineOffset);
+                                    fillText(lines[i], centerX - innerRadius - margin, centerY + lineOffset);
                                 }
 
-                                // If fillstyle the fill the text.
                                 if (strokeStyle) {
-                                    this.ctx.strokeText(lines[i], centerX + innerRadius + ((outerRadius - innerRadius) / 2) + margin, centerY + lineOffset);
+                                    this.ctx.strokeText(lines[i], centerX - innerRadius - margin, centerY + lineOffset);
+                                }
+                            } else if (alignment == 'outer') {
+                                // In reversed state the position is the center minus the radius + the margin for outer aligned text.
+                                if (fillStyle) {
+                                    fillText(lines[i], centerX - outerRadius + margin, centerY + lineOffset);
+                                }
+
+                                if (strokeStyle) {
+                                    this.ctx.strokeText(lines[i], centerX - outerRadius + margin, centerY + lineOffset);
+                                }
+                            } else {
+                                // In reversed state the everything in minused.
+                                if (fillStyle) {
+                                    fillText(lines[i], centerX - innerRadius - ((outerRadius - innerRadius) / 2) - margin, centerY + lineOffset);
+                                }
+
+                                if (strokeStyle) {
+                                    this.ctx.strokeText(lines[i], centerX - innerRadius - ((outerRadius - innerRadius) / 2) - margin, centerY + lineOffset);
                                 }
                             }
 
-                            // Restore the context so that wheel is returned to original position.
                             this.ctx.restore();
 
                         } else if (orientation == 'vertical') {
-                            // If vertical then we need to do this ourselves because as far as I am aware there is no option built in to html canvas
-                            // which causes the text to draw downwards or upwards one character after another.
-
-                            // In this case the textAlign is always center, but the baseline is either top or bottom
-                            // depending on if inner or outer alignment has been specified.
+                            // See normal code further down for comments on how it works, this is similar by plus/minus is reversed.
                             this.ctx.textAlign = 'center';
 
+                            // In reversed mode this are reversed.
                             if (alignment == 'inner') {
-                                this.ctx.textBaseline = 'bottom';
-                            } else if (alignment == 'outer') {
                                 this.ctx.textBaseline = 'top';
+                            } else if (alignment == 'outer') {
+                                this.ctx.textBaseline = 'bottom';
                             } else {
                                 this.ctx.textBaseline = 'middle';
                             }
 
-                            // The angle to draw the text at is halfway between the end and the starting angle of the segment.
-                            let textAngle = seg.endAngle - ((seg.endAngle - seg.startAngle) / 2);
-
-                            // Ensure the rotation angle of the wheel is added in, otherwise the test placement won't match
-                            // the segments they are supposed to be for.
+                            let textAngle = (seg.endAngle - ((seg.endAngle - seg.startAngle) / 2) - 180);
                             textAngle += this.rotationAngle;
 
-                            // Rotate so can begin to place the text.
                             this.ctx.save();
                             this.ctx.translate(centerX, centerY);
                             this.ctx.rotate(this.degToRad(textAngle));
                             this.ctx.translate(-centerX, -centerY);
 
-                            // Work out the position to start drawing in based on the alignment.
-                            // If outer then when considering a segment at the 12 o'clock position want to start drawing down from the top of the wheel.
-                            //++ TODO check this as yPos did not seem to have a defualt before.
+                            //++ @TODO double-check the default of 0 is correct.
                             let yPos = 0;
-
                             if (alignment == 'outer') {
-                                yPos = (centerY - outerRadius + margin);
+                                yPos = (centerY + outerRadius - margin);
                             } else if (alignment == 'inner') {
-                                yPos = (centerY - innerRadius - margin);
+                                yPos = (centerY + innerRadius + margin);
                             }
 
-                            // We need to know how much to move the y axis each time.
-                            // This is not quite simply the font size as that puts a larger gap in between the letters
-                            // than expected, especially with monospace fonts. I found that shaving a little off makes it look "right".
+                            // I have found that the text looks best when a fraction of the font size is shaved off.
                             let yInc = (fontSize - (fontSize / 9));
 
                             // Loop though and output the characters.
                             if (alignment == 'outer') {
-                                // For this alignment we draw down from the top of a segment at the 12 o'clock position to simply
-                                // loop though the characters in order.
-                                for (let c = 0; c < lines[i].length; c++) {
+                                // In reversed mode outer means text in 6 o'clock segment sits at bottom of the wheel and we draw up.
+                                for (let c = (lines[i].length -1); c >= 0; c--) {
                                     let character = lines[i].charAt(c);
 
                                     if (fillStyle) {
-                                        this.ctx.fillText(character, centerX + lineOffset, yPos);
+                                        fillText(character, centerX + lineOffset, yPos);
                                     }
 
                                     if (strokeStyle) {
                                         this.ctx.strokeText(character, centerX + lineOffset, yPos);
                                     }
 
-                                    yPos += yInc;
+                                    yPos -= yInc;
                                 }
                             } else if (alignment == 'inner') {
-                                // Here we draw from the inner of the wheel up, but in order for the letters in the text text to
-                                // remain in the correct order when reading, we actually need to loop though the text characters backwards.
-                                for (let c = (lines[i].length -1); c >= 0; c--) {
+                                // In reversed mode inner text is drawn from top of segment at 6 o'clock position to bottom of the wheel.
+                                for (let c = 0; c < lines[i].length; c++) {
                                     let character = lines[i].charAt(c);
 
                                     if (fillStyle) {
-                                        this.ctx.fillText(character, centerX + lineOffset, yPos);
+                                        fillText(character, centerX + lineOffset, yPos);
                                     }
 
                                     if (strokeStyle) {
                                         this.ctx.strokeText(character, centerX + lineOffset, yPos);
                                     }
 
-                                    yPos -= yInc;
+                                    yPos += yInc;
                                 }
                             } else if (alignment == 'center') {
-                                // This is the most complex of the three as we need to draw the text top down centred between the inner and outer of the wheel.
-                                // So logically we have to put the middle character of the text in the center then put the others each side of it.
-                                // In reality that is a really bad way to do it, we can achieve the same if not better positioning using a
-                                // variation on the method used for the rendering of outer aligned text once we have figured out the height of the text.
-
+                                // Again for reversed this is the opposite of before.
                                 // If there is more than one character in the text then an adjustment to the position needs to be done.
                                 // What we are aiming for is to position the center of the text at the center point between the inner and outer radius.
                                 let centerAdjustment = 0;
@@ -1220,32 +2090,28 @@ Winwheel.prototype.drawSegmentText = function()
                                     centerAdjustment = (yInc * (lines[i].length -1) / 2);
                                 }
 
-                                // Now work out where to start rendering the string. This is half way between the inner and outer of the wheel, with the
-                                // centerAdjustment included to correctly position texts with more than one character over the center.
-                                // If there is a margin it is used to push the text away from the center of the wheel.
-                                let yPos = (centerY - innerRadius - ((outerRadius - innerRadius) / 2)) - centerAdjustment - margin;
+                                let yPos = (centerY + innerRadius + ((outerRadius - innerRadius) / 2)) + centerAdjustment + margin;
 
-                                // Now loop and draw just like outer text rendering.
-                                for (let c = 0; c < lines[i].length; c++) {
+                                for (let c = (lines[i].length -1); c >= 0; c--) {
                                     let character = lines[i].charAt(c);
 
                                     if (fillStyle) {
-                                        this.ctx.fillText(character, centerX + lineOffset, yPos);
+                                        fillText(character, centerX + lineOffset, yPos);
                                     }
 
                                     if (strokeStyle) {
                                         this.ctx.strokeText(character, centerX + lineOffset, yPos);
                                     }
 
-                                    yPos += yInc;
+                                    yPos -= yInc;
                                 }
                             }
 
                             this.ctx.restore();
 
                         } else if (orientation == 'curved') {
-                            // There is no built in canvas function to draw text around an arc, so
-                            // we need to do this ourselves.
+                            // There is no built in canvas function to draw text around an arc,
+                            // so we need to do this ourselves.
                             let radius = 0;
 
                             // Set the alignment of the text - inner, outer, or center by calculating
@@ -1253,15 +2119,15 @@ Winwheel.prototype.drawSegmentText = function()
                             if (alignment == 'inner') {
                                 // When alignment is inner the radius is the innerRadius plus any margin.
                                 radius = innerRadius + margin;
+                                this.ctx.textBaseline = 'top';
+                            } else if (alignment == 'outer') {
+                                // Outer it is the outerRadius minus any margin.
+                                radius = outerRadius - margin;
                                 this.ctx.textBaseline = 'bottom';
 
                                 // We need to adjust the radius in this case to take in to multiline text.
                                 // In this case the radius needs to be further out, not at the inner radius.
-                                radius += (fontSize * (lines.length - 1));
-                            } else if (alignment == 'outer') {
-                                // Outer it is the outerRadius minus any margin.
-                                radius = outerRadius - margin;
-                                this.ctx.textBaseline = 'top';
+                                radius -= (fontSize * (lines.length - 1));
                             } else if (alignment == 'center') {
                                 // When center we want the text halfway between the inner and outer radius.
                                 radius = innerRadius + margin + ((outerRadius - innerRadius) / 2);
@@ -1302,7 +2168,7 @@ Winwheel.prototype.drawSegmentText = function()
                                 // The initial draw angle is the center of the segment when only one character.
                                 drawAngle = (seg.startAngle + ((seg.endAngle - seg.startAngle) / 2));
 
-                                // To ensure is dead-center the text alignment also needs to be centred.
+                                // To ensure is dead-center the text alignment also needs to be centered.
                                 this.ctx.textAlign = 'center';
                             }
 
@@ -1310,946 +2176,5600 @@ Winwheel.prototype.drawSegmentText = function()
                             // Adjust the initial draw angle as needed to take in to account the rotationAngle of the wheel.
                             drawAngle += this.rotationAngle;
 
+                            // And as with other 'reverse' text direction functions we need to subtract 180 degrees from the angle
+                            // because when it comes to draw the characters in the loop below we add the radius instead of subtract it.
+                            drawAngle -= 180;
+
                             // ----------------------
                             // Now the drawing itself.
-                            // Loop for each character in the text.
-                            for (let c = 0; c < (lines[i].length); c++) {
+                            // In reversed direction mode we loop through the characters in the text backwards in order for them to appear on screen correctly
+                            for (let c = lines[i].length; c >= 0; c--) {
                                 this.ctx.save();
 
-                                let character = lines[i].charAt(c);
+                                let character = lines[i].charAt(c);
+
+                                // Rotate the wheel to the draw angle as we need to add the character at this location.
+                                this.ctx.translate(centerX, centerY);
+                                this.ctx.rotate(this.degToRad(drawAngle));
+                                this.ctx.translate(-centerX, -centerY);
+
+                                // Now draw the character directly below the center point of the wheel at the appropriate radius.
+                                // Note in the reversed mode we add the radius to the this.centerY instead of subtract.
+                                if (strokeStyle) {
+                                    this.ctx.strokeText(character, centerX, centerY + radius + lineOffset);
+                                }
+
+                                if (fillStyle) {
+                                    fillText(character, centerX, centerY + radius + lineOffset);
+                                }
+
+                                // Increment the drawAngle by the angle per character so next loop we rotate
+                                // to the next angle required to draw the character at.
+                                drawAngle += anglePerChar;
+
+                                this.ctx.restore();
+                            }
+                        }
+                    } else {
+                        // Normal direction so do things normally.
+                        // Check text orientation, of horizontal then reasonably straight forward, if vertical then a bit more work to do.
+                        if (orientation == 'horizontal') {
+                            // Based on the text alignment, set the correct value in the context.
+                            if (alignment == 'inner') {
+                                this.ctx.textAlign = 'left';
+                            } else if (alignment == 'outer') {
+                                this.ctx.textAlign = 'right';
+                            } else {
+                                this.ctx.textAlign = 'center';
+                            }
+
+                            // Set this too.
+                            this.ctx.textBaseline = 'middle';
+
+                            // Work out the angle around the wheel to draw the text at, which is simply in the middle of the segment the text is for.
+                            // The rotation angle is added in to correct the annoyance with the canvas arc drawing functions which put the 0 degrees at the 3 oclock
+                            let textAngle = this.degToRad(seg.endAngle - ((seg.endAngle - seg.startAngle) / 2) + this.rotationAngle - 90);
+
+                            // We need to rotate in order to draw the text because it is output horizontally, so to
+                            // place correctly around the wheel for all but a segment at 3 o'clock we need to rotate.
+                            this.ctx.save();
+                            this.ctx.translate(centerX, centerY);
+                            this.ctx.rotate(textAngle);
+                            this.ctx.translate(-centerX, -centerY);
+
+                            // --------------------------
+                            // Draw the text based on its alignment adding margin if inner or outer.
+                            if (alignment == 'inner') {
+                                // Inner means that the text is aligned with the inner of the wheel. If looking at a segment in in the 3 o'clock position
+                                // it would look like the text is left aligned within the segment.
+
+                                // Because the segments are smaller towards the inner of the wheel, in order for the text to fit is is a good idea that
+                                // a margin is added which pushes the text towards the outer a bit.
+
+                                // The inner radius also needs to be taken in to account as when inner aligned.
+
+                                // If fillstyle is set the draw the text filled in.
+                                if (fillStyle) {
+                                    fillText(lines[i], centerX + innerRadius + margin, centerY + lineOffset);
+                                }
+
+                                // If stroke style is set draw the text outline.
+                                if (strokeStyle) {
+                                    this.ctx.strokeText(lines[i], centerX + innerRadius + margin, centerY + lineOffset);
+                                }
+                            } else if (alignment == 'outer') {
+                                // Outer means the text is aligned with the outside of the wheel, so if looking at a segment in the 3 o'clock position
+                                // it would appear the text is right aligned. To position we add the radius of the wheel in to the equation
+                                // and subtract the margin this time, rather than add it.
+
+                                // I don't understand why, but in order of the text to render correctly with stroke and fill, the stroke needs to
+                                // come first when drawing outer, rather than second when doing inner.
+                                if (fillStyle) {
+                                    fillText(lines[i], centerX + outerRadius - margin, centerY + lineOffset);
+                                }
+
+                                // If fillstyle the fill the text.
+                                if (strokeStyle) {
+                                    this.ctx.strokeText(lines[i], centerX + outerRadius - margin, centerY + lineOffset);
+                                }
+                            } else {
+                                // In this case the text is to drawn centred in the segment.
+                                // Typically no margin is required, however even though centred the text can look closer to the inner of the wheel
+                                // due to the way the segments narrow in (is optical effect), so if a margin is specified it is placed on the inner
+                                // side so the text is pushed towards the outer.
+
+                                // If stoke style the stroke the text.
+                                if (fillStyle) {
+                                    fillText(lines[i], centerX + innerRadius + ((outerRadius - innerRadius) / 2) + margin, centerY + lineOffset);
+                                }
+
+                                // If fillstyle the fill the text.
+                                if (strokeStyle) {
+                                    this.ctx.strokeText(lines[i], centerX + innerRadius + ((outerRadius - innerRadius) / 2) + margin, centerY + lineOffset);
+                                }
+                            }
+
+                            // Restore the context so that wheel is returned to original position.
+                            this.ctx.restore();
+
+                        } else if (orientation == 'vertical') {
+                            // If vertical then we need to do this ourselves because as far as I am aware there is no option built in to html canvas
+                            // which causes the text to draw downwards or upwards one character after another.
+
+                            // In this case the textAlign is always center, but the baseline is either top or bottom
+                            // depending on if inner or outer alignment has been specified.
+                            this.ctx.textAlign = 'center';
+
+                            if (alignment == 'inner') {
+                                this.ctx.textBaseline = 'bottom';
+                            } else if (alignment == 'outer') {
+                                this.ctx.textBaseline = 'top';
+                            } else {
+                                this.ctx.textBaseline = 'middle';
+                            }
+
+                            // The angle to draw the text at is halfway between the end and the starting angle of the segment.
+                            let textAngle = seg.endAngle - ((seg.endAngle - seg.startAngle) / 2);
+
+                            // Ensure the rotation angle of the wheel is added in, otherwise the test placement won't match
+                            // the segments they are supposed to be for.
+                            textAngle += this.rotationAngle;
+
+                            // Rotate so can begin to place the text.
+                            this.ctx.save();
+                            this.ctx.translate(centerX, centerY);
+                            this.ctx.rotate(this.degToRad(textAngle));
+                            this.ctx.translate(-centerX, -centerY);
+
+                            // Work out the position to start drawing in based on the alignment.
+                            // If outer then when considering a segment at the 12 o'clock position want to start drawing down from the top of the wheel.
+                            //++ TODO check this as yPos did not seem to have a defualt before.
+                            let yPos = 0;
+
+                            if (alignment == 'outer') {
+                                yPos = (centerY - outerRadius + margin);
+                            } else if (alignment == 'inner') {
+                                yPos = (centerY - innerRadius - margin);
+                            }
+
+                            // We need to know how much to move the y axis each time.
+                            // This is not quite simply the font size as that puts a larger gap in between the letters
+                            // than expected, especially with monospace fonts. I found that shaving a little off makes it look "right".
+                            let yInc = (fontSize - (fontSize / 9));
+
+                            // Loop though and output the characters.
+                            if (alignment == 'outer') {
+                                // For this alignment we draw down from the top of a segment at the 12 o'clock position to simply
+                                // loop though the characters in order.
+                                for (let c = 0; c < lines[i].length; c++) {
+                                    let character = lines[i].charAt(c);
+
+                                    if (fillStyle) {
+                                        fillText(character, centerX + lineOffset, yPos);
+                                    }
+
+                                    if (strokeStyle) {
+                                        this.ctx.strokeText(character, centerX + lineOffset, yPos);
+                                    }
+
+                                    yPos += yInc;
+                                }
+                            } else if (alignment == 'inner') {
+                                // Here we draw from the inner of the wheel up, but in order for the letters in the text text to
+                                // remain in the correct order when reading, we actually need to loop though the text characters backwards.
+                                for (let c = (lines[i].length -1); c >= 0; c--) {
+                                    let character = lines[i].charAt(c);
+
+                                    if (fillStyle) {
+                                        fillText(character, centerX + lineOffset, yPos);
+                                    }
+
+                                    if (strokeStyle) {
+                                        this.ctx.strokeText(character, centerX + lineOffset, yPos);
+                                    }
+
+                                    yPos -= yInc;
+                                }
+                            } else if (alignment == 'center') {
+                                // This is the most complex of the three as we need to draw the text top down centred between the inner and outer of the wheel.
+                                // So logically we have to put the middle character of the text in the center then put the others each side of it.
+                                // In reality that is a really bad way to do it, we can achieve the same if not better positioning using a
+                                // variation on the method used for the rendering of outer aligned text once we have figured out the height of the text.
+
+                                // If there is more than one character in the text then an adjustment to the position needs to be done.
+                                // What we are aiming for is to position the center of the text at the center point between the inner and outer radius.
+                                let centerAdjustment = 0;
+
+                                if (lines[i].length > 1) {
+                                    centerAdjustment = (yInc * (lines[i].length -1) / 2);
+                                }
+
+                                // Now work out where to start rendering the string. This is half way between the inner and outer of the wheel, with the
+                                // centerAdjustment included to correctly position texts with more than one character over the center.
+                                // If there is a margin it is used to push the text away from the center of the wheel.
+                                let yPos = (centerY - innerRadius - ((outerRadius - innerRadius) / 2)) - centerAdjustment - margin;
+
+                                // Now loop and draw just like outer text rendering.
+                                for (let c = 0; c < lines[i].length; c++) {
+                                    let character = lines[i].charAt(c);
+
+                                    if (fillStyle) {
+                                        fillText(character, centerX + lineOffset, yPos);
+                                    }
+
+                                    if (strokeStyle) {
+                                        this.ctx.strokeText(character, centerX + lineOffset, yPos);
+                                    }
+
+                                    yPos += yInc;
+                                }
+                            }
+
+                            this.ctx.restore();
+
+                        } else if (orientation == 'curved') {
+                            // There is no built in canvas function to draw text around an arc, so
+                            // we need to do this ourselves.
+                            let radius = 0;
+
+                            // Set the alignment of the text - inner, outer, or center by calculating
+                            // how far out from the center point of the wheel the text is drawn.
+                            if (alignment == 'inner') {
+                                // When alignment is inner the radius is the innerRadius plus any margin.
+                                radius = innerRadius + margin;
+                                this.ctx.textBaseline = 'bottom';
+
+                                // We need to adjust the radius in this case to take in to multiline text.
+                                // In this case the radius needs to be further out, not at the inner radius.
+                                radius += (fontSize * (lines.length - 1));
+                            } else if (alignment == 'outer') {
+                                // Outer it is the outerRadius minus any margin.
+                                radius = outerRadius - margin;
+                                this.ctx.textBaseline = 'top';
+                            } else if (alignment == 'center') {
+                                // When center we want the text halfway between the inner and outer radius.
+                                radius = innerRadius + margin + ((outerRadius - innerRadius) / 2);
+                                this.ctx.textBaseline = 'middle';
+                            }
+
+                            // Set the angle to increment by when looping though and outputting the characters in the text
+                            // as we do this by rotating the wheel small amounts adding each character.
+                            let anglePerChar = 0;
+                            let drawAngle = 0;
+
+                            // If more than one character in the text then...
+                            if (lines[i].length > 1) {
+                                // Text is drawn from the left.
+                                this.ctx.textAlign = 'left';
+
+                                // Work out how much angle the text rendering loop below needs to rotate by for each character to render them next to each other.
+                                // I have discovered that 4 * the font size / 10 at 100px radius is the correct spacing for between the characters
+                                // using a monospace font, non monospace may look a little odd as in there will appear to be extra spaces between chars.
+                                anglePerChar = (4 * (fontSize / 10));
+
+                                // Work out what percentage the radius the text will be drawn at is of 100px.
+                                let radiusPercent = (100 / radius);
+
+                                // Then use this to scale up or down the anglePerChar value.
+                                // When the radius is less than 100px we need more angle between the letters, when radius is greater (so the text is further
+                                // away from the center of the wheel) the angle needs to be less otherwise the characters will appear further apart.
+                                anglePerChar = (anglePerChar * radiusPercent);
+
+                                // Next we want the text to be drawn in the middle of the segment, without this it would start at the beginning of the segment.
+                                // To do this we need to work out how much arc the text will take up in total then subtract half of this from the center
+                                // of the segment so that it sits centred.
+                                let totalArc = (anglePerChar * lines[i].length);
+
+                                // Now set initial draw angle to half way between the start and end of the segment.
+                                drawAngle = seg.startAngle + (((seg.endAngle - seg.startAngle) / 2) - (totalArc / 2));
+                            } else {
+                                // The initial draw angle is the center of the segment when only one character.
+                                drawAngle = (seg.startAngle + ((seg.endAngle - seg.startAngle) / 2));
+
+                                // To ensure is dead-center the text alignment also needs to be centred.
+                                this.ctx.textAlign = 'center';
+                            }
+
+                            // ----------------------
+                            // Adjust the initial draw angle as needed to take in to account the rotationAngle of the wheel.
+                            drawAngle += this.rotationAngle;
+
+                            // ----------------------
+                            // Now the drawing itself.
+                            // Loop for each character in the text.
+                            for (let c = 0; c < (lines[i].length); c++) {
+                                this.ctx.save();
+
+                                let character = lines[i].charAt(c);
+
+                                // Rotate the wheel to the draw angle as we need to add the character at this location.
+                                this.ctx.translate(centerX, centerY);
+                                this.ctx.rotate(this.degToRad(drawAngle));
+                                this.ctx.translate(-centerX, -centerY);
+
+                                // Now draw the character directly above the center point of the wheel at the appropriate radius.
+                                if (strokeStyle) {
+                                    this.ctx.strokeText(character, centerX, centerY - radius + lineOffset);
+                                }
+
+                                if (fillStyle) {
+                                    fillText(character, centerX, centerY - radius + lineOffset);
+                                }
+
+                                // Increment the drawAngle by the angle per character so next loop we rotate
+                                // to the next angle required to draw the character at.
+                                drawAngle += anglePerChar;
+
+                                this.ctx.restore();
+                            }
+                        }
+                    }
+
+                    // Increment this ready for the next time.
+                    lineOffset += fontSize;
+                }
+            }
+
+            // Restore so all text options are reset ready for the next text.
+            this.ctx.restore();
+        }
+    }
+}
+
+// ====================================================================================================================
+// Fits the text of a segment in to the space the segment has for it, which depends on the orientation and alignment
+// of the text, the angle of the segment, the inner and outer radius and the text margin. The textFit is an array of
+// the ways to make the text fit, tried in order until it does:
+//   'shrink'   - make the font smaller, down to the minFontSize.
+//   'wrap'     - put words on to new lines.
+//   'truncate' - cut off the end of the text and add an ellipsis.
+// It can also be an object such as {'order' : ['wrap', 'shrink', 'truncate'], 'minFontSize' : 8}, or true, and without
+// an order they are tried in the order shrink, wrap, truncate. The font size and margin passed have already been scaled. Returns the text (with \n between lines) and font size to draw it with.
+// As this measures the text it is remembered for the segment until something changes.
+// ====================================================================================================================
+Winwheel.prototype.fitSegmentText = function(segmentNumber, textFit, fontWeight, fontSize, fontFamily, orientation, alignment, margin)
+{
+    let seg = this.segments[segmentNumber];
+    let order = (Array.isArray(textFit)) ? textFit : ((typeof textFit === 'string') ? [textFit] : textFit.order);
+
+    // True, or an object without an order, tries all the ways in the default order.
+    if (Array.isArray(order) == false) {
+        order = (typeof order === 'string') ? [order] : ['shrink', 'wrap', 'truncate'];
+    }
+
+    let minFontSize = ((textFit) && (typeof textFit === 'object') && (typeof textFit.minFontSize === 'number')) ? (textFit.minFontSize * this.scaleFactor) : (8 * this.scaleFactor);
+    let innerRadius = (this.innerRadius * this.scaleFactor);
+    let outerRadius = (this.outerRadius * this.scaleFactor);
+    let sweep = (seg.endAngle - seg.startAngle);
+
+    let key = JSON.stringify([seg.text, order, minFontSize, fontWeight, fontSize, fontFamily, orientation, alignment, margin, innerRadius, outerRadius, sweep]);
+
+    if ((seg._textFit) && (seg._textFit.key === key)) {
+        return seg._textFit.result;
+    }
+
+    let ctx = this.ctx;
+    let depth = (outerRadius - innerRadius - margin);
+
+    // The width of the segment at the radius, which is how much room there is across the segment for the text.
+    let widthAt = function(radius) {
+        if (radius <= 0) {
+            return 0;
+        }
+
+        return (sweep >= 180) ? (2 * radius) : (2 * radius * Math.sin((sweep / 2) * Math.PI / 180));
+    };
+
+    // The radius the inner end of text which is the length out from the center of the wheel starts at.
+    let innerEndAt = function(length) {
+        if (alignment == 'inner') {
+            return innerRadius + margin;
+        } else if (alignment == 'outer') {
+            return outerRadius - margin - length;
+        }
+
+        return innerRadius + ((outerRadius - innerRadius) / 2) + margin - (length / 2);
+    };
+
+    // Returns true if the lines fit in the segment at the font size, the same way drawSegmentText() draws them.
+    let fits = function(lines, size) {
+        let longest = 0;
+
+        if (orientation == 'curved') {
+            // Curved text is around the wheel so the lines are stacked from the inside to the outside.
+            if ((size * lines.length) > depth) {
+                return false;
+            }
+
+            let radius = innerEndAt(size * lines.length);
+
+            if (radius <= 0) {
+                return false;
+            }
+
+            // This is the angle per character drawSegmentText() uses, for the line closest to the center which needs the most angle.
+            let anglePerChar = ((4 * (size / 10)) * (100 / radius));
+
+            for (let i = 0; i < lines.length; i ++) {
+                longest = Math.max(longest, (anglePerChar * lines[i].length));
+            }
+
+            return (longest <= sweep);
+        }
+
+        for (let i = 0; i < lines.length; i ++) {
+            if (orientation == 'vertical') {
+                longest = Math.max(longest, (lines[i].length * (size - (size / 9))));
+            } else {
+                longest = Math.max(longest, winwheelMeasureText(ctx, lines[i], winwheelGetFontSetting(fontWeight, size, fontFamily), size));
+            }
+        }
+
+        // Horizontal and vertical text goes out from the center so the lines are side by side across the segment.
+        return ((longest <= depth) && ((size * lines.length) <= widthAt(innerEndAt(longest))));
+    };
+
+    // Cuts characters off the end of the line until it fits with an ellipsis. If always then the ellipsis is added even if the line fits.
+    let truncate = function(line, size, always) {
+        if ((always == false) && (fits([line], size))) {
+            return line;
+        }
+
+        while ((line.length > 0) && (fits([line + '\u2026'], size) == false)) {
+            line = line.slice(0, -1).replace(/\s+$/, '');
+        }
+
+        return line + '\u2026';
+    };
+
+    let wrap = false;
+    let shouldTruncate = false;
+
+    let layout = function(size) {
+        let paragraphs = seg.text.split('\n');
+        let lines = [];
+
+        for (let p = 0; p < paragraphs.length; p ++) {
+            if (wrap == false) {
+                lines.push(paragraphs[p]);
+                continue;
+            }
+
+            // Add words to the line until the line would no longer fit, then start a new line.
+            let words = paragraphs[p].split(' ');
+            let line = '';
+
+            for (let w = 0; w < words.length; w ++) {
+                let withWord = (line) ? (line + ' ' + words[w]) : words[w];
+
+                if ((line) && (fits([withWord], size) == false)) {
+                    lines.push(line);
+                    line = words[w];
+                } else {
+                    line = withWord;
+                }
+            }
+
+            lines.push(line);
+        }
+
+        if (shouldTruncate) {
+            for (let i = 0; i < lines.length; i ++) {
+                lines[i] = truncate(lines[i], size, false);
+            }
+
+            // If there are more lines than room for then drop lines from the end, the last line left shows there was more.
+            while ((lines.length > 1) && (fits(lines, size) == false)) {
+                lines.pop();
+                lines[lines.length - 1] = truncate(lines[lines.length - 1], size, true);
+            }
+        }
+
+        return lines;
+    };
+
+    let lines = layout(fontSize);
+
+    for (let i = 0; i < order.length; i ++) {
+        if (fits(lines, fontSize)) {
+            break;
+        }
+
+        if (order[i] == 'wrap') {
+            wrap = true;
+        } else if (order[i] == 'truncate') {
+            shouldTruncate = true;
+        } else if (order[i] == 'shrink') {
+            // The layout is worked out again for each size, so text is wrapped again as it gets smaller.
+            while ((fontSize > minFontSize) && (fits(layout(fontSize), fontSize) == false)) {
+                fontSize = Math.max(minFontSize, fontSize - 1);
+            }
+        }
+
+        lines = layout(fontSize);
+    }
+
+    let result = {'text' : lines.join('\n'), 'fontSize' : fontSize};
+
+    seg._textFit = {'key' : key, 'result' : result};
+
+    return result;
+}
+
+// ====================================================================================================================
+// Returns the fillStyle to set on the context for a segment. Strings, and gradients made by hand, are returned as they
+// are. A fill spec such as {'type' : 'radial', 'stops' : ['white', 'red']} is made in to a gradient positioned by the
+// segment's center, radii and angles, or those of the whole wheel if its relativeTo is 'wheel'. This is done every time
+// the segment is drawn so the gradient follows the segment when the wheel is resized or turns.
+//
+// radial goes from the inner to the outer radius, linear from the inner to the outer radius through the middle of the
+// segment (turned by the spec's angle in degrees, so 90 goes across the segment), and conic goes around from the start
+// to the end angle. Stops can be colours which are spaced evenly, or {'offset' : 0.5, 'color' : 'red'} objects.
+// ====================================================================================================================
+Winwheel.prototype.resolveFillStyle = function(fillStyle, segmentNumber)
+{
+    if (winwheelIsFillSpec(fillStyle) == false) {
+        return fillStyle;
+    }
+
+    let seg = this.segments[segmentNumber];
+    let centerX = (this.centerX * this.scaleFactor);
+    let centerY = (this.centerY * this.scaleFactor);
+    let innerRadius = (this.innerRadius * this.scaleFactor);
+    let outerRadius = (this.outerRadius * this.scaleFactor);
+    let startAngle = this.rotationAngle;
+    let endAngle = this.rotationAngle + 360;
+
+    if ((fillStyle.relativeTo != 'wheel') && (seg)) {
+        startAngle += seg.startAngle;
+        endAngle = this.rotationAngle + seg.endAngle;
+    }
+
+    // Gradients are positioned by the transform of the context when used, so if it is rotated around the center of the
+    // wheel, such as when drawing text, the angles need to be turned back by the same amount.
+    if (typeof this.ctx.getTransform === 'function') {
+        let transform = this.ctx.getTransform();
+        let rotation = (Math.atan2(transform.b, transform.a) * 180 / Math.PI);
+
+        startAngle -= rotation;
+        endAngle -= rotation;
+    }
+
+    // Returns the x and y of a point at the angle (where 0 is 12 o'clock) and distance from the center of the wheel.
+    let pointAt = function(angle, radius) {
+        return {
+            'x' : centerX + (radius * Math.sin(angle * Math.PI / 180)),
+            'y' : centerY - (radius * Math.cos(angle * Math.PI / 180))
+        };
+    };
+
+    let stops = winwheelGetGradientStops(fillStyle.stops);
+    let gradient = null;
+
+    if (fillStyle.type == 'radial') {
+        gradient = this.ctx.createRadialGradient(centerX, centerY, innerRadius, centerX, centerY, outerRadius);
+    } else if ((fillStyle.type == 'conic') && (typeof this.ctx.createConicGradient === 'function')) {
+        // A conic gradient goes all the way around, so the stops are squashed in to the angle of the segment.
+        gradient = this.ctx.createConicGradient(this.degToRad(startAngle - 90), centerX, centerY);
+
+        for (let i = 0; i < stops.length; i ++) {
+            stops[i].offset = stops[i].offset * ((endAngle - startAngle) / 360);
+        }
+    } else {
+        let middleRadius = (innerRadius + ((outerRadius - innerRadius) / 2));
+        let from;
+        let to;
+
+        if (fillStyle.type == 'conic') {
+            // Where there are no conic gradients, such as in SVG, a linear gradient from the start to the end edge of the segment is the closest.
+            from = pointAt(startAngle, middleRadius);
+            to = pointAt(endAngle, middleRadius);
+        } else {
+            let middleAngle = startAngle + ((endAngle - startAngle) / 2);
+            let middle = pointAt(middleAngle, middleRadius);
+            let angle = (middleAngle + ((fillStyle.angle) ? fillStyle.angle : 0)) * Math.PI / 180;
+            let halfLength = ((outerRadius - innerRadius) / 2);
+
+            from = {'x' : middle.x - (halfLength * Math.sin(angle)), 'y' : middle.y + (halfLength * Math.cos(angle))};
+            to = {'x' : middle.x + (halfLength * Math.sin(angle)), 'y' : middle.y - (halfLength * Math.cos(angle))};
+        }
+
+        gradient = this.ctx.createLinearGradient(from.x, from.y, to.x, to.y);
+    }
+
+    for (let i = 0; i < stops.length; i ++) {
+        gradient.addColorStop(stops[i].offset, stops[i].color);
+    }
+
+    return gradient;
+}
+
+// ====================================================================================================================
+// Tells the context what part of the wheel is about to be drawn. The SVG renderer gives the elements it creates this
+// class so they can be styled with CSS, canvas contexts do not have classes so nothing is done for them.
+// ====================================================================================================================
+Winwheel.prototype.setRenderClass = function(className)
+{
+    if ((this.ctx) && (typeof this.ctx.setClassName === 'function')) {
+        this.ctx.setClassName(className);
+    }
+}
+
+// ====================================================================================================================
+// Returns the wheel as it currently looks, at the current rotationAngle, as a string of SVG. The wheel is drawn on to
+// a WinwheelSvgCanvas the same size as the canvas, the canvas itself is not touched.
+// ====================================================================================================================
+Winwheel.prototype.toSVG = function()
+{
+    // When drawing on to a 2D context without a canvas the size is worked out from the wheel.
+    let width = (this.canvas) ? this.getCanvasWidth() : ((this.centerX + this.outerRadius) * this.scaleFactor);
+    let height = (this.canvas) ? this.getCanvasHeight() : ((this.centerY + this.outerRadius) * this.scaleFactor);
+    let svgCanvas = new WinwheelSvgCanvas(null, width, height);
+
+    let canvas = this.canvas;
+    let ctx = this.ctx;
+    let pixelRatio = this._pixelRatio;
+
+    // SVG has no pixels, so is always drawn at a pixel ratio of 1.
+    this.canvas = svgCanvas;
+    this.ctx = svgCanvas.getContext('2d');
+    this._pixelRatio = 1;
+
+    try {
+        this.draw();
+    } finally {
+        this.canvas = canvas;
+        this.ctx = ctx;
+        this._pixelRatio = pixelRatio;
+    }
+
+    return svgCanvas.toSVG();
+}
+
+// ====================================================================================================================
+// Converts degrees to radians which is what is used when specifying the angles on HTML5 canvas arcs.
+// ====================================================================================================================
+Winwheel.prototype.degToRad = function(d)
+{
+    return d * 0.0174532925199432957;
+}
+
+// ====================================================================================================================
+// This function sets the center location of the wheel, saves a function call to set x then y.
+// ====================================================================================================================
+Winwheel.prototype.setCenter = function(x, y)
+{
+    this.centerX = x;
+    this.centerY = y;
+}
+
+// ====================================================================================================================
+// This function allows a segment to be added to the wheel. The position of the segment is optional,
+// if not specified the new segment will be added to the end of the wheel.
+// ====================================================================================================================
+Winwheel.prototype.addSegment = function(options, position)
+{
+    // Create a new segment object passing the options in.
+    let newSegment = new Segment(options);
+    winwheelSetSegmentOwner(newSegment, this);
+
+    // Increment the numSegments property of the class since new segment being added.
+    this.numSegments ++;
+    let segmentPos;
+
+    // Work out where to place the segment, the default is simply as a new segment at the end of the wheel.
+    if (typeof position !== 'undefined') {
+        // Because we need to insert the segment at this position, not overwrite it, we need to move all segments after this
+        // location along one in the segments array, before finally adding this new segment at the specified location.
+        for (let x = this.numSegments; x > position; x --) {
+            this.segments[x] = this.segments[x -1];
+        }
+
+        this.segments[position] = newSegment;
+        segmentPos = position;
+    } else {
+        this.segments[this.numSegments] = newSegment;
+        segmentPos = this.numSegments;
+    }
+
+    // Since a segment has been added the segment sizes need to be re-computed so call function to do this.
+    this.updateSegmentSizes();
+
+    // The colours of the segments either side may now be the same, so the palette is applied again.
+    if (this.palette !== null) {
+        this.applyPalette();
+    }
+
+    this.emit('segmentadded', this.segments[segmentPos], segmentPos);
+
+    // Return the segment object just created in the wheel (JavaScript will return it by reference), so that
+    // further things can be done with it by the calling code if desired.
+    return this.segments[segmentPos];
+}
+
+// ====================================================================================================================
+// Sets up the canvas for high DPI screens. The canvas is made bigger by the devicePixelRatio while its size on the
+// page stays the same, and draw() scales everything up to match. The pixel ratio changes when the browser is zoomed
+// or the window moved to another screen, so it is checked again when the window resizes.
+// ====================================================================================================================
+Winwheel.prototype.setupHighDpi = function()
+{
+    let theWheel = this;
+
+    // The size the canvas was given is the size it is to be on the page.
+    let width = this.canvas.width;
+    let height = this.canvas.height;
+
+    this._pixelRatio = winwheelGetPixelRatio();
+    this.setCanvasSize(width, height);
+
+    // Responsive wheels check the pixel ratio when they resize so only need this if not responsive.
+    if ((typeof window !== 'undefined') && (this.responsive == false)) {
+        this._pixelRatioHandler = function() {
+            let pixelRatio = winwheelGetPixelRatio();
+
+            if (pixelRatio != theWheel._pixelRatio) {
+                let currentWidth = theWheel.getCanvasWidth();
+                let currentHeight = theWheel.getCanvasHeight();
+
+                theWheel._pixelRatio = pixelRatio;
+                theWheel.setCanvasSize(currentWidth, currentHeight);
+                theWheel.draw();
+            }
+        };
+
+        window.addEventListener('resize', this._pixelRatioHandler);
+    }
+}
+
+// ====================================================================================================================
+// Sets the size of the canvas. In high DPI mode the canvas itself is made bigger by the pixel ratio and its size on
+// the page set to the width and height.
+// ====================================================================================================================
+Winwheel.prototype.setCanvasSize = function(width, height)
+{
+    if (this.canvas) {
+        this.canvas.width = (width * this._pixelRatio);
+        this.canvas.height = (height * this._pixelRatio);
+
+        if ((this.highDpi) && (this.canvas.style)) {
+            this.canvas.style.width = width + 'px';
+            this.canvas.style.height = height + 'px';
+        }
+    }
+}
+
+// ====================================================================================================================
+// Returns the width of the canvas the wheel is drawn in, in high DPI mode this is the size on the page, not the number
+// of pixels in the canvas. The wheel's centerX, outerRadius etc are all relative to this.
+// ====================================================================================================================
+Winwheel.prototype.getCanvasWidth = function()
+{
+    return (this.canvas) ? (this.canvas.width / this._pixelRatio) : 0;
+}
+
+// ====================================================================================================================
+// Returns the height of the canvas, see getCanvasWidth().
+// ====================================================================================================================
+Winwheel.prototype.getCanvasHeight = function()
+{
+    return (this.canvas) ? (this.canvas.height / this._pixelRatio) : 0;
+}
+
+// ====================================================================================================================
+// This function must be used if the canvasId is changed as we also need to get the context of the new canvas.
+// Like the canvasId option this can also be passed a canvas, OffscreenCanvas or 2D context.
+// ====================================================================================================================
+Winwheel.prototype.setCanvasId = function(canvasId)
+{
+    if (canvasId) {
+        let drawingTarget = winwheelGetDrawingTarget(canvasId, this.renderer);
+
+        // As before, if the canvas cannot be found the wheel is left with the canvas it had.
+        if (drawingTarget.ctx) {
+            this.canvasId = drawingTarget.canvasId;
+            this.canvas = drawingTarget.canvas;
+            this.ctx = drawingTarget.ctx;
+
+            if ((this.highDpi) && (this.canvas)) {
+                if (this._pixelRatioHandler) {
+                    window.removeEventListener('resize', this._pixelRatioHandler);
+                }
+
+                this.setupHighDpi();
+            }
+        } else {
+            this.canvasId = drawingTarget.canvasId;
+        }
+    } else {
+        this.canvasId = null
+        this.ctx = null;
+        this.canvas = null;
+    }
+}
+
+// ====================================================================================================================
+// This function deletes the specified segment from the wheel by removing it from the segments array.
+// It then sorts out the other bits such as update of the numSegments.
+// ====================================================================================================================
+Winwheel.prototype.deleteSegment = function(position)
+{
+    // If the position of the segment to remove has not been specified then it is the last segment.
+    if (typeof position === 'undefined') {
+        position = this.numSegments;
+    }
+
+    // A position which does not exist, say 10 in a 6 segment wheel, would corrupt the segments array so is not allowed.
+    if ((Number.isInteger(position) == false) || (position < 1) || (position > this.numSegments)) {
+        this.reportValidationIssue('Cannot delete segment ' + position + ' as the wheel has ' + this.numSegments + ' segments');
+        return;
+    }
+
+    // There needs to be at least one segment in order for the wheel to draw, so only allow delete if there
+    // is more than one segment currently left in the wheel.
+    if (this.numSegments > 1) {
+        // Keep the segment being removed so it can be passed to the segmentremoved listeners.
+        let removedSegment = this.segments[position];
+
+        // The array is to be shortened so we need to move all segments after the one
+        // to be removed down one so there is no gap.
+        for (let x = position; x < this.numSegments; x ++) {
+            this.segments[x] = this.segments[x + 1];
+        }
+
+        // Unset the last item in the segments array since there is now one less.
+        this.segments[this.numSegments] = undefined;
+
+        // Decrement the number of segments,
+        // then call function to update the segment sizes.
+        this.numSegments --;
+        this.updateSegmentSizes();
+
+        if (this.palette !== null) {
+            this.applyPalette();
+        }
+
+        this.emit('segmentremoved', removedSegment, position);
+    }
+}
+
+// ====================================================================================================================
+// This function takes the x an the y of a mouse event, such as click or move, and converts the x and the y in to
+// co-ordinates on the canvas as the raw values are the x and the y from the top and left of the user's browser.
+// The position is scaled by how much the size of the canvas on the page differs from the size the wheel is drawn at,
+// so this is correct when CSS changes the size of the canvas, the page is zoomed, or in high DPI mode.
+// ====================================================================================================================
+Winwheel.prototype.windowToCanvas = function(x, y)
+{
+    // Without a canvas on a page, such as an OffscreenCanvas, the x and y are already canvas co-ordinates.
+    if ((!this.canvas) || (typeof this.canvas.getBoundingClientRect !== 'function')) {
+        return {'x' : x, 'y' : y};
+    }
+
+    let bbox = this.canvas.getBoundingClientRect();
+
+    // Work out how many canvas units there are per pixel on the page, if the canvas has no size on the page (not displayed) then 1.
+    let scaleX = (bbox.width) ? (this.getCanvasWidth() / bbox.width) : 1;
+    let scaleY = (bbox.height) ? (this.getCanvasHeight() / bbox.height) : 1;
+
+    return {
+        x: Math.floor((x - bbox.left) * scaleX),
+        y: Math.floor((y - bbox.top) * scaleY)
+    };
+}
+
+// ====================================================================================================================
+// This function returns the segment object located at the specified x and y coordinates on the canvas.
+// It is used to allow things to be done with a segment clicked by the user, such as highlight, display or change some values, etc.
+// ====================================================================================================================
+Winwheel.prototype.getSegmentAt = function(x, y)
+{
+    let foundSegment = null;
+
+    // Call function to return segment number.
+    let segmentNumber = this.getSegmentNumberAt(x, y);
+
+    // If found one then set found segment to pointer to the segment object.
+    if (segmentNumber !== null) {
+        foundSegment = this.segments[segmentNumber];
+    }
+
+    return foundSegment;
+}
+
+// ====================================================================================================================
+// Returns the number of the segment clicked instead of the segment object.
+// This works with the scale factor and when the canvas width or height is altered by CSS or high DPI mode.
+// ====================================================================================================================
+Winwheel.prototype.getSegmentNumberAt = function(x, y)
+{
+    // Call function above to convert the raw x and y from the user's browser to canvas coordinates
+    // i.e. top and left is top and left of canvas, not top and left of the user's browser.
+    let loc = this.windowToCanvas(x, y);
+
+    // ------------------------------------------
+    // Now start the process of working out the segment clicked.
+    // First we need to figure out the angle of an imaginary line between the centerX and centerY of the wheel and
+    // the X and Y of the location (for example a mouse click).
+    let topBottom;
+    let leftRight;
+    let adjacentSideLength;
+    let oppositeSideLength;
+    let hypotenuseSideLength;
+
+    // Get the centerX and centerY scaled with the scale factor, also the same for outer and inner radius.
+    let centerX = (this.centerX * this.scaleFactor);
+    let centerY = (this.centerY * this.scaleFactor);
+    let outerRadius = (this.outerRadius * this.scaleFactor);
+    let innerRadius = (this.innerRadius * this.scaleFactor);
+
+    // We will use right triangle maths with the TAN function.
+    // The start of the triangle is the wheel center, the adjacent side is along the x axis, and the opposite side is along the y axis.
+
+    // We only ever use positive numbers to work out the triangle and the center of the wheel needs to be considered as 0 for the numbers
+    // in the maths which is why there is the subtractions below. We also remember what quadrant of the wheel the location is in as we
+    // need this information later to add 90, 180, 270 degrees to the angle worked out from the triangle to get the position around a 360 degree wheel.
+    if (loc.x > centerX) {
+        adjacentSideLength = (loc.x - centerX);
+        leftRight = 'R';    // Location is in the right half of the wheel.
+    } else {
+        adjacentSideLength = (centerX - loc.x);
+        leftRight = 'L';    // Location is in the left half of the wheel.
+    }
+
+    if (loc.y > centerY) {
+        oppositeSideLength = (loc.y - centerY);
+        topBottom = 'B';    // Bottom half of wheel.
+    } else {
+        oppositeSideLength = (centerY - loc.y);
+        topBottom = 'T';    // Top Half of wheel.
+    }
+
+    // Now divide opposite by adjacent to get tan value.
+    let tanVal = oppositeSideLength / adjacentSideLength;
+
+    // Use the tan function and convert results to degrees since that is what we work with.
+    let result = (Math.atan(tanVal) * 180/Math.PI);
+    let locationAngle = 0;
+
+    // We also need the length of the hypotenuse as later on we need to compare this to the outerRadius of the segment / circle.
+    hypotenuseSideLength = Math.sqrt((oppositeSideLength * oppositeSideLength) + (adjacentSideLength * adjacentSideLength));
+
+    // ------------------------------------------
+    // Now to make sense around the wheel we need to alter the values based on if the location was in top or bottom half
+    // and also right or left half of the wheel, by adding 90, 180, 270 etc. Also for some the initial locationAngle needs to be inverted.
+    if ((topBottom == 'T') && (leftRight == 'R')) {
+        locationAngle = Math.round(90 - result);
+    } else if ((topBottom == 'B') && (leftRight == 'R')) {
+        locationAngle = Math.round(result + 90);
+    } else if ((topBottom == 'B') && (leftRight == 'L')) {
+        locationAngle = Math.round((90 - result) + 180);
+    } else if ((topBottom == 'T') && (leftRight == 'L')) {
+        locationAngle = Math.round(result + 270);
+    }
+
+    // ------------------------------------------
+    // And now we have to adjust to make sense when the wheel is rotated from the 0 degrees either
+    // positive or negative and it can be many times past 360 degrees.
+    if (this.rotationAngle != 0) {
+        let rotatedPosition = this.getRotationPosition();
+
+        // So we have this, now we need to alter the locationAngle as a result of this.
+        locationAngle = (locationAngle - rotatedPosition);
+
+        // If negative then take the location away from 360.
+        if (locationAngle < 0) {
+            locationAngle = (360 - Math.abs(locationAngle));
+        }
+    }
+
+    // ------------------------------------------
+    // OK, so after all of that we have the angle of a line between the centerX and centerY of the wheel and
+    // the X and Y of the location on the canvas where the mouse was clicked. Now time to work out the segment
+    // this corresponds to. We can use the segment start and end angles for this.
+    let foundSegmentNumber = null;
+
+    for (let x = 1; x <= this.numSegments; x ++) {
+        // Due to segments sharing start and end angles, if line is clicked will pick earlier segment.
+        if ((locationAngle >= this.segments[x].startAngle) && (locationAngle <= this.segments[x].endAngle)) {
+            // To ensure that a click anywhere on the canvas in the segment direction will not cause a
+            // segment to be matched, as well as the angles, we need to ensure the click was within the radius
+            // of the segment (or circle if no segment radius).
+
+            // If the hypotenuseSideLength (length of location from the center of the wheel) is with the radius
+            // then we can assign the segment to the found segment and break out the loop.
+
+            // Have to take in to account hollow wheels (doughnuts) so check is greater than innerRadius as
+            // well as less than or equal to the outerRadius of the wheel.
+            if ((hypotenuseSideLength >= innerRadius) && (hypotenuseSideLength <= outerRadius)) {
+                foundSegmentNumber = x;
+                break;
+            }
+        }
+    }
+
+    // Finally return the number.
+    return foundSegmentNumber;
+}
+
+// ====================================================================================================================
+// Returns a reference to the segment that is at the location of the pointer on the wheel.
+// ====================================================================================================================
+Winwheel.prototype.getIndicatedSegment = function()
+{
+    // Call function below to work this out and return the prizeNumber.
+    let prizeNumber = this.getIndicatedSegmentNumber();
+
+    // Then simply return the segment in the segments array at that position.
+    return this.segments[prizeNumber];
+}
+
+// ====================================================================================================================
+// Works out the segment currently pointed to by the pointer of the wheel. Normally called when the spinning has stopped
+// to work out the prize the user has won. Returns the number of the segment in the segments array.
+// ====================================================================================================================
+Winwheel.prototype.getIndicatedSegmentNumber = function()
+{
+    let indicatedPrize = 0;
+    let rawAngle = this.getRotationPosition();
+
+    // Now we have the angle of the wheel, but we need to take in to account where the pointer is because
+    // will not always be at the 12 o'clock 0 degrees location.
+    let relativeAngle = Math.floor(this.pointerAngle - rawAngle);
+
+    if (relativeAngle < 0) {
+        relativeAngle = 360 - Math.abs(relativeAngle);
+    }
+
+    // Now we can work out the prize won by seeing what prize segment startAngle and endAngle the relativeAngle is between.
+    for (let x = 1; x < (this.segments.length); x ++) {
+        if ((relativeAngle >= this.segments[x]['startAngle']) && (relativeAngle <= this.segments[x]['endAngle'])) {
+            indicatedPrize = x;
+            break;
+        }
+    }
+
+    return indicatedPrize;
+}
+
+// ====================================================================================================================
+// Works out what Pin around the wheel is considered the current one which is the one which just passed the pointer.
+// Pins are numbered from 0, which is the pin drawn at the top of the wheel when the rotationAngle is 0, going clockwise.
+// When rotating clockwise the pin which just passed is the one anti-clockwise of the pointer, and the other way round.
+// ====================================================================================================================
+Winwheel.prototype.getCurrentPinNumber = function()
+{
+    let currentPin = 0;
+
+    if (this.pins) {
+        let pinSpacing = (360 / this.pins.number);
+
+        // Pins pass the pointer when the rotationAngle is the pointerAngle plus a whole number of pin spacings,
+        // so this is the number of the last of those at or before the rotationAngle.
+        let crossing = Math.floor((this.rotationAngle - this.pointerAngle) / pinSpacing);
+
+        // Going anti-clockwise the last pin to pass the pointer is the next one round.
+        if (this.animation.direction == 'anti-clockwise') {
+            crossing ++;
+        }
+
+        currentPin = this.getPinNumberAtCrossing(crossing);
+    }
+
+    return currentPin;
+}
+
+// ====================================================================================================================
+// Returns the number of the pin which is at the pointer when the rotationAngle is the pointerAngle plus the specified
+// whole number of pin spacings. As the wheel turns clockwise the pins go past the pointer in reverse order.
+// ====================================================================================================================
+Winwheel.prototype.getPinNumberAtCrossing = function(crossing)
+{
+    return winwheelModulo(0 - crossing, this.pins.number);
+}
+
+// ==================================================================================================================================================
+// Returns the rotation angle of the wheel corrected to 0-360 (i.e. removes all the multiples of 360).
+// ==================================================================================================================================================
+Winwheel.prototype.getRotationPosition = function()
+{
+    let rawAngle = this.rotationAngle;  // Get current rotation angle of wheel.
+
+    // If positive work out how many times past 360 this is and then take the floor of this off the rawAngle.
+    if (rawAngle >= 0) {
+        if (rawAngle > 360) {
+            // Get floor of the number of times past 360 degrees.
+            let timesPast360 = Math.floor(rawAngle / 360);
+
+            // Take all this extra off to get just the angle 0-360 degrees.
+            rawAngle = (rawAngle - (360 * timesPast360));
+        }
+    } else {
+        // Is negative, need to take off the extra then convert in to 0-360 degree value
+        // so if, for example, was -90 then final value will be (360 - 90) = 270 degrees.
+        if (rawAngle < -360) {
+            let timesPast360 = Math.ceil(rawAngle / 360);   // Ceil when negative.
+
+            rawAngle = (rawAngle - (360 * timesPast360));   // Is minus because dealing with negative.
+        }
+
+        rawAngle = (360 + rawAngle);    // Make in the range 0-360. Is plus because raw is still negative.
+    }
+
+    return rawAngle;
+}
+
+// ==================================================================================================================================================
+// This function starts the wheel's animation by using the properties of the animation object of of the wheel to begin a tween
+// using the animation engine, which is the built in one unless Greensock or another engine has been specified.
+// ==================================================================================================================================================
+Winwheel.prototype.startAnimation = function()
+{
+    if (this.animation) {
+        // If string callbacks cannot be eval'd then check they are all registered now, rather than erroring part way through the animation.
+        if (this.allowEval == false) {
+            let callbackOptions = ['callbackBefore', 'callbackAfter', 'callbackSound', 'callbackFinished'];
+
+            for (let i = 0; i < callbackOptions.length; i ++) {
+                if (this.animation[callbackOptions[i]] != null) {
+                    this.resolveCallback(this.animation[callbackOptions[i]]);
+                }
+            }
+        }
+
+        // A snap back after a weak flick would fight the spin over the rotationAngle, so it is stopped where it is.
+        this.stopSnapBack();
+
+        // Call function to compute the animation properties.
+        this.computeAnimation();
+
+        // If the user has asked their device for reduced motion then shorten or skip the spin depending on the accessibility options.
+        let duration = this.animation.duration;
+        let easing = this.animation.easing;
+
+        // The physics animation takes as long as the simulation says the wheel takes to stop, and slows down the same way.
+        if (this.animation.type == 'physics') {
+            duration = this.animation._simulation.duration;
+            easing = this.animation._simulation.ease;
+        }
+
+        if (this.prefersReducedMotion()) {
+            if (this.accessibility.reducedMotion == 'skip') {
+                // Go straight to the end, an ongoing spin has no end so is not started at all. It is stopped as if
+                // cancelled so anything waiting on the spin, such as the Promise from spin(), is told.
+                if (this.animation.type == 'spinOngoing') {
+                    winwheelStopAnimation(this, false);
+                    return;
+                }
+
+                duration = 0;
+            } else {
+                duration = Math.min(duration, this.accessibility.reducedMotionDuration);
+
+                // Take off all but one of the spins, the wheel still stops in the same place.
+                if ((this.animation.type == 'spinToStop') && (this.animation.spins > 1)) {
+                    let extraSpins = ((this.animation.spins - 1) * 360);
+                    this.animation.propertyValue += (this.animation.direction == 'anti-clockwise') ? extraSpins : (0 - extraSpins);
+                }
+            }
+        }
+
+        // This global is no longer used by Winwheel itself but is kept pointing at the last wheel to be animated
+        // for any code outside the library which still reads it.
+        winwheelToDrawDuringAnimation = this;
+
+        // The functions called by the animation engine are outside the class so they are given this wheel via a closure.
+        // This keeps the re-draw and the finished callback tied to this wheel, so other wheels on the page can animate at the same time.
+        let theWheel = this;
+
+        // Put together the properties of the tween animation.
+        let properties = new Array(null);
+        properties[this.animation.propertyName] = this.animation.propertyValue; // Here we set the property to be animated and its value.
+        properties['yoyo']       = this.animation.yoyo;     // Set others.
+        properties['repeat']     = this.animation.repeat;
+        properties['ease']       = easing;
+        properties['onUpdate']   = function() {             // Call function to re-draw the canvas.
+            winwheelAnimationLoop(theWheel);
+        };
+        properties['onComplete'] = function() {             // Call function to perform actions when animation has finished.
+            winwheelStopAnimation(theWheel, true);
+        };
+
+        // Do the tween animation passing the properties from the animation object as an array of key => value pairs.
+        // Keep reference to the tween object in the wheel as that allows pausing, resuming, and stopping while the animation is still running.
+        this._spinning = true;
+        this._lastSoundAngle = this.rotationAngle;
+        this._lastSoundTime = winwheelNow();
+        this.tween = winwheelGetAnimationEngine(this.animation.engine).to(this, duration, properties);
+
+        this.emit('spinstart');
+    }
+}
+
+// ==================================================================================================================================================
+// Use same function which needs to be outside the class for the callback when it stops because is finished.
+// ==================================================================================================================================================
+Winwheel.prototype.stopAnimation = function(canCallback)
+{
+    // We can kill the animation using our tween object. Only this wheel's tween is killed so any other wheels continue.
+    if (this.tween) {
+        this.tween.kill();
+    }
+
+    this.stopSnapBack();
+
+    // Call the callback function.
+    winwheelStopAnimation(this, canCallback);
+}
+
+// ==================================================================================================================================================
+// Spins the wheel and returns a Promise which resolves once the spin has finished. Any options passed in are used for this spin only,
+// for example {'stopAngle' : 45}, the animation of the wheel is put back as it was once the spin has ended. The Promise resolves with
+// an object containing the status ('finished', or 'cancelled' if stopAnimation(false) was called or the wheel has no animation), the
+// indicated segment, its number, and the rotationAngle of the wheel.
+// As spinOngoing animations never finish, for those the Promise only resolves once the animation is stopped.
+// ==================================================================================================================================================
+Winwheel.prototype.spin = function(options)
+{
+    // Without an animation there is nothing to spin, so the Promise is resolved straight away rather than never settling.
+    if (!this.animation) {
+        return Promise.resolve({
+            'status'        : 'cancelled',
+            'segment'       : this.getIndicatedSegment(),
+            'segmentNumber' : this.getIndicatedSegmentNumber(),
+            'rotationAngle' : this.rotationAngle
+        });
+    }
+
+    // Only one spin can be going at a time, so if the wheel is already spinning, by spin() or startAnimation(), the previous spin
+    // is cancelled so two tweens are not both animating the rotationAngle.
+    if ((this._spinResolve) || (this._spinning)) {
+        this.stopAnimation(false);
+    }
+
+    // The spinToStop animations go to an absolute rotationAngle, so the wheel is put back in to the range 0 - 360 first otherwise
+    // a spin after one which has finished would already be at the angle it is going to.
+    this.rotationAngle = winwheelModulo(this.rotationAngle, 360);
+
+    // Put back the animation from a spin which has ended but whose settings have not been put back yet, which is the case
+    // when spin() is called by a spinend handler, so the settings of that spin are not taken as the settings of the wheel.
+    winwheelRestoreAnimation(this);
+
+    // Keep the settings of the animation so they can be put back once this spin has ended. They are not put back
+    // when the spin starts as the callbacks, direction, and soundTrigger are still used while it is going.
+    let settings = {};
+
+    for (let key in this.animation) {
+        if ((this.animation.hasOwnProperty(key)) && (key.charAt(0) != '_')) {
+            settings[key] = this.animation[key];
+        }
+    }
+
+    this._spinSettings = settings;
+
+    if (options != null) {
+        for (let key in options) {
+            this.animation[key] = options[key];
+        }
+    }
+
+    let theWheel = this;
+
+    return new Promise(function(resolve) {
+        theWheel._spinResolve = resolve;
+        theWheel.startAnimation();
+    });
+}
+
+// ==================================================================================================================================================
+// Returns true if the wheel is currently animating, this includes when the animation is paused.
+// ==================================================================================================================================================
+Winwheel.prototype.isSpinning = function()
+{
+    return (this._spinning == true);
+}
+
+// ==================================================================================================================================================
+// Pause animation by telling tween to pause.
+// ==================================================================================================================================================
+Winwheel.prototype.pauseAnimation = function()
+{
+    if (this.tween) {
+        this.tween.pause();
+        this.emit('pause');
+    }
+}
+
+// ==================================================================================================================================================
+// Resume the animation by telling tween to continue playing it.
+// ==================================================================================================================================================
+Winwheel.prototype.resumeAnimation = function()
+{
+    if (this.tween) {
+        this.tween.play();
+        this.emit('resume');
+    }
+}
+
+// ====================================================================================================================
+// Called at the beginning of the startAnimation function and computes the values needed to do the animation
+// before it starts. This allows the developer to change the animation properties after the wheel has been created
+// and have the animation use the new values of the animation properties.
+// ====================================================================================================================
+Winwheel.prototype.computeAnimation = function()
+{
+    if (this.animation) {
+        // Set the animation parameters for the specified animation type including some sensible defaults if values have not been specified.
+        if (this.animation.type == 'spinOngoing') {
+            // When spinning the rotationAngle is the wheel property which is animated.
+            this.animation.propertyName = 'rotationAngle';
+
+            if (this.animation.spins == null) {
+                this.animation.spins = 5;
+            }
+
+            if (this.animation.repeat == null) {
+                this.animation.repeat = -1;           // -1 means it will repeat forever.
+            }
+
+            if (this.animation.easing == null) {
+                this.animation.easing = 'Linear.easeNone';
+            }
+
+            if (this.animation.yoyo == null) {
+                this.animation.yoyo = false;
+            }
+
+            // We need to calculate the propertyValue and this is the spins * 360 degrees.
+            this.animation.propertyValue = (this.animation.spins * 360);
+
+            // If the direction is anti-clockwise then make the property value negative.
+            if (this.animation.direction == 'anti-clockwise') {
+                this.animation.propertyValue = (0 - this.animation.propertyValue);
+            }
+        } else if (this.animation.type == 'spinToStop') {
+            // Spin to stop the rotation angle is affected.
+            this.animation.propertyName = 'rotationAngle';
+
+            if (this.animation.spins == null) {
+                this.animation.spins = 5;
+            }
+
+            if (this.animation.repeat == null) {
+                this.animation.repeat = 0;        // As this is spin to stop we don't normally want it repeated.
+            }
+
+            if (this.animation.easing == null) {
+                this.animation.easing = 'Power3.easeOut';     // This easing is fast start and slows over time.
+            }
+
+            this.computeStopAngle();
+
+            if (this.animation.yoyo == null) {
+                this.animation.yoyo = false;
+            }
+
+            // The property value is the spins * 360 then plus or minus the stopAngle depending on if the rotation is clockwise or anti-clockwise.
+            this.animation.propertyValue = (this.animation.spins * 360);
+
+            if (this.animation.direction == 'anti-clockwise') {
+                this.animation.propertyValue = (0 - this.animation.propertyValue);
+
+                // Also if the value is anti-clockwise we need subtract the stopAngle (but to get the wheel to stop in the correct
+                // place this is 360 minus the stop angle as the wheel is rotating backwards).
+                this.animation.propertyValue -= (360 - this.animation._stopAngle);
+            } else {
+                // Add the stopAngle to the propertyValue as the wheel must rotate around to this place and stop there.
+                this.animation.propertyValue += this.animation._stopAngle;
+            }
+        } else if (this.animation.type == 'spinAndBack') {
+            // This is basically is a spin for a number of times then the animation reverses and goes back to start.
+            // If a repeat is specified then this can be used to make the wheel "rock" left and right.
+
+            // Again this is a spin so the rotationAngle the property which is animated.
+            this.animation.propertyName = 'rotationAngle';
+
+            if (this.animation.spins == null) {
+                this.animation.spins = 5;
+            }
+
+            if (this.animation.repeat == null) {
+                this.animation.repeat = 1;          // This needs to be set to at least 1 in order for the animation to reverse.
+            }
+
+            if (this.animation.easing == null) {
+                this.animation.easing = 'Power2.easeInOut';     // This is slow at the start and end and fast in the middle.
+            }
+
+            if (this.animation.yoyo == null) {
+                this.animation.yoyo = true;       // This needs to be set to true to have the animation reverse back like a yo-yo.
+            }
+
+            if (this.animation.stopAngle == null) {
+                this.animation._stopAngle = 0;
+            } else {
+                // We need to set the internal to 360 minus what the user entered
+                // because the wheel spins past 0 without this it would indicate the
+                // prize on the opposite side of the wheel.
+                this.animation._stopAngle = (360 - this.animation.stopAngle);
+            }
+
+            // The property value is the spins * 360 then plus or minus the stopAngle depending on if the rotation is clockwise or anti-clockwise.
+            this.animation.propertyValue = (this.animation.spins * 360);
+
+            if (this.animation.direction == 'anti-clockwise') {
+                this.animation.propertyValue = (0 - this.animation.propertyValue);
+
+                // Also if the value is anti-clockwise we need subtract the stopAngle (but to get the wheel to stop in the correct
+                // place this is 360 minus the stop angle as the wheel is rotating backwards).
+                this.animation.propertyValue -= (360 - this.animation._stopAngle);
+            } else {
+                // Add the stopAngle to the propertyValue as the wheel must rotate around to this place and stop there.
+                this.animation.propertyValue += this.animation._stopAngle;
+            }
+        } else if (this.animation.type == 'physics') {
+            // The wheel is given a speed and slowed by friction and the pins until it stops, the rotationAngle is animated.
+            this.animation.propertyName = 'rotationAngle';
+
+            // Without friction the wheel would never stop, so if the friction is not more than 0 the default is used. This is
+            // done here, not left to the validation, as the validation might be off or only report it.
+            if (!(this.animation.friction > 0)) {
+                this.animation.friction = 180;
+            }
+
+            if (this.animation.pinDrag == null) {
+                this.animation.pinDrag = 0;
+            }
+
+            this.animation.repeat = 0;
+            this.animation.yoyo = false;
+
+            // If the velocity has not been specified then pick a random one so each spin stops in a different place.
+            let velocity = this.animation.velocity;
+
+            if (velocity == null) {
+                velocity = (720 + (this.getRandom() * 720));
+            }
+
+            let simulation = this.simulateSpin(velocity);
+
+            // To land on the stop angle the distance is moved to the nearest place the stop angle is at the pointer, then
+            // the velocity which slows down to stop there is found.
+            if (this.animation.solveForTarget) {
+                this.computeStopAngle();
+
+                let targetDistance = (this.animation._stopAngle - this.rotationAngle);
+
+                if (this.animation.direction == 'anti-clockwise') {
+                    targetDistance = (0 - targetDistance);
+                }
+
+                // Go to whichever is nearest of stopping a bit before or a bit after where the velocity would stop.
+                let offset = winwheelModulo(targetDistance - simulation.distance, 360);
+
+                if (offset > 180) {
+                    offset -= 360;
+                }
+
+                targetDistance = (simulation.distance + offset);
+
+                if (targetDistance <= 0) {
+                    targetDistance += 360;
+                }
+
+                simulation = this.simulateSpin(this.solveSpinVelocity(targetDistance));
+            }
+
+            this.animation._simulation = simulation;
+            this.animation.propertyValue = (this.rotationAngle + ((this.animation.direction == 'anti-clockwise') ? (0 - simulation.distance) : simulation.distance));
+        } else if (this.animation.type == 'custom') {
+            // Do nothing as all values must be set by the developer in the parameters
+            // especially the propertyName and propertyValue.
+        }
+    }
+}
+
+// ====================================================================================================================
+// Works out the internal _stopAngle of the animation, which is the rotationAngle (less whole turns) the wheel must stop
+// at for the stopAngle to be at the pointer. If there is no stopAngle then the winner is picked using the weights of
+// the segments, or if they have none a random angle is used.
+// ====================================================================================================================
+Winwheel.prototype.computeStopAngle = function()
+{
+    // If the stop angle has not been specified but the segments have weights then pick the winning segment
+    // using the weights and get a random angle inside it, so the prize does not depend on the segment size.
+    let weightedStopAngle = null;
+
+    if ((this.animation.stopAngle == null) && (this.hasSegmentWeights())) {
+        let winningSegmentNumber = this.getWeightedRandomSegmentNumber();
+
+        if (winningSegmentNumber !== null) {
+            weightedStopAngle = this.getRandomForSegment(winningSegmentNumber);
+        }
+    }
+
+    if (weightedStopAngle !== null) {
+        // Same as when the stop angle has been specified, see below.
+        this.animation._stopAngle = (360 - weightedStopAngle + this.pointerAngle);
+    } else if (this.animation.stopAngle == null) {
+        // If the stop angle has not been specified then pick random between 0 and 359.
+        this.animation._stopAngle = Math.floor((this.getRandom() * 359));
+    } else {
+        // We need to set the internal to 360 minus what the user entered because the wheel spins past 0 without
+        // this it would indicate the prize on the opposite side of the wheel. We aslo need to take in to account
+        // the pointerAngle as the stop angle needs to be relative to that.
+        this.animation._stopAngle = (360 - this.animation.stopAngle + this.pointerAngle);
+    }
+}
+
+// ====================================================================================================================
+// Simulates a physics spin of the wheel from its current rotationAngle in the direction of the animation. The wheel
+// starts at the velocity (degrees per second) and the friction takes off a steady amount of speed each second. If the
+// animation has a pinDrag then each pin which passes the pointer takes that much speed off as well.
+// Between the pins the slowing down is worked out exactly, and each pin is stepped to at the moment it is reached, so
+// the result is the same whatever the frame rate. Returns the distance in degrees the wheel goes before stopping, the
+// duration in seconds, and an ease function giving the fraction of the distance gone at a fraction of the duration.
+// ====================================================================================================================
+Winwheel.prototype.simulateSpin = function(velocity)
+{
+    let friction = (this.animation.friction > 0) ? this.animation.friction : 180;
+    let pinDrag = ((this.pins) && (this.animation.pinDrag > 0)) ? this.animation.pinDrag : 0;
+
+    // Each phase starts at a pin being passed, or the start of the spin, and the wheel slows steadily until the next.
+    let phases = [];
+    let time = 0;
+    let distance = 0;
+    let speed = Math.abs(velocity);
+    let nextPinDistance = null;
+
+    if (pinDrag > 0) {
+        let pinSpacing = (360 / this.pins.number);
+
+        // A pin is at the pointer when the rotationAngle is the pointerAngle plus a whole number of pin spacings.
+        nextPinDistance = winwheelModulo(this.pointerAngle - this.rotationAngle, pinSpacing);
+
+        if (this.animation.direction == 'anti-clockwise') {
+            nextPinDistance = winwheelModulo(this.rotationAngle - this.pointerAngle, pinSpacing);
+        }
+
+        // If a pin is at the pointer already the wheel is moving away from it so it is not passed.
+        if (nextPinDistance == 0) {
+            nextPinDistance = pinSpacing;
+        }
+    }
+
+    while (speed > 0) {
+        phases.push({'time' : time, 'distance' : distance, 'speed' : speed});
+
+        let stopDistance = ((speed * speed) / (2 * friction));
+
+        if ((nextPinDistance === null) || ((distance + stopDistance) <= nextPinDistance)) {
+            time += (speed / friction);
+            distance += stopDistance;
+            speed = 0;
+        } else {
+            // Solve distance = speed * t - friction * t * t / 2 for the time the next pin is reached.
+            let pinTime = ((speed - Math.sqrt(Math.max(0, (speed * speed) - (2 * friction * (nextPinDistance - distance))))) / friction);
+
+            time += pinTime;
+            distance = nextPinDistance;
+            speed = Math.max(0, speed - (friction * pinTime) - pinDrag);
+            nextPinDistance += (360 / this.pins.number);
+        }
+    }
+
+    return {
+        'distance' : distance,
+        'duration' : time,
+        'ease'     : function(p) {
+            if ((p >= 1) || (distance == 0)) {
+                return 1;
+            }
+
+            let t = (p * time);
+            let i = (phases.length - 1);
+
+            while ((i > 0) && (phases[i].time > t)) {
+                i --;
+            }
+
+            let phaseTime = (t - phases[i].time);
+
+            return ((phases[i].distance + (phases[i].speed * phaseTime) - (friction * phaseTime * phaseTime / 2)) / distance);
+        }
+    };
+}
+
+// ====================================================================================================================
+// Returns the velocity the wheel must start at for a physics spin to stop after going the specified distance in degrees.
+// The further the wheel goes the faster it must start, so the velocity is found by halving the range it can be in.
+// ====================================================================================================================
+Winwheel.prototype.solveSpinVelocity = function(distance)
+{
+    let friction = (this.animation.friction > 0) ? this.animation.friction : 180;
+    let low = 0;
+    let high = Math.sqrt(2 * friction * distance);
+
+    // The pins slow the wheel down, so it can need to start faster than it would with only the friction.
+    while (this.simulateSpin(high).distance < distance) {
+        low = high;
+        high *= 2;
+    }
+
+    for (let i = 0; i < 60; i ++) {
+        let middle = ((low + high) / 2);
+
+        if (this.simulateSpin(middle).distance < distance) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+
+    return high;
+}
+
+// ====================================================================================================================
+// Calculates and returns a random stop angle inside the specified segment number. Value will always be 1 degree inside
+// the start and end of the segment to avoid issue with the segment overlap.
+// ====================================================================================================================
+Winwheel.prototype.getRandomForSegment = function(segmentNumber)
+{
+    let stopAngle = 0;
+
+    if (segmentNumber) {
+        if (typeof this.segments[segmentNumber] !== 'undefined') {
+            let startAngle = this.segments[segmentNumber].startAngle;
+            let endAngle = this.segments[segmentNumber].endAngle;
+            let range = (endAngle - startAngle) - 2;
+
+            if (range > 0) {
+                stopAngle = (startAngle + 1 + Math.floor((this.getRandom() * range)));
+            } else {
+               // Too small to pick a random angle so use the middle of the segment, which is the best that can be done.
+               stopAngle = (startAngle + ((endAngle - startAngle) / 2));
+               console.log('Segment size is too small to safely get random angle inside it, using the middle of the segment');
+            }
+        } else {
+            console.log('Segment ' + segmentNumber + ' undefined');
+        }
+    } else {
+        console.log('Segment number not specified');
+    }
+
+    return stopAngle;
+}
+
+// ====================================================================================================================
+// Adds a listener function for a wheel event. Any number of listeners can be added for each event. The events are:
+// spinstart, beforeframe (before the wheel is drawn each animation frame), frame (after it is drawn), segmentchange,
+// pinpass, spinend, spincancel, pause, resume, draw, resize, segmentadded, segmentremoved, imagesloaded, segmenthover,
+// segmentclick, dragstart, drag, dragend and snapback.
+// The listener is called with the wheel as this, see where each event is emitted for the arguments passed.
+// ====================================================================================================================
+Winwheel.prototype.on = function(eventName, listener)
+{
+    if (typeof this._listeners[eventName] === 'undefined') {
+        this._listeners[eventName] = [];
+    }
+
+    this._listeners[eventName].push(listener);
+
+    return this;
+}
+
+// ====================================================================================================================
+// Adds a listener which is removed again after it has been called once.
+// ====================================================================================================================
+Winwheel.prototype.once = function(eventName, listener)
+{
+    let theWheel = this;
+
+    let onceListener = function() {
+        theWheel.off(eventName, onceListener);
+        return listener.apply(this, arguments);
+    };
+
+    // Remember the original listener so that off() can be called with it.
+    onceListener.listener = listener;
+
+    return this.on(eventName, onceListener);
+}
+
+// ====================================================================================================================
+// Removes a listener added with on() or once(). If no listener is passed then all the listeners for the event are removed.
+// ====================================================================================================================
+Winwheel.prototype.off = function(eventName, listener)
+{
+    if (typeof this._listeners[eventName] !== 'undefined') {
+        if (typeof listener === 'undefined') {
+            delete this._listeners[eventName];
+        } else {
+            this._listeners[eventName] = this._listeners[eventName].filter(function(l) {
+                return ((l !== listener) && (l.listener !== listener));
+            });
+        }
+    }
+
+    return this;
+}
+
+// ====================================================================================================================
+// Calls all the listeners for the event passing any further arguments to them. The callback options of the animation
+// (callbackBefore, callbackAfter, callbackSound and callbackFinished) are called for their events after the listeners.
+// ====================================================================================================================
+Winwheel.prototype.emit = function(eventName, ...args)
+{
+    if (typeof this._listeners[eventName] !== 'undefined') {
+        // Loop over a copy as once() listeners remove themselves while this is going on.
+        let listeners = this._listeners[eventName].slice();
+
+        for (let i = 0; i < listeners.length; i ++) {
+            listeners[i].apply(this, args);
+        }
+    }
+
+    if (this.animation) {
+        let callback = null;
+
+        if (eventName == 'beforeframe') {
+            callback = this.animation.callbackBefore;
+        } else if (eventName == 'frame') {
+            callback = this.animation.callbackAfter;
+        } else if (eventName == 'spinend') {
+            callback = this.animation.callbackFinished;
+        } else if ((eventName == 'pinpass') && (this.animation.soundTrigger == 'pin')) {
+            callback = this.animation.callbackSound;
+        } else if ((eventName == 'segmentchange') && (this.animation.soundTrigger != 'pin')) {
+            callback = this.animation.callbackSound;
+        }
+
+        if (callback != null) {
+            // If the property is a function or the name of a registered callback then call it, otherwise eval the proptery as javascript code.
+            // The callbacks are called as they always have been, not as listeners, so only the callbackFinished is passed anything,
+            // which is the indicated segment.
+            let callbackFunction = this.resolveCallback(callback);
+
+            if (callbackFunction === null) {
+                winwheelEvalCallback(callback);
+            } else if (eventName == 'spinend') {
+                callbackFunction(args[0]);
+            } else {
+                callbackFunction();
+            }
+        }
+    }
+
+    return this;
+}
+
+// ====================================================================================================================
+// Adds a function to the callbacks registry of the wheel under the specified name. String callback options of the
+// animation which are the same as the name will then call this function rather than being eval'd.
+// ====================================================================================================================
+Winwheel.prototype.registerCallback = function(name, callbackFunction)
+{
+    if (typeof callbackFunction !== 'function') {
+        throw new Error('Winwheel callback ' + name + ' must be a function');
+    }
+
+    this.callbacks[name] = callbackFunction;
+
+    return this;
+}
+
+// ====================================================================================================================
+// Returns the function for a callback option. This is the option itself if it is a function, or the registered
+// callback of that name if it is a string. If neither then null is returned which means the string is code to be eval'd,
+// unless allowEval is false in which case an error is thrown as the callback cannot be called.
+// ====================================================================================================================
+Winwheel.prototype.resolveCallback = function(callback)
+{
+    if (typeof callback === 'function') {
+        return callback;
+    }
+
+    if ((typeof callback === 'string') && (this.callbacks.hasOwnProperty(callback))) {
+        return this.callbacks[callback];
+    }
+
+    if (this.allowEval == false) {
+        throw new Error('Winwheel callback ' + callback + ' is not registered, use registerCallback() to add it as allowEval is false');
+    }
+
+    return null;
+}
+
+// ====================================================================================================================
+// Checks the options of the wheel, its segments, pins and animation. Returns an object with valid set to false if
+// there are any errors, and the lists of errors and warnings. Each has the path of the option and a message.
+// Errors are things which will stop the wheel working correctly, warnings are things which are probably a mistake.
+// ====================================================================================================================
+Winwheel.prototype.validate = function()
+{
+    let result = {
+        'valid'    : true,
+        'errors'   : [],
+        'warnings' : []
+    };
+
+    let error = function(path, message) {
+        result.errors.push({'path' : path, 'message' : message});
+    };
+
+    let warning = function(path, message) {
+        result.warnings.push({'path' : path, 'message' : message});
+    };
+
+    // Checks the value of a text option is one of the allowed values, null is allowed where the global default is used.
+    let checkOneOf = function(path, value, allowed, allowNull) {
+        if (((value === null) && (allowNull)) || (allowed.indexOf(value) != -1)) {
+            return;
+        }
+
+        error(path, 'Must be one of ' + allowed.join(', ') + ' but is ' + value);
+    };
+
+    // Checks a number option is a number within the range, null is allowed where the option is worked out automatically.
+    let checkNumber = function(path, value, min, max, allowNull) {
+        if ((value === null) && (allowNull)) {
+            return;
+        }
+
+        if ((typeof value !== 'number') || (isNaN(value))) {
+            error(path, 'Must be a number but is ' + value);
+        } else if ((min !== null) && (value < min)) {
+            error(path, 'Must be ' + min + ' or more but is ' + value);
+        } else if ((max !== null) && (value > max)) {
+            error(path, 'Must be ' + max + ' or less but is ' + value);
+        }
+    };
+
+    // Checks a sound of the audio options is true, false, null, a URL or an AudioBuffer.
+    let checkSound = function(path, value) {
+        if ((value == null) || (typeof value === 'boolean') || (typeof value === 'string') || (typeof value.getChannelData === 'function')) {
+            return;
+        }
+
+        error(path, 'Must be true, a URL or an AudioBuffer but is ' + value);
+    };
+
+    // Checks a fill spec has a type and stops, colour strings and gradients made by hand are not checked.
+    let checkFill = function(path, value) {
+        if ((value === null) || (typeof value !== 'object') || (typeof value.addColorStop === 'function')) {
+            return;
+        }
+
+        if (winwheelIsFillSpec(value) == false) {
+            error(path, 'Must be a colour, a gradient, or a fill spec with a type and stops');
+        } else {
+            checkOneOf(path + '.type', value.type, ['radial', 'linear', 'conic'], false);
+            checkOneOf(path + '.relativeTo', (typeof value.relativeTo !== 'undefined') ? value.relativeTo : 'segment', ['segment', 'wheel'], false);
+
+            if (value.stops.length == 0) {
+                error(path + '.stops', 'Must have at least one stop');
+            }
+        }
+    };
+
+    // Checks a palette is a known name, an array of colours, or an object with the palette settings.
+    let checkPalette = function(path, value) {
+        if (value === null) {
+            return;
+        }
+
+        let colors = ((typeof value === 'object') && (!Array.isArray(value))) ? value.colors : value;
+
+        if ((typeof colors === 'undefined') || (colors == 'hsl')) {
+            return;
+        }
+
+        if (Array.isArray(colors)) {
+            if (colors.length == 0) {
+                error(path, 'Must have at least one colour');
+            }
+        } else {
+            checkOneOf(path, colors, ['hsl'].concat(Object.keys(winwheelPalettes)), false);
+        }
+    };
+
+    // Checks the textFit is one or more of the ways to fit text, or an object with them as the order.
+    let checkTextFit = function(path, value) {
+        if ((value === null) || (value === false) || (value === true)) {
+            return;
+        }
+
+        let order = ((value) && (typeof value === 'object') && (!Array.isArray(value))) ? value.order : value;
+
+        // An object without an order uses the default order.
+        if ((typeof order === 'undefined') && (typeof value === 'object')) {
+            order = [];
+        }
+
+        if (typeof order === 'string') {
+            order = [order];
+        }
+
+        if (Array.isArray(order) == false) {
+            error(path, 'Must be true, an array of shrink, wrap and truncate, or an object with them as the order');
+            return;
+        }
+
+        for (let i = 0; i < order.length; i ++) {
+            checkOneOf(path + '[' + i + ']', order[i], ['shrink', 'wrap', 'truncate'], false);
+        }
+
+        if ((typeof value.minFontSize !== 'undefined') && (!Array.isArray(value))) {
+            checkNumber(path + '.minFontSize', value.minFontSize, 1, null, false);
+        }
+    };
+
+    // Checks a pattern is either the type or an object with the pattern settings.
+    let checkPattern = function(path, value) {
+        if (value === null) {
+            return;
+        }
+
+        if (typeof value === 'string') {
+            checkOneOf(path, value, winwheelPatternTypes, false);
+        } else if (typeof value !== 'object') {
+            error(path, 'Must be the type of pattern or an object with the pattern settings');
+        } else {
+            checkOneOf(path + '.type', (typeof value.type !== 'undefined') ? value.type : null, winwheelPatternTypes, true);
+            checkNumber(path + '.scale', (typeof value.scale !== 'undefined') ? value.scale : null, 1, null, true);
+            checkNumber(path + '.angle', (typeof value.angle !== 'undefined') ? value.angle : null, null, null, true);
+            checkNumber(path + '.lineWidth', (typeof value.lineWidth !== 'undefined') ? value.lineWidth : null, 0, null, true);
+        }
+    };
+
+    let orientations = ['horizontal', 'vertical', 'curved'];
+    let alignments = ['center', 'inner', 'outer'];
+    let directions = ['normal', 'reversed'];
+    let imageDirections = ['N', 'E', 'S', 'W'];
+
+    // ------------------------------------------
+    // The wheel options.
+    checkOneOf('drawMode', this.drawMode, ['code', 'image', 'segmentImage'], false);
+    checkOneOf('textOrientation', this.textOrientation, orientations, false);
+    checkOneOf('textAlignment', this.textAlignment, alignments, false);
+    checkOneOf('textDirection', this.textDirection, directions, false);
+    checkOneOf('imageDirection', this.imageDirection, imageDirections, false);
+    checkOneOf('renderer', this.renderer, ['canvas', 'svg'], false);
+    checkNumber('outerRadius', this.outerRadius, 0, null, true);
+    checkNumber('innerRadius', this.innerRadius, 0, null, false);
+    checkNumber('rotationAngle', this.rotationAngle, null, null, false);
+    checkNumber('pointerAngle', this.pointerAngle, 0, 360, false);
+    checkNumber('scaleFactor', this.scaleFactor, 0, null, false);
+    checkFill('fillStyle', this.fillStyle);
+    checkPattern('pattern', this.pattern);
+    checkPalette('palette', this.palette);
+    checkTextFit('textFit', this.textFit);
+    checkFill('textFillStyle', this.textFillStyle);
+
+    if ((Number.isInteger(this.numSegments) == false) || (this.numSegments < 1)) {
+        error('numSegments', 'Must be a whole number of 1 or more but is ' + this.numSegments);
+    }
+
+    if ((typeof this.outerRadius === 'number') && (this.innerRadius >= this.outerRadius)) {
+        error('innerRadius', 'Must be less than the outerRadius of ' + this.outerRadius + ' but is ' + this.innerRadius);
+    }
+
+    if ((this.canvasId) && (this.ctx == null)) {
+        warning('canvasId', 'The canvas ' + this.canvasId + ' was not found so the wheel cannot be drawn');
+    }
+
+    // When drawing on to a 2D context without a canvas the position and size of the wheel cannot be worked out.
+    if ((this.ctx) && (!this.canvas) && ((this.centerX == null) || (this.centerY == null) || (this.outerRadius == null))) {
+        error('centerX', 'The centerX, centerY and outerRadius must be set when drawing on to a 2D context without a canvas');
+    }
+
+    // ------------------------------------------
+    // The segments. Remember the position of the segments in the array starts from 1.
+    let arcUsed = 0;
+    let numSet = 0;
+
+    for (let x = 1; x <= this.numSegments; x ++) {
+        let seg = this.segments[x];
+        let path = 'segments[' + x + ']';
+
+        if (!seg) {
+            error(path, 'Segment is missing');
+            continue;
+        }
+
+        checkNumber(path + '.size', seg.size, 0, 360, true);
+        checkNumber(path + '.weight', seg.weight, 0, null, true);
+        checkOneOf(path + '.textOrientation', seg.textOrientation, orientations, true);
+        checkOneOf(path + '.textAlignment', seg.textAlignment, alignments, true);
+        checkOneOf(path + '.textDirection', seg.textDirection, directions, true);
+        checkOneOf(path + '.imageDirection', seg.imageDirection, imageDirections, true);
+        checkFill(path + '.fillStyle', seg.fillStyle);
+        checkPattern(path + '.pattern', seg.pattern);
+        checkTextFit(path + '.textFit', seg.textFit);
+        checkFill(path + '.textFillStyle', seg.textFillStyle);
+
+        if ((this.drawMode == 'segmentImage') && (seg.image === null)) {
+            warning(path + '.image', 'The drawMode is segmentImage but this segment has no image');
+        }
+
+        if (typeof seg.size === 'number') {
+            arcUsed += seg.size;
+            numSet ++;
+        }
+    }
+
+    if (arcUsed > 360) {
+        error('segments', 'The sizes of the segments add up to ' + arcUsed + ' degrees which is more than 360');
+    } else if ((arcUsed == 360) && (numSet < this.numSegments)) {
+        warning('segments', 'The sizes of the segments add up to 360 degrees so the segments without a size will be 0 degrees');
+    } else if ((arcUsed < 360) && (numSet == this.numSegments)) {
+        warning('segments', 'The sizes of the segments only add up to ' + arcUsed + ' degrees so there will be a gap in the wheel');
+    }
+
+    if ((result.errors.length == 0) && (this.hasSegmentWeights())) {
+        let totalWeight = 0;
+
+        for (let x = 1; x <= this.numSegments; x ++) {
+            totalWeight += this.getSegmentWeight(x);
+        }
+
+        if (totalWeight <= 0) {
+            error('segments', 'The weights of the segments add up to 0 so no segment can be picked');
+        }
+    }
+
+    // ------------------------------------------
+    // The pins.
+    if (typeof this.pins !== 'undefined') {
+        if ((Number.isInteger(this.pins.number) == false) || (this.pins.number < 1)) {
+            error('pins.number', 'Must be a whole number of 1 or more but is ' + this.pins.number);
+        }
+
+        checkNumber('pins.outerRadius', this.pins.outerRadius, 0, null, false);
+        checkNumber('pins.margin', this.pins.margin, null, null, false);
+        checkNumber('pins.lineWidth', this.pins.lineWidth, 0, null, false);
+    }
+
+    // ------------------------------------------
+    // The pointer.
+    if (this.pointer) {
+        checkOneOf('pointer.shape', this.pointer.shape, ['triangle', 'arrow', 'flapper'], false);
+        checkNumber('pointer.size', this.pointer.size, 0, null, false);
+        checkNumber('pointer.width', this.pointer.width, 0, null, false);
+        checkNumber('pointer.overlap', this.pointer.overlap, null, null, false);
+        checkNumber('pointer.lineWidth', this.pointer.lineWidth, 0, null, false);
+        checkNumber('pointer.deflection', this.pointer.deflection, 0, 90, false);
+        checkNumber('pointer.maxSpeed', this.pointer.maxSpeed, 1, null, false);
+        checkNumber('pointer.stiffness', this.pointer.stiffness, 1, null, false);
+        checkNumber('pointer.damping', this.pointer.damping, 0, null, false);
+    }
+
+    // ------------------------------------------
+    // The gestures.
+    if (this.gestures) {
+        checkNumber('gestures.minVelocity', this.gestures.minVelocity, 0, null, false);
+        checkNumber('gestures.maxVelocity', this.gestures.maxVelocity, 0, null, false);
+        checkNumber('gestures.minDuration', this.gestures.minDuration, 0, null, false);
+        checkNumber('gestures.maxDuration', this.gestures.maxDuration, 0, null, false);
+        checkNumber('gestures.snapBackDuration', this.gestures.snapBackDuration, 0, null, false);
+        checkNumber('gestures.velocityTime', this.gestures.velocityTime, 1, null, false);
+
+        if (this.gestures.maxVelocity <= this.gestures.minVelocity) {
+            error('gestures.maxVelocity', 'Must be more than the minVelocity of ' + this.gestures.minVelocity);
+        }
+
+        if (this.gestures.maxDuration < this.gestures.minDuration) {
+            error('gestures.maxDuration', 'Must not be less than the minDuration of ' + this.gestures.minDuration);
+        }
+    }
+
+    // ------------------------------------------
+    // The audio.
+    if (this.audio) {
+        let audioSounds = ['tick', 'start', 'whoosh'];
+
+        for (let i = 0; i < audioSounds.length; i ++) {
+            checkSound('audio.' + audioSounds[i], this.audio[audioSounds[i]]);
+        }
+
+        if ((this.audio.categories !== null) && (typeof this.audio.categories === 'object')) {
+            for (let category in this.audio.categories) {
+                checkSound('audio.categories.' + category, this.audio.categories[category]);
+            }
+        } else if (this.audio.categories !== null) {
+            error('audio.categories', 'Must be an object with the sound for each category but is ' + this.audio.categories);
+        }
+
+        checkNumber('audio.volume', this.audio.volume, 0, 1, false);
+        checkNumber('audio.minPitch', this.audio.minPitch, 0, null, false);
+        checkNumber('audio.maxPitch', this.audio.maxPitch, 0, null, false);
+        checkNumber('audio.minTickVolume', this.audio.minTickVolume, 0, 1, false);
+        checkNumber('audio.maxSpeed', this.audio.maxSpeed, 1, null, false);
+        checkNumber('audio.whooshVolume', this.audio.whooshVolume, 0, 1, false);
+
+        if ((Number.isInteger(this.audio.polyphony) == false) || (this.audio.polyphony < 1)) {
+            error('audio.polyphony', 'Must be a whole number of 1 or more but is ' + this.audio.polyphony);
+        }
+    }
+
+    // ------------------------------------------
+    // The callouts.
+    if (this.callouts) {
+        checkNumber('callouts.threshold', this.callouts.threshold, 0, 360, false);
+        checkNumber('callouts.length', this.callouts.length, 0, null, false);
+        checkNumber('callouts.spacing', this.callouts.spacing, 0, null, false);
+        checkNumber('callouts.fontSize', this.callouts.fontSize, 1, null, true);
+    }
+
+    // ------------------------------------------
+    // The animation.
+    if (this.animation) {
+        checkOneOf('animation.type', this.animation.type, ['spinOngoing', 'spinToStop', 'spinAndBack', 'physics', 'custom'], false);
+        checkOneOf('animation.direction', this.animation.direction, ['clockwise', 'anti-clockwise'], false);
+        checkOneOf('animation.soundTrigger', this.animation.soundTrigger, ['segment', 'pin'], false);
+        checkNumber('animation.duration', this.animation.duration, 0, null, false);
+        checkNumber('animation.spins', this.animation.spins, 0, null, true);
+        checkNumber('animation.stopAngle', this.animation.stopAngle, 0, 360, true);
+        checkNumber('animation.repeat', this.animation.repeat, -1, null, true);
+        checkNumber('animation.velocity', this.animation.velocity, 0, null, true);
+        checkNumber('animation.friction', this.animation.friction, 0, null, true);
+        checkNumber('animation.pinDrag', this.animation.pinDrag, 0, null, true);
+
+        if (this.animation.friction === 0) {
+            error('animation.friction', 'Must be more than 0 or the wheel would never stop');
+        }
+
+        if ((this.animation.type == 'custom') && (this.animation.propertyName == null)) {
+            error('animation.propertyName', 'Must be set when the animation type is custom');
+        }
+
+        if ((this.animation.soundTrigger == 'pin') && (this.animation.callbackSound != null) && (typeof this.pins === 'undefined')) {
+            warning('animation.soundTrigger', 'The soundTrigger is pin but the wheel has no pins so the sound will never play');
+        }
+    }
+
+    result.valid = (result.errors.length == 0);
+
+    return result;
+}
+
+// ====================================================================================================================
+// Validates the wheel and deals with any problems according to the validation option of the wheel. In strict mode a
+// WinwheelValidationError is thrown if there are any errors, in lenient mode they are logged to the console. Warnings
+// are for things which might be wrong, such as the canvas not being found yet, so are only ever logged.
+// ====================================================================================================================
+Winwheel.prototype.checkValidation = function()
+{
+    if (this.validation == 'off') {
+        return;
+    }
+
+    let result = this.validate();
+
+    if ((this.validation == 'strict') && (result.errors.length > 0)) {
+        throw new WinwheelValidationError(result.errors, result.warnings);
+    }
+
+    if (this.validation != 'strict') {
+        for (let i = 0; i < result.errors.length; i ++) {
+            console.log('Winwheel error: ' + result.errors[i].path + ' - ' + result.errors[i].message);
+        }
+    }
+
+    for (let i = 0; i < result.warnings.length; i ++) {
+        console.log('Winwheel warning: ' + result.warnings[i].path + ' - ' + result.warnings[i].message);
+    }
+}
+
+// ====================================================================================================================
+// Reports a problem found when a function of the wheel is called, for example deleting a segment which does not exist.
+// Throws in strict validation mode, otherwise it is logged to the console unless validation is off.
+// ====================================================================================================================
+Winwheel.prototype.reportValidationIssue = function(message)
+{
+    if (this.validation == 'strict') {
+        throw new WinwheelValidationError([{'path' : '', 'message' : message}], []);
+    } else if (this.validation != 'off') {
+        console.log('Winwheel error: ' + message);
+    }
+}
+
+// ====================================================================================================================
+// Adds the listeners to the canvas for the built in hover and click interaction. The segment under the pointer is
+// drawn with the hover style and the segmenthover event emitted when it changes, clicking a segment selects it and
+// emits the segmentclick event. Nothing happens while the wheel is spinning.
+// ====================================================================================================================
+Winwheel.prototype.setupInteraction = function()
+{
+    if ((!this.canvas) || (typeof this.canvas.addEventListener !== 'function')) {
+        return;
+    }
+
+    let theWheel = this;
+
+    // Pointer events cover the mouse, touch and pen, older browsers only have mouse events.
+    let usePointer = (typeof PointerEvent !== 'undefined');
+
+    this._interactionMoveHandler = function(e) {
+        if (theWheel.isSpinning()) {
+            return;
+        }
+
+        theWheel.setHoverSegment(theWheel.getSegmentNumberAt(e.clientX, e.clientY));
+    };
+
+    this._interactionLeaveHandler = function() {
+        theWheel.setHoverSegment(null);
+    };
+
+    this._interactionClickHandler = function(e) {
+        if (theWheel.isSpinning()) {
+            return;
+        }
+
+        let segmentNumber = theWheel.getSegmentNumberAt(e.clientX, e.clientY);
+
+        if (segmentNumber !== null) {
+            if (theWheel.interaction.selectOnClick) {
+                theWheel.selectSegment(segmentNumber);
+            }
+
+            theWheel.emit('segmentclick', theWheel.segments[segmentNumber], segmentNumber);
+        }
+    };
+
+    this.canvas.addEventListener(usePointer ? 'pointermove' : 'mousemove', this._interactionMoveHandler);
+    this.canvas.addEventListener(usePointer ? 'pointerleave' : 'mouseleave', this._interactionLeaveHandler);
+    this.canvas.addEventListener('click', this._interactionClickHandler);
+
+    // The hover is removed when the wheel starts spinning as the segment under the pointer will change.
+    this.on('spinstart', function() {
+        theWheel._hoverSegmentNumber = null;
+
+        if (theWheel.canvas.style) {
+            theWheel.canvas.style.cursor = '';
+        }
+    });
+}
+
+// ====================================================================================================================
+// Sets the segment the pointer is over. The wheel is only re-drawn if this is a different segment to before.
+// ====================================================================================================================
+Winwheel.prototype.setHoverSegment = function(segmentNumber)
+{
+    if (segmentNumber === this._hoverSegmentNumber) {
+        return;
+    }
+
+    this._hoverSegmentNumber = segmentNumber;
+
+    if ((this.canvas) && (this.canvas.style) && (this.interaction)) {
+        this.canvas.style.cursor = (segmentNumber !== null) ? this.interaction.cursor : ((this.gestures) ? this.gestures.cursor : '');
+    }
+
+    this.draw();
+
+    this.emit('segmenthover', (segmentNumber !== null) ? this.segments[segmentNumber] : null, segmentNumber);
+}
+
+// ====================================================================================================================
+// Selects the specified segment so it is drawn with the selected style, pass null to remove the selection.
+// ====================================================================================================================
+Winwheel.prototype.selectSegment = function(segmentNumber)
+{
+    this.selectedSegmentNumber = segmentNumber;
+    this.draw();
+}
+
+// ====================================================================================================================
+// Returns the styles to draw the segment with if it is hovered over or selected, or null if it is neither. Styles
+// which are null in the interaction options are left as they are. The hover style is used if a segment is both.
+// ====================================================================================================================
+Winwheel.prototype.getSegmentInteractionStyle = function(segmentNumber)
+{
+    if (!this.interaction) {
+        return null;
+    }
+
+    let prefix = null;
+
+    if (segmentNumber === this._hoverSegmentNumber) {
+        prefix = 'hover';
+    } else if (segmentNumber === this.selectedSegmentNumber) {
+        prefix = 'selected';
+    }
+
+    if (prefix === null) {
+        return null;
+    }
+
+    return {
+        'fillStyle'   : this.interaction[prefix + 'FillStyle'],
+        'strokeStyle' : this.interaction[prefix + 'StrokeStyle'],
+        'lineWidth'   : this.interaction[prefix + 'LineWidth'],
+        'offset'      : this.interaction[prefix + 'Offset']
+    };
+}
+
+// ====================================================================================================================
+// Returns the x and y the segment is to be moved by so it sits out from the center of the wheel, this is used to make
+// hovered or selected segments stand out. The segment is moved along the line through the middle of it.
+// ====================================================================================================================
+Winwheel.prototype.getSegmentOffset = function(segmentNumber)
+{
+    let style = this.getSegmentInteractionStyle(segmentNumber);
+
+    if ((style === null) || (!style.offset)) {
+        return {'x' : 0, 'y' : 0};
+    }
+
+    let seg = this.segments[segmentNumber];
+    let angle = this.degToRad(seg.startAngle + ((seg.endAngle - seg.startAngle) / 2) + this.rotationAngle - 90);
+    let distance = (style.offset * this.scaleFactor);
+
+    return {
+        'x' : (Math.cos(angle) * distance),
+        'y' : (Math.sin(angle) * distance)
+    };
+}
+
+// ====================================================================================================================
+// Adds the listeners to the canvas so the wheel can be grabbed with the mouse or a finger and spun with a flick. While
+// held the wheel follows the pointer, when let go the speed of the flick sets how far and how long the wheel spins for.
+// The spin is a normal spinToStop animation, or physics if that is the type of the animation, so the stop angle and
+// callbackFinished work as they do for startAnimation().
+// A flick slower than the minVelocity puts the wheel back where it was grabbed and does not count as a spin.
+// ====================================================================================================================
+Winwheel.prototype.setupGestures = function()
+{
+    if ((!this.canvas) || (typeof this.canvas.addEventListener !== 'function')) {
+        return;
+    }
+
+    let theWheel = this;
+
+    // Pointer events cover the mouse, touch and pen, older browsers only have mouse events.
+    let usePointer = (typeof PointerEvent !== 'undefined');
+
+    // Once grabbed the pointer can go outside the canvas, so the move and up are listened to on the window where there is one.
+    let moveTarget = (typeof window !== 'undefined') ? window : this.canvas;
+
+    this._gestureDownHandler = function(e) {
+        if ((theWheel.isSpinning()) || (theWheel._gesture) || ((typeof e.button === 'number') && (e.button != 0))) {
+            return;
+        }
+
+        let angle = theWheel.getPointerAngleAt(e.clientX, e.clientY, true);
+
+        if (angle === null) {
+            return;
+        }
+
+        theWheel.startGesture(angle, theWheel.getGestureTime(e));
+
+        // Stop the page scrolling or text being selected while the wheel is dragged.
+        if (typeof e.preventDefault === 'function') {
+            e.preventDefault();
+        }
+
+        moveTarget.addEventListener(usePointer ? 'pointermove' : 'mousemove', theWheel._gestureMoveHandler);
+        moveTarget.addEventListener(usePointer ? 'pointerup' : 'mouseup', theWheel._gestureUpHandler);
+
+        if (usePointer) {
+            moveTarget.addEventListener('pointercancel', theWheel._gestureUpHandler);
+        }
+    };
+
+    this._gestureMoveHandler = function(e) {
+        let angle = theWheel.getPointerAngleAt(e.clientX, e.clientY, false);
+
+        if (angle !== null) {
+            theWheel.moveGesture(angle, theWheel.getGestureTime(e));
+        }
+    };
+
+    this._gestureUpHandler = function(e) {
+        moveTarget.removeEventListener(usePointer ? 'pointermove' : 'mousemove', theWheel._gestureMoveHandler);
+        moveTarget.removeEventListener(usePointer ? 'pointerup' : 'mouseup', theWheel._gestureUpHandler);
+
+        if (usePointer) {
+            moveTarget.removeEventListener('pointercancel', theWheel._gestureUpHandler);
+        }
+
+        theWheel.endGesture(theWheel.getGestureTime(e), (e.type == 'pointercancel'));
+    };
+
+    // The click which comes after a drag is not a click on a segment, so it is stopped before the interaction sees it.
+    this._gestureClickHandler = function(e) {
+        if (theWheel._gestureMoved) {
+            theWheel._gestureMoved = false;
+            e.stopImmediatePropagation();
+        }
+    };
+
+    this.canvas.addEventListener(usePointer ? 'pointerdown' : 'mousedown', this._gestureDownHandler);
+    this.canvas.addEventListener('click', this._gestureClickHandler, true);
+
+    if (this.canvas.style) {
+        this.canvas.style.touchAction = 'none';
+        this.canvas.style.cursor = this.gestures.cursor;
+    }
+}
+
+// ====================================================================================================================
+// Returns the angle from the center of the wheel to the x and y of a pointer event, with 0 at the top going clockwise.
+// If mustBeOnWheel is true then null is returned when the pointer is not over the wheel.
+// ====================================================================================================================
+Winwheel.prototype.getPointerAngleAt = function(x, y, mustBeOnWheel)
+{
+    let loc = this.windowToCanvas(x, y);
+
+    let centerX = (this.centerX * this.scaleFactor);
+    let centerY = (this.centerY * this.scaleFactor);
+    let dx = (loc.x - centerX);
+    let dy = (loc.y - centerY);
+
+    if ((mustBeOnWheel) && (Math.sqrt((dx * dx) + (dy * dy)) > (this.outerRadius * this.scaleFactor))) {
+        return null;
+    }
+
+    // If exactly at the center there is no angle.
+    if ((dx == 0) && (dy == 0)) {
+        return null;
+    }
+
+    return (Math.atan2(dx, 0 - dy) * 180 / Math.PI);
+}
+
+// ====================================================================================================================
+// Returns the time of a pointer event in milliseconds, the time now is used if the event does not have one.
+// ====================================================================================================================
+Winwheel.prototype.getGestureTime = function(e)
+{
+    if ((e) && (typeof e.timeStamp === 'number') && (e.timeStamp > 0)) {
+        return e.timeStamp;
+    }
+
+    return winwheelNow();
+}
+
+// ====================================================================================================================
+// Grabs the wheel at the specified pointer angle. Any snap back still going is stopped and the rotationAngle is put
+// in the range 0 to 360 so the spin when the wheel is let go goes the right way to the stop angle.
+// ====================================================================================================================
+Winwheel.prototype.startGesture = function(angle, time)
+{
+    this.stopSnapBack();
+
+    this.rotationAngle = (this.rotationAngle % 360);
+
+    if (this.rotationAngle < 0) {
+        this.rotationAngle += 360;
+    }
+
+    this._gesture = {
+        'startRotationAngle' : this.rotationAngle,
+        'lastAngle'          : angle,
+        'samples'            : [{'time' : time, 'rotationAngle' : this.rotationAngle}]
+    };
+
+    this._gestureMoved = false;
+
+    // Pins and segments passing the pointer are counted from here while the wheel is dragged and snaps back.
+    this._lastSoundAngle = this.rotationAngle;
+    this._lastSoundTime = winwheelNow();
+
+    if ((this.canvas) && (this.canvas.style)) {
+        this.canvas.style.cursor = this.gestures.grabbingCursor;
+    }
+
+    this.emit('dragstart');
+}
+
+// ====================================================================================================================
+// Turns the wheel by how much the pointer has moved around the center since the last move, then re-draws it.
+// ====================================================================================================================
+Winwheel.prototype.moveGesture = function(angle, time)
+{
+    if (!this._gesture) {
+        return;
+    }
+
+    // Take the shortest way round so going past the top of the wheel (359 to 0 degrees) is a small move not a big one.
+    let delta = (angle - this._gesture.lastAngle);
+
+    if (delta > 180) {
+        delta -= 360;
+    } else if (delta < -180) {
+        delta += 360;
+    }
+
+    this._gesture.lastAngle = angle;
+
+    if (delta == 0) {
+        return;
+    }
+
+    this._gestureMoved = true;
+    this.rotationAngle += delta;
+
+    // Only the last moments of the drag are needed to work out the speed of the flick.
+    let samples = this._gesture.samples;
+    samples.push({'time' : time, 'rotationAngle' : this.rotationAngle});
+
+    while ((samples.length > 2) && ((time - samples[0].time) > this.gestures.velocityTime)) {
+        samples.shift();
+    }
+
+    this.draw();
+
+    // The pins and segments passing the pointer tick and swing the pointer as they do when the wheel spins.
+    winwheelTriggerSound(this);
+
+    this.emit('drag', this.rotationAngle);
+}
+
+// ====================================================================================================================
+// Lets go of the wheel. The speed of the flick is worked out in degrees per second from the movement in the last part
+// of the drag, so pausing before letting go gives no speed. If cancelled, for example a touch taken over by the browser,
+// or the speed is less than the minVelocity the wheel snaps back to where it was grabbed, otherwise it is spun.
+// ====================================================================================================================
+Winwheel.prototype.endGesture = function(time, cancelled)
+{
+    if (!this._gesture) {
+        return;
+    }
+
+    let gesture = this._gesture;
+    this._gesture = null;
+
+    if ((this.canvas) && (this.canvas.style)) {
+        this.canvas.style.cursor = this.gestures.cursor;
+    }
+
+    let velocity = 0;
+    let first = gesture.samples[0];
+    let last = gesture.samples[gesture.samples.length - 1];
+
+    if ((cancelled != true) && ((time - last.time) <= this.gestures.velocityTime) && (last.time > first.time)) {
+        velocity = ((last.rotationAngle - first.rotationAngle) / (last.time - first.time) * 1000);
+    }
+
+    this.emit('dragend', velocity);
+
+    // A click or tap which did not move the wheel, such as to select a segment, has nothing to snap back.
+    if (Math.abs(velocity) >= this.gestures.minVelocity) {
+        this.flick(velocity);
+    } else if (this._gestureMoved) {
+        this.snapBack(gesture.startRotationAngle);
+    }
+}
+
+// ====================================================================================================================
+// Spins the wheel as if flicked at the specified speed in degrees per second, negative being anti-clockwise. Faster
+// flicks spin for longer and go round more times. Returns the Promise from spin().
+// ====================================================================================================================
+Winwheel.prototype.flick = function(velocity)
+{
+    let speed = Math.min(Math.abs(velocity), this.gestures.maxVelocity);
+    let power = Math.max(0, (speed - this.gestures.minVelocity) / (this.gestures.maxVelocity - this.gestures.minVelocity));
+    let duration = (this.gestures.minDuration + ((this.gestures.maxDuration - this.gestures.minDuration) * power));
+
+    // The spin starts at the speed of the flick. The default easing of Power3.easeOut starts at 3 times the average speed
+    // of the spin, so the wheel goes a third of the distance it would if it kept going at that speed the whole time.
+    let spins = Math.max(1, Math.round((speed * duration) / 3 / 360));
+
+    // A physics spin starts at the speed of the flick, then the friction and pins decide how far it goes.
+    let options = {
+        'type'      : 'spinToStop',
+        'direction' : (velocity < 0) ? 'anti-clockwise' : 'clockwise',
+        'duration'  : duration,
+        'spins'     : spins
+    };
+
+    if (this.animation.type == 'physics') {
+        options = {
+            'direction' : options['direction'],
+            'velocity'  : speed
+        };
+    }
+
+    // The options are only used for this spin, spin() puts the animation back as it was once the spin has ended.
+    return this.spin(options);
+}
+
+// ====================================================================================================================
+// Animates the wheel back to the specified rotationAngle after a flick which was too slow to spin it.
+// ====================================================================================================================
+Winwheel.prototype.snapBack = function(rotationAngle)
+{
+    let theWheel = this;
+
+    this._snapBackTween = winwheelGetAnimationEngine(this.animation.engine).to(this, this.gestures.snapBackDuration, {
+        'rotationAngle' : rotationAngle,
+        'ease'          : 'Power2.easeOut',
+        'onUpdate'      : function() {
+            theWheel.draw();
+            winwheelTriggerSound(theWheel);
+        },
+        'onComplete'    : function() {
+            theWheel._snapBackTween = null;
+            theWheel.draw();
+            theWheel.emit('snapback');
+        }
+    });
+}
+
+// ====================================================================================================================
+// Stops the wheel snapping back where it is, if it is.
+// ====================================================================================================================
+Winwheel.prototype.stopSnapBack = function()
+{
+    if (this._snapBackTween) {
+        this._snapBackTween.kill();
+        this._snapBackTween = null;
+    }
+}
+
+// ====================================================================================================================
+// Adds the listeners which play the sounds in the audio options of the wheel through Web Audio. The tick is played
+// each time a pin or segment passes the pointer depending on the soundTrigger of the animation, the start sound and
+// whoosh when the wheel starts spinning, and when it stops the sound for the category of the winning segment.
+// Nothing is played if there is no Web Audio, for example in Node.
+// ====================================================================================================================
+Winwheel.prototype.setupAudio = function()
+{
+    let theWheel = this;
+
+    this._audio = {
+        'gain'      : null,     // Master volume of the wheel, all sounds go through this.
+        'voices'    : [],       // Ticks playing now, the oldest is stopped when there are more than the polyphony.
+        'whoosh'    : null,     // The source, filter and gain of the whoosh while it is playing.
+        'lastAngle' : null,     // Where the wheel was on the last frame, used to work out the speed for the whoosh.
+        'lastTime'  : null
+    };
+
+    // Browsers only let audio start after the user has done something, such as click the button to spin or grab the
+    // wheel, so nothing is created until then.
+    this.on('spinstart', function() {
+        theWheel.startAudio();
+        theWheel.playSound('start');
+        theWheel.startWhoosh();
+    });
+
+    this.on('dragstart', function() {
+        theWheel.startAudio();
+    });
+
+    this.on('pinpass', function(pinNumber, speed) {
+        if (theWheel.animation.soundTrigger == 'pin') {
+            theWheel.playSound('tick', speed);
+        }
+    });
+
+    this.on('segmentchange', function(segment, segmentNumber, speed) {
+        if (theWheel.animation.soundTrigger != 'pin') {
+            theWheel.playSound('tick', speed);
+        }
+    });
+
+    this.on('frame', function() {
+        theWheel.updateWhoosh();
+    });
+
+    this.on('pause', function() {
+        theWheel.stopWhoosh();
+    });
+
+    this.on('resume', function() {
+        theWheel.startWhoosh();
+    });
+
+    this.on('spincancel', function() {
+        theWheel.stopWhoosh();
+    });
+
+    this.on('spinend', function(segment) {
+        theWheel.stopWhoosh();
+
+        if ((segment) && (segment.category != null)) {
+            theWheel.playSound(segment.category);
+        }
+    });
+}
+
+// ====================================================================================================================
+// Creates the audio context if it has not been already, or resumes it if the browser has suspended it, then starts
+// loading the sound files. Called when the user spins or grabs the wheel as browsers only allow audio after that.
+// ====================================================================================================================
+Winwheel.prototype.startAudio = function()
+{
+    let context = winwheelGetAudioContext(true);
+
+    if (context === null) {
+        return;
+    }
+
+    if (context.state == 'suspended') {
+        context.resume();
+    }
+
+    // Sounds which are already made or loaded are kept, so this only does anything the first time.
+    let names = ['tick', 'start', 'whoosh'].concat(Object.keys(this.audio.categories || {}));
+
+    for (let i = 0; i < names.length; i ++) {
+        this.getSoundBuffer(names[i]);
+    }
+}
+
+// ====================================================================================================================
+// Returns the audio context the sounds are played with, creating the master volume of the wheel the first time.
+// All wheels share one audio context as browsers limit how many there can be. Returns null if there is no Web Audio
+// or the audio context has not been created yet by startAudio().
+// ====================================================================================================================
+Winwheel.prototype.getAudioContext = function()
+{
+    let context = winwheelGetAudioContext(false);
+
+    if ((context !== null) && (this._audio.gain === null)) {
+        this._audio.gain = context.createGain();
+        this._audio.gain.connect(context.destination);
+        this.updateAudioVolume();
+    }
+
+    return context;
+}
+
+// ====================================================================================================================
+// Returns the audio buffer for the sound with the specified name, which is tick, start, whoosh or a segment category.
+// The sound option can be true for the built in sound of that name, the URL of a sound file, or an AudioBuffer.
+// Null is returned if the sound is off or a file is still loading.
+// ====================================================================================================================
+Winwheel.prototype.getSoundBuffer = function(name)
+{
+    let sound = (['tick', 'start', 'whoosh'].indexOf(name) != -1) ? this.audio[name] : ((this.audio.categories) ? this.audio.categories[name] : null);
+    let context = this.getAudioContext();
+
+    if ((context === null) || (sound == null) || (sound === false)) {
+        return null;
+    }
+
+    if (typeof sound.getChannelData === 'function') {
+        return sound;
+    }
+
+    if ((sound !== true) && (typeof sound !== 'string')) {
+        return null;
+    }
+
+    // The built in sounds and loaded files are kept so they are only made or loaded once for all wheels.
+    let key = (sound === true) ? ('winwheel:' + name) : sound;
+
+    if (typeof winwheelAudioBuffers[key] === 'undefined') {
+        if (sound === true) {
+            winwheelAudioBuffers[key] = winwheelCreateSoundBuffer(context, name);
+        } else {
+            winwheelAudioBuffers[key] = null;
+
+            fetch(sound).then(function(response) {
+                return response.arrayBuffer();
+            }).then(function(data) {
+                return context.decodeAudioData(data);
+            }).then(function(buffer) {
+                winwheelAudioBuffers[key] = buffer;
+            }).catch(function() {
+                console.log('Winwheel could not load the sound ' + sound);
+            });
+        }
+    }
+
+    return winwheelAudioBuffers[key];
+}
+
+// ====================================================================================================================
+// Plays the sound with the specified name once. For the tick the pitch and volume go up with the speed of the wheel
+// in degrees per second, and many can play over each other up to the polyphony. Returns the source node playing the
+// sound, or null if it was not played.
+// ====================================================================================================================
+Winwheel.prototype.playSound = function(name, speed)
+{
+    let buffer = this.getSoundBuffer(name);
+
+    if ((buffer === null) || (this.audio.muted)) {
+        return null;
+    }
+
+    let context = this.getAudioContext();
+    let source = context.createBufferSource();
+    let gain = context.createGain();
+
+    source.buffer = buffer;
+    source.connect(gain);
+    gain.connect(this._audio.gain);
+
+    if (name == 'tick') {
+        let power = Math.min(1, ((speed) ? speed : 0) / this.audio.maxSpeed);
+
+        source.playbackRate.value = (this.audio.minPitch + ((this.audio.maxPitch - this.audio.minPitch) * power));
+        gain.gain.value = (this.audio.minTickVolume + ((1 - this.audio.minTickVolume) * power));
+
+        // When too many ticks are playing the oldest is cut short to make room.
+        let voices = this._audio.voices;
+        voices.push(source);
+
+        source.onended = function() {
+            let index = voices.indexOf(source);
+
+            if (index != -1) {
+                voices.splice(index, 1);
+            }
+        };
+
+        while (voices.length > this.audio.polyphony) {
+            voices.shift().stop();
+        }
+    }
+
+    source.start();
+
+    return source;
+}
+
+// ====================================================================================================================
+// Starts the whoosh playing in a loop. It is silent until updateWhoosh() sets its volume from the speed of the wheel.
+// ====================================================================================================================
+Winwheel.prototype.startWhoosh = function()
+{
+    let buffer = this.getSoundBuffer('whoosh');
+
+    if ((buffer === null) || (this._audio.whoosh !== null)) {
+        return;
+    }
+
+    let context = this.getAudioContext();
+    let whoosh = {
+        'source' : context.createBufferSource(),
+        'filter' : context.createBiquadFilter(),
+        'gain'   : context.createGain()
+    };
+
+    whoosh.source.buffer = buffer;
+    whoosh.source.loop = true;
+    whoosh.filter.type = 'bandpass';
+    whoosh.gain.gain.value = 0;
+
+    whoosh.source.connect(whoosh.filter);
+    whoosh.filter.connect(whoosh.gain);
+    whoosh.gain.connect(this._audio.gain);
+    whoosh.source.start();
+
+    this._audio.whoosh = whoosh;
+    this._audio.lastAngle = null;
+}
+
+// ====================================================================================================================
+// Called each frame of the animation to make the whoosh louder and higher the faster the wheel is spinning.
+// ====================================================================================================================
+Winwheel.prototype.updateWhoosh = function()
+{
+    let whoosh = this._audio.whoosh;
+
+    if (whoosh === null) {
+        return;
+    }
+
+    let now = winwheelNow();
+
+    if (this._audio.lastAngle !== null) {
+        let elapsed = ((now - this._audio.lastTime) / 1000);
+        let speed = (elapsed > 0) ? (Math.abs(this.rotationAngle - this._audio.lastAngle) / elapsed) : 0;
+        let power = Math.min(1, speed / this.audio.maxSpeed);
+        let context = this.getAudioContext();
+
+        // Change smoothly as the frames do not come at exactly the same time.
+        whoosh.gain.gain.setTargetAtTime((power * this.audio.whooshVolume), context.currentTime, 0.05);
+        whoosh.filter.frequency.setTargetAtTime((300 + (2000 * power)), context.currentTime, 0.05);
+    }
+
+    this._audio.lastAngle = this.rotationAngle;
+    this._audio.lastTime = now;
+}
+
+// ====================================================================================================================
+// Stops the whoosh.
+// ====================================================================================================================
+Winwheel.prototype.stopWhoosh = function()
+{
+    if (this._audio.whoosh !== null) {
+        this._audio.whoosh.source.stop();
+        this._audio.whoosh.gain.disconnect();
+        this._audio.whoosh = null;
+    }
+}
+
+// ====================================================================================================================
+// Sets the volume of all the sounds of the wheel from 0 to 1.
+// ====================================================================================================================
+Winwheel.prototype.setVolume = function(volume)
+{
+    if (this.audio) {
+        this.audio.volume = volume;
+        this.updateAudioVolume();
+    }
+}
+
+// ====================================================================================================================
+// Mutes or un-mutes all the sounds of the wheel.
+// ====================================================================================================================
+Winwheel.prototype.setMuted = function(muted)
+{
+    if (this.audio) {
+        this.audio.muted = (muted == true);
+        this.updateAudioVolume();
+    }
+}
+
+// ====================================================================================================================
+// Sets the master volume of the wheel from the volume and muted audio options.
+// ====================================================================================================================
+Winwheel.prototype.updateAudioVolume = function()
+{
+    if ((this._audio) && (this._audio.gain !== null)) {
+        this._audio.gain.gain.value = (this.audio.muted) ? 0 : this.audio.volume;
+    }
+}
+
+// ====================================================================================================================
+// Creates the hidden elements which make the wheel accessible. These are a list of the segments placed after the canvas
+// which keyboard users can move through with the arrow keys and spin the wheel from with Enter or Space, and a live
+// region which screen readers announce the result of the spin from. The list is kept in step with the segments.
+// ====================================================================================================================
+Winwheel.prototype.setupAccessibility = function()
+{
+    // This needs the canvas to be in a page, without one there is nothing for a screen reader to read.
+    if ((typeof document === 'undefined') || (!this.canvas) || (!this.canvas.parentNode)) {
+        return;
+    }
+
+    let theWheel = this;
+
+    // The elements are hidden visually but not from screen readers.
+    let container = document.createElement('div');
+    container.style.cssText = 'position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; border: 0; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;';
+
+    let list = document.createElement('ul');
+    list.setAttribute('role', 'listbox');
+    list.setAttribute('tabindex', '0');
+    list.setAttribute('aria-label', this.accessibility.label);
+    list.setAttribute('aria-roledescription', this.accessibility.roleDescription);
+
+    let liveRegion = document.createElement('div');
+    liveRegion.setAttribute('role', 'status');
+    liveRegion.setAttribute('aria-live', 'polite');
+
+    container.appendChild(list);
+    container.appendChild(liveRegion);
+    this.canvas.parentNode.insertBefore(container, this.canvas.nextSibling);
+
+    this._accessibilityList = list;
+    this._accessibilityLiveRegion = liveRegion;
+    this._accessibilitySegmentsText = null;
+    this._focusedSegmentNumber = null;
+
+    // ------------------------------------------
+    // Keyboard handling, the arrow keys move between the segments and Enter or Space spins the wheel.
+    list.addEventListener('keydown', function(e) {
+        let segmentNumber = (theWheel._focusedSegmentNumber !== null) ? theWheel._focusedSegmentNumber : 0;
+
+        if ((e.key == 'ArrowDown') || (e.key == 'ArrowRight')) {
+            segmentNumber = (segmentNumber >= theWheel.numSegments) ? 1 : segmentNumber + 1;
+        } else if ((e.key == 'ArrowUp') || (e.key == 'ArrowLeft')) {
+            segmentNumber = (segmentNumber <= 1) ? theWheel.numSegments : segmentNumber - 1;
+        } else if (e.key == 'Home') {
+            segmentNumber = 1;
+        } else if (e.key == 'End') {
+            segmentNumber = theWheel.numSegments;
+        } else if ((e.key == 'Enter') || (e.key == ' ')) {
+            e.preventDefault();
+
+            if (theWheel.isSpinning() == false) {
+                theWheel.startAnimation();
+            }
+
+            return;
+        } else {
+            return;
+        }
+
+        e.preventDefault();
+        theWheel.focusSegment(segmentNumber);
+    });
+
+    // When the list gets focus the current segment is shown on the wheel, and removed again when it loses focus.
+    list.addEventListener('focus', function() {
+        theWheel.focusSegment((theWheel._focusedSegmentNumber !== null) ? theWheel._focusedSegmentNumber : 1);
+    });
+
+    list.addEventListener('blur', function() {
+        theWheel._focusedSegmentNumber = null;
+        list.removeAttribute('aria-activedescendant');
+        theWheel.draw();
+    });
+
+    // ------------------------------------------
+    // Keep the list in step with the segments and announce what is happening.
+    this.on('draw', function() {
+        theWheel.updateAccessibility();
+    });
+
+    this.on('spinstart', function() {
+        theWheel.announce(theWheel.accessibility.spinStartText);
+    });
+
+    this.on('spinend', function(segment) {
+        if (segment) {
+            theWheel.announce(winwheelFormatText(theWheel.accessibility.resultText, segment, theWheel.getIndicatedSegmentNumber()));
+        }
+    });
+
+    this.updateAccessibility();
+}
+
+// ====================================================================================================================
+// Re-creates the hidden list of segments if the segments have been added, removed, or their text changed.
+// ====================================================================================================================
+Winwheel.prototype.updateAccessibility = function()
+{
+    if (!this._accessibilityList) {
+        return;
+    }
+
+    let texts = [];
+
+    for (let x = 1; x <= this.numSegments; x ++) {
+        texts.push(winwheelFormatText(this.accessibility.segmentText, this.segments[x], x));
+    }
+
+    // Only change the list when something has changed, as this is called every time the wheel is drawn.
+    let segmentsText = texts.join('\n');
+
+    if (segmentsText === this._accessibilitySegmentsText) {
+        return;
+    }
+
+    this._accessibilitySegmentsText = segmentsText;
+
+    // Each wheel needs its own ids for the list items, so use a count of the wheels made accessible.
+    if (typeof this._accessibilityId === 'undefined') {
+        winwheelAccessibilityCount ++;
+        this._accessibilityId = 'winwheel-' + winwheelAccessibilityCount;
+    }
+
+    while (this._accessibilityList.firstChild) {
+        this._accessibilityList.removeChild(this._accessibilityList.firstChild);
+    }
+
+    for (let x = 1; x <= this.numSegments; x ++) {
+        let item = document.createElement('li');
+        item.setAttribute('role', 'option');
+        item.setAttribute('id', this._accessibilityId + '-segment-' + x);
+        item.setAttribute('aria-setsize', this.numSegments);
+        item.setAttribute('aria-posinset', x);
+        item.textContent = texts[x - 1];
+
+        this._accessibilityList.appendChild(item);
+    }
+
+    // The focused segment may no longer exist.
+    if ((this._focusedSegmentNumber !== null) && (this._focusedSegmentNumber > this.numSegments)) {
+        this.focusSegment(this.numSegments);
+    }
+}
+
+// ====================================================================================================================
+// Makes the specified segment the one focused by the keyboard, this is announced by screen readers and the segment is
+// outlined on the wheel using the focus style of the accessibility options.
+// ====================================================================================================================
+Winwheel.prototype.focusSegment = function(segmentNumber)
+{
+    if (!this._accessibilityList) {
+        return;
+    }
+
+    this._focusedSegmentNumber = segmentNumber;
+
+    let previous = this._accessibilityList.querySelector('[aria-selected]');
+
+    if (previous) {
+        previous.removeAttribute('aria-selected');
+    }
+
+    let item = this._accessibilityList.children[segmentNumber - 1];
+
+    if (item) {
+        item.setAttribute('aria-selected', 'true');
+        this._accessibilityList.setAttribute('aria-activedescendant', item.id);
+    }
+
+    this.draw();
+}
+
+// ====================================================================================================================
+// Has screen readers read out the text by putting it in the live region.
+// ====================================================================================================================
+Winwheel.prototype.announce = function(text)
+{
+    if ((this._accessibilityLiveRegion) && (text)) {
+        this._accessibilityLiveRegion.textContent = text;
+    }
+}
+
+// ====================================================================================================================
+// Returns true if the user has asked for reduced motion and the accessibility options say to respect it.
+// ====================================================================================================================
+Winwheel.prototype.prefersReducedMotion = function()
+{
+    if ((!this.accessibility) || (this.accessibility.reducedMotion == 'ignore')) {
+        return false;
+    }
+
+    if ((typeof window === 'undefined') || (typeof window.matchMedia !== 'function')) {
+        return false;
+    }
+
+    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// ====================================================================================================================
+// Draws the outline around the segment which has keyboard focus so sighted keyboard users can see where they are.
+// ====================================================================================================================
+Winwheel.prototype.drawFocusedSegment = function()
+{
+    if ((this.ctx) && (this._focusedSegmentNumber) && (this.segments[this._focusedSegmentNumber])) {
+        let seg = this.segments[this._focusedSegmentNumber];
+        let centerX = (this.centerX * this.scaleFactor);
+        let centerY = (this.centerY * this.scaleFactor);
+        let innerRadius = (this.innerRadius * this.scaleFactor);
+        let outerRadius = (this.outerRadius * this.scaleFactor);
+
+        this.setRenderClass('winwheel-focus');
+        this.ctx.save();
+        this.ctx.strokeStyle = this.accessibility.focusStrokeStyle;
+        this.ctx.lineWidth = this.accessibility.focusLineWidth;
+
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, outerRadius, this.degToRad(seg.startAngle + this.rotationAngle - 90), this.degToRad(seg.endAngle + this.rotationAngle - 90), false);
+
+        if (innerRadius) {
+            this.ctx.arc(centerX, centerY, innerRadius, this.degToRad(seg.endAngle + this.rotationAngle - 90), this.degToRad(seg.startAngle + this.rotationAngle - 90), true);
+        } else {
+            this.ctx.lineTo(centerX, centerY);
+        }
+
+        this.ctx.closePath();
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+}
+
+// ====================================================================================================================
+// Sets the random number generator used to pick where the wheel stops. This can be a function which returns a number
+// from 0 to less than 1 (like Math.random), or a number which is used as the seed for the built in seeded generator
+// so the same seed and spins will always give the same results. Pass null to go back to using Math.random.
+// ====================================================================================================================
+Winwheel.prototype.setRandom = function(random)
+{
+    if (typeof random === 'number') {
+        this.randomSeed = random;
+        this.random = winwheelSeededRandom(random);
+    } else if (typeof random === 'function') {
+        this.randomSeed = null;
+        this.random = random;
+    } else {
+        this.randomSeed = null;
+        this.random = null;
+    }
+}
+
+// ====================================================================================================================
+// Returns a random number from 0 to less than 1 using the wheel's random number generator.
+// ====================================================================================================================
+Winwheel.prototype.getRandom = function()
+{
+    if (typeof this.random === 'function') {
+        return this.random();
+    }
+
+    return Math.random();
+}
+
+// ====================================================================================================================
+// Returns true if any of the segments have a weight set, in which case spinToStop animations without a stopAngle
+// pick the prize using the weights rather than a random angle.
+// ====================================================================================================================
+Winwheel.prototype.hasSegmentWeights = function()
+{
+    for (let x = 1; x <= this.numSegments; x ++) {
+        if ((this.segments[x]) && (this.segments[x].weight !== null) && (typeof this.segments[x].weight !== 'undefined')) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+// ====================================================================================================================
+// Picks a segment at random using the weight of each segment, so a segment with a weight of 1 when all the others
+// have 99 will be picked 1% of the time no matter how big it is on the wheel. Segments without a weight count as 1.
+// Returns the number of the segment, or null if all the weights are 0.
+// ====================================================================================================================
+Winwheel.prototype.getWeightedRandomSegmentNumber = function()
+{
+    let totalWeight = 0;
+
+    for (let x = 1; x <= this.numSegments; x ++) {
+        totalWeight += this.getSegmentWeight(x);
+    }
+
+    if (totalWeight <= 0) {
+        console.log('Segment weights add up to 0 so a segment cannot be picked using them');
+        return null;
+    }
+
+    // Pick a random point along the total of the weights, then find the segment whose share of the total it falls in.
+    let randomWeight = (this.getRandom() * totalWeight);
+    let segmentNumber = null;
+
+    for (let x = 1; x <= this.numSegments; x ++) {
+        let weight = this.getSegmentWeight(x);
+
+        if (weight > 0) {
+            // Remember the last segment which could win in case rounding leaves the random weight just past the end.
+            segmentNumber = x;
+
+            if (randomWeight < weight) {
+                break;
+            }
+
+            randomWeight -= weight;
+        }
+    }
+
+    return segmentNumber;
+}
+
+// ====================================================================================================================
+// Returns the weight of the specified segment number, a segment without a weight has a weight of 1.
+// ====================================================================================================================
+Winwheel.prototype.getSegmentWeight = function(segmentNumber)
+{
+    let weight = this.segments[segmentNumber].weight;
+
+    if ((weight === null) || (typeof weight === 'undefined')) {
+        return 1;
+    }
+
+    // A negative weight makes no sense so treat it as never being picked.
+    return Math.max(0, Number(weight));
+}
+
+// ====================================================================================================================
+// Returns the configuration of the wheel as a plain object which can be turned in to JSON, saved, and given to
+// Winwheel.fromJSON() to recreate the wheel. This includes the segments, animation, pins and pointer guide options
+// and the current rotationAngle. Things which only exist while the wheel is running, such as the canvas, context,
+// tween and image data, are left out as are any functions such as callbacks (string callbacks are kept).
+// JSON.stringify() calls this function automatically when passed a wheel.
+// ====================================================================================================================
+Winwheel.prototype.toJSON = function()
+{
+    let json = winwheelCopyOptions(this, ['canvas', 'ctx', 'tween', 'segments', 'animation', 'pins', 'pointerGuide', 'pointer', 'interaction', 'gestures', 'audio', 'callouts', 'accessibility', 'callbacks', 'random', 'wheelImage', 'selectedSegmentNumber']);
+
+    // The schema version goes first so it is easy to see when looking at the JSON.
+    json = Object.assign({'schemaVersion' : Winwheel.schemaVersion}, json);
+
+    // The wheel image is an image object, so save where it was loaded from.
+    if ((this.wheelImage) && (this.wheelImage.src)) {
+        json['wheelImage'] = this.wheelImage.src;
+    } else if (typeof this.wheelImage === 'string') {
+        json['wheelImage'] = this.wheelImage;
+    }
+
+    // Remember the position of the segments in the array starts from 1.
+    json['segments'] = [];
+
+    for (let x = 1; x <= this.numSegments; x ++) {
+        let seg = this.segments[x];
+        let segmentJson = winwheelCopyOptions(seg, ['imgData', 'startAngle', 'endAngle']);
+
+        // Colours from the palette are not saved, the palette gives them again when the wheel is created.
+        if ((typeof seg._paletteFillStyle !== 'undefined') && (seg.fillStyle === seg._paletteFillStyle)) {
+            segmentJson['fillStyle'] = null;
+        }
+
+        if ((typeof seg._paletteTextFillStyle !== 'undefined') && (seg.textFillStyle === seg._paletteTextFillStyle)) {
+            segmentJson['textFillStyle'] = null;
+        }
+
+        json['segments'].push(segmentJson);
+    }
+
+    json['animation'] = winwheelCopyOptions(this.animation, []);
+    json['pointerGuide'] = winwheelCopyOptions(this.pointerGuide, []);
+
+    if (typeof this.pins !== 'undefined') {
+        json['pins'] = winwheelCopyOptions(this.pins, []);
+    }
+
+    if (this.pointer) {
+        json['pointer'] = winwheelCopyOptions(this.pointer, []);
+    }
+
+    if (this.interaction) {
+        json['interaction'] = winwheelCopyOptions(this.interaction, []);
+    }
+
+    if (this.gestures) {
+        json['gestures'] = winwheelCopyOptions(this.gestures, []);
+    }
+
+    if (this.audio) {
+        json['audio'] = winwheelCopyOptions(this.audio, []);
+    }
+
+    if (this.callouts) {
+        json['callouts'] = winwheelCopyOptions(this.callouts, []);
+    }
+
+    if (this.accessibility) {
+        json['accessibility'] = winwheelCopyOptions(this.accessibility, []);
+    }
+
+    return json;
+}
+
+// ====================================================================================================================
+// Creates a wheel from the configuration returned by toJSON(), which can be passed as the object or the JSON string.
+// The wheel is drawn on the canvas with the specified id, or the canvasId saved in the JSON if one is not specified.
+// If the wheel had a seeded random number generator the new wheel starts again from the beginning of that seed.
+// ====================================================================================================================
+Winwheel.fromJSON = function(json, canvasId)
+{
+    let options = (typeof json === 'string') ? JSON.parse(json) : Object.assign({}, json);
+
+    if ((typeof options.schemaVersion !== 'undefined') && (options.schemaVersion > Winwheel.schemaVersion)) {
+        throw new Error('Winwheel JSON schema version ' + options.schemaVersion + ' is newer than the supported version ' + Winwheel.schemaVersion);
+    }
+
+    delete options.schemaVersion;
+
+    if (typeof canvasId !== 'undefined') {
+        options.canvasId = canvasId;
+    }
+
+    // The seed becomes the random option which will create the seeded generator again.
+    if ((typeof options.randomSeed !== 'undefined') && (options.randomSeed !== null)) {
+        options.random = options.randomSeed;
+    }
+
+    delete options.randomSeed;
+
+    // The wheel image was saved as the source of the image, so load it and draw the wheel once it has loaded
+    // like the examples for image wheels do.
+    let wheelImageSrc = null;
+
+    if (typeof options.wheelImage === 'string') {
+        wheelImageSrc = options.wheelImage;
+        options.wheelImage = null;
+    }
+
+    let wheel = new Winwheel(options);
+    let wheelImage = (wheelImageSrc !== null) ? winwheelCreateImage(wheel) : null;
+
+    if (wheelImage !== null) {
+        wheelImage.onload = function() {
+            wheel.wheelImage = wheelImage;
+            wheel.draw();
+        };
+
+        wheelImage.src = wheelImageSrc;
+    }
+
+    return wheel;
+}
+
+// The version of the object returned by toJSON(), this is increased if the format changes in a way older code cannot read.
+Winwheel.schemaVersion = 1;
+
+// ====================================================================================================================
+// Class for the wheel pins.
+// ====================================================================================================================
+function Pin(options)
+{
+    let defaultOptions = {
+        'visible'        : true,     // In future there might be some functionality related to the pins even if they are not displayed.
+        'number'         : 36,       // The number of pins. These are evenly distributed around the wheel.
+        'outerRadius'    : 3,        // Radius of the pins which determines their size.
+        'fillStyle'      : 'grey',   // Fill colour of the pins.
+        'strokeStyle'    : 'black',  // Line colour of the pins.
+        'lineWidth'      : 1,        // Line width of the pins.
+        'margin'         : 3,        // The space between outside edge of the wheel and the pins.
+        'responsive'     : false,    // If set to true the diameter of the pin will resize when the wheel is responsive.
+    };
+
+    // Now loop through the default options and create properties of this class set to the value for
+    // the option passed in if a value was, or if not then set the value of the default.
+    for (let key in defaultOptions) {
+        if ((options != null) && (typeof(options[key]) !== 'undefined')) {
+            this[key] = options[key];
+        } else {
+            this[key] = defaultOptions[key];
+        }
+    }
+
+    // Also loop though the passed in options and add anything specified not part of the class in to it as a property.
+    if (options != null) {
+        for (let key in options) {
+            if (typeof(this[key]) === 'undefined') {
+                this[key] = options[key];
+            }
+        }
+    }
+}
+
+// ====================================================================================================================
+// Class for the wheel spinning animation which like a segment becomes a property of the wheel.
+// ====================================================================================================================
+function Animation(options)
+{
+    // Most of these options are null because the defaults are different depending on the type of animation.
+    let defaultOptions = {
+        'type'              : 'spinOngoing',   // For now there are only supported types are spinOngoing (continuous), spinToStop, spinAndBack, physics, custom.
+        'direction'         : 'clockwise',     // clockwise or anti-clockwise.
+        'propertyName'      : null,            // The name of the winning wheel property to be affected by the animation.
+        'propertyValue'     : null,            // The value the property is to be set to at the end of the animation.
+        'duration'          : 10,              // Duration of the animation.
+        'yoyo'              : false,           // If the animation is to reverse back again i.e. yo-yo.
+        'repeat'            : null,            // The number of times the animation is to repeat, -1 will cause it to repeat forever.
+        'easing'            : null,            // The easing to use for the animation, default is the best for spin to stop. Use Linear.easeNone for no easing. Can also be a function.
+        'stopAngle'         : null,            // Used for spinning, the angle at which the wheel is to stop.
+        'spins'             : null,            // Used for spinning, the number of complete 360 degree rotations the wheel is to do.
+        'velocity'          : null,            // Used for physics, the speed in degrees per second the wheel starts at. If null a random speed is used.
+        'friction'          : null,            // Used for physics, the speed in degrees per second the wheel loses each second.
+        'pinDrag'           : null,            // Used for physics, the speed in degrees per second the wheel loses each time a pin passes the pointer.
+        'solveForTarget'    : false,           // Used for physics, if true the velocity is changed so the wheel stops at the stopAngle.
+        'clearTheCanvas'    : null,            // If set to true the canvas will be cleared before the wheel is re-drawn, false it will not, null the animation will abide by the value of this property for the parent wheel object.
+        'callbackFinished'  : null,            // Function to callback when the animation has finished.
+        'callbackBefore'    : null,            // Function to callback before the wheel is drawn each animation loop.
+        'callbackAfter'     : null,            // Function to callback after the wheel is drawn each animation loop.
+        'callbackSound'     : null,            // Function to callback if a sound should be triggered on change of segment or pin.
+        'soundTrigger'      : 'segment',       // Sound trigger type. Default is segment which triggers when segment changes, can be pin if to trigger when pin passes the pointer.
+        'engine'            : 'builtin'        // Animation engine. Default is the built in one, can be 'gsap' to use TweenMax or an object with a to(target, duration, properties) function.
+    };
+
+    // Now loop through the default options and create properties of this class set to the value for
+    // the option passed in if a value was, or if not then set the value of the default.
+    for (let key in defaultOptions) {
+        if ((options != null) && (typeof(options[key]) !== 'undefined')) {
+            this[key] = options[key];
+        } else {
+            this[key] = defaultOptions[key];
+        }
+    }
+
+    // Also loop though the passed in options and add anything specified not part of the class in to it as a property.
+    if (options != null) {
+        for (let key in options) {
+            if (typeof(this[key]) === 'undefined') {
+                this[key] = options[key];
+            }
+        }
+    }
+}
+
+// ====================================================================================================================
+// Class for segments. When creating a json of options can be passed in.
+// ====================================================================================================================
+function Segment(options)
+{
+    // Define default options for segments, most are null so that the global defaults for the wheel
+    // are used if the values for a particular segment are not specifically set.
+    let defaultOptions = {
+        'size'              : null, // Leave null for automatic. Valid values are degrees 0-360. Use percentToDegrees function if needed to convert.
+        'text'              : '',   // Default is blank.
+        'fillStyle'         : null, // If null for the rest the global default will be used.
+        'strokeStyle'       : null,
+        'lineWidth'         : null,
+        'textFontFamily'    : null,
+        'textFontSize'      : null,
+        'textFontWeight'    : null,
+        'textOrientation'   : null,
+        'textAlignment'     : null,
+        'textDirection'     : null,
+        'textMargin'        : null,
+        'textFillStyle'     : null,
+        'textStrokeStyle'   : null,
+        'textLineWidth'     : null,
+        'textFit'           : null,
+        'image'             : null, // Name/path to the image
+        'imageDirection'    : null, // Direction of the image, can be set globally for the whole wheel.
+        'imgData'           : null, // Image object created here and loaded with image data.
+        'weight'            : null, // Chance of this segment being the prize relative to the other segments' weights. null counts as 1 once any segment has a weight.
+        'pattern'           : null, // Pattern drawn over the segment, either the type or an object such as {'type' : 'stripes', 'color' : 'white', 'scale' : 8, 'angle' : 45}.
+        'category'          : null  // Group the segment is in, such as win or lose. The audio option plays the sound for the category when it wins.
+    };
+
+    // Now loop through the default options and create properties of this class set to the value for
+    // the option passed in if a value was, or if not then set the value of the default.
+    for (let key in defaultOptions) {
+        if ((options != null) && (typeof(options[key]) !== 'undefined')) {
+            this[key] = options[key];
+        } else {
+            this[key] = defaultOptions[key];
+        }
+    }
+
+    // Also loop though the passed in options and add anything specified not part of the class in to it as a property.
+    // This allows the developer to easily add properties to segments at construction time.
+    if (options != null) {
+        for (let key in options) {
+            if (typeof(this[key]) === 'undefined') {
+                this[key] = options[key];
+            }
+        }
+    }
+
+    // There are 2 additional properties which are set by the code, so need to define them here.
+    // They are not in the default options because they are not something that should be set by the user,
+    // the values are updated every time the updateSegmentSizes() function is called.
+    this.startAngle = 0;
+    this.endAngle   = 0;
+}
+
+// ====================================================================================================================
+// Changes an image for a segment by setting a callback to render the wheel once the image has loaded.
+// ====================================================================================================================
+Segment.prototype.changeImage = function(image, imageDirection)
+{
+    // Change image name, blank image data.
+    this.image = image;
+    this.imgData = null;
+
+    // Set direction.
+    if (imageDirection) {
+        this.imageDirection = imageDirection;
+    }
+
+    // Set imgData to a new image object, change set callback and change src (just like in wheel constructor).
+    // The wheel this segment belongs to is the one which needs to be re-drawn once the image has loaded.
+    let theWheel = this._wheel;
+
+    if (theWheel) {
+        theWheel._imagesAlreadyDrawn = false;
+    }
+
+    this.imgData = winwheelCreateImage(theWheel);
+
+    if (this.imgData !== null) {
+        this.imgData.onload = function() {
+            if (theWheel) {
+                winwheelLoadedImage(theWheel);
+            }
+        };
+        this.imgData.src = this.image;
+    }
+}
+
+// ====================================================================================================================
+// Class that is created as property of the wheel. Draws line from center of the wheel out to edge of canvas to
+// indicate where the code thinks the pointer location is. Helpful to get alignment correct esp when using images.
+// ====================================================================================================================
+function PointerGuide(options)
+{
+    let defaultOptions = {
+        'display'     : false,
+        'strokeStyle' : 'red',
+        'lineWidth'   : 3
+    };
+
+    // Now loop through the default options and create properties of this class set to the value for
+    // the option passed in if a value was, or if not then set the value of the default.
+    for (let key in defaultOptions) {
+        if ((options != null) && (typeof(options[key]) !== 'undefined')) {
+            this[key] = options[key];
+        } else {
+            this[key] = defaultOptions[key];
+        }
+    }
+}
+
+// ====================================================================================================================
+// Class for the pointer options of the wheel, created when the pointer option is passed to the wheel. The sizes are
+// scaled with the wheel like everything else, the speed is in degrees per second.
+// ====================================================================================================================
+function WinwheelPointer(options)
+{
+    let defaultOptions = {
+        'shape'         : 'triangle',              // Shape of the pointer, triangle, arrow or flapper.
+        'size'          : 40,                      // Length from the tip to the back of the pointer.
+        'width'         : 24,                      // Width of the pointer at its widest.
+        'overlap'       : 10,                      // How far the tip goes over the edge of the wheel.
+        'fillStyle'     : 'red',                   // Fill colour of the pointer.
+        'strokeStyle'   : 'black',                 // Outline colour, also the colour of the pin the flapper swings on.
+        'lineWidth'     : 1,                       // Width of the outline.
+        'shadowColor'   : 'rgba(0, 0, 0, 0.5)',    // Colour of the shadow, use 'transparent' for none.
+        'shadowBlur'    : 4,                       // How blurred the shadow is.
+        'shadowOffsetX' : 2,                       // How far across the shadow is from the pointer.
+        'shadowOffsetY' : 2,                       // How far down the shadow is from the pointer.
+        'deflection'    : 25,                      // Degrees the pointer swings when a pin passes at the maxSpeed. 0 for it not to swing.
+        'maxSpeed'      : 1440,                    // Speed at which a pin passing swings the pointer by the whole deflection.
+        'stiffness'     : 400,                     // How strongly the spring pulls the pointer back, higher is quicker.
+        'damping'       : 15                       // How quickly the swing of the pointer dies away.
+    };
+
+    // Now loop through the default options and create properties of this class set to the value for
+    // the option passed in if a value was, or if not then set the value of the default.
+    for (let key in defaultOptions) {
+        if ((options != null) && (typeof(options[key]) !== 'undefined')) {
+            this[key] = options[key];
+        } else {
+            this[key] = defaultOptions[key];
+        }
+    }
+}
+
+// ====================================================================================================================
+// Records the wheel a segment belongs to, this is needed so that things like changing the segment image know which
+// wheel to re-draw. The property is not enumerable so it is not picked up when looping over or stringifying the segment.
+// ====================================================================================================================
+function winwheelSetSegmentOwner(segment, wheel)
+{
+    Object.defineProperty(segment, '_wheel', {
+        'value'        : wheel,
+        'writable'     : true,
+        'configurable' : true
+    });
+}
+
+// ====================================================================================================================
+// Returns a seeded random number generator, each call of the returned function gives the next number from 0 to less
+// than 1 in the sequence for the seed. This uses the mulberry32 algorithm which is small, fast, and good enough for games.
+// ====================================================================================================================
+function winwheelSeededRandom(seed)
+{
+    let state = (seed >>> 0);
+
+    return function() {
+        state = ((state + 0x6D2B79F5) >>> 0);
+
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return (((t ^ (t >>> 14)) >>> 0) / 4294967296);
+    };
+}
+
+// ====================================================================================================================
+// Error thrown when the wheel is not valid in strict validation mode. The errors and warnings are the lists from the
+// validate() function of the wheel, the message contains all of them so it is useful when seen in the console.
+// ====================================================================================================================
+function WinwheelValidationError(errors, warnings)
+{
+    let problems = errors.concat(warnings).map(function(problem) {
+        return ((problem.path) ? (problem.path + ' - ') : '') + problem.message;
+    });
+
+    this.name = 'WinwheelValidationError';
+    this.message = 'Winwheel options are not valid: ' + problems.join('; ');
+    this.errors = errors;
+    this.warnings = warnings;
+    this.stack = (new Error(this.message)).stack;
+}
+
+WinwheelValidationError.prototype = Object.create(Error.prototype);
+WinwheelValidationError.prototype.constructor = WinwheelValidationError;
+
+// ====================================================================================================================
+// Copies the options of one of the Winwheel classes in to a plain object for toJSON(). Properties starting with _ are
+// internal so are skipped, as are any in the exclude list and anything which cannot be turned in to JSON such as
+// functions and objects like a CanvasGradient.
+// ====================================================================================================================
+function winwheelCopyOptions(source, exclude)
+{
+    let copy = {};
+
+    for (let key in source) {
+        if ((source.hasOwnProperty(key)) && (key.charAt(0) != '_') && (exclude.indexOf(key) == -1) && (winwheelIsJsonValue(source[key]))) {
+            // Copy objects and arrays through JSON so the copy does not share them with the wheel.
+            if ((source[key] !== null) && (typeof source[key] === 'object')) {
+                copy[key] = JSON.parse(JSON.stringify(source[key]));
+            } else {
+                copy[key] = source[key];
+            }
+        }
+    }
+
+    return copy;
+}
+
+// ====================================================================================================================
+// Returns true if the value can be turned in to JSON and back without losing anything.
+// ====================================================================================================================
+function winwheelIsJsonValue(value)
+{
+    if ((value === null) || (typeof value === 'string') || (typeof value === 'boolean')) {
+        return true;
+    }
+
+    if (typeof value === 'number') {
+        return isFinite(value);
+    }
+
+    if (Array.isArray(value)) {
+        return value.every(winwheelIsJsonValue);
+    }
+
+    // Only plain objects, not things like images or gradients.
+    if ((typeof value === 'object') && (Object.getPrototypeOf(value) === Object.prototype)) {
+        for (let key in value) {
+            if (winwheelIsJsonValue(value[key]) == false) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    return false;
+}
+
+// ====================================================================================================================
+// Class for the interaction options of the wheel, created when the interaction option is passed to the wheel.
+// The hover and selected styles which are null leave the segment's own style as it is.
+// ====================================================================================================================
+function WinwheelInteraction(options)
+{
+    let defaultOptions = {
+        'hoverFillStyle'       : null,       // Fill colour of the segment under the pointer.
+        'hoverStrokeStyle'     : null,       // Line colour of the segment under the pointer.
+        'hoverLineWidth'       : null,       // Line width of the segment under the pointer.
+        'hoverOffset'          : 5,          // Distance the segment under the pointer moves out from the center of the wheel.
+        'selectedFillStyle'    : null,       // Fill colour of the selected segment.
+        'selectedStrokeStyle'  : null,       // Line colour of the selected segment.
+        'selectedLineWidth'    : 3,          // Line width of the selected segment.
+        'selectedOffset'       : 0,          // Distance the selected segment moves out from the center of the wheel.
+        'selectOnClick'        : true,       // If true clicking a segment selects it.
+        'cursor'               : 'pointer'   // CSS cursor shown when the pointer is over a segment.
+    };
+
+    // Now loop through the default options and create properties of this class set to the value for
+    // the option passed in if a value was, or if not then set the value of the default.
+    for (let key in defaultOptions) {
+        if ((options != null) && (typeof(options[key]) !== 'undefined')) {
+            this[key] = options[key];
+        } else {
+            this[key] = defaultOptions[key];
+        }
+    }
+}
+
+// ====================================================================================================================
+// Class for the gesture options of the wheel, created when the gestures option is passed to the wheel. Velocities are
+// in degrees per second and durations in seconds.
+// ====================================================================================================================
+function WinwheelGestures(options)
+{
+    let defaultOptions = {
+        'minVelocity'      : 180,          // Flicks slower than this snap back to where the wheel was grabbed and do not spin it.
+        'maxVelocity'      : 2000,         // Flicks faster than this spin the wheel the same as one at this speed.
+        'minDuration'      : 3,            // Duration of the spin from the slowest flick.
+        'maxDuration'      : 10,           // Duration of the spin from the fastest flick.
+        'snapBackDuration' : 0.3,          // Duration of the animation back to where the wheel was grabbed.
+        'velocityTime'     : 100,          // Milliseconds at the end of the drag the speed of the flick is worked out from.
+        'cursor'           : 'grab',       // CSS cursor shown over the canvas.
+        'grabbingCursor'   : 'grabbing'    // CSS cursor shown while the wheel is being dragged.
+    };
+
+    // Now loop through the default options and create properties of this class set to the value for
+    // the option passed in if a value was, or if not then set the value of the default.
+    for (let key in defaultOptions) {
+        if ((options != null) && (typeof(options[key]) !== 'undefined')) {
+            this[key] = options[key];
+        } else {
+            this[key] = defaultOptions[key];
+        }
+    }
+}
+
+// ====================================================================================================================
+// Class for the audio options of the wheel, created when the audio option is passed to the wheel. Each sound can be
+// true for the built in sound, the URL of a sound file, an AudioBuffer, or null for no sound. There are built in
+// sounds for the tick, start, whoosh, and the win and lose categories. Speeds are in degrees per second.
+// ====================================================================================================================
+function WinwheelAudio(options)
+{
+    let defaultOptions = {
+        'tick'          : true,         // Played when a pin or segment passes the pointer, depending on the soundTrigger of the animation.
+        'start'         : null,         // Played when the wheel starts spinning.
+        'whoosh'        : null,         // Played in a loop while the wheel is spinning, getting louder and higher the faster it goes.
+        'categories'    : {'win' : true, 'lose' : true},    // Sound played when the wheel stops for each segment category.
+        'volume'        : 1,            // Volume of all the sounds from 0 to 1.
+        'muted'         : false,        // If true no sounds are played.
+        'polyphony'     : 8,            // Most ticks which can play at the same time.
+        'minPitch'      : 0.8,          // Playback rate of the tick when the wheel is nearly stopped.
+        'maxPitch'      : 1.6,          // Playback rate of the tick at the maxSpeed.
+        'minTickVolume' : 0.4,          // Volume of the tick when the wheel is nearly stopped, it is full volume at the maxSpeed.
+        'maxSpeed'      : 1440,         // Speed at which the tick and whoosh are at their highest pitch and volume.
+        'whooshVolume'  : 0.3           // Volume of the whoosh at the maxSpeed.
+    };
+
+    // Now loop through the default options and create properties of this class set to the value for
+    // the option passed in if a value was, or if not then set the value of the default.
+    for (let key in defaultOptions) {
+        if ((options != null) && (typeof(options[key]) !== 'undefined')) {
+            this[key] = options[key];
+        } else {
+            this[key] = defaultOptions[key];
+        }
+    }
+}
+
+// The audio context shared by all wheels, and the sounds made or loaded for them by built in name or URL.
+let winwheelAudioContext = null;
+let winwheelAudioBuffers = {};
+
+// ====================================================================================================================
+// Returns the audio context shared by all wheels, if create is true it is created if there is not one yet. Returns null
+// if there is no audio context.
+// ====================================================================================================================
+function winwheelGetAudioContext(create)
+{
+    if ((winwheelAudioContext === null) && (create)) {
+        let AudioContextClass = (typeof AudioContext !== 'undefined') ? AudioContext : ((typeof webkitAudioContext !== 'undefined') ? webkitAudioContext : null);
+
+        if (AudioContextClass !== null) {
+            winwheelAudioContext = new AudioContextClass();
+        }
+    }
+
+    return winwheelAudioContext;
+}
+
+// ====================================================================================================================
+// Makes the built in sound with the specified name, so the wheel has sounds without needing any files. Returns null
+// if there is no built in sound with the name.
+// ====================================================================================================================
+function winwheelCreateSoundBuffer(context, name)
+{
+    // The win and lose sounds are a few notes going up or down, these are their frequencies.
+    let notes = {
+        'win'  : [523.25, 659.25, 783.99, 1046.5],
+        'lose' : [392, 329.63, 261.63]
+    };
+
+    let durations = {'tick' : 0.03, 'start' : 0.3, 'whoosh' : 1, 'win' : 0.8, 'lose' : 0.9};
+
+    if (typeof durations[name] === 'undefined') {
+        return null;
+    }
+
+    let sampleRate = context.sampleRate;
+    let buffer = context.createBuffer(1, Math.ceil(durations[name] * sampleRate), sampleRate);
+    let data = buffer.getChannelData(0);
+    let phase = 0;
+
+    for (let i = 0; i < data.length; i ++) {
+        let t = (i / sampleRate);
+
+        if (name == 'tick') {
+            // A short high click which dies away quickly.
+            data[i] = (Math.sin(2 * Math.PI * 1800 * t) * Math.exp(-t / 0.005) * 0.8);
+        } else if (name == 'start') {
+            // A tone sliding up.
+            phase += (2 * Math.PI * (300 + (3000 * t)) / sampleRate);
+            data[i] = (Math.sin(phase) * Math.min(1, t / 0.01) * (1 - (t / durations[name])) * 0.5);
+        } else if (name == 'whoosh') {
+            // Noise, which is filtered to sound like the wind as it plays.
+            data[i] = ((Math.random() * 2) - 1);
+        } else {
+            let noteLength = (durations[name] / notes[name].length);
+            let note = Math.min(notes[name].length - 1, Math.floor(t / noteLength));
+            let noteTime = (t - (note * noteLength));
+
+            data[i] = (Math.sin(2 * Math.PI * notes[name][note] * noteTime) * Math.exp(-noteTime / 0.1) * 0.5);
+        }
+    }
+
+    return buffer;
+}
+
+// ====================================================================================================================
+// Class for the callout options of the wheel, created when the callouts option is passed to the wheel. The wheel needs
+// to be small enough for the canvas to have room around it for the callouts.
+// ====================================================================================================================
+function WinwheelCallouts(options)
+{
+    let defaultOptions = {
+        'threshold'   : 10,        // Segments smaller than this many degrees have their text drawn outside the wheel.
+        'length'      : 20,        // Length of the line out from the wheel to where it bends, or to the text if not upright.
+        'margin'      : 4,         // Gap between the end of the line and the text.
+        'upright'     : true,      // If true the text stays the right way up, if false it goes out from the wheel and turns with it.
+        'spacing'     : 1.2,       // Space kept between callouts so they do not overlap, as a multiple of the font size.
+        'fontSize'    : null,      // Font size of the text. If null the text font size of the segment is used.
+        'fillStyle'   : 'black',   // Colour of the text. The segment text colour is not used as the text is not on the segment.
+        'strokeStyle' : 'black',   // Colour of the lines.
+        'lineWidth'   : 1          // Width of the lines.
+    };
+
+    // Now loop through the default options and create properties of this class set to the value for
+    // the option passed in if a value was, or if not then set the value of the default.
+    for (let key in defaultOptions) {
+        if ((options != null) && (typeof(options[key]) !== 'undefined')) {
+            this[key] = options[key];
+        } else {
+            this[key] = defaultOptions[key];
+        }
+    }
+}
+
+// ====================================================================================================================
+// Class for the accessibility options of the wheel, created when the accessibility option is passed to the wheel.
+// The text options can contain {text} and {number} which are replaced with the segment text and number.
+// ====================================================================================================================
+function WinwheelAccessibility(options)
+{
+    let defaultOptions = {
+        'label'                 : 'Prize wheel',                    // Label read out for the list of segments.
+        'roleDescription'       : 'wheel',                          // What screen readers call the list.
+        'segmentText'           : '{text}',                         // Text read out for each segment in the list.
+        'spinStartText'         : 'Spinning',                       // Announced when the wheel starts spinning.
+        'resultText'            : 'The wheel stopped on {text}',    // Announced when the wheel stops.
+        'focusStrokeStyle'      : 'blue',                           // Colour of the outline drawn around the segment with keyboard focus.
+        'focusLineWidth'        : 4,                                // Width of the outline.
+        'reducedMotion'         : 'shorten',                        // When the user prefers reduced motion the spin can be 'shorten'ed, 'skip'ped straight to the end, or to 'ignore' the preference.
+        'reducedMotionDuration' : 1                                 // Longest the spin can take in seconds when it is shortened.
+    };
+
+    // Now loop through the default options and create properties of this class set to the value for
+    // the option passed in if a value was, or if not then set the value of the default.
+    for (let key in defaultOptions) {
+        if ((options != null) && (typeof(options[key]) !== 'undefined')) {
+            this[key] = options[key];
+        } else {
+            this[key] = defaultOptions[key];
+        }
+    }
+}
+
+// Used to give the hidden elements of each accessible wheel their own ids.
+let winwheelAccessibilityCount = 0;
+
+// ====================================================================================================================
+// Replaces {text} and {number} in the text with the text and number of the segment. Segments without any text are
+// called Segment and their number so they can still be told apart.
+// ====================================================================================================================
+function winwheelFormatText(text, segment, segmentNumber)
+{
+    let segmentText = ((segment) && (segment.text)) ? segment.text.replace(/\n/g, ' ') : ('Segment ' + segmentNumber);
+
+    return text.replace(/\{text\}/g, segmentText).replace(/\{number\}/g, segmentNumber);
+}
+
+// ====================================================================================================================
+// Works out the canvas and 2D context to draw on from the canvasId option. This can be the id of a canvas on the page,
+// a canvas element or OffscreenCanvas, or a 2D context (or anything with the same functions) in which case the
+// canvas is the one the context belongs to, if any. Nothing here needs a page, so the wheel can be drawn in Node etc.
+// With the svg renderer the id or element is of the element to draw the SVG in, which is wrapped in a WinwheelSvgCanvas.
+// ====================================================================================================================
+function winwheelGetDrawingTarget(canvasId, renderer)
+{
+    let target = {
+        'canvasId' : null,
+        'canvas'   : null,
+        'ctx'      : null
+    };
+
+    if ((typeof canvasId === 'string') && (renderer == 'svg')) {
+        target.canvasId = canvasId;
+
+        if (typeof document !== 'undefined') {
+            let element = document.getElementById(canvasId);
+
+            if (element) {
+                target.canvas = new WinwheelSvgCanvas(element);
+            }
+        }
+    } else if ((renderer == 'svg') && (canvasId) && (canvasId.nodeType === 1)) {
+        target.canvas = new WinwheelSvgCanvas(canvasId);
+        target.canvasId = (canvasId.id) ? canvasId.id : null;
+    } else if (typeof canvasId === 'string') {
+        target.canvasId = canvasId;
+
+        if (typeof document !== 'undefined') {
+            target.canvas = document.getElementById(canvasId);
+        }
+    } else if ((canvasId) && (typeof canvasId.getContext === 'function')) {
+        target.canvas = canvasId;
+        target.canvasId = (canvasId.id) ? canvasId.id : null;
+    } else if ((canvasId) && (typeof canvasId.arc === 'function')) {
+        target.ctx = canvasId;
+        target.canvas = (canvasId.canvas) ? canvasId.canvas : null;
+        target.canvasId = ((target.canvas) && (target.canvas.id)) ? target.canvas.id : null;
+    }
+
+    if ((target.canvas) && (target.ctx === null)) {
+        target.ctx = target.canvas.getContext('2d');
+    }
+
+    return target;
+}
+
+// ====================================================================================================================
+// Creates an image object to load a wheel or segment image in to. This uses the createImage option of the wheel if
+// there is one, otherwise the browser's Image. Returns null if neither is available.
+// ====================================================================================================================
+function winwheelCreateImage(wheel)
+{
+    if ((wheel) && (typeof wheel.createImage === 'function')) {
+        return wheel.createImage();
+    }
+
+    if (typeof Image !== 'undefined') {
+        return new Image();
+    }
+
+    console.log('Cannot load images as there is no Image, set the createImage option of the wheel');
+    return null;
+}
+
+// ====================================================================================================================
+// Used by the svg renderer in place of a canvas element. The element passed is either an svg element to draw in to,
+// or an element such as a div which an svg element is added to. Without an element (such as in Node) nothing is put
+// on a page and toSVG() returns what has been drawn. Like a canvas it has a width, height and getContext('2d').
+// ====================================================================================================================
+function WinwheelSvgCanvas(element, width, height)
+{
+    this.element = (element) ? element : null;
+    this.svg = null;
+    this.id = ((this.element) && (this.element.id)) ? this.element.id : null;
+    this.dataset = ((this.element) && (this.element.dataset)) ? this.element.dataset : {};
+
+    if (this.element) {
+        if (String(this.element.tagName).toLowerCase() == 'svg') {
+            this.svg = this.element;
+        } else {
+            this.svg = document.createElementNS(winwheelSvgNamespace, 'svg');
+            this.element.appendChild(this.svg);
+        }
+    }
+
+    this.style = (this.svg) ? this.svg.style : {};
+
+    // If the width and height are not passed then use the width and height attributes of the element, like a canvas does.
+    if ((typeof width === 'undefined') || (width === null)) {
+        width = winwheelGetElementSize(this.element, 'width', 300);
+    }
+
+    if ((typeof height === 'undefined') || (height === null)) {
+        height = winwheelGetElementSize(this.element, 'height', 150);
+    }
+
+    this._context = new WinwheelSvgContext(this);
+    this._width = width;
+    this._height = height;
+    this.updateSize();
+}
+
+// Setting the width or height of the canvas resizes the svg element and, like a canvas, clears it.
+Object.defineProperty(WinwheelSvgCanvas.prototype, 'width', {
+    get : function() { return this._width; },
+    set : function(value) { this._width = value; this.updateSize(); }
+});
+
+Object.defineProperty(WinwheelSvgCanvas.prototype, 'height', {
+    get : function() { return this._height; },
+    set : function(value) { this._height = value; this.updateSize(); }
+});
+
+// The accessibility elements are placed after the svg element.
+Object.defineProperty(WinwheelSvgCanvas.prototype, 'parentNode', {
+    get : function() { return (this.svg) ? this.svg.parentNode : null; }
+});
+
+Object.defineProperty(WinwheelSvgCanvas.prototype, 'nextSibling', {
+    get : function() { return (this.svg) ? this.svg.nextSibling : null; }
+});
+
+// ====================================================================================================================
+// Sets the size and viewBox of the svg element to the width and height, and clears what has been drawn.
+// ====================================================================================================================
+WinwheelSvgCanvas.prototype.updateSize = function()
+{
+    if (this.svg) {
+        this.svg.setAttribute('width', this._width);
+        this.svg.setAttribute('height', this._height);
+        this.svg.setAttribute('viewBox', '0 0 ' + this._width + ' ' + this._height);
+    }
+
+    this._context.reset();
+}
+
+// ====================================================================================================================
+// Returns the WinwheelSvgContext to draw with. Only the 2d context is available.
+// ====================================================================================================================
+WinwheelSvgCanvas.prototype.getContext = function(contextType)
+{
+    return (contextType == '2d') ? this._context : null;
+}
+
+// ====================================================================================================================
+// These pass through to the svg element so clicking on and hovering over segments works the same as with a canvas.
+// ====================================================================================================================
+WinwheelSvgCanvas.prototype.getBoundingClientRect = function()
+{
+    if (this.svg) {
+        return this.svg.getBoundingClientRect();
+    }
+
+    return {'left' : 0, 'top' : 0, 'width' : this._width, 'height' : this._height};
+}
+
+WinwheelSvgCanvas.prototype.addEventListener = function(type, listener, options)
+{
+    if (this.svg) {
+        this.svg.addEventListener(type, listener, options);
+    }
+}
+
+WinwheelSvgCanvas.prototype.removeEventListener = function(type, listener, options)
+{
+    if (this.svg) {
+        this.svg.removeEventListener(type, listener, options);
+    }
+}
+
+// ====================================================================================================================
+// Returns what has been drawn as a complete SVG document.
+// ====================================================================================================================
+WinwheelSvgCanvas.prototype.toSVG = function()
+{
+    return '<svg xmlns="' + winwheelSvgNamespace + '" width="' + this._width + '" height="' + this._height + '" viewBox="0 0 ' + this._width + ' ' + this._height + '">' +
+        this._context.getMarkup() + '</svg>';
+}
+
+// ====================================================================================================================
+// A 2D context which creates SVG elements rather than pixels. It has the parts of CanvasRenderingContext2D which are
+// used to draw the wheel, so the same drawing code gives the same geometry. Paths are stored with the transform
+// already applied to the points. Arcs assume the transform does not stretch more in one direction than the other,
+// which is always the case for the wheel.
+// ====================================================================================================================
+function WinwheelSvgContext(canvas)
+{
+    this.canvas = canvas;
+
+    // Ids in the defs must be unique on the page, which may have more than one wheel.
+    winwheelSvgCount ++;
+    this._idPrefix = 'winwheel-' + winwheelSvgCount + '-';
+
+    this.reset();
+}
+
+// ====================================================================================================================
+// Clears everything drawn and puts the context back to its starting state, which is what happens when a canvas is resized.
+// ====================================================================================================================
+WinwheelSvgContext.prototype.reset = function()
+{
+    this.fillStyle    = '#000000';
+    this.strokeStyle  = '#000000';
+    this.lineWidth    = 1;
+    this.font         = '10px sans-serif';
+    this.textAlign    = 'start';
+    this.textBaseline = 'alphabetic';
+    this.globalAlpha  = 1;
+
+    this._transform = [1, 0, 0, 1, 0, 0];
+    this._states = [];
+    this._elements = [];
+    this._defs = [];
+    this._className = null;
+    this._clipId = null;
+
+    this.beginPath();
+    this.changed();
+}
+
+// ====================================================================================================================
+// Sets the class given to the elements created from now on. Called by the wheel via setRenderClass().
+// ====================================================================================================================
+WinwheelSvgContext.prototype.setClassName = function(className)
+{
+    this._className = className;
+}
+
+// ====================================================================================================================
+// The drawing state is saved and restored the same as for a canvas.
+// ====================================================================================================================
+WinwheelSvgContext.prototype.save = function()
+{
+    this._states.push({
+        'fillStyle'    : this.fillStyle,
+        'strokeStyle'  : this.strokeStyle,
+        'lineWidth'    : this.lineWidth,
+        'font'         : this.font,
+        'textAlign'    : this.textAlign,
+        'textBaseline' : this.textBaseline,
+        'globalAlpha'  : this.globalAlpha,
+        'transform'    : this._transform.slice(),
+        'clipId'       : this._clipId
+    });
+}
+
+WinwheelSvgContext.prototype.restore = function()
+{
+    let state = this._states.pop();
+
+    if (state) {
+        this.fillStyle    = state.fillStyle;
+        this.strokeStyle  = state.strokeStyle;
+        this.lineWidth    = state.lineWidth;
+        this.font         = state.font;
+        this.textAlign    = state.textAlign;
+        this.textBaseline = state.textBaseline;
+        this.globalAlpha  = state.globalAlpha;
+        this._transform   = state.transform;
+        this._clipId      = state.clipId;
+    }
+}
+
+// ====================================================================================================================
+// Transform functions. The transform is a matrix of [a, b, c, d, e, f] the same as the canvas setTransform().
+// ====================================================================================================================
+WinwheelSvgContext.prototype.setTransform = function(a, b, c, d, e, f)
+{
+    this._transform = [a, b, c, d, e, f];
+}
+
+WinwheelSvgContext.prototype.getTransform = function()
+{
+    let m = this._transform;
+
+    return {'a' : m[0], 'b' : m[1], 'c' : m[2], 'd' : m[3], 'e' : m[4], 'f' : m[5]};
+}
+
+WinwheelSvgContext.prototype.resetTransform = function()
+{
+    this._transform = [1, 0, 0, 1, 0, 0];
+}
+
+WinwheelSvgContext.prototype.transform = function(a, b, c, d, e, f)
+{
+    let m = this._transform;
+
+    this._transform = [
+        (m[0] * a) + (m[2] * b),
+        (m[1] * a) + (m[3] * b),
+        (m[0] * c) + (m[2] * d),
+        (m[1] * c) + (m[3] * d),
+        (m[0] * e) + (m[2] * f) + m[4],
+        (m[1] * e) + (m[3] * f) + m[5]
+    ];
+}
+
+WinwheelSvgContext.prototype.translate = function(x, y)
+{
+    this.transform(1, 0, 0, 1, x, y);
+}
+
+WinwheelSvgContext.prototype.rotate = function(angle)
+{
+    this.transform(Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0);
+}
+
+WinwheelSvgContext.prototype.scale = function(x, y)
+{
+    this.transform(x, 0, 0, y, 0, 0);
+}
+
+// ====================================================================================================================
+// Returns the point x, y with the current transform applied.
+// ====================================================================================================================
+WinwheelSvgContext.prototype.transformPoint = function(x, y)
+{
+    let m = this._transform;
+
+    return {
+        'x' : (m[0] * x) + (m[2] * y) + m[4],
+        'y' : (m[1] * x) + (m[3] * y) + m[5]
+    };
+}
+
+// ====================================================================================================================
+// Path functions. The path is built up as the d attribute of an SVG path element.
+// ====================================================================================================================
+WinwheelSvgContext.prototype.beginPath = function()
+{
+    this._path = '';
+    this._pathPoint = null;
+}
+
+WinwheelSvgContext.prototype.closePath = function()
+{
+    if (this._path) {
+        this._path += 'Z';
+    }
+}
+
+WinwheelSvgContext.prototype.moveTo = function(x, y)
+{
+    this._pathPoint = this.transformPoint(x, y);
+    this._path += 'M' + winwheelSvgNumber(this._pathPoint.x) + ' ' + winwheelSvgNumber(this._pathPoint.y);
+}
+
+WinwheelSvgContext.prototype.lineTo = function(x, y)
+{
+    // Like a canvas, a line with no point to start from just moves to the point.
+    if (this._pathPoint === null) {
+        this.moveTo(x, y);
+    } else {
+        this._pathPoint = this.transformPoint(x, y);
+        this._path += 'L' + winwheelSvgNumber(this._pathPoint.x) + ' ' + winwheelSvgNumber(this._pathPoint.y);
+    }
+}
+
+WinwheelSvgContext.prototype.rect = function(x, y, width, height)
+{
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+}
+
+// ====================================================================================================================
+// Adds an arc to the path the same as the canvas arc(), including the line from the end of the path to the start of
+// the arc. SVG cannot draw a whole circle as one arc, so that is drawn as two halves.
+// ====================================================================================================================
+WinwheelSvgContext.prototype.arc = function(x, y, radius, startAngle, endAngle, anticlockwise)
+{
+    let m = this._transform;
+    let scaledRadius = winwheelSvgNumber(radius * Math.sqrt((m[0] * m[0]) + (m[1] * m[1])));
+    let sweep = (anticlockwise) ? (startAngle - endAngle) : (endAngle - startAngle);
+    let direction = (anticlockwise) ? -1 : 1;
+    let fullCircle = (sweep >= (2 * Math.PI));
+
+    if (fullCircle == false) {
+        sweep = ((sweep % (2 * Math.PI)) + (2 * Math.PI)) % (2 * Math.PI);
+    }
+
+    let pointAt = function(angle) {
+        return {'x' : x + (radius * Math.cos(angle)), 'y' : y + (radius * Math.sin(angle))};
+    };
+
+    let arcTo = function(context, angle, largeArc) {
+        let point = pointAt(angle);
+
+        context._pathPoint = context.transformPoint(point.x, point.y);
+        context._path += 'A' + scaledRadius + ' ' + scaledRadius + ' 0 ' + largeArc + ' ' + ((anticlockwise) ? 0 : 1) + ' ' +
+            winwheelSvgNumber(context._pathPoint.x) + ' ' + winwheelSvgNumber(context._pathPoint.y);
+    };
+
+    let start = pointAt(startAngle);
+    this.lineTo(start.x, start.y);
+
+    if (fullCircle) {
+        arcTo(this, startAngle + (direction * Math.PI), 0);
+        arcTo(this, startAngle, 0);
+    } else if (sweep > 0) {
+        arcTo(this, startAngle + (direction * sweep), (sweep > Math.PI) ? 1 : 0);
+    }
+}
+
+// ====================================================================================================================
+// Clips what is drawn after to the path, until the context is restored. This adds a clipPath to the defs, which also
+// uses any clipPath already in use so, like a canvas, clipping again clips to where both paths overlap.
+// ====================================================================================================================
+WinwheelSvgContext.prototype.clip = function()
+{
+    if (this._path) {
+        let id = this._idPrefix + 'clip-' + (this._defs.length + 1);
+        let clipPath = (this._clipId) ? ' clip-path="url(#' + this._clipId + ')"' : '';
+
+        this._defs.push('<clipPath id="' + id + '"' + clipPath + '><path d="' + this._path + '"/></clipPath>');
+        this._clipId = id;
+    }
+}
+
+// ====================================================================================================================
+// Fills and strokes the path. When the path is stroked straight after being filled, as the wheel does for segments
+// and pins, the stroke is added to the same element so there is one element for CSS to style.
+// ====================================================================================================================
+WinwheelSvgContext.prototype.fill = function()
+{
+    if (this._path) {
+        this.addElement('path', {
+            'd'    : this._path,
+            'fill' : this.getPaint(this.fillStyle)
+        });
+    }
+}
+
+WinwheelSvgContext.prototype.stroke = function()
+{
+    if (this._path) {
+        let m = this._transform;
+        let lastElement = this._elements[this._elements.length - 1];
+        let attributes = {
+            'stroke'       : this.getPaint(this.strokeStyle),
+            'stroke-width' : winwheelSvgNumber(this.lineWidth * Math.sqrt((m[0] * m[0]) + (m[1] * m[1])))
+        };
+
+        if ((lastElement) && (lastElement.tag == 'path') && (lastElement.attributes.d == this._path) && (!lastElement.attributes.stroke) &&
+            (lastElement.className == this._className) && (lastElement.clipId == this._clipId) && (this.globalAlpha == 1)) {
+            lastElement.attributes.stroke = attributes.stroke;
+            lastElement.attributes['stroke-width'] = attributes['stroke-width'];
+            this.changed();
+        } else {
+            attributes.d = this._path;
+            attributes.fill = 'none';
+            this.addElement('path', attributes);
+        }
+    }
+}
+
+// ====================================================================================================================
+// Text is drawn as a text element, with the transform set on it as the characters cannot be transformed in advance.
+// ====================================================================================================================
+WinwheelSvgContext.prototype.fillText = function(text, x, y)
+{
+    this.addText(text, x, y, {'fill' : this.getPaint(this.fillStyle)});
+}
+
+WinwheelSvgContext.prototype.strokeText = function(text, x, y)
+{
+    this.addText(text, x, y, {
+        'fill'         : 'none',
+        'stroke'       : this.getPaint(this.strokeStyle),
+        'stroke-width' : winwheelSvgNumber(this.lineWidth)
+    });
+}
+
+WinwheelSvgContext.prototype.addText = function(text, x, y, attributes)
+{
+    let anchors = {'left' : 'start', 'start' : 'start', 'right' : 'end', 'end' : 'end', 'center' : 'middle'};
+    let baselines = {'top' : 'text-before-edge', 'hanging' : 'hanging', 'middle' : 'central', 'bottom' : 'text-after-edge', 'ideographic' : 'ideographic'};
+
+    attributes.x = winwheelSvgNumber(x);
+    attributes.y = winwheelSvgNumber(y);
+    attributes.transform = this.getTransformAttribute();
+    attributes.style = 'font: ' + this.font;
+    attributes['text-anchor'] = (anchors[this.textAlign]) ? anchors[this.textAlign] : 'start';
+
+    if (baselines[this.textBaseline]) {
+        attributes['dominant-baseline'] = baselines[this.textBaseline];
+    }
+
+    this.addElement('text', attributes, String(text));
+}
+
+// ====================================================================================================================
+// Images are drawn as image elements linking to the src of the image, or the data URL of a canvas.
+// ====================================================================================================================
+WinwheelSvgContext.prototype.drawImage = function(image, x, y, width, height)
+{
+    let href = null;
+
+    if (typeof image.toDataURL === 'function') {
+        href = image.toDataURL();
+    } else if (image.currentSrc) {
+        href = image.currentSrc;
+    } else if (image.src) {
+        href = image.src;
+    }
+
+    if (href) {
+        this.addElement('image', {
+            'href'                : href,
+            'x'                   : winwheelSvgNumber(x),
+            'y'                   : winwheelSvgNumber(y),
+            'width'               : winwheelSvgNumber((typeof width !== 'undefined') ? width : image.width),
+            'height'              : winwheelSvgNumber((typeof height !== 'undefined') ? height : image.height),
+            'transform'           : this.getTransformAttribute(),
+            'preserveAspectRatio' : 'none'
+        });
+    }
+}
 
-                                // Rotate the wheel to the draw angle as we need to add the character at this location.
-                                this.ctx.translate(centerX, centerY);
-                                this.ctx.rotate(this.degToRad(drawAngle));
-                                this.ctx.translate(-centerX, -centerY);
+// ====================================================================================================================
+// Clearing an area which covers the whole canvas removes everything drawn. SVG elements cannot be partly cleared so
+// clearing a smaller area does nothing.
+// ====================================================================================================================
+WinwheelSvgContext.prototype.clearRect = function(x, y, width, height)
+{
+    let topLeft = this.transformPoint(x, y);
+    let bottomRight = this.transformPoint(x + width, y + height);
 
-                                // Now draw the character directly above the center point of the wheel at the appropriate radius.
-                                if (strokeStyle) {
-                                    this.ctx.strokeText(character, centerX, centerY - radius + lineOffset);
-                                }
+    if ((topLeft.x <= 0) && (topLeft.y <= 0) && (bottomRight.x >= this.canvas.width) && (bottomRight.y >= this.canvas.height)) {
+        this._elements = [];
+        this._defs = [];
+        this.changed();
+    }
+}
 
-                                if (fillStyle) {
-                                    this.ctx.fillText(character, centerX, centerY - radius + lineOffset);
-                                }
+// ====================================================================================================================
+// Gradients are added to the defs of the SVG when they are used. Like a canvas the gradient is positioned by the
+// transform at the time it is used, not when it is created.
+// ====================================================================================================================
+WinwheelSvgContext.prototype.createLinearGradient = function(x0, y0, x1, y1)
+{
+    return new WinwheelSvgGradient('linearGradient', {'x1' : x0, 'y1' : y0, 'x2' : x1, 'y2' : y1});
+}
 
-                                // Increment the drawAngle by the angle per character so next loop we rotate
-                                // to the next angle required to draw the character at.
-                                drawAngle += anglePerChar;
+WinwheelSvgContext.prototype.createRadialGradient = function(x0, y0, r0, x1, y1, r1)
+{
+    return new WinwheelSvgGradient('radialGradient', {'fx' : x0, 'fy' : y0, 'fr' : r0, 'cx' : x1, 'cy' : y1, 'r' : r1});
+}
 
-                                this.ctx.restore();
-                            }
-                        }
-                    }
+// ====================================================================================================================
+// Returns the value for a fill or stroke attribute from a fillStyle or strokeStyle.
+// ====================================================================================================================
+WinwheelSvgContext.prototype.getPaint = function(style)
+{
+    if (style instanceof WinwheelSvgGradient) {
+        let id = this._idPrefix + 'gradient-' + (this._defs.length + 1);
+        let markup = '<' + style.tag + ' id="' + id + '" gradientUnits="userSpaceOnUse" gradientTransform="' + this.getTransformAttribute() + '"';
 
-                    // Increment this ready for the next time.
-                    lineOffset += fontSize;
-                }
-            }
+        for (let key in style.attributes) {
+            markup += ' ' + key + '="' + winwheelSvgNumber(style.attributes[key]) + '"';
+        }
 
-            // Restore so all text options are reset ready for the next text.
-            this.ctx.restore();
+        markup += '>';
+
+        for (let i = 0; i < style.stops.length; i ++) {
+            markup += '<stop offset="' + style.stops[i].offset + '" stop-color="' + winwheelSvgEscape(style.stops[i].color) + '"/>';
         }
+
+        this._defs.push(markup + '</' + style.tag + '>');
+
+        return 'url(#' + id + ')';
     }
+
+    return (style) ? String(style) : 'none';
 }
 
 // ====================================================================================================================
-// Converts degrees to radians which is what is used when specifying the angles on HTML5 canvas arcs.
+// Returns the current transform as the value of an SVG transform attribute.
 // ====================================================================================================================
-Winwheel.prototype.degToRad = function(d)
+WinwheelSvgContext.prototype.getTransformAttribute = function()
 {
-    return d * 0.0174532925199432957;
+    return 'matrix(' + this._transform.map(winwheelSvgNumber).join(' ') + ')';
 }
 
 // ====================================================================================================================
-// This function sets the center location of the wheel, saves a function call to set x then y.
+// Adds an element to those drawn, with the current class and opacity.
 // ====================================================================================================================
-Winwheel.prototype.setCenter = function(x, y)
+WinwheelSvgContext.prototype.addElement = function(tag, attributes, text)
 {
-    this.centerX = x;
-    this.centerY = y;
+    if (this.globalAlpha != 1) {
+        attributes.opacity = this.globalAlpha;
+    }
+
+    this._elements.push({
+        'tag'        : tag,
+        'attributes' : attributes,
+        'text'       : (typeof text !== 'undefined') ? text : null,
+        'className'  : this._className,
+        'clipId'     : this._clipId
+    });
+
+    this.changed();
 }
 
 // ====================================================================================================================
-// This function allows a segment to be added to the wheel. The position of the segment is optional,
-// if not specified the new segment will be added to the end of the wheel.
+// Returns the markup for everything drawn, to go inside an svg element.
 // ====================================================================================================================
-Winwheel.prototype.addSegment = function(options, position)
+WinwheelSvgContext.prototype.getMarkup = function()
 {
-    // Create a new segment object passing the options in.
-    let newSegment = new Segment(options);
+    let markup = (this._defs.length) ? '<defs>' + this._defs.join('') + '</defs>' : '';
 
-    // Increment the numSegments property of the class since new segment being added.
-    this.numSegments ++;
-    let segmentPos;
+    for (let i = 0; i < this._elements.length; i ++) {
+        let element = this._elements[i];
+        let previousClipId = (i > 0) ? this._elements[i - 1].clipId : null;
+        let nextClipId = (i < (this._elements.length - 1)) ? this._elements[i + 1].clipId : null;
 
-    // Work out where to place the segment, the default is simply as a new segment at the end of the wheel.
-    if (typeof position !== 'undefined') {
-        // Because we need to insert the segment at this position, not overwrite it, we need to move all segments after this
-        // location along one in the segments array, before finally adding this new segment at the specified location.
-        for (let x = this.numSegments; x > position; x --) {
-            this.segments[x] = this.segments[x -1];
+        // Clipped elements are put in a group with the clip-path, as the clip-path of an element with a transform
+        // would be transformed too. Elements next to each other with the same clip share the group.
+        if ((element.clipId) && (element.clipId != previousClipId)) {
+            markup += '<g clip-path="url(#' + element.clipId + ')">';
         }
 
-        this.segments[position] = newSegment;
-        segmentPos = position;
-    } else {
-        this.segments[this.numSegments] = newSegment;
-        segmentPos = this.numSegments;
-    }
+        markup += '<' + element.tag;
 
-    // Since a segment has been added the segment sizes need to be re-computed so call function to do this.
-    this.updateSegmentSizes();
+        if (element.className) {
+            markup += ' class="' + winwheelSvgEscape(element.className) + '"';
+        }
 
-    // Return the segment object just created in the wheel (JavaScript will return it by reference), so that
-    // further things can be done with it by the calling code if desired.
-    return this.segments[segmentPos];
+        for (let key in element.attributes) {
+            markup += ' ' + key + '="' + winwheelSvgEscape(element.attributes[key]) + '"';
+        }
+
+        if (element.text !== null) {
+            markup += '>' + winwheelSvgEscape(element.text) + '</' + element.tag + '>';
+        } else {
+            markup += '/>';
+        }
+
+        if ((element.clipId) && (element.clipId != nextClipId)) {
+            markup += '</g>';
+        }
+    }
+
+    return markup;
 }
 
 // ====================================================================================================================
-// This function must be used if the canvasId is changed as we also need to get the context of the new canvas.
+// When drawing in to an svg element on the page the element is updated once everything drawn at the same time, such
+// as a whole frame of an animation, has been drawn.
 // ====================================================================================================================
-Winwheel.prototype.setCanvasId = function(canvasId)
+WinwheelSvgContext.prototype.changed = function()
 {
-    if (canvasId) {
-        this.canvasId = canvasId;
-        this.canvas = document.getElementById(this.canvasId);
+    let context = this;
 
-        if (this.canvas) {
-            this.ctx = this.canvas.getContext('2d');
-        }
-    } else {
-        this.canvasId = null
-        this.ctx = null;
-        this.canvas = null;
+    if ((this.canvas) && (this.canvas.svg) && (!this._updatePending)) {
+        this._updatePending = true;
+
+        Promise.resolve().then(function() {
+            context._updatePending = false;
+            context.canvas.svg.innerHTML = context.getMarkup();
+        });
     }
 }
 
 // ====================================================================================================================
-// This function deletes the specified segment from the wheel by removing it from the segments array.
-// It then sorts out the other bits such as update of the numSegments.
+// A gradient created by a WinwheelSvgContext, it has addColorStop() the same as a CanvasGradient.
 // ====================================================================================================================
-Winwheel.prototype.deleteSegment = function(position)
+function WinwheelSvgGradient(tag, attributes)
 {
-    // There needs to be at least one segment in order for the wheel to draw, so only allow delete if there
-    // is more than one segment currently left in the wheel.
+    this.tag = tag;
+    this.attributes = attributes;
+    this.stops = [];
+}
 
-    //++ check that specifying a position that does not exist - say 10 in a 6 segment wheel does not cause issues.
-    if (this.numSegments > 1) {
-        // If the position of the segment to remove has been specified.
-        if (typeof position !== 'undefined') {
-            // The array is to be shortened so we need to move all segments after the one
-            // to be removed down one so there is no gap.
-            for (let x = position; x < this.numSegments; x ++) {
-                this.segments[x] = this.segments[x + 1];
-            }
-        }
+WinwheelSvgGradient.prototype.addColorStop = function(offset, color)
+{
+    this.stops.push({'offset' : offset, 'color' : color});
+}
 
-        // Unset the last item in the segments array since there is now one less.
-        this.segments[this.numSegments] = undefined;
+let winwheelSvgNamespace = 'http://www.w3.org/2000/svg';
+let winwheelSvgCount = 0;
 
-        // Decrement the number of segments,
-        // then call function to update the segment sizes.
-        this.numSegments --;
-        this.updateSegmentSizes();
-    }
+// ====================================================================================================================
+// Rounds a number for SVG attributes so the markup is not full of long decimals.
+// ====================================================================================================================
+function winwheelSvgNumber(number)
+{
+    return String(Math.round(number * 1000) / 1000);
 }
 
 // ====================================================================================================================
-// This function takes the x an the y of a mouse event, such as click or move, and converts the x and the y in to
-// co-ordinates on the canvas as the raw values are the x and the y from the top and left of the user's browser.
+// Escapes text to go in SVG markup.
 // ====================================================================================================================
-Winwheel.prototype.windowToCanvas = function(x, y)
+function winwheelSvgEscape(text)
 {
-    let bbox = this.canvas.getBoundingClientRect();
-
-    return {
-        x: Math.floor(x - bbox.left * (this.canvas.width / bbox.width)),
-        y: Math.floor(y - bbox.top *  (this.canvas.height / bbox.height))
-    };
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
 // ====================================================================================================================
-// This function returns the segment object located at the specified x and y coordinates on the canvas.
-// It is used to allow things to be done with a segment clicked by the user, such as highlight, display or change some values, etc.
+// Returns the width or height of an element from its attribute, or the size of it on the page if it has no attribute.
 // ====================================================================================================================
-Winwheel.prototype.getSegmentAt = function(x, y)
+function winwheelGetElementSize(element, dimension, defaultSize)
 {
-    let foundSegment = null;
+    if (element) {
+        let attribute = parseFloat(element.getAttribute(dimension));
 
-    // Call function to return segment number.
-    let segmentNumber = this.getSegmentNumberAt(x, y);
+        if (attribute > 0) {
+            return attribute;
+        }
 
-    // If found one then set found segment to pointer to the segment object.
-    if (segmentNumber !== null) {
-        foundSegment = this.segments[segmentNumber];
+        let clientSize = (dimension == 'width') ? element.clientWidth : element.clientHeight;
+
+        if (clientSize > 0) {
+            return clientSize;
+        }
     }
 
-    return foundSegment;
+    return defaultSize;
 }
 
+let winwheelPatternTypes = ['stripes', 'dots', 'crosshatch', 'zigzag'];
+
+// The named palettes for the palette option.
+let winwheelPalettes = {
+    'bright'     : ['#e6194b', '#3cb44b', '#ffe119', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#bfef45', '#fabed4'],
+    'pastel'     : ['#fbb4ae', '#b3cde3', '#ccebc5', '#decbe4', '#fed9a6', '#ffffcc', '#e5d8bd', '#fddaec'],
+    'dark'       : ['#1b9e77', '#d95f02', '#7570b3', '#e7298a', '#66a61e', '#e6ab02', '#a6761d', '#666666'],
+    'colorBlind' : ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7', '#000000']
+};
+
 // ====================================================================================================================
-// Returns the number of the segment clicked instead of the segment object.
-// This does not work correctly if the canvas width or height is altered by CSS but does work correctly with the scale factor.
+// Returns the colours of a palette, see applyPalette(). For 'hsl' a colour is made for each segment with the hues
+// evenly spaced around the colour wheel, but in an order which jumps around it so segments next to each other are
+// far apart in hue rather than only a little different.
 // ====================================================================================================================
-Winwheel.prototype.getSegmentNumberAt = function(x, y)
+function winwheelGetPaletteColors(palette, numSegments)
 {
-    // Call function above to convert the raw x and y from the user's browser to canvas coordinates
-    // i.e. top and left is top and left of canvas, not top and left of the user's browser.
-    let loc = this.windowToCanvas(x, y);
+    let colors = (typeof palette.colors !== 'undefined') ? palette.colors : 'hsl';
 
-    // ------------------------------------------
-    // Now start the process of working out the segment clicked.
-    // First we need to figure out the angle of an imaginary line between the centerX and centerY of the wheel and
-    // the X and Y of the location (for example a mouse click).
-    let topBottom;
-    let leftRight;
-    let adjacentSideLength;
-    let oppositeSideLength;
-    let hypotenuseSideLength;
+    if (Array.isArray(colors)) {
+        return colors;
+    }
 
-    // Get the centerX and centerY scaled with the scale factor, also the same for outer and inner radius.
-    let centerX = (this.centerX * this.scaleFactor);
-    let centerY = (this.centerY * this.scaleFactor);
-    let outerRadius = (this.outerRadius * this.scaleFactor);
-    let innerRadius = (this.innerRadius * this.scaleFactor);
+    if (colors != 'hsl') {
+        return (winwheelPalettes[colors]) ? winwheelPalettes[colors] : [];
+    }
 
-    // We will use right triangle maths with the TAN function.
-    // The start of the triangle is the wheel center, the adjacent side is along the x axis, and the opposite side is along the y axis.
+    let saturation = (typeof palette.saturation === 'number') ? palette.saturation : 70;
+    let lightness = (typeof palette.lightness === 'number') ? palette.lightness : 55;
+    let hue = (typeof palette.hue === 'number') ? palette.hue : 0;
 
-    // We only ever use positive numbers to work out the triangle and the center of the wheel needs to be considered as 0 for the numbers
-    // in the maths which is why there is the subtractions below. We also remember what quadrant of the wheel the location is in as we
-    // need this information later to add 90, 180, 270 degrees to the angle worked out from the triangle to get the position around a 360 degree wheel.
-    if (loc.x > centerX) {
-        adjacentSideLength = (loc.x - centerX);
-        leftRight = 'R';    // Location is in the right half of the wheel.
-    } else {
-        adjacentSideLength = (centerX - loc.x);
-        leftRight = 'L';    // Location is in the left half of the wheel.
-    }
+    // Step through the hues by the biggest step up to half way around which visits every hue once.
+    let greatestCommonDivisor = function(a, b) {
+        return (b == 0) ? a : greatestCommonDivisor(b, a % b);
+    };
 
-    if (loc.y > centerY) {
-        oppositeSideLength = (loc.y - centerY);
-        topBottom = 'B';    // Bottom half of wheel.
-    } else {
-        oppositeSideLength = (centerY - loc.y);
-        topBottom = 'T';    // Top Half of wheel.
+    let step = Math.max(1, Math.floor(numSegments / 2));
+
+    while ((step > 1) && (greatestCommonDivisor(step, numSegments) != 1)) {
+        step --;
     }
 
-    // Now divide opposite by adjacent to get tan value.
-    let tanVal = oppositeSideLength / adjacentSideLength;
+    let hslColors = [];
 
-    // Use the tan function and convert results to degrees since that is what we work with.
-    let result = (Math.atan(tanVal) * 180/Math.PI);
-    let locationAngle = 0;
+    for (let i = 0; i < numSegments; i ++) {
+        let segmentHue = (hue + (((i * step) % numSegments) * (360 / numSegments))) % 360;
 
-    // We also need the length of the hypotenuse as later on we need to compare this to the outerRadius of the segment / circle.
-    hypotenuseSideLength = Math.sqrt((oppositeSideLength * oppositeSideLength) + (adjacentSideLength * adjacentSideLength));
+        hslColors.push('hsl(' + Math.round(segmentHue) + ', ' + saturation + '%, ' + lightness + '%)');
+    }
 
-    // ------------------------------------------
-    // Now to make sense around the wheel we need to alter the values based on if the location was in top or bottom half
-    // and also right or left half of the wheel, by adding 90, 180, 270 etc. Also for some the initial locationAngle needs to be inverted.
-    if ((topBottom == 'T') && (leftRight == 'R')) {
-        locationAngle = Math.round(90 - result);
-    } else if ((topBottom == 'B') && (leftRight == 'R')) {
-        locationAngle = Math.round(result + 90);
-    } else if ((topBottom == 'B') && (leftRight == 'L')) {
-        locationAngle = Math.round((90 - result) + 180);
-    } else if ((topBottom == 'T') && (leftRight == 'L')) {
-        locationAngle = Math.round(result + 270);
+    return hslColors;
+}
+
+// ====================================================================================================================
+// Returns the red, green and blue (0 to 255) of a hex, rgb() or hsl() colour. Other colours, such as names like
+// 'silver', can only be worked out by a canvas context which turns them in to hex when set as the fillStyle, so the
+// context is used if passed. Returns null if the colour cannot be worked out.
+// ====================================================================================================================
+function winwheelParseColor(color, ctx)
+{
+    if (typeof color !== 'string') {
+        return null;
     }
 
-    // ------------------------------------------
-    // And now we have to adjust to make sense when the wheel is rotated from the 0 degrees either
-    // positive or negative and it can be many times past 360 degrees.
-    if (this.rotationAngle != 0) {
-        let rotatedPosition = this.getRotationPosition();
+    let value = color.trim().toLowerCase();
+    let match;
 
-        // So we have this, now we need to alter the locationAngle as a result of this.
-        locationAngle = (locationAngle - rotatedPosition);
+    if ((match = value.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/))) {
+        let hex = match[1];
 
-        // If negative then take the location away from 360.
-        if (locationAngle < 0) {
-            locationAngle = (360 - Math.abs(locationAngle));
+        if (hex.length <= 4) {
+            hex = hex.charAt(0) + hex.charAt(0) + hex.charAt(1) + hex.charAt(1) + hex.charAt(2) + hex.charAt(2);
         }
+
+        return {'r' : parseInt(hex.substr(0, 2), 16), 'g' : parseInt(hex.substr(2, 2), 16), 'b' : parseInt(hex.substr(4, 2), 16)};
     }
 
-    // ------------------------------------------
-    // OK, so after all of that we have the angle of a line between the centerX and centerY of the wheel and
-    // the X and Y of the location on the canvas where the mouse was clicked. Now time to work out the segment
-    // this corresponds to. We can use the segment start and end angles for this.
-    let foundSegmentNumber = null;
+    if ((match = value.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/))) {
+        return {'r' : parseFloat(match[1]), 'g' : parseFloat(match[2]), 'b' : parseFloat(match[3])};
+    }
 
-    for (let x = 1; x <= this.numSegments; x ++) {
-        // Due to segments sharing start and end angles, if line is clicked will pick earlier segment.
-        if ((locationAngle >= this.segments[x].startAngle) && (locationAngle <= this.segments[x].endAngle)) {
-            // To ensure that a click anywhere on the canvas in the segment direction will not cause a
-            // segment to be matched, as well as the angles, we need to ensure the click was within the radius
-            // of the segment (or circle if no segment radius).
+    if ((match = value.match(/^hsla?\(\s*([\d.]+)(?:deg)?[\s,]+([\d.]+)%[\s,]+([\d.]+)%/))) {
+        let h = (parseFloat(match[1]) % 360) / 360;
+        let sat = parseFloat(match[2]) / 100;
+        let light = parseFloat(match[3]) / 100;
 
-            // If the hypotenuseSideLength (length of location from the center of the wheel) is with the radius
-            // then we can assign the segment to the found segment and break out the loop.
+        // Standard HSL to RGB conversion.
+        let q = (light < 0.5) ? (light * (1 + sat)) : (light + sat - (light * sat));
+        let p = (2 * light) - q;
 
-            // Have to take in to account hollow wheels (doughnuts) so check is greater than innerRadius as
-            // well as less than or equal to the outerRadius of the wheel.
-            if ((hypotenuseSideLength >= innerRadius) && (hypotenuseSideLength <= outerRadius)) {
-                foundSegmentNumber = x;
-                break;
+        let hueToRgb = function(t) {
+            t = (t < 0) ? (t + 1) : ((t > 1) ? (t - 1) : t);
+
+            if (t < (1 / 6)) {
+                return p + ((q - p) * 6 * t);
+            } else if (t < (1 / 2)) {
+                return q;
+            } else if (t < (2 / 3)) {
+                return p + ((q - p) * ((2 / 3) - t) * 6);
             }
+
+            return p;
+        };
+
+        return {'r' : hueToRgb(h + (1 / 3)) * 255, 'g' : hueToRgb(h) * 255, 'b' : hueToRgb(h - (1 / 3)) * 255};
+    }
+
+    // Let the canvas work out the colour. It is set to something else first to tell if the colour was not understood.
+    if ((ctx) && (!(ctx instanceof WinwheelSvgContext))) {
+        let fillStyle = ctx.fillStyle;
+        let result = null;
+
+        ctx.fillStyle = '#010203';
+        ctx.fillStyle = color;
+
+        if ((typeof ctx.fillStyle === 'string') && (ctx.fillStyle != '#010203') && (ctx.fillStyle.toLowerCase() != value)) {
+            result = winwheelParseColor(ctx.fillStyle, null);
         }
+
+        ctx.fillStyle = fillStyle;
+
+        return result;
     }
 
-    // Finally return the number.
-    return foundSegmentNumber;
+    return null;
 }
 
 // ====================================================================================================================
-// Returns a reference to the segment that is at the location of the pointer on the wheel.
+// Returns the WCAG contrast ratio of two colours (as returned by winwheelParseColor), from 1 to 21.
 // ====================================================================================================================
-Winwheel.prototype.getIndicatedSegment = function()
-{
-    // Call function below to work this out and return the prizeNumber.
-    let prizeNumber = this.getIndicatedSegmentNumber();
+function winwheelContrastRatio(colorA, colorB)
+{
+    let luminance = function(color) {
+        let channel = function(value) {
+            value = value / 255;
 
-    // Then simply return the segment in the segments array at that position.
-    return this.segments[prizeNumber];
+            return (value <= 0.03928) ? (value / 12.92) : Math.pow((value + 0.055) / 1.055, 2.4);
+        };
+
+        return (0.2126 * channel(color.r)) + (0.7152 * channel(color.g)) + (0.0722 * channel(color.b));
+    };
+
+    let lighter = Math.max(luminance(colorA), luminance(colorB));
+    let darker = Math.min(luminance(colorA), luminance(colorB));
+
+    return (lighter + 0.05) / (darker + 0.05);
 }
 
 // ====================================================================================================================
-// Works out the segment currently pointed to by the pointer of the wheel. Normally called when the spinning has stopped
-// to work out the prize the user has won. Returns the number of the segment in the segments array.
+// Returns the smallest box around a segment (a sector of a ring) between the angles, where 0 is 12 o'clock, and radii.
+// This is found by going around the edges of the segment in small steps.
 // ====================================================================================================================
-Winwheel.prototype.getIndicatedSegmentNumber = function()
+function winwheelGetSectorBounds(startAngle, endAngle, innerRadius, outerRadius)
 {
-    let indicatedPrize = 0;
-    let rawAngle = this.getRotationPosition();
+    let bounds = {'minX' : 0, 'minY' : 0, 'maxX' : 0, 'maxY' : 0};
+    let steps = Math.max(1, Math.ceil((endAngle - startAngle) / 5));
+    let first = true;
 
-    // Now we have the angle of the wheel, but we need to take in to account where the pointer is because
-    // will not always be at the 12 o'clock 0 degrees location.
-    let relativeAngle = Math.floor(this.pointerAngle - rawAngle);
+    for (let i = 0; i <= steps; i ++) {
+        let angle = (startAngle + ((endAngle - startAngle) * (i / steps))) * Math.PI / 180;
+        let radii = [innerRadius, outerRadius];
 
-    if (relativeAngle < 0) {
-        relativeAngle = 360 - Math.abs(relativeAngle);
-    }
+        for (let r = 0; r < radii.length; r ++) {
+            let x = (radii[r] * Math.sin(angle));
+            let y = -(radii[r] * Math.cos(angle));
 
-    // Now we can work out the prize won by seeing what prize segment startAngle and endAngle the relativeAngle is between.
-    for (let x = 1; x < (this.segments.length); x ++) {
-        if ((relativeAngle >= this.segments[x]['startAngle']) && (relativeAngle <= this.segments[x]['endAngle'])) {
-            indicatedPrize = x;
-            break;
+            if (first) {
+                bounds = {'minX' : x, 'minY' : y, 'maxX' : x, 'maxY' : y};
+                first = false;
+            } else {
+                bounds.minX = Math.min(bounds.minX, x);
+                bounds.minY = Math.min(bounds.minY, y);
+                bounds.maxX = Math.max(bounds.maxX, x);
+                bounds.maxY = Math.max(bounds.maxY, y);
+            }
         }
     }
 
-    return indicatedPrize;
+    return bounds;
 }
 
 // ====================================================================================================================
-// Works out what Pin around the wheel is considered the current one which is the one which just passed the pointer.
-// Used to work out if the pin has changed during the animation to tigger a sound.
+// Adds the shapes of a pattern covering the bounds to the path of the context. The rows are lined up on multiples of
+// the scale from the center of the wheel so the pattern is the same wherever the segment is.
 // ====================================================================================================================
-Winwheel.prototype.getCurrentPinNumber = function()
+function winwheelAddPatternPath(ctx, type, bounds, scale, lineWidth)
 {
-    let currentPin = 0;
+    let minX = (Math.floor(bounds.minX / scale) - 1) * scale;
+    let minY = (Math.floor(bounds.minY / scale) - 1) * scale;
+    let maxX = (Math.ceil(bounds.maxX / scale) + 1) * scale;
+    let maxY = (Math.ceil(bounds.maxY / scale) + 1) * scale;
 
-    if (this.pins) {
-        let rawAngle = this.getRotationPosition();
+    if (type == 'dots') {
+        let radius = Math.max((scale / 5), (lineWidth / 2));
 
-        // Now we have the angle of the wheel, but we need to take in to account where the pointer is because
-        // will not always be at the 12 o'clock 0 degrees location.
-        let relativeAngle = Math.floor(this.pointerAngle - rawAngle);
+        for (let y = minY; y <= maxY; y += scale) {
+            // Every other row is moved along by half so the dots are staggered.
+            let rowOffset = ((Math.round(y / scale) % 2) == 0) ? 0 : (scale / 2);
 
-        if (relativeAngle < 0) {
-            relativeAngle = 360 - Math.abs(relativeAngle);
+            for (let x = minX + rowOffset; x <= maxX; x += scale) {
+                ctx.moveTo(x + radius, y);
+                ctx.arc(x, y, radius, 0, 2 * Math.PI);
+            }
         }
+    } else if (type == 'zigzag') {
+        for (let y = minY; y <= maxY; y += scale) {
+            ctx.moveTo(minX, y);
 
-        // Work out the angle of the pins as this is simply 360 / the number of pins as they space evenly around.
-        let pinSpacing = (360 / this.pins.number);
-        let totalPinAngle = 0;
-
-        // Now we can work out the pin by seeing what pins relativeAngle is between.
-        for (let x = 0; x < (this.pins.number); x ++) {
-            if ((relativeAngle >= totalPinAngle) && (relativeAngle <= (totalPinAngle + pinSpacing))) {
-                currentPin = x;
-                break;
+            for (let x = minX + (scale / 2), up = true; x <= maxX; x += (scale / 2), up = !up) {
+                ctx.lineTo(x, (up) ? (y - (scale / 4)) : (y + (scale / 4)));
             }
-
-            totalPinAngle += pinSpacing;
+        }
+    } else {
+        // Stripes are lines across, crosshatch is lines across and down.
+        for (let y = minY; y <= maxY; y += scale) {
+            ctx.moveTo(minX, y);
+            ctx.lineTo(maxX, y);
         }
 
-        // Now if rotating clockwise we must add 1 to the current pin as we want the pin which has just passed
-        // the pointer to be returned as the current pin, not the start of the one we are between.
-        if (this.animation.direction == 'clockwise') {
-            currentPin ++;
-
-            if (currentPin > this.pins.number) {
-                currentPin = 0;
+        if (type == 'crosshatch') {
+            for (let x = minX; x <= maxX; x += scale) {
+                ctx.moveTo(x, minY);
+                ctx.lineTo(x, maxY);
             }
         }
     }
-
-    return currentPin;
 }
 
-// ==================================================================================================================================================
-// Returns the rotation angle of the wheel corrected to 0-360 (i.e. removes all the multiples of 360).
-// ==================================================================================================================================================
-Winwheel.prototype.getRotationPosition = function()
+// ====================================================================================================================
+// Puts the font weight, size and family together in to one string for the font of a canvas context.
+// ====================================================================================================================
+function winwheelGetFontSetting(fontWeight, fontSize, fontFamily)
 {
-    let rawAngle = this.rotationAngle;  // Get current rotation angle of wheel.
-
-    // If positive work out how many times past 360 this is and then take the floor of this off the rawAngle.
-    if (rawAngle >= 0) {
-        if (rawAngle > 360) {
-            // Get floor of the number of times past 360 degrees.
-            let timesPast360 = Math.floor(rawAngle / 360);
+    let fontSetting = '';
 
-            // Take all this extra off to get just the angle 0-360 degrees.
-            rawAngle = (rawAngle - (360 * timesPast360));
-        }
-    } else {
-        // Is negative, need to take off the extra then convert in to 0-360 degree value
-        // so if, for example, was -90 then final value will be (360 - 90) = 270 degrees.
-        if (rawAngle < -360) {
-            let timesPast360 = Math.ceil(rawAngle / 360);   // Ceil when negative.
+    if (fontWeight != null) {
+        fontSetting += fontWeight + ' ';
+    }
 
-            rawAngle = (rawAngle - (360 * timesPast360));   // Is minus because dealing with negative.
-        }
+    if (fontSize != null) {
+        fontSetting += fontSize + 'px ';    // Fonts on canvas are always a px value.
+    }
 
-        rawAngle = (360 + rawAngle);    // Make in the range 0-360. Is plus because raw is still negative.
+    if (fontFamily != null) {
+        fontSetting += fontFamily;
     }
 
-    return rawAngle;
+    return fontSetting;
 }
 
-// ==================================================================================================================================================
-// This function starts the wheel's animation by using the properties of the animation object of of the wheel to begin the a greensock tween.
-// ==================================================================================================================================================
-Winwheel.prototype.startAnimation = function()
+// ====================================================================================================================
+// Returns the width of the text in the font. If the context cannot measure text then this is worked out from the
+// font size, using the average width of a character which is about 0.6 of the font size.
+// ====================================================================================================================
+function winwheelMeasureText(ctx, text, fontSetting, fontSize)
 {
-    if (this.animation) {
-        // Call function to compute the animation properties.
-        this.computeAnimation();
-
-        // Set this global variable to this object as an external function is required to call the draw() function on the wheel
-        // each loop of the animation as Greensock cannot call the draw function directly on this class.
-        winwheelToDrawDuringAnimation = this;
+    if ((ctx) && (typeof ctx.measureText === 'function')) {
+        let font = ctx.font;
 
-        // Put together the properties of the greesock animation.
-        let properties = new Array(null);
-        properties[this.animation.propertyName] = this.animation.propertyValue; // Here we set the property to be animated and its value.
-        properties['yoyo']       = this.animation.yoyo;     // Set others.
-        properties['repeat']     = this.animation.repeat;
-        properties['ease']       = this.animation.easing;
-        properties['onUpdate']   = winwheelAnimationLoop;   // Call function to re-draw the canvas.
-        properties['onComplete'] = winwheelStopAnimation;   // Call function to perform actions when animation has finished.
+        ctx.font = fontSetting;
+        let width = ctx.measureText(text).width;
+        ctx.font = font;
 
-        // Do the tween animation passing the properties from the animation object as an array of key => value pairs.
-        // Keep reference to the tween object in the wheel as that allows pausing, resuming, and stopping while the animation is still running.
-        this.tween = TweenMax.to(this, this.animation.duration, properties);
+        return width;
     }
+
+    return (text.length * fontSize * 0.6);
 }
 
-// ==================================================================================================================================================
-// Use same function which needs to be outside the class for the callback when it stops because is finished.
-// ==================================================================================================================================================
-Winwheel.prototype.stopAnimation = function(canCallback)
+// ====================================================================================================================
+// Returns true if the fillStyle is a fill spec, rather than a colour string or a gradient made by hand.
+// ====================================================================================================================
+function winwheelIsFillSpec(fillStyle)
 {
-    // @TODO as part of multiwheel, need to work out how to stop the tween for a single wheel but allow others to continue.
+    return ((fillStyle !== null) && (typeof fillStyle === 'object') && (typeof fillStyle.type === 'string') && (Array.isArray(fillStyle.stops)));
+}
 
-    // We can kill the animation using our tween object.
-    if (winwheelToDrawDuringAnimation) {
-        // If the wheel has a tween animation then kill it.
-        if (winwheelToDrawDuringAnimation.tween) {
-            winwheelToDrawDuringAnimation.tween.kill();
-        }
+// ====================================================================================================================
+// Returns the stops of a fill spec as {offset, color} objects. Stops which are just a colour are spaced evenly.
+// ====================================================================================================================
+function winwheelGetGradientStops(stops)
+{
+    let gradientStops = [];
 
-        // Call the callback function.
-        winwheelStopAnimation(canCallback);
+    for (let i = 0; i < stops.length; i ++) {
+        if (typeof stops[i] === 'string') {
+            gradientStops.push({'offset' : (stops.length > 1) ? (i / (stops.length - 1)) : 0, 'color' : stops[i]});
+        } else {
+            gradientStops.push({'offset' : stops[i].offset, 'color' : stops[i].color});
+        }
     }
 
-    // Ensure the winwheelToDrawDuringAnimation is set to this class.
-    winwheelToDrawDuringAnimation = this;
+    return gradientStops;
 }
 
-// ==================================================================================================================================================
-// Pause animation by telling tween to pause.
-// ==================================================================================================================================================
-Winwheel.prototype.pauseAnimation = function()
+// ====================================================================================================================
+// Creates an offscreen canvas, such as for the render cache. Returns null if there is no way to create one.
+// ====================================================================================================================
+function winwheelCreateCanvas()
 {
-    if (this.tween) {
-        this.tween.pause();
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(1, 1);
+    }
+
+    if (typeof document !== 'undefined') {
+        return document.createElement('canvas');
     }
+
+    return null;
 }
 
-// ==================================================================================================================================================
-// Resume the animation by telling tween to continue playing it.
-// ==================================================================================================================================================
-Winwheel.prototype.resumeAnimation = function()
+// ====================================================================================================================
+// Returns the ratio of screen pixels to CSS pixels, which is more than 1 on high resolution screens and when zoomed in.
+// ====================================================================================================================
+function winwheelGetPixelRatio()
 {
-    if (this.tween) {
-        this.tween.play();
+    if ((typeof window !== 'undefined') && (window.devicePixelRatio)) {
+        return window.devicePixelRatio;
     }
+
+    return 1;
 }
 
 // ====================================================================================================================
-// Called at the beginning of the startAnimation function and computes the values needed to do the animation
-// before it starts. This allows the developer to change the animation properties after the wheel has been created
-// and have the animation use the new values of the animation properties.
+// This function takes the percent 0-100 and returns the number of degrees 0-360 this equates to.
 // ====================================================================================================================
-Winwheel.prototype.computeAnimation = function()
+function winwheelPercentToDegrees(percentValue)
 {
-    if (this.animation) {
-        // Set the animation parameters for the specified animation type including some sensible defaults if values have not been specified.
-        if (this.animation.type == 'spinOngoing') {
-            // When spinning the rotationAngle is the wheel property which is animated.
-            this.animation.propertyName = 'rotationAngle';
+    let degrees = 0;
 
-            if (this.animation.spins == null) {
-                this.animation.spins = 5;
-            }
+    if ((percentValue > 0) && (percentValue <= 100)) {
+        let divider = (percentValue / 100);
+        degrees = (360 * divider);
+    }
 
-            if (this.animation.repeat == null) {
-                this.animation.repeat = -1;           // -1 means it will repeat forever.
-            }
+    return degrees;
+}
 
-            if (this.animation.easing == null) {
-                this.animation.easing = 'Linear.easeNone';
-            }
+// ====================================================================================================================
+// Returns the remainder of the value divided by the divisor, which unlike % is never negative. For example this puts
+// an angle of -90 in to the range 0 to 360 as 270.
+// ====================================================================================================================
+function winwheelModulo(value, divisor)
+{
+    return (((value % divisor) + divisor) % divisor);
+}
 
-            if (this.animation.yoyo == null) {
-                this.animation.yoyo = false;
-            }
+// ====================================================================================================================
+// Easing functions used by the built in animation engine. Each takes the progress of the animation (0 to 1) and
+// returns the eased progress. They are keyed by a short name, the Greensock names such as 'Power3.easeOut' are also
+// accepted as winwheelGetEasing() converts them to these names, so existing easing options keep working.
+// ====================================================================================================================
+let winwheelEasing = {
+    'linear.none'    : function(p) { return p; },
+    'power1.in'      : function(p) { return winwheelPowerIn(p, 2); },
+    'power1.out'     : function(p) { return winwheelPowerOut(p, 2); },
+    'power1.inout'   : function(p) { return winwheelPowerInOut(p, 2); },
+    'power2.in'      : function(p) { return winwheelPowerIn(p, 3); },
+    'power2.out'     : function(p) { return winwheelPowerOut(p, 3); },
+    'power2.inout'   : function(p) { return winwheelPowerInOut(p, 3); },
+    'power3.in'      : function(p) { return winwheelPowerIn(p, 4); },
+    'power3.out'     : function(p) { return winwheelPowerOut(p, 4); },
+    'power3.inout'   : function(p) { return winwheelPowerInOut(p, 4); },
+    'power4.in'      : function(p) { return winwheelPowerIn(p, 5); },
+    'power4.out'     : function(p) { return winwheelPowerOut(p, 5); },
+    'power4.inout'   : function(p) { return winwheelPowerInOut(p, 5); },
+    'back.in'        : function(p) { return (p * p * ((1.70158 + 1) * p - 1.70158)); },
+    'back.out'       : function(p) { return 1 - winwheelEasing['back.in'](1 - p); },
+    'back.inout'     : function(p) { return winwheelInOut(p, winwheelEasing['back.in']); },
+    'elastic.in'     : function(p) { return 1 - winwheelEasing['elastic.out'](1 - p); },
+    'elastic.out'    : function(p) {
+        // Amplitude 1 and period 0.3 which are the Greensock defaults.
+        if ((p == 0) || (p == 1)) {
+            return p;
+        }
 
-            // We need to calculate the propertyValue and this is the spins * 360 degrees.
-            this.animation.propertyValue = (this.animation.spins * 360);
+        return Math.pow(2, -10 * p) * Math.sin((p - 0.075) * (2 * Math.PI) / 0.3) + 1;
+    },
+    'elastic.inout'  : function(p) { return winwheelInOut(p, winwheelEasing['elastic.in']); },
+    'bounce.in'      : function(p) { return 1 - winwheelEasing['bounce.out'](1 - p); },
+    'bounce.out'     : function(p) {
+        if (p < (1 / 2.75)) {
+            return 7.5625 * p * p;
+        } else if (p < (2 / 2.75)) {
+            p -= (1.5 / 2.75);
+            return 7.5625 * p * p + 0.75;
+        } else if (p < (2.5 / 2.75)) {
+            p -= (2.25 / 2.75);
+            return 7.5625 * p * p + 0.9375;
+        }
 
-            // If the direction is anti-clockwise then make the property value negative.
-            if (this.animation.direction == 'anti-clockwise') {
-                this.animation.propertyValue = (0 - this.animation.propertyValue);
-            }
-        } else if (this.animation.type == 'spinToStop') {
-            // Spin to stop the rotation angle is affected.
-            this.animation.propertyName = 'rotationAngle';
+        p -= (2.625 / 2.75);
+        return 7.5625 * p * p + 0.984375;
+    },
+    'bounce.inout'   : function(p) { return winwheelInOut(p, winwheelEasing['bounce.in']); }
+};
+
+// The Greensock names for the power easings have a few aliases, these are mapped on to the names above.
+let winwheelEasingAliases = {
+    'power0' : 'linear',
+    'quad'   : 'power1',
+    'cubic'  : 'power2',
+    'quart'  : 'power3',
+    'quint'  : 'power4',
+    'strong' : 'power4'
+};
 
-            if (this.animation.spins == null) {
-                this.animation.spins = 5;
-            }
+// ====================================================================================================================
+// Helpers for the easing functions above. The power of the curve is the exponent, so Power1 is 2 (quadratic) etc.
+// ====================================================================================================================
+function winwheelPowerIn(p, power)
+{
+    return Math.pow(p, power);
+}
 
-            if (this.animation.repeat == null) {
-                this.animation.repeat = 0;        // As this is spin to stop we don't normally want it repeated.
-            }
+function winwheelPowerOut(p, power)
+{
+    return 1 - Math.pow(1 - p, power);
+}
 
-            if (this.animation.easing == null) {
-                this.animation.easing = 'Power3.easeOut';     // This easing is fast start and slows over time.
-            }
+function winwheelPowerInOut(p, power)
+{
+    return winwheelInOut(p, function(x) { return Math.pow(x, power); });
+}
 
-            if (this.animation.stopAngle == null) {
-                // If the stop angle has not been specified then pick random between 0 and 359.
-                this.animation._stopAngle = Math.floor((Math.random() * 359));
-            } else {
-                // We need to set the internal to 360 minus what the user entered because the wheel spins past 0 without
-                // this it would indicate the prize on the opposite side of the wheel. We aslo need to take in to account
-                // the pointerAngle as the stop angle needs to be relative to that.
-                this.animation._stopAngle = (360 - this.animation.stopAngle + this.pointerAngle);
-            }
+// Makes an in-out easing from an in easing, the first half of the animation eases in and the second half eases out.
+function winwheelInOut(p, easeIn)
+{
+    if (p < 0.5) {
+        return easeIn(p * 2) / 2;
+    }
 
-            if (this.animation.yoyo == null) {
-                this.animation.yoyo = false;
-            }
+    return 1 - (easeIn((1 - p) * 2) / 2);
+}
 
-            // The property value is the spins * 360 then plus or minus the stopAngle depending on if the rotation is clockwise or anti-clockwise.
-            this.animation.propertyValue = (this.animation.spins * 360);
+// ====================================================================================================================
+// Returns the easing function for the specified easing which can be a function, a Greensock ease object, or the name
+// of one of the easings above in either the Greensock 2 style 'Power3.easeOut' or the newer style 'power3.out'.
+// ====================================================================================================================
+function winwheelGetEasing(easing)
+{
+    if (typeof easing === 'function') {
+        return easing;
+    }
 
-            if (this.animation.direction == 'anti-clockwise') {
-                this.animation.propertyValue = (0 - this.animation.propertyValue);
+    // Greensock ease objects such as Power3.easeOut have a getRatio function which does the same job.
+    if ((easing) && (typeof easing.getRatio === 'function')) {
+        return function(p) {
+            return easing.getRatio(p);
+        };
+    }
 
-                // Also if the value is anti-clockwise we need subtract the stopAngle (but to get the wheel to stop in the correct
-                // place this is 360 minus the stop angle as the wheel is rotating backwards).
-                this.animation.propertyValue -= (360 - this.animation._stopAngle);
-            } else {
-                // Add the stopAngle to the propertyValue as the wheel must rotate around to this place and stop there.
-                this.animation.propertyValue += this.animation._stopAngle;
-            }
-        } else if (this.animation.type == 'spinAndBack') {
-            // This is basically is a spin for a number of times then the animation reverses and goes back to start.
-            // If a repeat is specified then this can be used to make the wheel "rock" left and right.
+    if (typeof easing === 'string') {
+        // Lower case and turn the Greensock 2 'easeIn', 'easeOut', 'easeInOut', 'easeNone' in to the short names.
+        let name = easing.toLowerCase().replace('.ease', '.');
 
-            // Again this is a spin so the rotationAngle the property which is animated.
-            this.animation.propertyName = 'rotationAngle';
+        if ((name == 'none') || (name == 'linear')) {
+            name = 'linear.none';
+        }
 
-            if (this.animation.spins == null) {
-                this.animation.spins = 5;
-            }
+        let parts = name.split('.');
 
-            if (this.animation.repeat == null) {
-                this.animation.repeat = 1;          // This needs to be set to at least 1 in order for the animation to reverse.
-            }
+        if (typeof winwheelEasingAliases[parts[0]] !== 'undefined') {
+            parts[0] = winwheelEasingAliases[parts[0]];
+        }
 
-            if (this.animation.easing == null) {
-                this.animation.easing = 'Power2.easeInOut';     // This is slow at the start and end and fast in the middle.
-            }
+        // Like Greensock, an easing with no type such as 'power3' is an out easing.
+        if (parts.length == 1) {
+            parts.push((parts[0] == 'linear') ? 'none' : 'out');
+        }
 
-            if (this.animation.yoyo == null) {
-                this.animation.yoyo = true;       // This needs to be set to true to have the animation reverse back like a yo-yo.
-            }
+        // Linear only has the one easing whatever the type.
+        if (parts[0] == 'linear') {
+            parts[1] = 'none';
+        }
 
-            if (this.animation.stopAngle == null) {
-                this.animation._stopAngle = 0;
-            } else {
-                // We need to set the internal to 360 minus what the user entered
-                // because the wheel spins past 0 without this it would indicate the
-                // prize on the opposite side of the wheel.
-                this.animation._stopAngle = (360 - this.animation.stopAngle);
-            }
+        name = parts.join('.');
 
-            // The property value is the spins * 360 then plus or minus the stopAngle depending on if the rotation is clockwise or anti-clockwise.
-            this.animation.propertyValue = (this.animation.spins * 360);
+        if (typeof winwheelEasing[name] !== 'undefined') {
+            return winwheelEasing[name];
+        }
 
-            if (this.animation.direction == 'anti-clockwise') {
-                this.animation.propertyValue = (0 - this.animation.propertyValue);
+        console.log('Easing ' + easing + ' is not known, using linear');
+    }
 
-                // Also if the value is anti-clockwise we need subtract the stopAngle (but to get the wheel to stop in the correct
-                // place this is 360 minus the stop angle as the wheel is rotating backwards).
-                this.animation.propertyValue -= (360 - this.animation._stopAngle);
-            } else {
-                // Add the stopAngle to the propertyValue as the wheel must rotate around to this place and stop there.
-                this.animation.propertyValue += this.animation._stopAngle;
-            }
-        } else if (this.animation.type == 'custom') {
-            // Do nothing as all values must be set by the developer in the parameters
-            // especially the propertyName and propertyValue.
+    return winwheelEasing['linear.none'];
+}
+
+// ====================================================================================================================
+// Built in animation engine used to tween a numeric property of an object, normally the rotationAngle of the wheel.
+// It takes the same arguments as TweenMax.to() and supports the properties Winwheel uses which are the property to be
+// animated, ease, yoyo, repeat, onUpdate and onComplete. Frames are driven by requestAnimationFrame where available.
+// ====================================================================================================================
+function WinwheelTween(target, duration, properties)
+{
+    this.target     = target;
+    this.duration   = (duration * 1000);    // Durations are given in seconds like Greensock but worked with in ms.
+    this.ease       = winwheelGetEasing(properties['ease']);
+    this.yoyo       = (properties['yoyo'] == true);
+    this.repeat     = (properties['repeat'] ? properties['repeat'] : 0);
+    this.onUpdate   = properties['onUpdate'];
+    this.onComplete = properties['onComplete'];
+
+    // Work out the start and end values of each property being animated, anything which is not a number is an option.
+    this.startValues = {};
+    this.endValues = {};
+
+    for (let key in properties) {
+        if ((typeof properties[key] === 'number') && (key != 'repeat') && (isNaN(key))) {
+            this.startValues[key] = target[key];
+            this.endValues[key] = properties[key];
         }
     }
+
+    this._elapsed = 0;          // Time played so far, excluding any time spent paused.
+    this._lastTime = null;
+    this._frameId = null;
+    this._paused = false;
+    this._killed = false;
 }
 
 // ====================================================================================================================
-// Calculates and returns a random stop angle inside the specified segment number. Value will always be 1 degree inside
-// the start and end of the segment to avoid issue with the segment overlap.
+// Creates and starts a tween, this is the function Winwheel calls so the engine can be swapped for TweenMax.
 // ====================================================================================================================
-Winwheel.prototype.getRandomForSegment = function(segmentNumber)
+WinwheelTween.to = function(target, duration, properties)
 {
-    let stopAngle = 0;
+    let tween = new WinwheelTween(target, duration, properties);
+    tween.play();
 
-    if (segmentNumber) {
-        if (typeof this.segments[segmentNumber] !== 'undefined') {
-            let startAngle = this.segments[segmentNumber].startAngle;
-            let endAngle = this.segments[segmentNumber].endAngle;
-            let range = (endAngle - startAngle) - 2;
+    return tween;
+}
 
-            if (range > 0) {
-                stopAngle = (startAngle + 1 + Math.floor((Math.random() * range)));
-            } else {
-               console.log('Segment size is too small to safely get random angle inside it');
-            }
-        } else {
-            console.log('Segment ' + segmentNumber + ' undefined');
-        }
-    } else {
-        console.log('Segment number not specified');
+// ====================================================================================================================
+// Starts or resumes the tween.
+// ====================================================================================================================
+WinwheelTween.prototype.play = function()
+{
+    if ((this._killed == false) && (this._frameId === null)) {
+        this._paused = false;
+        this._lastTime = null;
+        this._requestFrame();
     }
 
-    return stopAngle;
+    return this;
 }
 
+// Resume is the same as play, Greensock tweens have both.
+WinwheelTween.prototype.resume = WinwheelTween.prototype.play;
+
 // ====================================================================================================================
-// Class for the wheel pins.
+// Pauses the tween where it is. It can be continued with play() or resume().
 // ====================================================================================================================
-function Pin(options)
+WinwheelTween.prototype.pause = function()
 {
-    let defaultOptions = {
-        'visible'        : true,     // In future there might be some functionality related to the pins even if they are not displayed.
-        'number'         : 36,       // The number of pins. These are evenly distributed around the wheel.
-        'outerRadius'    : 3,        // Radius of the pins which determines their size.
-        'fillStyle'      : 'grey',   // Fill colour of the pins.
-        'strokeStyle'    : 'black',  // Line colour of the pins.
-        'lineWidth'      : 1,        // Line width of the pins.
-        'margin'         : 3,        // The space between outside edge of the wheel and the pins.
-        'responsive'     : false,    // If set to true the diameter of the pin will resize when the wheel is responsive.
-    };
-
-    // Now loop through the default options and create properties of this class set to the value for
-    // the option passed in if a value was, or if not then set the value of the default.
-    for (let key in defaultOptions) {
-        if ((options != null) && (typeof(options[key]) !== 'undefined')) {
-            this[key] = options[key];
-        } else {
-            this[key] = defaultOptions[key];
-        }
-    }
+    this._paused = true;
+    this._cancelFrame();
 
-    // Also loop though the passed in options and add anything specified not part of the class in to it as a property.
-    if (options != null) {
-        for (let key in options) {
-            if (typeof(this[key]) === 'undefined') {
-                this[key] = options[key];
-            }
-        }
-    }
+    return this;
 }
 
 // ====================================================================================================================
-// Class for the wheel spinning animation which like a segment becomes a property of the wheel.
+// Stops the tween for good without calling the onComplete.
 // ====================================================================================================================
-function Animation(options)
+WinwheelTween.prototype.kill = function()
 {
-    // Most of these options are null because the defaults are different depending on the type of animation.
-    let defaultOptions = {
-        'type'              : 'spinOngoing',   // For now there are only supported types are spinOngoing (continuous), spinToStop, spinAndBack, custom.
-        'direction'         : 'clockwise',     // clockwise or anti-clockwise.
-        'propertyName'      : null,            // The name of the winning wheel property to be affected by the animation.
-        'propertyValue'     : null,            // The value the property is to be set to at the end of the animation.
-        'duration'          : 10,              // Duration of the animation.
-        'yoyo'              : false,           // If the animation is to reverse back again i.e. yo-yo.
-        'repeat'            : null,            // The number of times the animation is to repeat, -1 will cause it to repeat forever.
-        'easing'            : null,            // The easing to use for the animation, default is the best for spin to stop. Use Linear.easeNone for no easing.
-        'stopAngle'         : null,            // Used for spinning, the angle at which the wheel is to stop.
-        'spins'             : null,            // Used for spinning, the number of complete 360 degree rotations the wheel is to do.
-        'clearTheCanvas'    : null,            // If set to true the canvas will be cleared before the wheel is re-drawn, false it will not, null the animation will abide by the value of this property for the parent wheel object.
-        'callbackFinished'  : null,            // Function to callback when the animation has finished.
-        'callbackBefore'    : null,            // Function to callback before the wheel is drawn each animation loop.
-        'callbackAfter'     : null,            // Function to callback after the wheel is drawn each animation loop.
-        'callbackSound'     : null,            // Function to callback if a sound should be triggered on change of segment or pin.
-        'soundTrigger'      : 'segment'        // Sound trigger type. Default is segment which triggers when segment changes, can be pin if to trigger when pin passes the pointer.
-    };
+    this._killed = true;
+    this._cancelFrame();
 
-    // Now loop through the default options and create properties of this class set to the value for
-    // the option passed in if a value was, or if not then set the value of the default.
-    for (let key in defaultOptions) {
-        if ((options != null) && (typeof(options[key]) !== 'undefined')) {
-            this[key] = options[key];
-        } else {
-            this[key] = defaultOptions[key];
-        }
-    }
+    return this;
+}
 
-    // Also loop though the passed in options and add anything specified not part of the class in to it as a property.
-    if (options != null) {
-        for (let key in options) {
-            if (typeof(this[key]) === 'undefined') {
-                this[key] = options[key];
-            }
-        }
-    }
+// ====================================================================================================================
+// Returns true if the tween is paused.
+// ====================================================================================================================
+WinwheelTween.prototype.paused = function()
+{
+    return this._paused;
 }
 
 // ====================================================================================================================
-// Class for segments. When creating a json of options can be passed in.
+// Called each animation frame. Works out how far through the tween we are, sets the properties and calls onUpdate.
 // ====================================================================================================================
-function Segment(options)
+WinwheelTween.prototype.tick = function(time)
 {
-    // Define default options for segments, most are null so that the global defaults for the wheel
-    // are used if the values for a particular segment are not specifically set.
-    let defaultOptions = {
-        'size'              : null, // Leave null for automatic. Valid values are degrees 0-360. Use percentToDegrees function if needed to convert.
-        'text'              : '',   // Default is blank.
-        'fillStyle'         : null, // If null for the rest the global default will be used.
-        'strokeStyle'       : null,
-        'lineWidth'         : null,
-        'textFontFamily'    : null,
-        'textFontSize'      : null,
-        'textFontWeight'    : null,
-        'textOrientation'   : null,
-        'textAlignment'     : null,
-        'textDirection'     : null,
-        'textMargin'        : null,
-        'textFillStyle'     : null,
-        'textStrokeStyle'   : null,
-        'textLineWidth'     : null,
-        'image'             : null, // Name/path to the image
-        'imageDirection'    : null, // Direction of the image, can be set globally for the whole wheel.
-        'imgData'           : null  // Image object created here and loaded with image data.
-    };
+    this._frameId = null;
 
-    // Now loop through the default options and create properties of this class set to the value for
-    // the option passed in if a value was, or if not then set the value of the default.
-    for (let key in defaultOptions) {
-        if ((options != null) && (typeof(options[key]) !== 'undefined')) {
-            this[key] = options[key];
-        } else {
-            this[key] = defaultOptions[key];
-        }
+    if ((this._killed) || (this._paused)) {
+        return;
     }
 
-    // Also loop though the passed in options and add anything specified not part of the class in to it as a property.
-    // This allows the developer to easily add properties to segments at construction time.
-    if (options != null) {
-        for (let key in options) {
-            if (typeof(this[key]) === 'undefined') {
-                this[key] = options[key];
-            }
-        }
+    if (this._lastTime !== null) {
+        this._elapsed += (time - this._lastTime);
     }
 
-    // There are 2 additional properties which are set by the code, so need to define them here.
-    // They are not in the default options because they are not something that should be set by the user,
-    // the values are updated every time the updateSegmentSizes() function is called.
-    this.startAngle = 0;
-    this.endAngle   = 0;
+    this._lastTime = time;
+
+    // Each repeat is another cycle of the duration, a repeat of -1 means it goes on forever.
+    let totalCycles = (this.repeat + 1);
+    let cycle = 0;
+    let progress = 1;
+    let finished = false;
+
+    if (this.duration > 0) {
+        cycle = Math.floor(this._elapsed / this.duration);
+        progress = ((this._elapsed - (cycle * this.duration)) / this.duration);
+    }
+
+    if ((this.repeat != -1) && ((this.duration <= 0) || (cycle >= totalCycles))) {
+        finished = true;
+        cycle = (totalCycles - 1);
+        progress = 1;
+    }
+
+    // When yoyo is on every other cycle plays backwards.
+    if ((this.yoyo) && ((cycle % 2) == 1)) {
+        progress = (1 - progress);
+    }
+
+    let ratio = this.ease(progress);
+
+    for (let key in this.endValues) {
+        this.target[key] = this.startValues[key] + ((this.endValues[key] - this.startValues[key]) * ratio);
+    }
+
+    if (typeof this.onUpdate === 'function') {
+        this.onUpdate();
+    }
+
+    if (finished) {
+        this._killed = true;
+
+        if (typeof this.onComplete === 'function') {
+            this.onComplete();
+        }
+    } else {
+        this._requestFrame();
+    }
 }
 
 // ====================================================================================================================
-// Changes an image for a segment by setting a callback to render the wheel once the image has loaded.
+// Asks for the next frame using requestAnimationFrame, or a timer if that is not available (such as outside a browser).
 // ====================================================================================================================
-Segment.prototype.changeImage = function(image, imageDirection)
+WinwheelTween.prototype._requestFrame = function()
 {
-    // Change image name, blank image data.
-    this.image = image;
-    this.imgData = null;
+    let tween = this;
 
-    // Set direction.
-    if (imageDirection) {
-        this.imageDirection = imageDirection;
+    if (typeof requestAnimationFrame === 'function') {
+        this._frameId = requestAnimationFrame(function(time) {
+            tween.tick(time);
+        });
+    } else {
+        this._frameId = setTimeout(function() {
+            tween.tick(winwheelNow());
+        }, 16);
     }
-
-    // Set imgData to a new image object, change set callback and change src (just like in wheel constructor).
-    winhweelAlreadyDrawn = false;
-    this.imgData = new Image();
-    this.imgData.onload = winwheelLoadedImage;
-    this.imgData.src = this.image;
 }
 
 // ====================================================================================================================
-// Class that is created as property of the wheel. Draws line from center of the wheel out to edge of canvas to
-// indicate where the code thinks the pointer location is. Helpful to get alignment correct esp when using images.
+// Cancels the frame which has been asked for, if any.
 // ====================================================================================================================
-function PointerGuide(options)
+WinwheelTween.prototype._cancelFrame = function()
 {
-    let defaultOptions = {
-        'display'     : false,
-        'strokeStyle' : 'red',
-        'lineWidth'   : 3
-    };
-
-    // Now loop through the default options and create properties of this class set to the value for
-    // the option passed in if a value was, or if not then set the value of the default.
-    for (let key in defaultOptions) {
-        if ((options != null) && (typeof(options[key]) !== 'undefined')) {
-            this[key] = options[key];
+    if (this._frameId !== null) {
+        if (typeof cancelAnimationFrame === 'function') {
+            cancelAnimationFrame(this._frameId);
         } else {
-            this[key] = defaultOptions[key];
+            clearTimeout(this._frameId);
         }
+
+        this._frameId = null;
     }
 }
 
 // ====================================================================================================================
-// This function takes the percent 0-100 and returns the number of degrees 0-360 this equates to.
+// Returns the current time in milliseconds, using the high resolution timer if there is one.
 // ====================================================================================================================
-function winwheelPercentToDegrees(percentValue)
+function winwheelNow()
 {
-    let degrees = 0;
-
-    if ((percentValue > 0) && (percentValue <= 100)) {
-        let divider = (percentValue / 100);
-        degrees = (360 * divider);
+    if ((typeof performance !== 'undefined') && (typeof performance.now === 'function')) {
+        return performance.now();
     }
 
-    return degrees;
+    return Date.now();
 }
 
 // ====================================================================================================================
-// In order for the wheel to be re-drawn during the spin animation the function greesock calls needs to be outside
-// of the class as for some reason it errors if try to call winwheel.draw() directly.
+// Returns the animation engine to use. This is any object with a to(target, duration, properties) function which
+// returns a tween that can be paused, played, and killed. 'gsap' uses TweenMax if it has been loaded on the page.
 // ====================================================================================================================
-function winwheelAnimationLoop()
+function winwheelGetAnimationEngine(engine)
 {
-    if (winwheelToDrawDuringAnimation) {
-        // Check if the clearTheCanvas is specified for this animation, if not or it is not false then clear the canvas.
-        if (winwheelToDrawDuringAnimation.animation.clearTheCanvas != false) {
-            winwheelToDrawDuringAnimation.ctx.clearRect(0, 0, winwheelToDrawDuringAnimation.canvas.width, winwheelToDrawDuringAnimation.canvas.height);
+    if ((engine) && (typeof engine.to === 'function')) {
+        return engine;
+    }
+
+    if (engine == 'gsap') {
+        if (typeof TweenMax !== 'undefined') {
+            return TweenMax;
         }
 
-        let callbackBefore = winwheelToDrawDuringAnimation.animation.callbackBefore;
-        let callbackAfter = winwheelToDrawDuringAnimation.animation.callbackAfter;
+        console.log('TweenMax is not loaded, using the built in animation engine');
+    }
 
-        // If there is a callback function which is supposed to be called before the wheel is drawn then do that.
-        if (callbackBefore != null) {
-            // If the property is a function then call it, otherwise eval the proptery as javascript code.
-            if (typeof callbackBefore === 'function') {
-                callbackBefore();
-            } else {
-                eval(callbackBefore);
-            }
+    return WinwheelTween;
+}
+
+// ====================================================================================================================
+// In order for the wheel to be re-drawn during the spin animation the function the animation engine calls is outside
+// of the class as Greensock errors if try to call winwheel.draw() directly. The wheel to draw is passed in
+// so that each wheel on the page is animated independently.
+// ====================================================================================================================
+function winwheelAnimationLoop(wheel)
+{
+    if (wheel) {
+        // Check if the clearTheCanvas is specified for this animation, if not or it is not false then clear the canvas.
+        if (wheel.animation.clearTheCanvas != false) {
+            wheel.clearCanvas();
         }
 
+        // Let the listeners (and the callbackBefore) know the wheel is about to be drawn.
+        wheel.emit('beforeframe');
+
         // Call code to draw the wheel, pass in false as we never want it to clear the canvas as that would wipe anything drawn in the callbackBefore.
-        winwheelToDrawDuringAnimation.draw(false);
+        wheel.draw(false);
 
-        // If there is a callback function which is supposed to be called after the wheel has been drawn then do that.
-        if (callbackAfter != null) {
-            // If the property is a function then call it, otherwise eval the proptery as javascript code.
-            if (typeof callbackAfter === 'function') {
-                callbackAfter();
-            } else {
-                eval(callbackAfter);
-            }
-        }
+        // And now that the wheel has been drawn, this also calls the callbackAfter.
+        wheel.emit('frame');
 
-        // If there is a sound callback then call a function which figures out if the sound should be triggered
-        // and if so then call the function specified by the developer.
-        if (winwheelToDrawDuringAnimation.animation.callbackSound) {
-            winwheelTriggerSound();
-        }
+        // Call a function which figures out if the segment or pin has changed so the events (and the sound callback) can be triggered.
+        winwheelTriggerSound(wheel);
     }
 }
 
 // ====================================================================================================================
-// This function figures out if the callbackSound function needs to be called by working out if the segment or pin
-// has changed since the last animation loop.
+// This function figures out if the segmentchange and pinpass events need to be emitted by working out which segment
+// boundaries and pins have passed the pointer since this was last called for the specified wheel, which is each
+// animation loop and each move while the wheel is dragged or snaps back. This comes from how far the wheel has turned,
+// not the segment or pin at the pointer now, so when a fast spin takes the wheel past several in one frame each of
+// them is emitted in the order they passed. The speed of the wheel in degrees per second and the direction it is
+// turning are passed with the events. The callbackSound is called from these events depending on the soundTrigger.
 // ====================================================================================================================
-function winwheelTriggerSound()
+function winwheelTriggerSound(wheel)
 {
-    // If this property does not exist then add it as a property of the winwheel.
-    if (winwheelToDrawDuringAnimation.hasOwnProperty('_lastSoundTriggerNumber') == false) {
-        winwheelToDrawDuringAnimation._lastSoundTriggerNumber = 0;
+    let now = winwheelNow();
+
+    // On the first frame of the spin there is nothing to compare to so where the wheel is now is just remembered.
+    if (typeof wheel._lastSoundAngle !== 'number') {
+        wheel._lastSoundAngle = wheel.rotationAngle;
+        wheel._lastSoundTime = now;
+        return;
     }
 
-    let callbackSound = winwheelToDrawDuringAnimation.animation.callbackSound;
-    let currentTriggerNumber = 0;
+    let fromAngle = wheel._lastSoundAngle;
+    let toAngle = wheel.rotationAngle;
+    let elapsed = ((now - wheel._lastSoundTime) / 1000);
 
-    // Now figure out if the sound callback should be called depending on the sound trigger type.
-    if (winwheelToDrawDuringAnimation.animation.soundTrigger == 'pin') {
-        // So for the pin type we need to work out which pin we are between.
-        currentTriggerNumber = winwheelToDrawDuringAnimation.getCurrentPinNumber();
-    } else {
-        // Check on the change of segment by working out which segment we are in.
-        // We can utilise the existing getIndiatedSegmentNumber function.
-        currentTriggerNumber = winwheelToDrawDuringAnimation.getIndicatedSegmentNumber();
+    wheel._lastSoundAngle = toAngle;
+    wheel._lastSoundTime = now;
+
+    if (toAngle == fromAngle) {
+        return;
+    }
+
+    let direction = (toAngle > fromAngle) ? 'clockwise' : 'anti-clockwise';
+    let speed = (elapsed > 0) ? (Math.abs(toAngle - fromAngle) / elapsed) : 0;
+    let crossings = [];
+
+    // A segment boundary is at the pointer when the rotationAngle is the pointerAngle less the start angle of the
+    // segment, plus a whole number of turns. Going clockwise the segment before the boundary comes to the pointer.
+    for (let x = 1; x <= wheel.numSegments; x ++) {
+        let enteredNumber = x;
+
+        if (direction == 'clockwise') {
+            enteredNumber = (x == 1) ? wheel.numSegments : (x - 1);
+        }
+
+        winwheelGetCrossings(fromAngle, toAngle, (wheel.pointerAngle - wheel.segments[x].startAngle), 360, function(angle) {
+            crossings.push({'angle' : angle, 'type' : 'segment', 'number' : enteredNumber});
+        });
+    }
+
+    if (wheel.pins) {
+        winwheelGetCrossings(fromAngle, toAngle, wheel.pointerAngle, (360 / wheel.pins.number), function(angle, crossing) {
+            crossings.push({'angle' : angle, 'type' : 'pin', 'number' : wheel.getPinNumberAtCrossing(crossing)});
+        });
     }
 
-    // If the current number is not the same as last time then call the sound callback.
-    if (currentTriggerNumber != winwheelToDrawDuringAnimation._lastSoundTriggerNumber) {
-        // If the property is a function then call it, otherwise eval the proptery as javascript code.
-        if (typeof callbackSound === 'function') {
-            callbackSound();
+    // Put them in the order the wheel passed them.
+    crossings.sort(function(a, b) {
+        return (direction == 'clockwise') ? (a.angle - b.angle) : (b.angle - a.angle);
+    });
+
+    for (let i = 0; i < crossings.length; i ++) {
+        if (crossings[i].type == 'segment') {
+            wheel.emit('segmentchange', wheel.segments[crossings[i].number], crossings[i].number, speed, direction);
         } else {
-            eval(callbackSound);
+            wheel.emit('pinpass', crossings[i].number, speed, direction);
         }
+    }
+}
+
+// ====================================================================================================================
+// Calls the callback for each angle between the fromAngle and the toAngle which is the startAngle plus a whole number
+// of the spacing, passing the angle and that number. An angle is passed when the wheel goes from before it to at or past
+// it going clockwise, and from at or past it to before it going anti-clockwise, so going back and forth counts each time.
+// ====================================================================================================================
+function winwheelGetCrossings(fromAngle, toAngle, startAngle, spacing, callback)
+{
+    let fromCrossing = Math.floor((fromAngle - startAngle) / spacing);
+    let toCrossing = Math.floor((toAngle - startAngle) / spacing);
 
-        // Also update the last sound trigger with the current number.
-        winwheelToDrawDuringAnimation._lastSoundTriggerNumber = currentTriggerNumber;
+    for (let crossing = (fromCrossing + 1); crossing <= toCrossing; crossing ++) {
+        callback((startAngle + (crossing * spacing)), crossing);
+    }
+
+    for (let crossing = fromCrossing; crossing > toCrossing; crossing --) {
+        callback((startAngle + (crossing * spacing)), crossing);
     }
 }
 
 // ====================================================================================================================
-// This function is called-back when the greensock animation has finished.
+// This function is called-back when the animation for the specified wheel has finished.
 // ====================================================================================================================
-let winwheelToDrawDuringAnimation = null;  // This global is set by the winwheel class to the wheel object to be re-drawn.
+let winwheelToDrawDuringAnimation = null;  // Set to the last wheel animated, only kept for code outside Winwheel which still reads it.
 
-function winwheelStopAnimation(canCallback)
+function winwheelStopAnimation(wheel, canCallback)
 {
-    // When the animation is stopped if canCallback is not false then try to call the callback.
+    wheel._spinning = false;
+
+    let settings = wheel._spinSettings;
+
+    // If the animation was started with spin() then resolve its Promise. This is done even when canCallback is false,
+    // as then the spin was cancelled and whatever is awaiting it needs to know.
+    if (wheel._spinResolve) {
+        let resolve = wheel._spinResolve;
+        wheel._spinResolve = null;
+
+        resolve({
+            'status'        : (canCallback != false) ? 'finished' : 'cancelled',
+            'segment'       : wheel.getIndicatedSegment(),
+            'segmentNumber' : wheel.getIndicatedSegmentNumber(),
+            'rotationAngle' : wheel.rotationAngle
+        });
+    }
+
+    // When the animation is stopped if canCallback is not false then emit the spinend event which also calls the callbackFinished.
     // false can be passed in to stop the after happening if the animation has been stopped before it ended normally.
     if (canCallback != false) {
-        let callback = winwheelToDrawDuringAnimation.animation.callbackFinished;
+        // Pass the indicated segment as 99% of the time you will want to know this to inform the user of their prize.
+        wheel.emit('spinend', wheel.getIndicatedSegment());
+    } else {
+        wheel.emit('spincancel');
+    }
 
-        if (callback != null) {
-            // If the callback is a function then call it, otherwise evaluate the property as javascript code.
-            if (typeof callback === 'function') {
-                // Pass back the indicated segment as 99% of the time you will want to know this to inform the user of their prize.
-                callback(winwheelToDrawDuringAnimation.getIndicatedSegment());
-            } else {
-                eval(callback);
+    // The options passed to spin() were only for that spin, so the animation is put back now it has ended. This is done
+    // after the events so the spinend callbacks passed in the options are called. If a handler started another spin it
+    // has already put them back.
+    if (wheel._spinSettings === settings) {
+        winwheelRestoreAnimation(wheel);
+    }
+}
+
+// ====================================================================================================================
+// Evals a string callback option of the animation as javascript code. This is done here, away from the code of the
+// wheel, so the only variable the code can see which is not global is the code itself.
+// ====================================================================================================================
+function winwheelEvalCallback(code)
+{
+    eval(code);
+}
+
+// ====================================================================================================================
+// Puts the animation of the wheel back to the settings kept by spin() before the options for that spin were set on it.
+// Any settings the options added are removed.
+// ====================================================================================================================
+function winwheelRestoreAnimation(wheel)
+{
+    let settings = wheel._spinSettings;
+    wheel._spinSettings = null;
+
+    if ((settings) && (wheel.animation)) {
+        for (let key in wheel.animation) {
+            if ((wheel.animation.hasOwnProperty(key)) && (key.charAt(0) != '_') && (!settings.hasOwnProperty(key))) {
+                delete wheel.animation[key];
             }
         }
+
+        for (let key in settings) {
+            wheel.animation[key] = settings[key];
+        }
     }
 }
 
@@ -2257,29 +7777,29 @@ function winwheelStopAnimation(canCallback)
 // Called after the image has loaded for each segment. Once all the images are loaded it then calls the draw function
 // on the wheel to render it. Used in constructor and also when a segment image is changed.
 // ====================================================================================================================
-let winhweelAlreadyDrawn = false;
-
-function winwheelLoadedImage()
+function winwheelLoadedImage(wheel)
 {
     // Prevent multiple drawings of the wheel which ocurrs without this check due to timing of function calls.
-    if (winhweelAlreadyDrawn == false) {
+    if (wheel._imagesAlreadyDrawn != true) {
         // Set to 0.
         let winwheelImageLoadCount = 0;
 
         // Loop though all the segments of the wheel and check if image data loaded, if so increment counter.
-        for (let i = 1; i <= winwheelToDrawDuringAnimation.numSegments; i ++) {
+        for (let i = 1; i <= wheel.numSegments; i ++) {
             // Check the image data object is not null and also that the image has completed loading by checking
             // that a property of it such as the height has some sort of true value.
-            if ((winwheelToDrawDuringAnimation.segments[i].imgData != null) && (winwheelToDrawDuringAnimation.segments[i].imgData.height)) {
+            if ((wheel.segments[i].imgData != null) && (wheel.segments[i].imgData.height)) {
                 winwheelImageLoadCount ++;
             }
         }
 
         // If number of images loaded matches the segments then all the images for the wheel are loaded.
-        if (winwheelImageLoadCount == winwheelToDrawDuringAnimation.numSegments) {
+        if (winwheelImageLoadCount == wheel.numSegments) {
             // Call draw function to render the wheel.
-            winhweelAlreadyDrawn = true;
-            winwheelToDrawDuringAnimation.draw();
+            wheel._imagesAlreadyDrawn = true;
+            wheel.draw();
+
+            wheel.emit('imagesloaded');
         }
     }
 }
@@ -2288,7 +7808,7 @@ function winwheelLoadedImage()
 // Called when the wheel is to resize. This is normally called from a onresize of the window, also called from onload
 // so the initial size is correct. Here we must re-size the canvas and work out the scaleFactor for the wheel.
 // ====================================================================================================================
-function winwheelResize()
+function winwheelResize(wheel)
 {
     // By default set the margin to 40px, this can be overridden if needed.
     // This is to stop the canvas going right to the right edge of the screen and being overlayed by a scrollbar though
@@ -2296,45 +7816,73 @@ function winwheelResize()
     let margin = 40;
 
     // If a value has been specified for this then update the margin to it.
-    if (typeof(winwheelToDrawDuringAnimation._responsiveMargin) !== 'undefined') {
-        margin = winwheelToDrawDuringAnimation._responsiveMargin;
+    if (typeof(wheel._responsiveMargin) !== 'undefined') {
+        margin = wheel._responsiveMargin;
     }
 
     // Get the current width and also optional min and max width properties.
     let width = window.innerWidth - margin;
-    let minWidth = winwheelToDrawDuringAnimation._responsiveMinWidth;
-    let minHeight = winwheelToDrawDuringAnimation._responsiveMinHeight;
+    let minWidth = wheel._responsiveMinWidth;
+    let minHeight = wheel._responsiveMinHeight;
 
     // Adjust the width as it cannot be larger than the original size of the wheel and we don't want
     // the canvas and wheel inside it to be too small so check the min width.
     if (width < minWidth) {
         width = minWidth;
-    } else if (width > winwheelToDrawDuringAnimation._originalCanvasWidth) {
-        width = winwheelToDrawDuringAnimation._originalCanvasWidth;
+    } else if (width > wheel._originalCanvasWidth) {
+        width = wheel._originalCanvasWidth;
     }
 
     // Work out the percent the new width is smaller than the original width.
-    let percent = (width / winwheelToDrawDuringAnimation._originalCanvasWidth);
+    let percent = (width / wheel._originalCanvasWidth);
 
     // Set the canvas width to the width to a percentage of the original width.
-    winwheelToDrawDuringAnimation.canvas.width = (winwheelToDrawDuringAnimation._originalCanvasWidth * percent);
+    let newWidth = (wheel._originalCanvasWidth * percent);
+    let newHeight = wheel.getCanvasHeight();
 
     // Scale the height if we are supposed to but ensure it does not go below the minHeight.
-    if (winwheelToDrawDuringAnimation._responsiveScaleHeight) {
-        let height = (winwheelToDrawDuringAnimation._originalCanvasHeight * percent);
+    if (wheel._responsiveScaleHeight) {
+        newHeight = (wheel._originalCanvasHeight * percent);
 
-        if (height < minHeight) {
-            height = minHeight;
-        } else if (height > winwheelToDrawDuringAnimation._originalCanvasHeight) {
-            height = winwheelToDrawDuringAnimation._originalCanvasHeight;
+        if (newHeight < minHeight) {
+            newHeight = minHeight;
+        } else if (newHeight > wheel._originalCanvasHeight) {
+            newHeight = wheel._originalCanvasHeight;
         }
+    }
 
-        winwheelToDrawDuringAnimation.canvas.height = height;
+    // The pixel ratio may have changed too if the browser was zoomed.
+    if (wheel.highDpi) {
+        wheel._pixelRatio = winwheelGetPixelRatio();
     }
 
+    wheel.setCanvasSize(newWidth, newHeight);
+
     // OK so now we have the percent, set the scaleFactor of the wheel to this.
-    winwheelToDrawDuringAnimation.scaleFactor = percent;
+    wheel.scaleFactor = percent;
 
     // Now re-draw the wheel to ensure the changes in size are rendered.
-    winwheelToDrawDuringAnimation.draw();
+    wheel.draw();
+
+    wheel.emit('resize', percent);
+}
+
+// ====================================================================================================================
+// When loaded as a CommonJS module, such as in Node or a bundler, export the classes. In the browser they are globals.
+// ====================================================================================================================
+if ((typeof module !== 'undefined') && (module.exports)) {
+    module.exports = {
+        'Winwheel'                : Winwheel,
+        'Segment'                 : Segment,
+        'Animation'               : Animation,
+        'Pin'                     : Pin,
+        'PointerGuide'            : PointerGuide,
+        'WinwheelTween'           : WinwheelTween,
+        'WinwheelValidationError' : WinwheelValidationError,
+        'WinwheelSvgCanvas'       : WinwheelSvgCanvas,
+        'WinwheelSvgContext'      : WinwheelSvgContext,
+        'winwheelEasing'          : winwheelEasing,
+        'winwheelSeededRandom'    : winwheelSeededRandom,
+        'winwheelPercentToDegrees': winwheelPercentToDegrees
+    };
 }
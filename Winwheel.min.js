@@ -1,54 +1 @@
-function Winwheel(a,c){defaultOptions={canvasId:"canvas",centerX:null,centerY:null,outerRadius:null,innerRadius:0,numSegments:1,drawMode:"code",rotationAngle:0,textFontFamily:"Arial",textFontSize:20,textFontWeight:"bold",textOrientation:"horizontal",textAlignment:"center",textDirection:"normal",textMargin:null,textFillStyle:"black",textStrokeStyle:null,textLineWidth:1,fillStyle:"silver",strokeStyle:"black",lineWidth:1,clearTheCanvas:!0,imageOverlay:!1,drawText:!0,pointerAngle:0,wheelImage:null,imageDirection:"N",
-responsive:!1,scaleFactor:1};for(var b in defaultOptions)this[b]=null!=a&&"undefined"!==typeof a[b]?a[b]:defaultOptions[b];if(null!=a)for(var d in a)"undefined"===typeof this[d]&&(this[d]=a[d]);this.canvasId?(this.canvas=document.getElementById(this.canvasId))?(null==this.centerX&&(this.centerX=this.canvas.width/2),null==this.centerY&&(this.centerY=this.canvas.height/2),null==this.outerRadius&&(this.outerRadius=this.canvas.width<this.canvas.height?this.canvas.width/2-this.lineWidth:this.canvas.height/
-2-this.lineWidth),this.ctx=this.canvas.getContext("2d")):this.ctx=this.canvas=null:this.ctx=this.canvas=null;this.segments=Array(null);for(b=1;b<=this.numSegments;b++)this.segments[b]=null!=a&&a.segments&&"undefined"!==typeof a.segments[b-1]?new Segment(a.segments[b-1]):new Segment;this.updateSegmentSizes();null===this.textMargin&&(this.textMargin=this.textFontSize/1.7);this.animation=null!=a&&a.animation&&"undefined"!==typeof a.animation?new Animation(a.animation):new Animation;null!=a&&a.pins&&
-"undefined"!==typeof a.pins&&(this.pins=new Pin(a.pins));"image"==this.drawMode||"segmentImage"==this.drawMode?("undefined"===typeof a.fillStyle&&(this.fillStyle=null),"undefined"===typeof a.strokeStyle&&(this.strokeStyle="red"),"undefined"===typeof a.drawText&&(this.drawText=!1),"undefined"===typeof a.lineWidth&&(this.lineWidth=1),"undefined"===typeof c&&(c=!1)):"undefined"===typeof c&&(c=!0);this.pointerGuide=null!=a&&a.pointerGuide&&"undefined"!==typeof a.pointerGuide?new PointerGuide(a.pointerGuide):
-new PointerGuide;this.responsive&&(winwheelToDrawDuringAnimation=this,this._originalCanvasWidth=this.canvas.width,this._originalCanvasHeight=this.canvas.height,this._responsiveScaleHeight=this.canvas.dataset.responsivescaleheight,this._responsiveMinWidth=this.canvas.dataset.responsiveminwidth,this._responsiveMinHeight=this.canvas.dataset.responsiveminheight,this._responsiveMargin=this.canvas.dataset.responsivemargin,window.addEventListener("load",winwheelResize),window.addEventListener("resize",winwheelResize));
-if(1==c)this.draw(this.clearTheCanvas);else if("segmentImage"==this.drawMode)for(winwheelToDrawDuringAnimation=this,winhweelAlreadyDrawn=!1,b=1;b<=this.numSegments;b++)null!==this.segments[b].image&&(this.segments[b].imgData=new Image,this.segments[b].imgData.onload=winwheelLoadedImage,this.segments[b].imgData.src=this.segments[b].image)}
-Winwheel.prototype.updateSegmentSizes=function(){if(this.segments){for(var a=0,c=0,b=1;b<=this.numSegments;b++)null!==this.segments[b].size&&(a+=this.segments[b].size,c++);b=360-a;a=0;0<b&&(a=b/(this.numSegments-c));c=0;for(b=1;b<=this.numSegments;b++)this.segments[b].startAngle=c,c=this.segments[b].size?c+this.segments[b].size:c+a,this.segments[b].endAngle=c}};Winwheel.prototype.clearCanvas=function(){this.ctx&&this.ctx.clearRect(0,0,this.canvas.width,this.canvas.height)};
-Winwheel.prototype.draw=function(a){this.ctx&&("undefined"!==typeof a?1==a&&this.clearCanvas():this.clearCanvas(),"image"==this.drawMode?(this.drawWheelImage(),1==this.drawText&&this.drawSegmentText(),1==this.imageOverlay&&this.drawSegments()):"segmentImage"==this.drawMode?(this.drawSegmentImages(),1==this.drawText&&this.drawSegmentText(),1==this.imageOverlay&&this.drawSegments()):(this.drawSegments(),1==this.drawText&&this.drawSegmentText()),"undefined"!==typeof this.pins&&1==this.pins.visible&&
-this.drawPins(),1==this.pointerGuide.display&&this.drawPointerGuide())};
-Winwheel.prototype.drawPins=function(){if(this.pins&&this.pins.number){var a=this.centerX*this.scaleFactor,c=this.centerY*this.scaleFactor,b=this.outerRadius*this.scaleFactor,d=this.pins.outerRadius,e=this.pins.margin;this.pins.responsive&&(d=this.pins.outerRadius*this.scaleFactor,e=this.pins.margin*this.scaleFactor);for(var t=360/this.pins.number,h=1;h<=this.pins.number;h++)this.ctx.save(),this.ctx.strokeStyle=this.pins.strokeStyle,this.ctx.lineWidth=this.pins.lineWidth,this.ctx.fillStyle=this.pins.fillStyle,
-this.ctx.translate(a,c),this.ctx.rotate(this.degToRad(h*t+this.rotationAngle)),this.ctx.translate(-a,-c),this.ctx.beginPath(),this.ctx.arc(a,c-b+d+e,d,0,2*Math.PI),this.pins.fillStyle&&this.ctx.fill(),this.pins.strokeStyle&&this.ctx.stroke(),this.ctx.restore()}};
-Winwheel.prototype.drawPointerGuide=function(){if(this.ctx){var a=this.centerX*this.scaleFactor,c=this.centerY*this.scaleFactor,b=this.outerRadius*this.scaleFactor;this.ctx.save();this.ctx.translate(a,c);this.ctx.rotate(this.degToRad(this.pointerAngle));this.ctx.translate(-a,-c);this.ctx.strokeStyle=this.pointerGuide.strokeStyle;this.ctx.lineWidth=this.pointerGuide.lineWidth;this.ctx.beginPath();this.ctx.moveTo(a,c);this.ctx.lineTo(a,-(b/4));this.ctx.stroke();this.ctx.restore()}};
-Winwheel.prototype.drawWheelImage=function(){if(null!=this.wheelImage){var a=this.centerX*this.scaleFactor,c=this.centerY*this.scaleFactor,b=this.wheelImage.width*this.scaleFactor,d=this.wheelImage.height*this.scaleFactor,e=a-b/2,t=c-d/2;this.ctx.save();this.ctx.translate(a,c);this.ctx.rotate(this.degToRad(this.rotationAngle));this.ctx.translate(-a,-c);this.ctx.drawImage(this.wheelImage,e,t,b,d);this.ctx.restore()}};
-Winwheel.prototype.drawSegmentImages=function(){if(this.ctx){var a=this.centerX*this.scaleFactor,c=this.centerY*this.scaleFactor;if(this.segments)for(var b=1;b<=this.numSegments;b++){var d=this.segments[b];if(d.imgData.height){var e=d.imgData.width*this.scaleFactor,t=d.imgData.height*this.scaleFactor;var h=null!==d.imageDirection?d.imageDirection:this.imageDirection;if("S"==h){h=a-e/2;var n=c;var r=d.startAngle+180+(d.endAngle-d.startAngle)/2}else"E"==h?(h=a,n=c-t/2,r=d.startAngle+270+(d.endAngle-
-d.startAngle)/2):"W"==h?(h=a-e,n=c-t/2,r=d.startAngle+90+(d.endAngle-d.startAngle)/2):(h=a-e/2,n=c-t,r=d.startAngle+(d.endAngle-d.startAngle)/2);this.ctx.save();this.ctx.translate(a,c);this.ctx.rotate(this.degToRad(this.rotationAngle+r));this.ctx.translate(-a,-c);this.ctx.drawImage(d.imgData,h,n,e,t);this.ctx.restore()}else console.log("Segment "+b+" imgData is not loaded")}}};
-Winwheel.prototype.drawSegments=function(){if(this.ctx&&this.segments)for(var a=this.centerX*this.scaleFactor,c=this.centerY*this.scaleFactor,b=this.innerRadius*this.scaleFactor,d=this.outerRadius*this.scaleFactor,e=1;e<=this.numSegments;e++){var t=this.segments[e];var h=null!==t.fillStyle?t.fillStyle:this.fillStyle;this.ctx.fillStyle=h;var n=null!==t.lineWidth?t.lineWidth:this.lineWidth;this.ctx.lineWidth=n;var r=null!==t.strokeStyle?t.strokeStyle:this.strokeStyle;if((this.ctx.strokeStyle=r)||h){this.ctx.beginPath();
-if(this.innerRadius){var f=Math.cos(this.degToRad(t.startAngle+this.rotationAngle-90))*(b-n/2);n=Math.sin(this.degToRad(t.startAngle+this.rotationAngle-90))*(b-n/2);this.ctx.moveTo(a+f,c+n)}else this.ctx.moveTo(a,c);this.ctx.arc(a,c,d,this.degToRad(t.startAngle+this.rotationAngle-90),this.degToRad(t.endAngle+this.rotationAngle-90),!1);this.innerRadius?this.ctx.arc(a,c,b,this.degToRad(t.endAngle+this.rotationAngle-90),this.degToRad(t.startAngle+this.rotationAngle-90),!0):this.ctx.lineTo(a,c);h&&this.ctx.fill();
-r&&this.ctx.stroke()}}};
-Winwheel.prototype.drawSegmentText=function(){if(this.ctx)for(var a,c,b,d,e,t,h,n,r,f,l=this.centerX*this.scaleFactor,p=this.centerY*this.scaleFactor,w=this.outerRadius*this.scaleFactor,v=this.innerRadius*this.scaleFactor,y=1;y<=this.numSegments;y++){this.ctx.save();var g=this.segments[y];if(g.text){a=null!==g.textFontFamily?g.textFontFamily:this.textFontFamily;c=null!==g.textFontSize?g.textFontSize:this.textFontSize;b=null!==g.textFontWeight?g.textFontWeight:this.textFontWeight;d=null!==g.textOrientation?
-g.textOrientation:this.textOrientation;e=null!==g.textAlignment?g.textAlignment:this.textAlignment;t=null!==g.textDirection?g.textDirection:this.textDirection;h=null!==g.textMargin?g.textMargin:this.textMargin;n=null!==g.textFillStyle?g.textFillStyle:this.textFillStyle;r=null!==g.textStrokeStyle?g.textStrokeStyle:this.textStrokeStyle;f=null!==g.textLineWidth?g.textLineWidth:this.textLineWidth;c*=this.scaleFactor;h*=this.scaleFactor;var m="";null!=b&&(m+=b+" ");null!=c&&(m+=c+"px ");null!=a&&(m+=a);
-this.ctx.font=m;this.ctx.fillStyle=n;this.ctx.strokeStyle=r;this.ctx.lineWidth=f;a=g.text.split("\n");b=-(a.length/2*c)+c/2;"curved"!=d||"inner"!=e&&"outer"!=e||(b=0);for(f=0;f<a.length;f++){if("reversed"==t)if("horizontal"==d)this.ctx.textAlign="inner"==e?"right":"outer"==e?"left":"center",this.ctx.textBaseline="middle",m=this.degToRad(g.endAngle-(g.endAngle-g.startAngle)/2+this.rotationAngle-90-180),this.ctx.save(),this.ctx.translate(l,p),this.ctx.rotate(m),this.ctx.translate(-l,-p),"inner"==e?
-(n&&this.ctx.fillText(a[f],l-v-h,p+b),r&&this.ctx.strokeText(a[f],l-v-h,p+b)):"outer"==e?(n&&this.ctx.fillText(a[f],l-w+h,p+b),r&&this.ctx.strokeText(a[f],l-w+h,p+b)):(n&&this.ctx.fillText(a[f],l-v-(w-v)/2-h,p+b),r&&this.ctx.strokeText(a[f],l-v-(w-v)/2-h,p+b)),this.ctx.restore();else if("vertical"==d){this.ctx.textAlign="center";this.ctx.textBaseline="inner"==e?"top":"outer"==e?"bottom":"middle";m=g.endAngle-(g.endAngle-g.startAngle)/2-180;m+=this.rotationAngle;this.ctx.save();this.ctx.translate(l,
-p);this.ctx.rotate(this.degToRad(m));this.ctx.translate(-l,-p);var k=0;"outer"==e?k=p+w-h:"inner"==e&&(k=p+v+h);m=c-c/9;if("outer"==e)for(var q=a[f].length-1;0<=q;q--){var u=a[f].charAt(q);n&&this.ctx.fillText(u,l+b,k);r&&this.ctx.strokeText(u,l+b,k);k-=m}else if("inner"==e)for(q=0;q<a[f].length;q++)u=a[f].charAt(q),n&&this.ctx.fillText(u,l+b,k),r&&this.ctx.strokeText(u,l+b,k),k+=m;else if("center"==e)for(k=0,1<a[f].length&&(k=m*(a[f].length-1)/2),k=p+v+(w-v)/2+k+h,q=a[f].length-1;0<=q;q--)u=a[f].charAt(q),
-n&&this.ctx.fillText(u,l+b,k),r&&this.ctx.strokeText(u,l+b,k),k-=m;this.ctx.restore()}else{if("curved"==d)for(m=0,"inner"==e?(m=v+h,this.ctx.textBaseline="top"):"outer"==e?(m=w-h,this.ctx.textBaseline="bottom",m-=c*(a.length-1)):"center"==e&&(m=v+h+(w-v)/2,this.ctx.textBaseline="middle"),k=0,1<a[f].length?(this.ctx.textAlign="left",k=c/10*4,k*=100/m,q=g.startAngle+((g.endAngle-g.startAngle)/2-k*a[f].length/2)):(q=g.startAngle+(g.endAngle-g.startAngle)/2,this.ctx.textAlign="center"),q+=this.rotationAngle,
-q-=180,u=a[f].length;0<=u;u--){this.ctx.save();var x=a[f].charAt(u);this.ctx.translate(l,p);this.ctx.rotate(this.degToRad(q));this.ctx.translate(-l,-p);r&&this.ctx.strokeText(x,l,p+m+b);n&&this.ctx.fillText(x,l,p+m+b);q+=k;this.ctx.restore()}}else if("horizontal"==d)this.ctx.textAlign="inner"==e?"left":"outer"==e?"right":"center",this.ctx.textBaseline="middle",m=this.degToRad(g.endAngle-(g.endAngle-g.startAngle)/2+this.rotationAngle-90),this.ctx.save(),this.ctx.translate(l,p),this.ctx.rotate(m),this.ctx.translate(-l,
--p),"inner"==e?(n&&this.ctx.fillText(a[f],l+v+h,p+b),r&&this.ctx.strokeText(a[f],l+v+h,p+b)):"outer"==e?(n&&this.ctx.fillText(a[f],l+w-h,p+b),r&&this.ctx.strokeText(a[f],l+w-h,p+b)):(n&&this.ctx.fillText(a[f],l+v+(w-v)/2+h,p+b),r&&this.ctx.strokeText(a[f],l+v+(w-v)/2+h,p+b)),this.ctx.restore();else if("vertical"==d){this.ctx.textAlign="center";this.ctx.textBaseline="inner"==e?"bottom":"outer"==e?"top":"middle";m=g.endAngle-(g.endAngle-g.startAngle)/2;m+=this.rotationAngle;this.ctx.save();this.ctx.translate(l,
-p);this.ctx.rotate(this.degToRad(m));this.ctx.translate(-l,-p);k=0;"outer"==e?k=p-w+h:"inner"==e&&(k=p-v-h);m=c-c/9;if("outer"==e)for(q=0;q<a[f].length;q++)u=a[f].charAt(q),n&&this.ctx.fillText(u,l+b,k),r&&this.ctx.strokeText(u,l+b,k),k+=m;else if("inner"==e)for(q=a[f].length-1;0<=q;q--)u=a[f].charAt(q),n&&this.ctx.fillText(u,l+b,k),r&&this.ctx.strokeText(u,l+b,k),k-=m;else if("center"==e)for(k=0,1<a[f].length&&(k=m*(a[f].length-1)/2),k=p-v-(w-v)/2-k-h,q=0;q<a[f].length;q++)u=a[f].charAt(q),n&&this.ctx.fillText(u,
-l+b,k),r&&this.ctx.strokeText(u,l+b,k),k+=m;this.ctx.restore()}else if("curved"==d)for(m=0,"inner"==e?(m=v+h,this.ctx.textBaseline="bottom",m+=c*(a.length-1)):"outer"==e?(m=w-h,this.ctx.textBaseline="top"):"center"==e&&(m=v+h+(w-v)/2,this.ctx.textBaseline="middle"),k=0,1<a[f].length?(this.ctx.textAlign="left",k=c/10*4,k*=100/m,q=g.startAngle+((g.endAngle-g.startAngle)/2-k*a[f].length/2)):(q=g.startAngle+(g.endAngle-g.startAngle)/2,this.ctx.textAlign="center"),q+=this.rotationAngle,u=0;u<a[f].length;u++)this.ctx.save(),
-x=a[f].charAt(u),this.ctx.translate(l,p),this.ctx.rotate(this.degToRad(q)),this.ctx.translate(-l,-p),r&&this.ctx.strokeText(x,l,p-m+b),n&&this.ctx.fillText(x,l,p-m+b),q+=k,this.ctx.restore();b+=c}}this.ctx.restore()}};Winwheel.prototype.degToRad=function(a){return.017453292519943295*a};Winwheel.prototype.setCenter=function(a,c){this.centerX=a;this.centerY=c};
-Winwheel.prototype.addSegment=function(a,c){var b=new Segment(a);this.numSegments++;if("undefined"!==typeof c){for(var d=this.numSegments;d>c;d--)this.segments[d]=this.segments[d-1];this.segments[c]=b;b=c}else this.segments[this.numSegments]=b,b=this.numSegments;this.updateSegmentSizes();return this.segments[b]};
-Winwheel.prototype.setCanvasId=function(a){if(a){if(this.canvasId=a,this.canvas=document.getElementById(this.canvasId))this.ctx=this.canvas.getContext("2d")}else this.canvas=this.ctx=this.canvasId=null};Winwheel.prototype.deleteSegment=function(a){if(1<this.numSegments){if("undefined"!==typeof a)for(;a<this.numSegments;a++)this.segments[a]=this.segments[a+1];this.segments[this.numSegments]=void 0;this.numSegments--;this.updateSegmentSizes()}};
-Winwheel.prototype.windowToCanvas=function(a,c){var b=this.canvas.getBoundingClientRect();return{x:Math.floor(a-this.canvas.width/b.width*b.left),y:Math.floor(c-this.canvas.height/b.height*b.top)}};Winwheel.prototype.getSegmentAt=function(a,c){var b=null,d=this.getSegmentNumberAt(a,c);null!==d&&(b=this.segments[d]);return b};
-Winwheel.prototype.getSegmentNumberAt=function(a,c){var b=this.windowToCanvas(a,c);var d=this.centerX*this.scaleFactor;var e=this.centerY*this.scaleFactor;var t=this.outerRadius*this.scaleFactor,h=this.innerRadius*this.scaleFactor;if(b.x>d){var n=b.x-d;d="R"}else n=d-b.x,d="L";if(b.y>e){var r=b.y-e;e="B"}else r=e-b.y,e="T";var f=180*Math.atan(r/n)/Math.PI;b=0;n=Math.sqrt(r*r+n*n);"T"==e&&"R"==d?b=Math.round(90-f):"B"==e&&"R"==d?b=Math.round(f+90):"B"==e&&"L"==d?b=Math.round(90-f+180):"T"==e&&"L"==
-d&&(b=Math.round(f+270));0!=this.rotationAngle&&(d=this.getRotationPosition(),b-=d,0>b&&(b=360-Math.abs(b)));d=null;for(e=1;e<=this.numSegments;e++)if(b>=this.segments[e].startAngle&&b<=this.segments[e].endAngle&&n>=h&&n<=t){d=e;break}return d};Winwheel.prototype.getIndicatedSegment=function(){var a=this.getIndicatedSegmentNumber();return this.segments[a]};
-Winwheel.prototype.getIndicatedSegmentNumber=function(){var a=0,c=this.getRotationPosition();c=Math.floor(this.pointerAngle-c);0>c&&(c=360-Math.abs(c));for(var b=1;b<this.segments.length;b++)if(c>=this.segments[b].startAngle&&c<=this.segments[b].endAngle){a=b;break}return a};
-Winwheel.prototype.getCurrentPinNumber=function(){var a=0;if(this.pins){var c=this.getRotationPosition();c=Math.floor(this.pointerAngle-c);0>c&&(c=360-Math.abs(c));for(var b=360/this.pins.number,d=0,e=0;e<this.pins.number;e++){if(c>=d&&c<=d+b){a=e;break}d+=b}"clockwise"==this.animation.direction&&(a++,a>this.pins.number&&(a=0))}return a};Winwheel.prototype.getRotationPosition=function(){var a=this.rotationAngle;0<=a?360<a&&(a-=360*Math.floor(a/360)):(-360>a&&(a-=360*Math.ceil(a/360)),a=360+a);return a};
-Winwheel.prototype.startAnimation=function(){if(this.animation){this.computeAnimation();winwheelToDrawDuringAnimation=this;var a=Array(null);a[this.animation.propertyName]=this.animation.propertyValue;a.yoyo=this.animation.yoyo;a.repeat=this.animation.repeat;a.ease=this.animation.easing;a.onUpdate=winwheelAnimationLoop;a.onComplete=winwheelStopAnimation;this.tween=TweenMax.to(this,this.animation.duration,a)}};
-Winwheel.prototype.stopAnimation=function(a){winwheelToDrawDuringAnimation&&(winwheelToDrawDuringAnimation.tween&&winwheelToDrawDuringAnimation.tween.kill(),winwheelStopAnimation(a));winwheelToDrawDuringAnimation=this};Winwheel.prototype.pauseAnimation=function(){this.tween&&this.tween.pause()};Winwheel.prototype.resumeAnimation=function(){this.tween&&this.tween.play()};
-Winwheel.prototype.computeAnimation=function(){this.animation&&("spinOngoing"==this.animation.type?(this.animation.propertyName="rotationAngle",null==this.animation.spins&&(this.animation.spins=5),null==this.animation.repeat&&(this.animation.repeat=-1),null==this.animation.easing&&(this.animation.easing="Linear.easeNone"),null==this.animation.yoyo&&(this.animation.yoyo=!1),this.animation.propertyValue=360*this.animation.spins,"anti-clockwise"==this.animation.direction&&(this.animation.propertyValue=
-0-this.animation.propertyValue)):"spinToStop"==this.animation.type?(this.animation.propertyName="rotationAngle",null==this.animation.spins&&(this.animation.spins=5),null==this.animation.repeat&&(this.animation.repeat=0),null==this.animation.easing&&(this.animation.easing="Power3.easeOut"),this.animation._stopAngle=null==this.animation.stopAngle?Math.floor(359*Math.random()):360-this.animation.stopAngle+this.pointerAngle,null==this.animation.yoyo&&(this.animation.yoyo=!1),this.animation.propertyValue=
-360*this.animation.spins,"anti-clockwise"==this.animation.direction?(this.animation.propertyValue=0-this.animation.propertyValue,this.animation.propertyValue-=360-this.animation._stopAngle):this.animation.propertyValue+=this.animation._stopAngle):"spinAndBack"==this.animation.type&&(this.animation.propertyName="rotationAngle",null==this.animation.spins&&(this.animation.spins=5),null==this.animation.repeat&&(this.animation.repeat=1),null==this.animation.easing&&(this.animation.easing="Power2.easeInOut"),
-null==this.animation.yoyo&&(this.animation.yoyo=!0),this.animation._stopAngle=null==this.animation.stopAngle?0:360-this.animation.stopAngle,this.animation.propertyValue=360*this.animation.spins,"anti-clockwise"==this.animation.direction?(this.animation.propertyValue=0-this.animation.propertyValue,this.animation.propertyValue-=360-this.animation._stopAngle):this.animation.propertyValue+=this.animation._stopAngle))};
-Winwheel.prototype.getRandomForSegment=function(a){var c=0;if(a)if("undefined"!==typeof this.segments[a]){var b=this.segments[a].startAngle;a=this.segments[a].endAngle-b-2;0<a?c=b+1+Math.floor(Math.random()*a):console.log("Segment size is too small to safely get random angle inside it")}else console.log("Segment "+a+" undefined");else console.log("Segment number not specified");return c};
-function Pin(a){var c={visible:!0,number:36,outerRadius:3,fillStyle:"grey",strokeStyle:"black",lineWidth:1,margin:3,responsive:!1},b;for(b in c)this[b]=null!=a&&"undefined"!==typeof a[b]?a[b]:c[b];if(null!=a)for(var d in a)"undefined"===typeof this[d]&&(this[d]=a[d])}
-function Animation(a){var c={type:"spinOngoing",direction:"clockwise",propertyName:null,propertyValue:null,duration:10,yoyo:!1,repeat:null,easing:null,stopAngle:null,spins:null,clearTheCanvas:null,callbackFinished:null,callbackBefore:null,callbackAfter:null,callbackSound:null,soundTrigger:"segment"},b;for(b in c)this[b]=null!=a&&"undefined"!==typeof a[b]?a[b]:c[b];if(null!=a)for(var d in a)"undefined"===typeof this[d]&&(this[d]=a[d])}
-function Segment(a){var c={size:null,text:"",fillStyle:null,strokeStyle:null,lineWidth:null,textFontFamily:null,textFontSize:null,textFontWeight:null,textOrientation:null,textAlignment:null,textDirection:null,textMargin:null,textFillStyle:null,textStrokeStyle:null,textLineWidth:null,image:null,imageDirection:null,imgData:null},b;for(b in c)this[b]=null!=a&&"undefined"!==typeof a[b]?a[b]:c[b];if(null!=a)for(var d in a)"undefined"===typeof this[d]&&(this[d]=a[d]);this.endAngle=this.startAngle=0}
-Segment.prototype.changeImage=function(a,c){this.image=a;this.imgData=null;c&&(this.imageDirection=c);winhweelAlreadyDrawn=!1;this.imgData=new Image;this.imgData.onload=winwheelLoadedImage;this.imgData.src=this.image};function PointerGuide(a){var c={display:!1,strokeStyle:"red",lineWidth:3},b;for(b in c)this[b]=null!=a&&"undefined"!==typeof a[b]?a[b]:c[b]}function winwheelPercentToDegrees(a){var c=0;0<a&&100>=a&&(c=a/100*360);return c}
-function winwheelAnimationLoop(){if(winwheelToDrawDuringAnimation){0!=winwheelToDrawDuringAnimation.animation.clearTheCanvas&&winwheelToDrawDuringAnimation.ctx.clearRect(0,0,winwheelToDrawDuringAnimation.canvas.width,winwheelToDrawDuringAnimation.canvas.height);var a=winwheelToDrawDuringAnimation.animation.callbackBefore,c=winwheelToDrawDuringAnimation.animation.callbackAfter;null!=a&&("function"===typeof a?a():eval(a));winwheelToDrawDuringAnimation.draw(!1);null!=c&&("function"===typeof c?c():eval(c));
-winwheelToDrawDuringAnimation.animation.callbackSound&&winwheelTriggerSound()}}
-function winwheelTriggerSound(){0==winwheelToDrawDuringAnimation.hasOwnProperty("_lastSoundTriggerNumber")&&(winwheelToDrawDuringAnimation._lastSoundTriggerNumber=0);var a=winwheelToDrawDuringAnimation.animation.callbackSound;var c="pin"==winwheelToDrawDuringAnimation.animation.soundTrigger?winwheelToDrawDuringAnimation.getCurrentPinNumber():winwheelToDrawDuringAnimation.getIndicatedSegmentNumber();c!=winwheelToDrawDuringAnimation._lastSoundTriggerNumber&&("function"===typeof a?a():eval(a),winwheelToDrawDuringAnimation._lastSoundTriggerNumber=
-c)}var winwheelToDrawDuringAnimation=null;function winwheelStopAnimation(a){0!=a&&(a=winwheelToDrawDuringAnimation.animation.callbackFinished,null!=a&&("function"===typeof a?a(winwheelToDrawDuringAnimation.getIndicatedSegment()):eval(a)))}var winhweelAlreadyDrawn=!1;
-function winwheelLoadedImage(){if(0==winhweelAlreadyDrawn){for(var a=0,c=1;c<=winwheelToDrawDuringAnimation.numSegments;c++)null!=winwheelToDrawDuringAnimation.segments[c].imgData&&winwheelToDrawDuringAnimation.segments[c].imgData.height&&a++;a==winwheelToDrawDuringAnimation.numSegments&&(winhweelAlreadyDrawn=!0,winwheelToDrawDuringAnimation.draw())}}
-function winwheelResize(){var a=40;"undefined"!==typeof winwheelToDrawDuringAnimation._responsiveMargin&&(a=winwheelToDrawDuringAnimation._responsiveMargin);var c=window.innerWidth-a,b=winwheelToDrawDuringAnimation._responsiveMinWidth;a=winwheelToDrawDuringAnimation._responsiveMinHeight;c<b?c=b:c>winwheelToDrawDuringAnimation._originalCanvasWidth&&(c=winwheelToDrawDuringAnimation._originalCanvasWidth);c/=winwheelToDrawDuringAnimation._originalCanvasWidth;winwheelToDrawDuringAnimation.canvas.width=
-winwheelToDrawDuringAnimation._originalCanvasWidth*c;winwheelToDrawDuringAnimation._responsiveScaleHeight&&(b=winwheelToDrawDuringAnimation._originalCanvasHeight*c,b<a?b=a:b>winwheelToDrawDuringAnimation._originalCanvasHeight&&(b=winwheelToDrawDuringAnimation._originalCanvasHeight),winwheelToDrawDuringAnimation.canvas.height=b);winwheelToDrawDuringAnimation.scaleFactor=c;winwheelToDrawDuringAnimation.draw()};
+function Winwheel(t,e){let i={canvasId:"canvas",centerX:null,centerY:null,outerRadius:null,innerRadius:0,numSegments:1,drawMode:"code",rotationAngle:0,textFontFamily:"Arial",textFontSize:20,textFontWeight:"bold",textOrientation:"horizontal",textAlignment:"center",textDirection:"normal",textMargin:null,textFillStyle:"black",textStrokeStyle:null,textLineWidth:1,textFit:null,palette:null,pattern:null,autoPatterns:!1,fillStyle:"silver",strokeStyle:"black",lineWidth:1,clearTheCanvas:!0,imageOverlay:!1,drawText:!0,pointerAngle:0,wheelImage:null,imageDirection:"N",responsive:!1,scaleFactor:1,random:null,allowEval:!0,callbacks:null,createImage:null,renderCache:!1,renderer:"canvas",highDpi:!1,validation:"lenient"};for(let e in i)null!=t&&void 0!==t[e]?this[e]=t[e]:this[e]=i[e];if(null!=t)for(let e in t)void 0===this[e]&&(this[e]=t[e]);this._pixelRatio=1;let n=winwheelGetDrawingTarget(this.canvasId,this.renderer);this.canvasId=n.canvasId,this.canvas=n.canvas,this.ctx=n.ctx,this.ctx&&this.canvas&&(null==this.centerX&&(this.centerX=this.canvas.width/2),null==this.centerY&&(this.centerY=this.canvas.height/2),null==this.outerRadius&&(this.canvas.width<this.canvas.height?this.outerRadius=this.canvas.width/2-this.lineWidth:this.outerRadius=this.canvas.height/2-this.lineWidth)),this._listeners={};let s=this.callbacks;if(this.callbacks={},null!=s)for(let t in s)this.registerCallback(t,s[t]);this.setRandom(this.random),this.segments=new Array(null);for(let e=1;e<=this.numSegments;e++)null!=t&&t.segments&&void 0!==t.segments[e-1]?this.segments[e]=new Segment(t.segments[e-1]):this.segments[e]=new Segment,winwheelSetSegmentOwner(this.segments[e],this);if(this.updateSegmentSizes(),null!==this.palette&&this.applyPalette(),null===this.textMargin&&(this.textMargin=this.textFontSize/1.7),null!=t&&t.animation&&void 0!==t.animation?this.animation=new Animation(t.animation):this.animation=new Animation,null!=t&&t.pins&&void 0!==t.pins&&(this.pins=new Pin(t.pins)),"image"==this.drawMode||"segmentImage"==this.drawMode?(void 0===t.fillStyle&&(this.fillStyle=null),void 0===t.strokeStyle&&(this.strokeStyle="red"),void 0===t.drawText&&(this.drawText=!1),void 0===t.lineWidth&&(this.lineWidth=1),void 0===e&&(e=!1)):void 0===e&&(e=!0),null!=t&&t.pointerGuide&&void 0!==t.pointerGuide?this.pointerGuide=new PointerGuide(t.pointerGuide):this.pointerGuide=new PointerGuide,null!=t&&t.pointer&&(this.pointer=new WinwheelPointer(!0===t.pointer?null:t.pointer)),this.selectedSegmentNumber=null,this._hoverSegmentNumber=null,null!=t&&t.interaction&&(this.interaction=new WinwheelInteraction(!0===t.interaction?null:t.interaction)),this._gesture=null,null!=t&&t.gestures&&(this.gestures=new WinwheelGestures(!0===t.gestures?null:t.gestures)),null!=t&&t.audio&&(this.audio=new WinwheelAudio(!0===t.audio?null:t.audio)),null!=t&&t.callouts&&(this.callouts=new WinwheelCallouts(!0===t.callouts?null:t.callouts)),null!=t&&t.accessibility&&(this.accessibility=new WinwheelAccessibility(!0===t.accessibility?null:t.accessibility)),this.checkValidation(),this.canvas&&this.highDpi&&this.setupHighDpi(),this.pointer&&this.setupPointer(),this.interaction&&this.setupInteraction(),this.gestures&&this.setupGestures(),this.audio&&this.setupAudio(),this.accessibility&&this.setupAccessibility(),!this.responsive||"undefined"!=typeof window&&this.canvas){if(this.responsive){this._originalCanvasWidth=this.getCanvasWidth(),this._originalCanvasHeight=this.getCanvasHeight();let t=this.canvas.dataset?this.canvas.dataset:{};this._responsiveScaleHeight=t.responsivescaleheight,this._responsiveMinWidth=t.responsiveminwidth,this._responsiveMinHeight=t.responsiveminheight,this._responsiveMargin=t.responsivemargin;let e=this;this._resizeHandler=function(){winwheelResize(e)},window.addEventListener("load",this._resizeHandler),window.addEventListener("resize",this._resizeHandler)}}else console.log("Responsive wheels need a window and canvas, so this wheel will not be responsive");if(1==e)this.draw(this.clearTheCanvas);else if("segmentImage"==this.drawMode){this._imagesAlreadyDrawn=!1;let t=this;for(let e=1;e<=this.numSegments;e++)if(null!==this.segments[e].image){if(this.segments[e].imgData=winwheelCreateImage(this),null===this.segments[e].imgData)continue;this.segments[e].imgData.onload=function(){winwheelLoadedImage(t)},this.segments[e].imgData.src=this.segments[e].image}}}function winwheelPushOwnValues(t,e,i){if(null!==e&&"object"==typeof e)for(let n in e)e.hasOwnProperty(n)&&"_"!=n.charAt(0)&&-1==i.indexOf(n)&&t.push(n,e[n]);else t.push(e)}function winwheelSameValues(t,e){if(!t||!e||t.length!=e.length)return!1;for(let i=0;i<t.length;i++)if(t[i]!==e[i])return!1;return!0}function winwheelSpreadPositions(t,e,i,n){let s=[];for(let l=0;l<t.length;l++)for(s.push({first:l,offsets:[0],start:t[l]});;){let l=s[s.length-1],o=l.offsets[l.offsets.length-1];if(null!==i&&null!==n&&(l.start=Math.max(i,Math.min(l.start,n-o))),1==s.length)break;let a=s[s.length-2],h=a.start+a.offsets[a.offsets.length-1];if(l.start>=h+e[l.first])break;let r=h-a.start+e[l.first],u=0;for(let t=0;t<l.offsets.length;t++)a.offsets.push(r+l.offsets[t]);for(let e=0;e<a.offsets.length;e++)u+=t[a.first+e]-a.offsets[e];a.start=u/a.offsets.length,s.pop()}let l=[];for(let t=0;t<s.length;t++)for(let e=0;e<s[t].offsets.length;e++)l.push(s[t].start+s[t].offsets[e]);return l}function Pin(t){let e={visible:!0,number:36,outerRadius:3,fillStyle:"grey",strokeStyle:"black",lineWidth:1,margin:3,responsive:!1};for(let i in e)null!=t&&void 0!==t[i]?this[i]=t[i]:this[i]=e[i];if(null!=t)for(let e in t)void 0===this[e]&&(this[e]=t[e])}function Animation(t){let e={type:"spinOngoing",direction:"clockwise",propertyName:null,propertyValue:null,duration:10,yoyo:!1,repeat:null,easing:null,stopAngle:null,spins:null,velocity:null,friction:null,pinDrag:null,solveForTarget:!1,clearTheCanvas:null,callbackFinished:null,callbackBefore:null,callbackAfter:null,callbackSound:null,soundTrigger:"segment",engine:"builtin"};for(let i in e)null!=t&&void 0!==t[i]?this[i]=t[i]:this[i]=e[i];if(null!=t)for(let e in t)void 0===this[e]&&(this[e]=t[e])}function Segment(t){let e={size:null,text:"",fillStyle:null,strokeStyle:null,lineWidth:null,textFontFamily:null,textFontSize:null,textFontWeight:null,textOrientation:null,textAlignment:null,textDirection:null,textMargin:null,textFillStyle:null,textStrokeStyle:null,textLineWidth:null,textFit:null,image:null,imageDirection:null,imgData:null,weight:null,pattern:null,category:null};for(let i in e)null!=t&&void 0!==t[i]?this[i]=t[i]:this[i]=e[i];if(null!=t)for(let e in t)void 0===this[e]&&(this[e]=t[e]);this.startAngle=0,this.endAngle=0}function PointerGuide(t){let e={display:!1,strokeStyle:"red",lineWidth:3};for(let i in e)null!=t&&void 0!==t[i]?this[i]=t[i]:this[i]=e[i]}function WinwheelPointer(t){let e={shape:"triangle",size:40,width:24,overlap:10,fillStyle:"red",strokeStyle:"black",lineWidth:1,shadowColor:"rgba(0, 0, 0, 0.5)",shadowBlur:4,shadowOffsetX:2,shadowOffsetY:2,deflection:25,maxSpeed:1440,stiffness:400,damping:15};for(let i in e)null!=t&&void 0!==t[i]?this[i]=t[i]:this[i]=e[i]}function winwheelSetSegmentOwner(t,e){Object.defineProperty(t,"_wheel",{value:e,writable:!0,configurable:!0})}function winwheelSeededRandom(t){let e=t>>>0;return function(){e=e+1831565813>>>0;let t=e;return t=Math.imul(t^t>>>15,1|t),t^=t+Math.imul(t^t>>>7,61|t),((t^t>>>14)>>>0)/4294967296}}function WinwheelValidationError(t,e){let i=t.concat(e).map(function(t){return(t.path?t.path+" - ":"")+t.message});this.name="WinwheelValidationError",this.message="Winwheel options are not valid: "+i.join("; "),this.errors=t,this.warnings=e,this.stack=new Error(this.message).stack}function winwheelCopyOptions(t,e){let i={};for(let n in t)t.hasOwnProperty(n)&&"_"!=n.charAt(0)&&-1==e.indexOf(n)&&winwheelIsJsonValue(t[n])&&(null!==t[n]&&"object"==typeof t[n]?i[n]=JSON.parse(JSON.stringify(t[n])):i[n]=t[n]);return i}function winwheelIsJsonValue(t){if(null===t||"string"==typeof t||"boolean"==typeof t)return!0;if("number"==typeof t)return isFinite(t);if(Array.isArray(t))return t.every(winwheelIsJsonValue);if("object"==typeof t&&Object.getPrototypeOf(t)===Object.prototype){for(let e in t)if(0==winwheelIsJsonValue(t[e]))return!1;return!0}return!1}function WinwheelInteraction(t){let e={hoverFillStyle:null,hoverStrokeStyle:null,hoverLineWidth:null,hoverOffset:5,selectedFillStyle:null,selectedStrokeStyle:null,selectedLineWidth:3,selectedOffset:0,selectOnClick:!0,cursor:"pointer"};for(let i in e)null!=t&&void 0!==t[i]?this[i]=t[i]:this[i]=e[i]}function WinwheelGestures(t){let e={minVelocity:180,maxVelocity:2e3,minDuration:3,maxDuration:10,snapBackDuration:.3,velocityTime:100,cursor:"grab",grabbingCursor:"grabbing"};for(let i in e)null!=t&&void 0!==t[i]?this[i]=t[i]:this[i]=e[i]}function WinwheelAudio(t){let e={tick:!0,start:null,whoosh:null,categories:{win:!0,lose:!0},volume:1,muted:!1,polyphony:8,minPitch:.8,maxPitch:1.6,minTickVolume:.4,maxSpeed:1440,whooshVolume:.3};for(let i in e)null!=t&&void 0!==t[i]?this[i]=t[i]:this[i]=e[i]}Winwheel.prototype.updateSegmentSizes=function(){if(this.segments){let t=0,e=0;for(let i=1;i<=this.numSegments;i++)null!==this.segments[i].size&&(t+=this.segments[i].size,e++);let i=360-t,n=0;i>0&&(n=i/(this.numSegments-e));let s=0;for(let t=1;t<=this.numSegments;t++)this.segments[t].startAngle=s,this.segments[t].size?s+=this.segments[t].size:s+=n,this.segments[t].endAngle=s}},Winwheel.prototype.clearCanvas=function(){this.ctx&&this.canvas&&this.ctx.clearRect(0,0,this.canvas.width,this.canvas.height)},Winwheel.prototype.draw=function(t){this.ctx&&(this.highDpi&&this.ctx.setTransform(this._pixelRatio,0,0,this._pixelRatio,0,0),void 0!==t?1==t&&this.clearCanvas():this.clearCanvas(),0!=this.renderCache&&0!=this.drawRenderCache()||this.drawTurningParts(),this.callouts&&1==this.drawText&&this.drawCallouts(),1==this.pointerGuide.display&&this.drawPointerGuide(),this.accessibility&&this.drawFocusedSegment(),this.pointer&&this.drawPointer(),this.setRenderClass(null),this.emit("draw"))},Winwheel.prototype.drawTurningParts=function(){"image"==this.drawMode?(this.drawWheelImage(),this.drawSegmentPatterns(),1==this.drawText&&this.drawSegmentText(),1==this.imageOverlay&&this.drawSegments()):"segmentImage"==this.drawMode?(this.drawSegmentImages(),this.drawSegmentPatterns(),1==this.drawText&&this.drawSegmentText(),1==this.imageOverlay&&this.drawSegments()):(this.drawSegments(),this.drawSegmentPatterns(),1==this.drawText&&this.drawSegmentText()),void 0!==this.pins&&1==this.pins.visible&&this.drawPins()},Winwheel.prototype.drawRenderCache=function(){if(this.ctx instanceof WinwheelSvgContext||"function"!=typeof this.ctx.drawImage)return!1;let t=this.getRenderCacheState();if(0==winwheelSameValues(t,this._renderCacheState)&&0==this.updateRenderCache())return!1;this._renderCacheState=t;let e=this.centerX*this.scaleFactor,i=this.centerY*this.scaleFactor,n=this._renderCacheRadius;return this.ctx.save(),this.ctx.translate(e,i),this.ctx.rotate(this.degToRad(this.rotationAngle)),this.ctx.drawImage(this._renderCache,-n,-n,2*n,2*n),this.ctx.restore(),!0},Winwheel.prototype.updateRenderCache=function(){if(!this._renderCache&&(this._renderCache=winwheelCreateCanvas(),null===this._renderCache))return!1;let t=this.getRenderCacheRadius(),e=this.centerX*this.scaleFactor,i=this.centerY*this.scaleFactor,n=this._pixelRatio;this._renderCache.width=2*t*n,this._renderCache.height=2*t*n,this._renderCacheRadius=t;let s=this.ctx,l=this.rotationAngle;this.ctx=this._renderCache.getContext("2d"),this.ctx.setTransform(n,0,0,n,n*(t-e),n*(t-i)),this.rotationAngle=0;try{this.drawTurningParts()}finally{this.ctx=s,this.rotationAngle=l}return!0},Winwheel.prototype.getRenderCacheRadius=function(){let t=this.outerRadius*this.scaleFactor,e=this.innerRadius*this.scaleFactor,i=this.lineWidth;for(let t=1;t<=this.numSegments;t++)null!==this.segments[t].lineWidth&&(i=Math.max(i,this.segments[t].lineWidth));let n=this.interaction?Math.max(this.interaction.hoverOffset,this.interaction.selectedOffset):0;this.interaction&&(i=Math.max(i,this.interaction.hoverLineWidth,this.interaction.selectedLineWidth));let s=t;if("image"==this.drawMode&&this.wheelImage)s=Math.max(s,Math.sqrt(this.wheelImage.width*this.wheelImage.width+this.wheelImage.height*this.wheelImage.height)*this.scaleFactor/2);else if("segmentImage"==this.drawMode)for(let t=1;t<=this.numSegments;t++){let e=this.segments[t].imgData;e&&e.height&&(s=Math.max(s,Math.sqrt(e.width*e.width+e.height*e.height)*this.scaleFactor))}if(1==this.drawText)for(let i=1;i<=this.numSegments;i++){let n=this.segments[i];if(!n.text||this.hasCallout(i))continue;let l=null!==n.textFontFamily?n.textFontFamily:this.textFontFamily,o=null!==n.textFontSize?n.textFontSize:this.textFontSize,a=null!==n.textFontWeight?n.textFontWeight:this.textFontWeight,h=null!==n.textOrientation?n.textOrientation:this.textOrientation,r=null!==n.textAlignment?n.textAlignment:this.textAlignment,u=null!==n.textMargin?n.textMargin:this.textMargin;o*=this.scaleFactor,u*=this.scaleFactor;let c=String(n.text).split("\n"),g=o*c.length;if("horizontal"==h){let t=winwheelGetFontSetting(a,o,l);g=0;for(let e=0;e<c.length;e++)g=Math.max(g,winwheelMeasureText(this.ctx,c[e],t,o))}else if("vertical"==h){g=0;for(let t=0;t<c.length;t++)g=Math.max(g,c[t].length*o)}let d=e+u+g;"outer"==r?d=t-u:"inner"!=r&&(d=e+(t-e)/2+Math.abs(u)+g/2),s=Math.max(s,d+o*c.length)}let l=Math.ceil(s+i+n+1);if(this.canvas){let t=this.centerX*this.scaleFactor,e=this.centerY*this.scaleFactor,i=Math.max(t,this.getCanvasWidth()-t),n=Math.max(e,this.getCanvasHeight()-e);l=Math.min(l,Math.ceil(Math.sqrt(i*i+n*n)+1))}return l},Winwheel.prototype.getRenderCacheState=function(){let t=[this._pixelRatio,this._hoverSegmentNumber,this.wheelImage?this.wheelImage.width:0];winwheelPushOwnValues(t,this,["rotationAngle","animation","accessibility","pointerGuide","pointer","gestures","audio","canvas","ctx","tween","segments","pins","interaction","callouts","random","callbacks"]),winwheelPushOwnValues(t,this.pins,[]),winwheelPushOwnValues(t,this.interaction,[]),winwheelPushOwnValues(t,this.callouts,[]);for(let e=1;e<=this.numSegments;e++)winwheelPushOwnValues(t,this.segments[e],[]),t.push(this.segments[e].imgData?this.segments[e].imgData.width:0);return t},Winwheel.prototype.clearRenderCache=function(){this._renderCacheState=null},Winwheel.prototype.drawPins=function(){if(this.pins&&this.pins.number){let t=this.centerX*this.scaleFactor,e=this.centerY*this.scaleFactor,i=this.outerRadius*this.scaleFactor,n=this.pins.outerRadius,s=this.pins.margin;this.pins.responsive&&(n=this.pins.outerRadius*this.scaleFactor,s=this.pins.margin*this.scaleFactor);let l=360/this.pins.number;this.setRenderClass("winwheel-pin");for(let o=1;o<=this.pins.number;o++)this.ctx.save(),this.ctx.strokeStyle=this.pins.strokeStyle,this.ctx.lineWidth=this.pins.lineWidth,this.ctx.fillStyle=this.pins.fillStyle,this.ctx.translate(t,e),this.ctx.rotate(this.degToRad(o*l+this.rotationAngle)),this.ctx.translate(-t,-e),this.ctx.beginPath(),this.ctx.arc(t,e-i+n+s,n,0,2*Math.PI),this.pins.fillStyle&&this.ctx.fill(),this.pins.strokeStyle&&this.ctx.stroke(),this.ctx.restore()}},Winwheel.prototype.drawPointerGuide=function(){if(this.ctx){let t=this.centerX*this.scaleFactor,e=this.centerY*this.scaleFactor,i=this.outerRadius*this.scaleFactor;this.setRenderClass("winwheel-pointer-guide"),this.ctx.save(),this.ctx.translate(t,e),this.ctx.rotate(this.degToRad(this.pointerAngle)),this.ctx.translate(-t,-e),this.ctx.strokeStyle=this.pointerGuide.strokeStyle,this.ctx.lineWidth=this.pointerGuide.lineWidth,this.ctx.beginPath(),this.ctx.moveTo(t,e),this.ctx.lineTo(t,-i/4),this.ctx.stroke(),this.ctx.restore()}},Winwheel.prototype.drawPointer=function(){if(!this.ctx)return;this.updatePointerSpring();let t=this.centerX*this.scaleFactor,e=this.centerY*this.scaleFactor,i=this.pointer.size*this.scaleFactor,n=this.pointer.width/2*this.scaleFactor,s=e-(this.outerRadius-this.pointer.overlap)*this.scaleFactor,l=s-i;if(this.setRenderClass("winwheel-pointer"),this.ctx.save(),this.ctx.translate(t,e),this.ctx.rotate(this.degToRad(this.pointerAngle)),this.ctx.translate(-t,-e),this.ctx.translate(t,l),this.ctx.rotate(this.degToRad(this._pointerDeflection)),this.ctx.translate(-t,-l),this.ctx.fillStyle=this.pointer.fillStyle,this.ctx.strokeStyle=this.pointer.strokeStyle,this.ctx.lineWidth=this.pointer.lineWidth*this.scaleFactor,this.ctx.shadowColor=this.pointer.shadowColor,this.ctx.shadowBlur=this.pointer.shadowBlur*this.scaleFactor,this.ctx.shadowOffsetX=this.pointer.shadowOffsetX*this.scaleFactor,this.ctx.shadowOffsetY=this.pointer.shadowOffsetY*this.scaleFactor,this.ctx.beginPath(),this.ctx.moveTo(t,s),"arrow"==this.pointer.shape){let e=s-i/2;this.ctx.lineTo(t+n,e),this.ctx.lineTo(t+n/3,e),this.ctx.lineTo(t+n/3,l),this.ctx.lineTo(t-n/3,l),this.ctx.lineTo(t-n/3,e),this.ctx.lineTo(t-n,e)}else"flapper"==this.pointer.shape?(this.ctx.lineTo(t+n,l),this.ctx.arc(t,l,n,0,Math.PI,!0)):(this.ctx.lineTo(t+n,l),this.ctx.lineTo(t-n,l));this.ctx.closePath(),this.pointer.fillStyle&&this.ctx.fill(),this.ctx.shadowColor="transparent",this.pointer.strokeStyle&&this.pointer.lineWidth>0&&this.ctx.stroke(),"flapper"==this.pointer.shape&&(this.ctx.fillStyle=this.pointer.strokeStyle,this.ctx.beginPath(),this.ctx.arc(t,l,n/3,0,2*Math.PI),this.ctx.fill()),this.ctx.restore(),this.requestPointerFrame()},Winwheel.prototype.setupPointer=function(){let t=this;this._pointerDeflection=0,this._pointerVelocity=0,this._pointerTime=null,this._pointerFrameId=null,this.on("pinpass",function(e,i,n){t.deflectPointer(i,n)}),this.on("spinend",function(){t.requestPointerFrame()}),this.on("spincancel",function(){t.requestPointerFrame()})},Winwheel.prototype.deflectPointer=function(t,e){this.updatePointerSpring();let i=Math.min(1,(t||0)/this.pointer.maxSpeed),n=this.pointer.deflection*i*("anti-clockwise"==e?1:-1);(Math.abs(n)>Math.abs(this._pointerDeflection)||n*this._pointerDeflection<0)&&(this._pointerDeflection=n,this._pointerVelocity=0),this.requestPointerFrame()},Winwheel.prototype.updatePointerSpring=function(){let t=winwheelNow(),e=null!==this._pointerTime?Math.min(1,(t-this._pointerTime)/1e3):0,i=Math.ceil(e/.004);this._pointerTime=t;for(let t=0;t<i;t++){let t=0-this.pointer.stiffness*this._pointerDeflection-this.pointer.damping*this._pointerVelocity;this._pointerVelocity+=t*(e/i),this._pointerDeflection+=this._pointerVelocity*(e/i)}Math.abs(this._pointerDeflection)<.01&&Math.abs(this._pointerVelocity)<.1&&(this._pointerDeflection=0,this._pointerVelocity=0)},Winwheel.prototype.requestPointerFrame=function(){if(this.isSpinning()||null!==this._pointerFrameId||0==this._pointerDeflection&&0==this._pointerVelocity)return;let t=this,e=function(){t._pointerFrameId=null,t.draw()};this._pointerFrameId="function"==typeof requestAnimationFrame?requestAnimationFrame(e):setTimeout(e,16)},Winwheel.prototype.drawWheelImage=function(){if(null!=this.wheelImage){let t=this.centerX*this.scaleFactor,e=this.centerY*this.scaleFactor,i=this.wheelImage.width*this.scaleFactor,n=this.wheelImage.height*this.scaleFactor,s=t-i/2,l=e-n/2;this.setRenderClass("winwheel-wheel-image"),this.ctx.save(),this.ctx.translate(t,e),this.ctx.rotate(this.degToRad(this.rotationAngle)),this.ctx.translate(-t,-e),this.ctx.drawImage(this.wheelImage,s,l,i,n),this.ctx.restore()}},Winwheel.prototype.drawSegmentImages=function(){if(this.ctx){let t=this.centerX*this.scaleFactor,e=this.centerY*this.scaleFactor;if(this.segments)for(let i=1;i<=this.numSegments;i++){let n=this.segments[i];if(n.imgData&&n.imgData.height){let s=0,l=0,o=0,a="",h=n.imgData.width*this.scaleFactor,r=n.imgData.height*this.scaleFactor;a=null!==n.imageDirection?n.imageDirection:this.imageDirection,"S"==a?(s=t-h/2,l=e,o=n.startAngle+180+(n.endAngle-n.startAngle)/2):"E"==a?(s=t,l=e-r/2,o=n.startAngle+270+(n.endAngle-n.startAngle)/2):"W"==a?(s=t-h,l=e-r/2,o=n.startAngle+90+(n.endAngle-n.startAngle)/2):(s=t-h/2,l=e-r,o=n.startAngle+(n.endAngle-n.startAngle)/2),this.setRenderClass("winwheel-segment-image winwheel-segment-image-"+i),this.ctx.save(),this.ctx.translate(t,e),this.ctx.rotate(this.degToRad(this.rotationAngle+o)),this.ctx.translate(-t,-e),this.ctx.drawImage(n.imgData,s,l,h,r),this.ctx.restore()}else console.log("Segment "+i+" imgData is not loaded")}}},Winwheel.prototype.drawSegments=function(){if(this.ctx&&this.segments){let t=this.centerX*this.scaleFactor,e=this.centerY*this.scaleFactor,i=this.innerRadius*this.scaleFactor,n=this.outerRadius*this.scaleFactor;for(let s=1;s<=this.numSegments;s++){let l,o,a,h=this.segments[s];l=null!==h.fillStyle?h.fillStyle:this.fillStyle,o=null!==h.lineWidth?h.lineWidth:this.lineWidth,this.ctx.lineWidth=o,a=null!==h.strokeStyle?h.strokeStyle:this.strokeStyle;let r=this.getSegmentInteractionStyle(s);null!==r&&(null!==r.fillStyle&&(l=r.fillStyle),null!==r.lineWidth&&(o=r.lineWidth,this.ctx.lineWidth=o),null!==r.strokeStyle&&(a=r.strokeStyle)),this.ctx.fillStyle=this.resolveFillStyle(l,s),this.ctx.strokeStyle=a;let u=this.getSegmentOffset(s);if(this.setRenderClass("winwheel-segment winwheel-segment-"+s),this.ctx.save(),this.ctx.translate(u.x,u.y),a||l){if(this.ctx.beginPath(),this.innerRadius){let n=Math.cos(this.degToRad(h.startAngle+this.rotationAngle-90))*(i-o/2),s=Math.sin(this.degToRad(h.startAngle+this.rotationAngle-90))*(i-o/2);this.ctx.moveTo(t+n,e+s)}else this.ctx.moveTo(t,e);this.ctx.arc(t,e,n,this.degToRad(h.startAngle+this.rotationAngle-90),this.degToRad(h.endAngle+this.rotationAngle-90),!1),this.innerRadius?this.ctx.arc(t,e,i,this.degToRad(h.endAngle+this.rotationAngle-90),this.degToRad(h.startAngle+this.rotationAngle-90),!0):this.ctx.lineTo(t,e),l&&this.ctx.fill(),a&&this.ctx.stroke()}this.ctx.restore()}}},Winwheel.prototype.applyPalette=function(){let t=null===this.palette||"object"!=typeof this.palette||Array.isArray(this.palette)?{colors:this.palette}:this.palette,e=winwheelGetPaletteColors(t,this.numSegments),i=t.textColors?t.textColors:["#000000","#ffffff"];for(let t=1;t<=this.numSegments;t++){let e=this.segments[t];void 0!==e._paletteFillStyle&&e.fillStyle===e._paletteFillStyle&&(e.fillStyle=null),void 0!==e._paletteTextFillStyle&&e.textFillStyle===e._paletteTextFillStyle&&(e.textFillStyle=null),delete e._paletteFillStyle,delete e._paletteTextFillStyle}let n=function(t,e){return"string"==typeof t&&"string"==typeof e&&t.toLowerCase()==e.toLowerCase()};if(e.length)for(let t=1;t<=this.numSegments;t++){let i=this.segments[t];if(null!==i.fillStyle)continue;let s=t>1?this.segments[t-1].fillStyle:this.segments[this.numSegments].fillStyle,l=t<this.numSegments?this.segments[t+1].fillStyle:this.segments[1].fillStyle;i.fillStyle=e[(t-1)%e.length];for(let o=0;o<e.length;o++){let a=e[(t-1+o)%e.length];if(0==n(a,s)&&(1==this.numSegments||0==n(a,l))){i.fillStyle=a;break}}i._paletteFillStyle=i.fillStyle}for(let t=1;t<=this.numSegments;t++){let e=this.segments[t];if(null===e.textFillStyle){let t=null!==e.fillStyle?e.fillStyle:this.fillStyle,n=this.getContrastingColor(t,i);null!==n&&(e.textFillStyle=n,e._paletteTextFillStyle=n)}}},Winwheel.prototype.getContrastingColor=function(t,e){let i=[];if(winwheelIsFillSpec(t)){let e=winwheelGetGradientStops(t.stops);for(let t=0;t<e.length;t++)i.push(winwheelParseColor(e[t].color,this.ctx))}else i.push(winwheelParseColor(t,this.ctx));if(0==i.length||-1!=i.indexOf(null))return null;let n=null,s=0;for(let t=0;t<e.length;t++){let l=winwheelParseColor(e[t],this.ctx);if(null===l)continue;let o=1/0;for(let t=0;t<i.length;t++)o=Math.min(o,winwheelContrastRatio(l,i[t]));o>s&&(s=o,n=e[t])}return n},Winwheel.prototype.drawSegmentPatterns=function(){if(this.ctx&&this.segments){let t=this.centerX*this.scaleFactor,e=this.centerY*this.scaleFactor,i=this.innerRadius*this.scaleFactor,n=this.outerRadius*this.scaleFactor,s=this.autoPatterns?this.getAutoPatternTypes():[];for(let l=1;l<=this.numSegments;l++){let o=this.getSegmentPattern(l,s[l]);if(null===o)continue;let a=this.segments[l],h=this.getSegmentOffset(l),r=o.scale*this.scaleFactor,u=o.lineWidth*this.scaleFactor;this.setRenderClass("winwheel-segment-pattern winwheel-segment-pattern-"+l),this.ctx.save(),this.ctx.translate(h.x,h.y),this.ctx.beginPath(),this.innerRadius||this.ctx.moveTo(t,e),this.ctx.arc(t,e,n,this.degToRad(a.startAngle+this.rotationAngle-90),this.degToRad(a.endAngle+this.rotationAngle-90),!1),this.innerRadius?this.ctx.arc(t,e,i,this.degToRad(a.endAngle+this.rotationAngle-90),this.degToRad(a.startAngle+this.rotationAngle-90),!0):this.ctx.lineTo(t,e),this.ctx.clip();let c=a.startAngle+(a.endAngle-a.startAngle)/2;this.ctx.translate(t,e),this.ctx.rotate(this.degToRad(c+this.rotationAngle+o.angle));let g=winwheelGetSectorBounds(a.startAngle-c-o.angle,a.endAngle-c-o.angle,i,n);this.ctx.beginPath(),winwheelAddPatternPath(this.ctx,o.type,g,r,u),"dots"==o.type?(this.ctx.fillStyle=o.color,this.ctx.fill()):(this.ctx.strokeStyle=o.color,this.ctx.lineWidth=u,this.ctx.stroke()),this.ctx.restore()}}},Winwheel.prototype.getSegmentPattern=function(t,e){let i=this.segments[t].pattern,n={type:null,color:"rgba(0, 0, 0, 0.4)",scale:10,angle:45,lineWidth:2},s=["string"==typeof this.pattern?{type:this.pattern}:this.pattern,"string"==typeof i?{type:i}:i];for(let t=0;t<s.length;t++)if(s[t])for(let e in n)void 0!==s[t][e]&&null!==s[t][e]&&(n[e]=s[t][e]);return!e||s[1]&&s[1].type||(n.type=e),n.type?n:null},Winwheel.prototype.getAutoPatternTypes=function(){let t=[null],e=function(t){return"string"==typeof t?t:t&&t.type?t.type:null};for(let i=1;i<=this.numSegments;i++)t.push(e(this.segments[i].pattern));for(let e=1;e<=this.numSegments;e++){if(null!==t[e])continue;let i=e>1?t[e-1]:t[this.numSegments],n=e<this.numSegments?t[e+1]:t[1];for(let s=0;s<winwheelPatternTypes.length;s++){let l=winwheelPatternTypes[(e-1+s)%winwheelPatternTypes.length];if(l!=i&&l!=n){t[e]=l;break}}}return t},Winwheel.prototype.hasCallout=function(t){if(!this.callouts||!this.segments[t]||!this.segments[t].text)return!1;let e=this.segments[t];return e.endAngle-e.startAngle<this.callouts.threshold},Winwheel.prototype.drawCallouts=function(){if(this.ctx){let t=this.centerX*this.scaleFactor,e=this.centerY*this.scaleFactor,i=this.outerRadius*this.scaleFactor,n=this.callouts.length*this.scaleFactor,s=this.callouts.margin*this.scaleFactor,l=i;if(void 0!==this.pins&&this.pins.visible){let t=this.pins.responsive?this.pins.margin*this.scaleFactor:this.pins.margin;l=Math.max(l,i-t+this.pins.lineWidth/2)}let o=l+n,a=[];for(let t=1;t<=this.numSegments;t++){if(0==this.hasCallout(t))continue;let e=this.segments[t],i=null!==this.callouts.fontSize?this.callouts.fontSize:null!==e.textFontSize?e.textFontSize:this.textFontSize;a.push({segmentNumber:t,text:e.text.replace(/\n/g," "),angle:e.startAngle+(e.endAngle-e.startAngle)/2,fontSize:i*this.scaleFactor,fontFamily:null!==e.textFontFamily?e.textFontFamily:this.textFontFamily,fontWeight:null!==e.textFontWeight?e.textFontWeight:this.textFontWeight})}let h=this,r=function(i,n){let s=h.degToRad(i+h.rotationAngle);return{x:t+n*Math.sin(s),y:e-n*Math.cos(s)}};if(this.callouts.upright){for(let e=0;e<a.length;e++)a[e].elbow=r(a[e].angle,o),a[e].side=a[e].elbow.x>=t?1:-1,a[e].y=a[e].elbow.y;let e=this.getCanvasHeight();for(let t=-1;t<=1;t+=2){let i=a.filter(function(e){return e.side==t});i.sort(function(t,e){return t.y-e.y});let n=i.map(function(t){return t.y}),s=[0];for(let t=1;t<i.length;t++)s.push(Math.max(i[t].fontSize,i[t-1].fontSize)*this.callouts.spacing);if(i.length>0){let t=null,l=null;e>0&&(t=i[0].fontSize/2,l=e-i[i.length-1].fontSize/2),n=winwheelSpreadPositions(n,s,t,l);for(let t=0;t<i.length;t++)i[t].y=n[t]}}}else if(a.length>0){a.sort(function(t,e){return t.angle-e.angle});let t=0,e=-1;for(let i=0;i<a.length;i++){let n=a[(i+a.length-1)%a.length],s=winwheelModulo(a[i].angle-n.angle,360);a.length>1&&s>e&&(e=s,t=i)}a=a.slice(t).concat(a.slice(0,t));let i=[],n=[0];for(let t=0;t<a.length;t++)if(i.push(a[0].angle+winwheelModulo(a[t].angle-a[0].angle,360)),t>0){let e=Math.max(a[t].fontSize,a[t-1].fontSize)*this.callouts.spacing;n.push(e/o*180/Math.PI)}i=winwheelSpreadPositions(i,n,null,null);for(let t=0;t<a.length;t++)a[t].textAngle=i[t]}for(let i=0;i<a.length;i++){let h=a[i],u=r(h.angle,l);if(this.setRenderClass("winwheel-callout winwheel-callout-"+h.segmentNumber),this.ctx.save(),this.ctx.strokeStyle=this.callouts.strokeStyle,this.ctx.lineWidth=this.callouts.lineWidth,this.ctx.fillStyle=this.callouts.fillStyle,this.ctx.font=winwheelGetFontSetting(h.fontWeight,h.fontSize,h.fontFamily),this.ctx.textBaseline="middle",this.ctx.beginPath(),this.ctx.moveTo(u.x,u.y),this.callouts.upright){let t={x:h.elbow.x+h.side*(n/2),y:h.y};this.ctx.lineTo(h.elbow.x,h.elbow.y),this.ctx.lineTo(t.x,t.y),this.ctx.stroke(),this.ctx.textAlign=h.side>0?"left":"right",this.ctx.fillText(h.text,t.x+h.side*s,t.y)}else{let i=r(h.textAngle,o);this.ctx.lineTo(i.x,i.y),this.ctx.stroke(),this.ctx.translate(t,e),this.ctx.rotate(this.degToRad(h.textAngle+this.rotationAngle-90)),this.ctx.textAlign="left",this.ctx.fillText(h.text,o+s,0)}this.ctx.restore()}}},Winwheel.prototype.drawSegmentText=function(){if(this.ctx){let t,e,i,n,s,l,o,a,h,r,u=this,c=this.centerX*this.scaleFactor,g=this.centerY*this.scaleFactor,d=this.outerRadius*this.scaleFactor,p=this.innerRadius*this.scaleFactor;for(let m=1;m<=this.numSegments;m++){this.ctx.save();let f=this.segments[m];this.setRenderClass("winwheel-segment-text winwheel-segment-text-"+m);let w=function(t,e,i){u.ctx.fillStyle=u.resolveFillStyle(a,m),u.ctx.fillText(t,e,i)},y=this.getSegmentOffset(m);if(this.ctx.translate(y.x,y.y),f.text&&0==this.hasCallout(m)){t=null!==f.textFontFamily?f.textFontFamily:this.textFontFamily,e=null!==f.textFontSize?f.textFontSize:this.textFontSize,i=null!==f.textFontWeight?f.textFontWeight:this.textFontWeight,n=null!==f.textOrientation?f.textOrientation:this.textOrientation,s=null!==f.textAlignment?f.textAlignment:this.textAlignment,l=null!==f.textDirection?f.textDirection:this.textDirection,o=null!==f.textMargin?f.textMargin:this.textMargin,a=null!==f.textFillStyle?f.textFillStyle:this.textFillStyle,h=null!==f.textStrokeStyle?f.textStrokeStyle:this.textStrokeStyle,r=null!==f.textLineWidth?f.textLineWidth:this.textLineWidth,e*=this.scaleFactor,o*=this.scaleFactor;let u=f.text,y=null!==f.textFit?f.textFit:this.textFit;if(y){let l=this.fitSegmentText(m,y,i,e,t,n,s,o);u=l.text,e=l.fontSize}let x=winwheelGetFontSetting(i,e,t);this.ctx.font=x,this.ctx.strokeStyle=h,this.ctx.lineWidth=r;let S=u.split("\n"),v=0-e*(S.length/2)+e/2;"curved"!=n||"inner"!=s&&"outer"!=s||(v=0);for(let t=0;t<S.length;t++){if("reversed"==l){if("horizontal"==n){this.ctx.textAlign="inner"==s?"right":"outer"==s?"left":"center",this.ctx.textBaseline="middle";let e=this.degToRad(f.endAngle-(f.endAngle-f.startAngle)/2+this.rotationAngle-90-180);this.ctx.save(),this.ctx.translate(c,g),this.ctx.rotate(e),this.ctx.translate(-c,-g),"inner"==s?(a&&w(S[t],c-p-o,g+v),h&&this.ctx.strokeText(S[t],c-p-o,g+v)):"outer"==s?(a&&w(S[t],c-d+o,g+v),h&&this.ctx.strokeText(S[t],c-d+o,g+v)):(a&&w(S[t],c-p-(d-p)/2-o,g+v),h&&this.ctx.strokeText(S[t],c-p-(d-p)/2-o,g+v)),this.ctx.restore()}else if("vertical"==n){this.ctx.textAlign="center",this.ctx.textBaseline="inner"==s?"top":"outer"==s?"bottom":"middle";let i=f.endAngle-(f.endAngle-f.startAngle)/2-180;i+=this.rotationAngle,this.ctx.save(),this.ctx.translate(c,g),this.ctx.rotate(this.degToRad(i)),this.ctx.translate(-c,-g);let n=0;"outer"==s?n=g+d-o:"inner"==s&&(n=g+p+o);let l=e-e/9;if("outer"==s)for(let e=S[t].length-1;e>=0;e--){let i=S[t].charAt(e);a&&w(i,c+v,n),h&&this.ctx.strokeText(i,c+v,n),n-=l}else if("inner"==s)for(let e=0;e<S[t].length;e++){let i=S[t].charAt(e);a&&w(i,c+v,n),h&&this.ctx.strokeText(i,c+v,n),n+=l}else if("center"==s){let e=0;S[t].length>1&&(e=l*(S[t].length-1)/2);let i=g+p+(d-p)/2+e+o;for(let e=S[t].length-1;e>=0;e--){let n=S[t].charAt(e);a&&w(n,c+v,i),h&&this.ctx.strokeText(n,c+v,i),i-=l}}this.ctx.restore()}else if("curved"==n){let i=0;"inner"==s?(i=p+o,this.ctx.textBaseline="top"):"outer"==s?(i=d-o,this.ctx.textBaseline="bottom",i-=e*(S.length-1)):"center"==s&&(i=p+o+(d-p)/2,this.ctx.textBaseline="middle");let n=0,l=0;if(S[t].length>1){this.ctx.textAlign="left",n=e/10*4,n*=100/i;let s=n*S[t].length;l=f.startAngle+((f.endAngle-f.startAngle)/2-s/2)}else l=f.startAngle+(f.endAngle-f.startAngle)/2,this.ctx.textAlign="center";l+=this.rotationAngle,l-=180;for(let e=S[t].length;e>=0;e--){this.ctx.save();let s=S[t].charAt(e);this.ctx.translate(c,g),this.ctx.rotate(this.degToRad(l)),this.ctx.translate(-c,-g),h&&this.ctx.strokeText(s,c,g+i+v),a&&w(s,c,g+i+v),l+=n,this.ctx.restore()}}}else if("horizontal"==n){this.ctx.textAlign="inner"==s?"left":"outer"==s?"right":"center",this.ctx.textBaseline="middle";let e=this.degToRad(f.endAngle-(f.endAngle-f.startAngle)/2+this.rotationAngle-90);this.ctx.save(),this.ctx.translate(c,g),this.ctx.rotate(e),this.ctx.translate(-c,-g),"inner"==s?(a&&w(S[t],c+p+o,g+v),h&&this.ctx.strokeText(S[t],c+p+o,g+v)):"outer"==s?(a&&w(S[t],c+d-o,g+v),h&&this.ctx.strokeText(S[t],c+d-o,g+v)):(a&&w(S[t],c+p+(d-p)/2+o,g+v),h&&this.ctx.strokeText(S[t],c+p+(d-p)/2+o,g+v)),this.ctx.restore()}else if("vertical"==n){this.ctx.textAlign="center",this.ctx.textBaseline="inner"==s?"bottom":"outer"==s?"top":"middle";let i=f.endAngle-(f.endAngle-f.startAngle)/2;i+=this.rotationAngle,this.ctx.save(),this.ctx.translate(c,g),this.ctx.rotate(this.degToRad(i)),this.ctx.translate(-c,-g);let n=0;"outer"==s?n=g-d+o:"inner"==s&&(n=g-p-o);let l=e-e/9;if("outer"==s)for(let e=0;e<S[t].length;e++){let i=S[t].charAt(e);a&&w(i,c+v,n),h&&this.ctx.strokeText(i,c+v,n),n+=l}else if("inner"==s)for(let e=S[t].length-1;e>=0;e--){let i=S[t].charAt(e);a&&w(i,c+v,n),h&&this.ctx.strokeText(i,c+v,n),n-=l}else if("center"==s){let e=0;S[t].length>1&&(e=l*(S[t].length-1)/2);let i=g-p-(d-p)/2-e-o;for(let e=0;e<S[t].length;e++){let n=S[t].charAt(e);a&&w(n,c+v,i),h&&this.ctx.strokeText(n,c+v,i),i+=l}}this.ctx.restore()}else if("curved"==n){let i=0;"inner"==s?(i=p+o,this.ctx.textBaseline="bottom",i+=e*(S.length-1)):"outer"==s?(i=d-o,this.ctx.textBaseline="top"):"center"==s&&(i=p+o+(d-p)/2,this.ctx.textBaseline="middle");let n=0,l=0;if(S[t].length>1){this.ctx.textAlign="left",n=e/10*4,n*=100/i;let s=n*S[t].length;l=f.startAngle+((f.endAngle-f.startAngle)/2-s/2)}else l=f.startAngle+(f.endAngle-f.startAngle)/2,this.ctx.textAlign="center";l+=this.rotationAngle;for(let e=0;e<S[t].length;e++){this.ctx.save();let s=S[t].charAt(e);this.ctx.translate(c,g),this.ctx.rotate(this.degToRad(l)),this.ctx.translate(-c,-g),h&&this.ctx.strokeText(s,c,g-i+v),a&&w(s,c,g-i+v),l+=n,this.ctx.restore()}}v+=e}}this.ctx.restore()}}},Winwheel.prototype.fitSegmentText=function(t,e,i,n,s,l,o,a){let h=this.segments[t],r=Array.isArray(e)?e:"string"==typeof e?[e]:e.order;0==Array.isArray(r)&&(r="string"==typeof r?[r]:["shrink","wrap","truncate"]);let u=e&&"object"==typeof e&&"number"==typeof e.minFontSize?e.minFontSize*this.scaleFactor:8*this.scaleFactor,c=this.innerRadius*this.scaleFactor,g=this.outerRadius*this.scaleFactor,d=h.endAngle-h.startAngle,p=JSON.stringify([h.text,r,u,i,n,s,l,o,a,c,g,d]);if(h._textFit&&h._textFit.key===p)return h._textFit.result;let m=this.ctx,f=g-c-a,w=function(t){return"inner"==o?c+a:"outer"==o?g-a-t:c+(g-c)/2+a-t/2},y=function(t,e){let n=0;if("curved"==l){if(e*t.length>f)return!1;let i=w(e*t.length);if(i<=0)return!1;let s=e/10*4*(100/i);for(let e=0;e<t.length;e++)n=Math.max(n,s*t[e].length);return n<=d}for(let o=0;o<t.length;o++)n="vertical"==l?Math.max(n,t[o].length*(e-e/9)):Math.max(n,winwheelMeasureText(m,t[o],winwheelGetFontSetting(i,e,s),e));return n<=f&&e*t.length<=((o=w(n))<=0?0:d>=180?2*o:2*o*Math.sin(d/2*Math.PI/180));var o},x=function(t,e,i){if(0==i&&y([t],e))return t;for(;t.length>0&&0==y([t+"…"],e);)t=t.slice(0,-1).replace(/\s+$/,"");return t+"…"},S=!1,v=!1,A=function(t){let e=h.text.split("\n"),i=[];for(let n=0;n<e.length;n++){if(0==S){i.push(e[n]);continue}let s=e[n].split(" "),l="";for(let e=0;e<s.length;e++){let n=l?l+" "+s[e]:s[e];l&&0==y([n],t)?(i.push(l),l=s[e]):l=n}i.push(l)}if(v){for(let e=0;e<i.length;e++)i[e]=x(i[e],t,!1);for(;i.length>1&&0==y(i,t);)i.pop(),i[i.length-1]=x(i[i.length-1],t,!0)}return i},b=A(n);for(let t=0;t<r.length&&!y(b,n);t++){if("wrap"==r[t])S=!0;else if("truncate"==r[t])v=!0;else if("shrink"==r[t])for(;n>u&&0==y(A(n),n);)n=Math.max(u,n-1);b=A(n)}let _={text:b.join("\n"),fontSize:n};return h._textFit={key:p,result:_},_},Winwheel.prototype.resolveFillStyle=function(t,e){if(0==winwheelIsFillSpec(t))return t;let i=this.segments[e],n=this.centerX*this.scaleFactor,s=this.centerY*this.scaleFactor,l=this.innerRadius*this.scaleFactor,o=this.outerRadius*this.scaleFactor,a=this.rotationAngle,h=this.rotationAngle+360;if("wheel"!=t.relativeTo&&i&&(a+=i.startAngle,h=this.rotationAngle+i.endAngle),"function"==typeof this.ctx.getTransform){let t=this.ctx.getTransform(),e=180*Math.atan2(t.b,t.a)/Math.PI;a-=e,h-=e}let r=function(t,e){return{x:n+e*Math.sin(t*Math.PI/180),y:s-e*Math.cos(t*Math.PI/180)}},u=winwheelGetGradientStops(t.stops),c=null;if("radial"==t.type)c=this.ctx.createRadialGradient(n,s,l,n,s,o);else if("conic"==t.type&&"function"==typeof this.ctx.createConicGradient){c=this.ctx.createConicGradient(this.degToRad(a-90),n,s);for(let t=0;t<u.length;t++)u[t].offset=u[t].offset*((h-a)/360)}else{let e,i,n=l+(o-l)/2;if("conic"==t.type)e=r(a,n),i=r(h,n);else{let s=a+(h-a)/2,u=r(s,n),c=(s+(t.angle?t.angle:0))*Math.PI/180,g=(o-l)/2;e={x:u.x-g*Math.sin(c),y:u.y+g*Math.cos(c)},i={x:u.x+g*Math.sin(c),y:u.y-g*Math.cos(c)}}c=this.ctx.createLinearGradient(e.x,e.y,i.x,i.y)}for(let t=0;t<u.length;t++)c.addColorStop(u[t].offset,u[t].color);return c},Winwheel.prototype.setRenderClass=function(t){this.ctx&&"function"==typeof this.ctx.setClassName&&this.ctx.setClassName(t)},Winwheel.prototype.toSVG=function(){let t=new WinwheelSvgCanvas(null,this.canvas?this.getCanvasWidth():(this.centerX+this.outerRadius)*this.scaleFactor,this.canvas?this.getCanvasHeight():(this.centerY+this.outerRadius)*this.scaleFactor),e=this.canvas,i=this.ctx,n=this._pixelRatio;this.canvas=t,this.ctx=t.getContext("2d"),this._pixelRatio=1;try{this.draw()}finally{this.canvas=e,this.ctx=i,this._pixelRatio=n}return t.toSVG()},Winwheel.prototype.degToRad=function(t){return.017453292519943295*t},Winwheel.prototype.setCenter=function(t,e){this.centerX=t,this.centerY=e},Winwheel.prototype.addSegment=function(t,e){let i,n=new Segment(t);if(winwheelSetSegmentOwner(n,this),this.numSegments++,void 0!==e){for(let t=this.numSegments;t>e;t--)this.segments[t]=this.segments[t-1];this.segments[e]=n,i=e}else this.segments[this.numSegments]=n,i=this.numSegments;return this.updateSegmentSizes(),null!==this.palette&&this.applyPalette(),this.emit("segmentadded",this.segments[i],i),this.segments[i]},Winwheel.prototype.setupHighDpi=function(){let t=this,e=this.canvas.width,i=this.canvas.height;this._pixelRatio=winwheelGetPixelRatio(),this.setCanvasSize(e,i),"undefined"!=typeof window&&0==this.responsive&&(this._pixelRatioHandler=function(){let e=winwheelGetPixelRatio();if(e!=t._pixelRatio){let i=t.getCanvasWidth(),n=t.getCanvasHeight();t._pixelRatio=e,t.setCanvasSize(i,n),t.draw()}},window.addEventListener("resize",this._pixelRatioHandler))},Winwheel.prototype.setCanvasSize=function(t,e){this.canvas&&(this.canvas.width=t*this._pixelRatio,this.canvas.height=e*this._pixelRatio,this.highDpi&&this.canvas.style&&(this.canvas.style.width=t+"px",this.canvas.style.height=e+"px"))},Winwheel.prototype.getCanvasWidth=function(){return this.canvas?this.canvas.width/this._pixelRatio:0},Winwheel.prototype.getCanvasHeight=function(){return this.canvas?this.canvas.height/this._pixelRatio:0},Winwheel.prototype.setCanvasId=function(t){if(t){let e=winwheelGetDrawingTarget(t,this.renderer);e.ctx?(this.canvasId=e.canvasId,this.canvas=e.canvas,this.ctx=e.ctx,this.highDpi&&this.canvas&&(this._pixelRatioHandler&&window.removeEventListener("resize",this._pixelRatioHandler),this.setupHighDpi())):this.canvasId=e.canvasId}else this.canvasId=null,this.ctx=null,this.canvas=null},Winwheel.prototype.deleteSegment=function(t){if(void 0===t&&(t=this.numSegments),0==Number.isInteger(t)||t<1||t>this.numSegments)this.reportValidationIssue("Cannot delete segment "+t+" as the wheel has "+this.numSegments+" segments");else if(this.numSegments>1){let e=this.segments[t];for(let e=t;e<this.numSegments;e++)this.segments[e]=this.segments[e+1];this.segments[this.numSegments]=void 0,this.numSegments--,this.updateSegmentSizes(),null!==this.palette&&this.applyPalette(),this.emit("segmentremoved",e,t)}},Winwheel.prototype.windowToCanvas=function(t,e){if(!this.canvas||"function"!=typeof this.canvas.getBoundingClientRect)return{x:t,y:e};let i=this.canvas.getBoundingClientRect(),n=i.width?this.getCanvasWidth()/i.width:1,s=i.height?this.getCanvasHeight()/i.height:1;return{x:Math.floor((t-i.left)*n),y:Math.floor((e-i.top)*s)}},Winwheel.prototype.getSegmentAt=function(t,e){let i=null,n=this.getSegmentNumberAt(t,e);return null!==n&&(i=this.segments[n]),i},Winwheel.prototype.getSegmentNumberAt=function(t,e){let i,n,s,l,o,a=this.windowToCanvas(t,e),h=this.centerX*this.scaleFactor,r=this.centerY*this.scaleFactor,u=this.outerRadius*this.scaleFactor,c=this.innerRadius*this.scaleFactor;a.x>h?(s=a.x-h,n="R"):(s=h-a.x,n="L"),a.y>r?(l=a.y-r,i="B"):(l=r-a.y,i="T");let g=l/s,d=180*Math.atan(g)/Math.PI,p=0;if(o=Math.sqrt(l*l+s*s),"T"==i&&"R"==n?p=Math.round(90-d):"B"==i&&"R"==n?p=Math.round(d+90):"B"==i&&"L"==n?p=Math.round(90-d+180):"T"==i&&"L"==n&&(p=Math.round(d+270)),0!=this.rotationAngle){p-=this.getRotationPosition(),p<0&&(p=360-Math.abs(p))}let m=null;for(let t=1;t<=this.numSegments;t++)if(p>=this.segments[t].startAngle&&p<=this.segments[t].endAngle&&o>=c&&o<=u){m=t;break}return m},Winwheel.prototype.getIndicatedSegment=function(){let t=this.getIndicatedSegmentNumber();return this.segments[t]},Winwheel.prototype.getIndicatedSegmentNumber=function(){let t=0,e=this.getRotationPosition(),i=Math.floor(this.pointerAngle-e);i<0&&(i=360-Math.abs(i));for(let e=1;e<this.segments.length;e++)if(i>=this.segments[e].startAngle&&i<=this.segments[e].endAngle){t=e;break}return t},Winwheel.prototype.getCurrentPinNumber=function(){let t=0;if(this.pins){let e=360/this.pins.number,i=Math.floor((this.rotationAngle-this.pointerAngle)/e);"anti-clockwise"==this.animation.direction&&i++,t=this.getPinNumberAtCrossing(i)}return t},Winwheel.prototype.getPinNumberAtCrossing=function(t){return winwheelModulo(0-t,this.pins.number)},Winwheel.prototype.getRotationPosition=function(){let t=this.rotationAngle;if(t>=0){if(t>360){t-=360*Math.floor(t/360)}}else{if(t<-360){t-=360*Math.ceil(t/360)}t=360+t}return t},Winwheel.prototype.startAnimation=function(){if(this.animation){if(0==this.allowEval){let t=["callbackBefore","callbackAfter","callbackSound","callbackFinished"];for(let e=0;e<t.length;e++)null!=this.animation[t[e]]&&this.resolveCallback(this.animation[t[e]])}this.stopSnapBack(),this.computeAnimation();let t=this.animation.duration,e=this.animation.easing;if("physics"==this.animation.type&&(t=this.animation._simulation.duration,e=this.animation._simulation.ease),this.prefersReducedMotion())if("skip"==this.accessibility.reducedMotion){if("spinOngoing"==this.animation.type)return void winwheelStopAnimation(this,!1);t=0}else if(t=Math.min(t,this.accessibility.reducedMotionDuration),"spinToStop"==this.animation.type&&this.animation.spins>1){let t=360*(this.animation.spins-1);this.animation.propertyValue+="anti-clockwise"==this.animation.direction?t:0-t}winwheelToDrawDuringAnimation=this;let i=this,n=new Array(null);n[this.animation.propertyName]=this.animation.propertyValue,n.yoyo=this.animation.yoyo,n.repeat=this.animation.repeat,n.ease=e,n.onUpdate=function(){winwheelAnimationLoop(i)},n.onComplete=function(){winwheelStopAnimation(i,!0)},this._spinning=!0,this._lastSoundAngle=this.rotationAngle,this._lastSoundTime=winwheelNow(),this.tween=winwheelGetAnimationEngine(this.animation.engine).to(this,t,n),this.emit("spinstart")}},Winwheel.prototype.stopAnimation=function(t){this.tween&&this.tween.kill(),this.stopSnapBack(),winwheelStopAnimation(this,t)},Winwheel.prototype.spin=function(t){if(!this.animation)return Promise.resolve({status:"cancelled",segment:this.getIndicatedSegment(),segmentNumber:this.getIndicatedSegmentNumber(),rotationAngle:this.rotationAngle});(this._spinResolve||this._spinning)&&this.stopAnimation(!1),this.rotationAngle=winwheelModulo(this.rotationAngle,360),winwheelRestoreAnimation(this);let e={};for(let t in this.animation)this.animation.hasOwnProperty(t)&&"_"!=t.charAt(0)&&(e[t]=this.animation[t]);if(this._spinSettings=e,null!=t)for(let e in t)this.animation[e]=t[e];let i=this;return new Promise(function(t){i._spinResolve=t,i.startAnimation()})},Winwheel.prototype.isSpinning=function(){return 1==this._spinning},Winwheel.prototype.pauseAnimation=function(){this.tween&&(this.tween.pause(),this.emit("pause"))},Winwheel.prototype.resumeAnimation=function(){this.tween&&(this.tween.play(),this.emit("resume"))},Winwheel.prototype.computeAnimation=function(){if(this.animation)if("spinOngoing"==this.animation.type)this.animation.propertyName="rotationAngle",null==this.animation.spins&&(this.animation.spins=5),null==this.animation.repeat&&(this.animation.repeat=-1),null==this.animation.easing&&(this.animation.easing="Linear.easeNone"),null==this.animation.yoyo&&(this.animation.yoyo=!1),this.animation.propertyValue=360*this.animation.spins,"anti-clockwise"==this.animation.direction&&(this.animation.propertyValue=0-this.animation.propertyValue);else if("spinToStop"==this.animation.type)this.animation.propertyName="rotationAngle",null==this.animation.spins&&(this.animation.spins=5),null==this.animation.repeat&&(this.animation.repeat=0),null==this.animation.easing&&(this.animation.easing="Power3.easeOut"),this.computeStopAngle(),null==this.animation.yoyo&&(this.animation.yoyo=!1),this.animation.propertyValue=360*this.animation.spins,"anti-clockwise"==this.animation.direction?(this.animation.propertyValue=0-this.animation.propertyValue,this.animation.propertyValue-=360-this.animation._stopAngle):this.animation.propertyValue+=this.animation._stopAngle;else if("spinAndBack"==this.animation.type)this.animation.propertyName="rotationAngle",null==this.animation.spins&&(this.animation.spins=5),null==this.animation.repeat&&(this.animation.repeat=1),null==this.animation.easing&&(this.animation.easing="Power2.easeInOut"),null==this.animation.yoyo&&(this.animation.yoyo=!0),null==this.animation.stopAngle?this.animation._stopAngle=0:this.animation._stopAngle=360-this.animation.stopAngle,this.animation.propertyValue=360*this.animation.spins,"anti-clockwise"==this.animation.direction?(this.animation.propertyValue=0-this.animation.propertyValue,this.animation.propertyValue-=360-this.animation._stopAngle):this.animation.propertyValue+=this.animation._stopAngle;else if("physics"==this.animation.type){this.animation.propertyName="rotationAngle",this.animation.friction>0||(this.animation.friction=180),null==this.animation.pinDrag&&(this.animation.pinDrag=0),this.animation.repeat=0,this.animation.yoyo=!1;let t=this.animation.velocity;null==t&&(t=720+720*this.getRandom());let e=this.simulateSpin(t);if(this.animation.solveForTarget){this.computeStopAngle();let t=this.animation._stopAngle-this.rotationAngle;"anti-clockwise"==this.animation.direction&&(t=0-t);let i=winwheelModulo(t-e.distance,360);i>180&&(i-=360),t=e.distance+i,t<=0&&(t+=360),e=this.simulateSpin(this.solveSpinVelocity(t))}this.animation._simulation=e,this.animation.propertyValue=this.rotationAngle+("anti-clockwise"==this.animation.direction?0-e.distance:e.distance)}else this.animation.type},Winwheel.prototype.computeStopAngle=function(){let t=null;if(null==this.animation.stopAngle&&this.hasSegmentWeights()){let e=this.getWeightedRandomSegmentNumber();null!==e&&(t=this.getRandomForSegment(e))}null!==t?this.animation._stopAngle=360-t+this.pointerAngle:null==this.animation.stopAngle?this.animation._stopAngle=Math.floor(359*this.getRandom()):this.animation._stopAngle=360-this.animation.stopAngle+this.pointerAngle},Winwheel.prototype.simulateSpin=function(t){let e=this.animation.friction>0?this.animation.friction:180,i=this.pins&&this.animation.pinDrag>0?this.animation.pinDrag:0,n=[],s=0,l=0,o=Math.abs(t),a=null;if(i>0){let t=360/this.pins.number;a=winwheelModulo(this.pointerAngle-this.rotationAngle,t),"anti-clockwise"==this.animation.direction&&(a=winwheelModulo(this.rotationAngle-this.pointerAngle,t)),0==a&&(a=t)}for(;o>0;){n.push({time:s,distance:l,speed:o});let t=o*o/(2*e);if(null===a||l+t<=a)s+=o/e,l+=t,o=0;else{let t=(o-Math.sqrt(Math.max(0,o*o-2*e*(a-l))))/e;s+=t,l=a,o=Math.max(0,o-e*t-i),a+=360/this.pins.number}}return{distance:l,duration:s,ease:function(t){if(t>=1||0==l)return 1;let i=t*s,o=n.length-1;for(;o>0&&n[o].time>i;)o--;let a=i-n[o].time;return(n[o].distance+n[o].speed*a-e*a*a/2)/l}}},Winwheel.prototype.solveSpinVelocity=function(t){let e=this.animation.friction>0?this.animation.friction:180,i=0,n=Math.sqrt(2*e*t);for(;this.simulateSpin(n).distance<t;)i=n,n*=2;for(let e=0;e<60;e++){let e=(i+n)/2;this.simulateSpin(e).distance<t?i=e:n=e}return n},Winwheel.prototype.getRandomForSegment=function(t){let e=0;if(t)if(void 0!==this.segments[t]){let i=this.segments[t].startAngle,n=this.segments[t].endAngle,s=n-i-2;s>0?e=i+1+Math.floor(this.getRandom()*s):(e=i+(n-i)/2,console.log("Segment size is too small to safely get random angle inside it, using the middle of the segment"))}else console.log("Segment "+t+" undefined");else console.log("Segment number not specified");return e},Winwheel.prototype.on=function(t,e){return void 0===this._listeners[t]&&(this._listeners[t]=[]),this._listeners[t].push(e),this},Winwheel.prototype.once=function(t,e){let i=this,n=function(){return i.off(t,n),e.apply(this,arguments)};return n.listener=e,this.on(t,n)},Winwheel.prototype.off=function(t,e){return void 0!==this._listeners[t]&&(void 0===e?delete this._listeners[t]:this._listeners[t]=this._listeners[t].filter(function(t){return t!==e&&t.listener!==e})),this},Winwheel.prototype.emit=function(t,...e){if(void 0!==this._listeners[t]){let i=this._listeners[t].slice();for(let t=0;t<i.length;t++)i[t].apply(this,e)}if(this.animation){let i=null;if("beforeframe"==t?i=this.animation.callbackBefore:"frame"==t?i=this.animation.callbackAfter:"spinend"==t?i=this.animation.callbackFinished:("pinpass"==t&&"pin"==this.animation.soundTrigger||"segmentchange"==t&&"pin"!=this.animation.soundTrigger)&&(i=this.animation.callbackSound),null!=i){let n=this.resolveCallback(i);null===n?winwheelEvalCallback(i):"spinend"==t?n(e[0]):n()}}return this},Winwheel.prototype.registerCallback=function(t,e){if("function"!=typeof e)throw new Error("Winwheel callback "+t+" must be a function");return this.callbacks[t]=e,this},Winwheel.prototype.resolveCallback=function(t){if("function"==typeof t)return t;if("string"==typeof t&&this.callbacks.hasOwnProperty(t))return this.callbacks[t];if(0==this.allowEval)throw new Error("Winwheel callback "+t+" is not registered, use registerCallback() to add it as allowEval is false");return null},Winwheel.prototype.validate=function(){let t={valid:!0,errors:[],warnings:[]},e=function(e,i){t.errors.push({path:e,message:i})},i=function(e,i){t.warnings.push({path:e,message:i})},n=function(t,i,n,s){null===i&&s||-1!=n.indexOf(i)||e(t,"Must be one of "+n.join(", ")+" but is "+i)},s=function(t,i,n,s,l){null===i&&l||("number"!=typeof i||isNaN(i)?e(t,"Must be a number but is "+i):null!==n&&i<n?e(t,"Must be "+n+" or more but is "+i):null!==s&&i>s&&e(t,"Must be "+s+" or less but is "+i))},l=function(t,i){null!=i&&"boolean"!=typeof i&&"string"!=typeof i&&"function"!=typeof i.getChannelData&&e(t,"Must be true, a URL or an AudioBuffer but is "+i)},o=function(t,i){null!==i&&"object"==typeof i&&"function"!=typeof i.addColorStop&&(0==winwheelIsFillSpec(i)?e(t,"Must be a colour, a gradient, or a fill spec with a type and stops"):(n(t+".type",i.type,["radial","linear","conic"],!1),n(t+".relativeTo",void 0!==i.relativeTo?i.relativeTo:"segment",["segment","wheel"],!1),0==i.stops.length&&e(t+".stops","Must have at least one stop")))},a=function(t,i){if(null===i||!1===i||!0===i)return;let l=i&&"object"==typeof i&&!Array.isArray(i)?i.order:i;if(void 0===l&&"object"==typeof i&&(l=[]),"string"==typeof l&&(l=[l]),0!=Array.isArray(l)){for(let e=0;e<l.length;e++)n(t+"["+e+"]",l[e],["shrink","wrap","truncate"],!1);void 0===i.minFontSize||Array.isArray(i)||s(t+".minFontSize",i.minFontSize,1,null,!1)}else e(t,"Must be true, an array of shrink, wrap and truncate, or an object with them as the order")},h=function(t,i){null!==i&&("string"==typeof i?n(t,i,winwheelPatternTypes,!1):"object"!=typeof i?e(t,"Must be the type of pattern or an object with the pattern settings"):(n(t+".type",void 0!==i.type?i.type:null,winwheelPatternTypes,!0),s(t+".scale",void 0!==i.scale?i.scale:null,1,null,!0),s(t+".angle",void 0!==i.angle?i.angle:null,null,null,!0),s(t+".lineWidth",void 0!==i.lineWidth?i.lineWidth:null,0,null,!0)))},r=["horizontal","vertical","curved"],u=["center","inner","outer"],c=["normal","reversed"],g=["N","E","S","W"];n("drawMode",this.drawMode,["code","image","segmentImage"],!1),n("textOrientation",this.textOrientation,r,!1),n("textAlignment",this.textAlignment,u,!1),n("textDirection",this.textDirection,c,!1),n("imageDirection",this.imageDirection,g,!1),n("renderer",this.renderer,["canvas","svg"],!1),s("outerRadius",this.outerRadius,0,null,!0),s("innerRadius",this.innerRadius,0,null,!1),s("rotationAngle",this.rotationAngle,null,null,!1),s("pointerAngle",this.pointerAngle,0,360,!1),s("scaleFactor",this.scaleFactor,0,null,!1),o("fillStyle",this.fillStyle),h("pattern",this.pattern),function(t,i){if(null===i)return;let s="object"!=typeof i||Array.isArray(i)?i:i.colors;void 0!==s&&"hsl"!=s&&(Array.isArray(s)?0==s.length&&e(t,"Must have at least one colour"):n(t,s,["hsl"].concat(Object.keys(winwheelPalettes)),!1))}("palette",this.palette),a("textFit",this.textFit),o("textFillStyle",this.textFillStyle),(0==Number.isInteger(this.numSegments)||this.numSegments<1)&&e("numSegments","Must be a whole number of 1 or more but is "+this.numSegments),"number"==typeof this.outerRadius&&this.innerRadius>=this.outerRadius&&e("innerRadius","Must be less than the outerRadius of "+this.outerRadius+" but is "+this.innerRadius),this.canvasId&&null==this.ctx&&i("canvasId","The canvas "+this.canvasId+" was not found so the wheel cannot be drawn"),!this.ctx||this.canvas||null!=this.centerX&&null!=this.centerY&&null!=this.outerRadius||e("centerX","The centerX, centerY and outerRadius must be set when drawing on to a 2D context without a canvas");let d=0,p=0;for(let t=1;t<=this.numSegments;t++){let l=this.segments[t],m="segments["+t+"]";l?(s(m+".size",l.size,0,360,!0),s(m+".weight",l.weight,0,null,!0),n(m+".textOrientation",l.textOrientation,r,!0),n(m+".textAlignment",l.textAlignment,u,!0),n(m+".textDirection",l.textDirection,c,!0),n(m+".imageDirection",l.imageDirection,g,!0),o(m+".fillStyle",l.fillStyle),h(m+".pattern",l.pattern),a(m+".textFit",l.textFit),o(m+".textFillStyle",l.textFillStyle),"segmentImage"==this.drawMode&&null===l.image&&i(m+".image","The drawMode is segmentImage but this segment has no image"),"number"==typeof l.size&&(d+=l.size,p++)):e(m,"Segment is missing")}if(d>360?e("segments","The sizes of the segments add up to "+d+" degrees which is more than 360"):360==d&&p<this.numSegments?i("segments","The sizes of the segments add up to 360 degrees so the segments without a size will be 0 degrees"):d<360&&p==this.numSegments&&i("segments","The sizes of the segments only add up to "+d+" degrees so there will be a gap in the wheel"),0==t.errors.length&&this.hasSegmentWeights()){let t=0;for(let e=1;e<=this.numSegments;e++)t+=this.getSegmentWeight(e);t<=0&&e("segments","The weights of the segments add up to 0 so no segment can be picked")}if(void 0!==this.pins&&((0==Number.isInteger(this.pins.number)||this.pins.number<1)&&e("pins.number","Must be a whole number of 1 or more but is "+this.pins.number),s("pins.outerRadius",this.pins.outerRadius,0,null,!1),s("pins.margin",this.pins.margin,null,null,!1),s("pins.lineWidth",this.pins.lineWidth,0,null,!1)),this.pointer&&(n("pointer.shape",this.pointer.shape,["triangle","arrow","flapper"],!1),s("pointer.size",this.pointer.size,0,null,!1),s("pointer.width",this.pointer.width,0,null,!1),s("pointer.overlap",this.pointer.overlap,null,null,!1),s("pointer.lineWidth",this.pointer.lineWidth,0,null,!1),s("pointer.deflection",this.pointer.deflection,0,90,!1),s("pointer.maxSpeed",this.pointer.maxSpeed,1,null,!1),s("pointer.stiffness",this.pointer.stiffness,1,null,!1),s("pointer.damping",this.pointer.damping,0,null,!1)),this.gestures&&(s("gestures.minVelocity",this.gestures.minVelocity,0,null,!1),s("gestures.maxVelocity",this.gestures.maxVelocity,0,null,!1),s("gestures.minDuration",this.gestures.minDuration,0,null,!1),s("gestures.maxDuration",this.gestures.maxDuration,0,null,!1),s("gestures.snapBackDuration",this.gestures.snapBackDuration,0,null,!1),s("gestures.velocityTime",this.gestures.velocityTime,1,null,!1),this.gestures.maxVelocity<=this.gestures.minVelocity&&e("gestures.maxVelocity","Must be more than the minVelocity of "+this.gestures.minVelocity),this.gestures.maxDuration<this.gestures.minDuration&&e("gestures.maxDuration","Must not be less than the minDuration of "+this.gestures.minDuration)),this.audio){let t=["tick","start","whoosh"];for(let e=0;e<t.length;e++)l("audio."+t[e],this.audio[t[e]]);if(null!==this.audio.categories&&"object"==typeof this.audio.categories)for(let t in this.audio.categories)l("audio.categories."+t,this.audio.categories[t]);else null!==this.audio.categories&&e("audio.categories","Must be an object with the sound for each category but is "+this.audio.categories);s("audio.volume",this.audio.volume,0,1,!1),s("audio.minPitch",this.audio.minPitch,0,null,!1),s("audio.maxPitch",this.audio.maxPitch,0,null,!1),s("audio.minTickVolume",this.audio.minTickVolume,0,1,!1),s("audio.maxSpeed",this.audio.maxSpeed,1,null,!1),s("audio.whooshVolume",this.audio.whooshVolume,0,1,!1),(0==Number.isInteger(this.audio.polyphony)||this.audio.polyphony<1)&&e("audio.polyphony","Must be a whole number of 1 or more but is "+this.audio.polyphony)}return this.callouts&&(s("callouts.threshold",this.callouts.threshold,0,360,!1),s("callouts.length",this.callouts.length,0,null,!1),s("callouts.spacing",this.callouts.spacing,0,null,!1),s("callouts.fontSize",this.callouts.fontSize,1,null,!0)),this.animation&&(n("animation.type",this.animation.type,["spinOngoing","spinToStop","spinAndBack","physics","custom"],!1),n("animation.direction",this.animation.direction,["clockwise","anti-clockwise"],!1),n("animation.soundTrigger",this.animation.soundTrigger,["segment","pin"],!1),s("animation.duration",this.animation.duration,0,null,!1),s("animation.spins",this.animation.spins,0,null,!0),s("animation.stopAngle",this.animation.stopAngle,0,360,!0),s("animation.repeat",this.animation.repeat,-1,null,!0),s("animation.velocity",this.animation.velocity,0,null,!0),s("animation.friction",this.animation.friction,0,null,!0),s("animation.pinDrag",this.animation.pinDrag,0,null,!0),0===this.animation.friction&&e("animation.friction","Must be more than 0 or the wheel would never stop"),"custom"==this.animation.type&&null==this.animation.propertyName&&e("animation.propertyName","Must be set when the animation type is custom"),"pin"==this.animation.soundTrigger&&null!=this.animation.callbackSound&&void 0===this.pins&&i("animation.soundTrigger","The soundTrigger is pin but the wheel has no pins so the sound will never play")),t.valid=0==t.errors.length,t},Winwheel.prototype.checkValidation=function(){if("off"==this.validation)return;let t=this.validate();if("strict"==this.validation&&t.errors.length>0)throw new WinwheelValidationError(t.errors,t.warnings);if("strict"!=this.validation)for(let e=0;e<t.errors.length;e++)console.log("Winwheel error: "+t.errors[e].path+" - "+t.errors[e].message);for(let e=0;e<t.warnings.length;e++)console.log("Winwheel warning: "+t.warnings[e].path+" - "+t.warnings[e].message)},Winwheel.prototype.reportValidationIssue=function(t){if("strict"==this.validation)throw new WinwheelValidationError([{path:"",message:t}],[]);"off"!=this.validation&&console.log("Winwheel error: "+t)},Winwheel.prototype.setupInteraction=function(){if(!this.canvas||"function"!=typeof this.canvas.addEventListener)return;let t=this,e="undefined"!=typeof PointerEvent;this._interactionMoveHandler=function(e){t.isSpinning()||t.setHoverSegment(t.getSegmentNumberAt(e.clientX,e.clientY))},this._interactionLeaveHandler=function(){t.setHoverSegment(null)},this._interactionClickHandler=function(e){if(t.isSpinning())return;let i=t.getSegmentNumberAt(e.clientX,e.clientY);null!==i&&(t.interaction.selectOnClick&&t.selectSegment(i),t.emit("segmentclick",t.segments[i],i))},this.canvas.addEventListener(e?"pointermove":"mousemove",this._interactionMoveHandler),this.canvas.addEventListener(e?"pointerleave":"mouseleave",this._interactionLeaveHandler),this.canvas.addEventListener("click",this._interactionClickHandler),this.on("spinstart",function(){t._hoverSegmentNumber=null,t.canvas.style&&(t.canvas.style.cursor="")})},Winwheel.prototype.setHoverSegment=function(t){t!==this._hoverSegmentNumber&&(this._hoverSegmentNumber=t,this.canvas&&this.canvas.style&&this.interaction&&(this.canvas.style.cursor=null!==t?this.interaction.cursor:this.gestures?this.gestures.cursor:""),this.draw(),this.emit("segmenthover",null!==t?this.segments[t]:null,t))},Winwheel.prototype.selectSegment=function(t){this.selectedSegmentNumber=t,this.draw()},Winwheel.prototype.getSegmentInteractionStyle=function(t){if(!this.interaction)return null;let e=null;return t===this._hoverSegmentNumber?e="hover":t===this.selectedSegmentNumber&&(e="selected"),null===e?null:{fillStyle:this.interaction[e+"FillStyle"],strokeStyle:this.interaction[e+"StrokeStyle"],lineWidth:this.interaction[e+"LineWidth"],offset:this.interaction[e+"Offset"]}},Winwheel.prototype.getSegmentOffset=function(t){let e=this.getSegmentInteractionStyle(t);if(null===e||!e.offset)return{x:0,y:0};let i=this.segments[t],n=this.degToRad(i.startAngle+(i.endAngle-i.startAngle)/2+this.rotationAngle-90),s=e.offset*this.scaleFactor;return{x:Math.cos(n)*s,y:Math.sin(n)*s}},Winwheel.prototype.setupGestures=function(){if(!this.canvas||"function"!=typeof this.canvas.addEventListener)return;let t=this,e="undefined"!=typeof PointerEvent,i="undefined"!=typeof window?window:this.canvas;this._gestureDownHandler=function(n){if(t.isSpinning()||t._gesture||"number"==typeof n.button&&0!=n.button)return;let s=t.getPointerAngleAt(n.clientX,n.clientY,!0);null!==s&&(t.startGesture(s,t.getGestureTime(n)),"function"==typeof n.preventDefault&&n.preventDefault(),i.addEventListener(e?"pointermove":"mousemove",t._gestureMoveHandler),i.addEventListener(e?"pointerup":"mouseup",t._gestureUpHandler),e&&i.addEventListener("pointercancel",t._gestureUpHandler))},this._gestureMoveHandler=function(e){let i=t.getPointerAngleAt(e.clientX,e.clientY,!1);null!==i&&t.moveGesture(i,t.getGestureTime(e))},this._gestureUpHandler=function(n){i.removeEventListener(e?"pointermove":"mousemove",t._gestureMoveHandler),i.removeEventListener(e?"pointerup":"mouseup",t._gestureUpHandler),e&&i.removeEventListener("pointercancel",t._gestureUpHandler),t.endGesture(t.getGestureTime(n),"pointercancel"==n.type)},this._gestureClickHandler=function(e){t._gestureMoved&&(t._gestureMoved=!1,e.stopImmediatePropagation())},this.canvas.addEventListener(e?"pointerdown":"mousedown",this._gestureDownHandler),this.canvas.addEventListener("click",this._gestureClickHandler,!0),this.canvas.style&&(this.canvas.style.touchAction="none",this.canvas.style.cursor=this.gestures.cursor)},Winwheel.prototype.getPointerAngleAt=function(t,e,i){let n=this.windowToCanvas(t,e),s=this.centerX*this.scaleFactor,l=this.centerY*this.scaleFactor,o=n.x-s,a=n.y-l;return i&&Math.sqrt(o*o+a*a)>this.outerRadius*this.scaleFactor||0==o&&0==a?null:180*Math.atan2(o,0-a)/Math.PI},Winwheel.prototype.getGestureTime=function(t){return t&&"number"==typeof t.timeStamp&&t.timeStamp>0?t.timeStamp:winwheelNow()},Winwheel.prototype.startGesture=function(t,e){this.stopSnapBack(),this.rotationAngle=this.rotationAngle%360,this.rotationAngle<0&&(this.rotationAngle+=360),this._gesture={startRotationAngle:this.rotationAngle,lastAngle:t,samples:[{time:e,rotationAngle:this.rotationAngle}]},this._gestureMoved=!1,this._lastSoundAngle=this.rotationAngle,this._lastSoundTime=winwheelNow(),this.canvas&&this.canvas.style&&(this.canvas.style.cursor=this.gestures.grabbingCursor),this.emit("dragstart")},Winwheel.prototype.moveGesture=function(t,e){if(!this._gesture)return;let i=t-this._gesture.lastAngle;if(i>180?i-=360:i<-180&&(i+=360),this._gesture.lastAngle=t,0==i)return;this._gestureMoved=!0,this.rotationAngle+=i;let n=this._gesture.samples;for(n.push({time:e,rotationAngle:this.rotationAngle});n.length>2&&e-n[0].time>this.gestures.velocityTime;)n.shift();this.draw(),winwheelTriggerSound(this),this.emit("drag",this.rotationAngle)},Winwheel.prototype.endGesture=function(t,e){if(!this._gesture)return;let i=this._gesture;this._gesture=null,this.canvas&&this.canvas.style&&(this.canvas.style.cursor=this.gestures.cursor);let n=0,s=i.samples[0],l=i.samples[i.samples.length-1];1!=e&&t-l.time<=this.gestures.velocityTime&&l.time>s.time&&(n=(l.rotationAngle-s.rotationAngle)/(l.time-s.time)*1e3),this.emit("dragend",n),Math.abs(n)>=this.gestures.minVelocity?this.flick(n):this._gestureMoved&&this.snapBack(i.startRotationAngle)},Winwheel.prototype.flick=function(t){let e=Math.min(Math.abs(t),this.gestures.maxVelocity),i=Math.max(0,(e-this.gestures.minVelocity)/(this.gestures.maxVelocity-this.gestures.minVelocity)),n=this.gestures.minDuration+(this.gestures.maxDuration-this.gestures.minDuration)*i,s={type:"spinToStop",direction:t<0?"anti-clockwise":"clockwise",duration:n,spins:Math.max(1,Math.round(e*n/3/360))};return"physics"==this.animation.type&&(s={direction:s.direction,velocity:e}),this.spin(s)},Winwheel.prototype.snapBack=function(t){let e=this;this._snapBackTween=winwheelGetAnimationEngine(this.animation.engine).to(this,this.gestures.snapBackDuration,{rotationAngle:t,ease:"Power2.easeOut",onUpdate:function(){e.draw(),winwheelTriggerSound(e)},onComplete:function(){e._snapBackTween=null,e.draw(),e.emit("snapback")}})},Winwheel.prototype.stopSnapBack=function(){this._snapBackTween&&(this._snapBackTween.kill(),this._snapBackTween=null)},Winwheel.prototype.setupAudio=function(){let t=this;this._audio={gain:null,voices:[],whoosh:null,lastAngle:null,lastTime:null},this.on("spinstart",function(){t.startAudio(),t.playSound("start"),t.startWhoosh()}),this.on("dragstart",function(){t.startAudio()}),this.on("pinpass",function(e,i){"pin"==t.animation.soundTrigger&&t.playSound("tick",i)}),this.on("segmentchange",function(e,i,n){"pin"!=t.animation.soundTrigger&&t.playSound("tick",n)}),this.on("frame",function(){t.updateWhoosh()}),this.on("pause",function(){t.stopWhoosh()}),this.on("resume",function(){t.startWhoosh()}),this.on("spincancel",function(){t.stopWhoosh()}),this.on("spinend",function(e){t.stopWhoosh(),e&&null!=e.category&&t.playSound(e.category)})},Winwheel.prototype.startAudio=function(){let t=winwheelGetAudioContext(!0);if(null===t)return;"suspended"==t.state&&t.resume();let e=["tick","start","whoosh"].concat(Object.keys(this.audio.categories||{}));for(let t=0;t<e.length;t++)this.getSoundBuffer(e[t])},Winwheel.prototype.getAudioContext=function(){let t=winwheelGetAudioContext(!1);return null!==t&&null===this._audio.gain&&(this._audio.gain=t.createGain(),this._audio.gain.connect(t.destination),this.updateAudioVolume()),t},Winwheel.prototype.getSoundBuffer=function(t){let e=-1!=["tick","start","whoosh"].indexOf(t)?this.audio[t]:this.audio.categories?this.audio.categories[t]:null,i=this.getAudioContext();if(null===i||null==e||!1===e)return null;if("function"==typeof e.getChannelData)return e;if(!0!==e&&"string"!=typeof e)return null;let n=!0===e?"winwheel:"+t:e;return void 0===winwheelAudioBuffers[n]&&(!0===e?winwheelAudioBuffers[n]=winwheelCreateSoundBuffer(i,t):(winwheelAudioBuffers[n]=null,fetch(e).then(function(t){return t.arrayBuffer()}).then(function(t){return i.decodeAudioData(t)}).then(function(t){winwheelAudioBuffers[n]=t}).catch(function(){console.log("Winwheel could not load the sound "+e)}))),winwheelAudioBuffers[n]},Winwheel.prototype.playSound=function(t,e){let i=this.getSoundBuffer(t);if(null===i||this.audio.muted)return null;let n=this.getAudioContext(),s=n.createBufferSource(),l=n.createGain();if(s.buffer=i,s.connect(l),l.connect(this._audio.gain),"tick"==t){let t=Math.min(1,(e||0)/this.audio.maxSpeed);s.playbackRate.value=this.audio.minPitch+(this.audio.maxPitch-this.audio.minPitch)*t,l.gain.value=this.audio.minTickVolume+(1-this.audio.minTickVolume)*t;let i=this._audio.voices;for(i.push(s),s.onended=function(){let t=i.indexOf(s);-1!=t&&i.splice(t,1)};i.length>this.audio.polyphony;)i.shift().stop()}return s.start(),s},Winwheel.prototype.startWhoosh=function(){let t=this.getSoundBuffer("whoosh");if(null===t||null!==this._audio.whoosh)return;let e=this.getAudioContext(),i={source:e.createBufferSource(),filter:e.createBiquadFilter(),gain:e.createGain()};i.source.buffer=t,i.source.loop=!0,i.filter.type="bandpass",i.gain.gain.value=0,i.source.connect(i.filter),i.filter.connect(i.gain),i.gain.connect(this._audio.gain),i.source.start(),this._audio.whoosh=i,this._audio.lastAngle=null},Winwheel.prototype.updateWhoosh=function(){let t=this._audio.whoosh;if(null===t)return;let e=winwheelNow();if(null!==this._audio.lastAngle){let i=(e-this._audio.lastTime)/1e3,n=i>0?Math.abs(this.rotationAngle-this._audio.lastAngle)/i:0,s=Math.min(1,n/this.audio.maxSpeed),l=this.getAudioContext();t.gain.gain.setTargetAtTime(s*this.audio.whooshVolume,l.currentTime,.05),t.filter.frequency.setTargetAtTime(300+2e3*s,l.currentTime,.05)}this._audio.lastAngle=this.rotationAngle,this._audio.lastTime=e},Winwheel.prototype.stopWhoosh=function(){null!==this._audio.whoosh&&(this._audio.whoosh.source.stop(),this._audio.whoosh.gain.disconnect(),this._audio.whoosh=null)},Winwheel.prototype.setVolume=function(t){this.audio&&(this.audio.volume=t,this.updateAudioVolume())},Winwheel.prototype.setMuted=function(t){this.audio&&(this.audio.muted=1==t,this.updateAudioVolume())},Winwheel.prototype.updateAudioVolume=function(){this._audio&&null!==this._audio.gain&&(this._audio.gain.gain.value=this.audio.muted?0:this.audio.volume)},Winwheel.prototype.setupAccessibility=function(){if("undefined"==typeof document||!this.canvas||!this.canvas.parentNode)return;let t=this,e=document.createElement("div");e.style.cssText="position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; border: 0; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;";let i=document.createElement("ul");i.setAttribute("role","listbox"),i.setAttribute("tabindex","0"),i.setAttribute("aria-label",this.accessibility.label),i.setAttribute("aria-roledescription",this.accessibility.roleDescription);let n=document.createElement("div");n.setAttribute("role","status"),n.setAttribute("aria-live","polite"),e.appendChild(i),e.appendChild(n),this.canvas.parentNode.insertBefore(e,this.canvas.nextSibling),this._accessibilityList=i,this._accessibilityLiveRegion=n,this._accessibilitySegmentsText=null,this._focusedSegmentNumber=null,i.addEventListener("keydown",function(e){let i=null!==t._focusedSegmentNumber?t._focusedSegmentNumber:0;if("ArrowDown"==e.key||"ArrowRight"==e.key)i=i>=t.numSegments?1:i+1;else if("ArrowUp"==e.key||"ArrowLeft"==e.key)i=i<=1?t.numSegments:i-1;else if("Home"==e.key)i=1;else{if("End"!=e.key)return"Enter"==e.key||" "==e.key?(e.preventDefault(),void(0==t.isSpinning()&&t.startAnimation())):void 0;i=t.numSegments}e.preventDefault(),t.focusSegment(i)}),i.addEventListener("focus",function(){t.focusSegment(null!==t._focusedSegmentNumber?t._focusedSegmentNumber:1)}),i.addEventListener("blur",function(){t._focusedSegmentNumber=null,i.removeAttribute("aria-activedescendant"),t.draw()}),this.on("draw",function(){t.updateAccessibility()}),this.on("spinstart",function(){t.announce(t.accessibility.spinStartText)}),this.on("spinend",function(e){e&&t.announce(winwheelFormatText(t.accessibility.resultText,e,t.getIndicatedSegmentNumber()))}),this.updateAccessibility()},Winwheel.prototype.updateAccessibility=function(){if(!this._accessibilityList)return;let t=[];for(let e=1;e<=this.numSegments;e++)t.push(winwheelFormatText(this.accessibility.segmentText,this.segments[e],e));let e=t.join("\n");if(e!==this._accessibilitySegmentsText){for(this._accessibilitySegmentsText=e,void 0===this._accessibilityId&&(winwheelAccessibilityCount++,this._accessibilityId="winwheel-"+winwheelAccessibilityCount);this._accessibilityList.firstChild;)this._accessibilityList.removeChild(this._accessibilityList.firstChild);for(let e=1;e<=this.numSegments;e++){let i=document.createElement("li");i.setAttribute("role","option"),i.setAttribute("id",this._accessibilityId+"-segment-"+e),i.setAttribute("aria-setsize",this.numSegments),i.setAttribute("aria-posinset",e),i.textContent=t[e-1],this._accessibilityList.appendChild(i)}null!==this._focusedSegmentNumber&&this._focusedSegmentNumber>this.numSegments&&this.focusSegment(this.numSegments)}},Winwheel.prototype.focusSegment=function(t){if(!this._accessibilityList)return;this._focusedSegmentNumber=t;let e=this._accessibilityList.querySelector("[aria-selected]");e&&e.removeAttribute("aria-selected");let i=this._accessibilityList.children[t-1];i&&(i.setAttribute("aria-selected","true"),this._accessibilityList.setAttribute("aria-activedescendant",i.id)),this.draw()},Winwheel.prototype.announce=function(t){this._accessibilityLiveRegion&&t&&(this._accessibilityLiveRegion.textContent=t)},Winwheel.prototype.prefersReducedMotion=function(){return!(!this.accessibility||"ignore"==this.accessibility.reducedMotion)&&("undefined"!=typeof window&&"function"==typeof window.matchMedia&&window.matchMedia("(prefers-reduced-motion: reduce)").matches)},Winwheel.prototype.drawFocusedSegment=function(){if(this.ctx&&this._focusedSegmentNumber&&this.segments[this._focusedSegmentNumber]){let t=this.segments[this._focusedSegmentNumber],e=this.centerX*this.scaleFactor,i=this.centerY*this.scaleFactor,n=this.innerRadius*this.scaleFactor,s=this.outerRadius*this.scaleFactor;this.setRenderClass("winwheel-focus"),this.ctx.save(),this.ctx.strokeStyle=this.accessibility.focusStrokeStyle,this.ctx.lineWidth=this.accessibility.focusLineWidth,this.ctx.beginPath(),this.ctx.arc(e,i,s,this.degToRad(t.startAngle+this.rotationAngle-90),this.degToRad(t.endAngle+this.rotationAngle-90),!1),n?this.ctx.arc(e,i,n,this.degToRad(t.endAngle+this.rotationAngle-90),this.degToRad(t.startAngle+this.rotationAngle-90),!0):this.ctx.lineTo(e,i),this.ctx.closePath(),this.ctx.stroke(),this.ctx.restore()}},Winwheel.prototype.setRandom=function(t){"number"==typeof t?(this.randomSeed=t,this.random=winwheelSeededRandom(t)):"function"==typeof t?(this.randomSeed=null,this.random=t):(this.randomSeed=null,this.random=null)},Winwheel.prototype.getRandom=function(){return"function"==typeof this.random?this.random():Math.random()},Winwheel.prototype.hasSegmentWeights=function(){for(let t=1;t<=this.numSegments;t++)if(this.segments[t]&&null!==this.segments[t].weight&&void 0!==this.segments[t].weight)return!0;return!1},Winwheel.prototype.getWeightedRandomSegmentNumber=function(){let t=0;for(let e=1;e<=this.numSegments;e++)t+=this.getSegmentWeight(e);if(t<=0)return console.log("Segment weights add up to 0 so a segment cannot be picked using them"),null;let e=this.getRandom()*t,i=null;for(let t=1;t<=this.numSegments;t++){let n=this.getSegmentWeight(t);if(n>0){if(i=t,e<n)break;e-=n}}return i},Winwheel.prototype.getSegmentWeight=function(t){let e=this.segments[t].weight;return null==e?1:Math.max(0,Number(e))},Winwheel.prototype.toJSON=function(){let t=winwheelCopyOptions(this,["canvas","ctx","tween","segments","animation","pins","pointerGuide","pointer","interaction","gestures","audio","callouts","accessibility","callbacks","random","wheelImage","selectedSegmentNumber"]);t=Object.assign({schemaVersion:Winwheel.schemaVersion},t),this.wheelImage&&this.wheelImage.src?t.wheelImage=this.wheelImage.src:"string"==typeof this.wheelImage&&(t.wheelImage=this.wheelImage),t.segments=[];for(let e=1;e<=this.numSegments;e++){let i=this.segments[e],n=winwheelCopyOptions(i,["imgData","startAngle","endAngle"]);void 0!==i._paletteFillStyle&&i.fillStyle===i._paletteFillStyle&&(n.fillStyle=null),void 0!==i._paletteTextFillStyle&&i.textFillStyle===i._paletteTextFillStyle&&(n.textFillStyle=null),t.segments.push(n)}return t.animation=winwheelCopyOptions(this.animation,[]),t.pointerGuide=winwheelCopyOptions(this.pointerGuide,[]),void 0!==this.pins&&(t.pins=winwheelCopyOptions(this.pins,[])),this.pointer&&(t.pointer=winwheelCopyOptions(this.pointer,[])),this.interaction&&(t.interaction=winwheelCopyOptions(this.interaction,[])),this.gestures&&(t.gestures=winwheelCopyOptions(this.gestures,[])),this.audio&&(t.audio=winwheelCopyOptions(this.audio,[])),this.callouts&&(t.callouts=winwheelCopyOptions(this.callouts,[])),this.accessibility&&(t.accessibility=winwheelCopyOptions(this.accessibility,[])),t},Winwheel.fromJSON=function(t,e){let i="string"==typeof t?JSON.parse(t):Object.assign({},t);if(void 0!==i.schemaVersion&&i.schemaVersion>Winwheel.schemaVersion)throw new Error("Winwheel JSON schema version "+i.schemaVersion+" is newer than the supported version "+Winwheel.schemaVersion);delete i.schemaVersion,void 0!==e&&(i.canvasId=e),void 0!==i.randomSeed&&null!==i.randomSeed&&(i.random=i.randomSeed),delete i.randomSeed;let n=null;"string"==typeof i.wheelImage&&(n=i.wheelImage,i.wheelImage=null);let s=new Winwheel(i),l=null!==n?winwheelCreateImage(s):null;return null!==l&&(l.onload=function(){s.wheelImage=l,s.draw()},l.src=n),s},Winwheel.schemaVersion=1,Segment.prototype.changeImage=function(t,e){this.image=t,this.imgData=null,e&&(this.imageDirection=e);let i=this._wheel;i&&(i._imagesAlreadyDrawn=!1),this.imgData=winwheelCreateImage(i),null!==this.imgData&&(this.imgData.onload=function(){i&&winwheelLoadedImage(i)},this.imgData.src=this.image)},WinwheelValidationError.prototype=Object.create(Error.prototype),WinwheelValidationError.prototype.constructor=WinwheelValidationError;let winwheelAudioContext=null,winwheelAudioBuffers={};function winwheelGetAudioContext(t){if(null===winwheelAudioContext&&t){let t="undefined"!=typeof AudioContext?AudioContext:"undefined"!=typeof webkitAudioContext?webkitAudioContext:null;null!==t&&(winwheelAudioContext=new t)}return winwheelAudioContext}function winwheelCreateSoundBuffer(t,e){let i={win:[523.25,659.25,783.99,1046.5],lose:[392,329.63,261.63]},n={tick:.03,start:.3,whoosh:1,win:.8,lose:.9};if(void 0===n[e])return null;let s=t.sampleRate,l=t.createBuffer(1,Math.ceil(n[e]*s),s),o=l.getChannelData(0),a=0;for(let t=0;t<o.length;t++){let l=t/s;if("tick"==e)o[t]=Math.sin(2*Math.PI*1800*l)*Math.exp(-l/.005)*.8;else if("start"==e)a+=2*Math.PI*(300+3e3*l)/s,o[t]=Math.sin(a)*Math.min(1,l/.01)*(1-l/n[e])*.5;else if("whoosh"==e)o[t]=2*Math.random()-1;else{let s=n[e]/i[e].length,a=Math.min(i[e].length-1,Math.floor(l/s)),h=l-a*s;o[t]=Math.sin(2*Math.PI*i[e][a]*h)*Math.exp(-h/.1)*.5}}return l}function WinwheelCallouts(t){let e={threshold:10,length:20,margin:4,upright:!0,spacing:1.2,fontSize:null,fillStyle:"black",strokeStyle:"black",lineWidth:1};for(let i in e)null!=t&&void 0!==t[i]?this[i]=t[i]:this[i]=e[i]}function WinwheelAccessibility(t){let e={label:"Prize wheel",roleDescription:"wheel",segmentText:"{text}",spinStartText:"Spinning",resultText:"The wheel stopped on {text}",focusStrokeStyle:"blue",focusLineWidth:4,reducedMotion:"shorten",reducedMotionDuration:1};for(let i in e)null!=t&&void 0!==t[i]?this[i]=t[i]:this[i]=e[i]}let winwheelAccessibilityCount=0;function winwheelFormatText(t,e,i){let n=e&&e.text?e.text.replace(/\n/g," "):"Segment "+i;return t.replace(/\{text\}/g,n).replace(/\{number\}/g,i)}function winwheelGetDrawingTarget(t,e){let i={canvasId:null,canvas:null,ctx:null};if("string"==typeof t&&"svg"==e){if(i.canvasId=t,"undefined"!=typeof document){let e=document.getElementById(t);e&&(i.canvas=new WinwheelSvgCanvas(e))}}else"svg"==e&&t&&1===t.nodeType?(i.canvas=new WinwheelSvgCanvas(t),i.canvasId=t.id?t.id:null):"string"==typeof t?(i.canvasId=t,"undefined"!=typeof document&&(i.canvas=document.getElementById(t))):t&&"function"==typeof t.getContext?(i.canvas=t,i.canvasId=t.id?t.id:null):t&&"function"==typeof t.arc&&(i.ctx=t,i.canvas=t.canvas?t.canvas:null,i.canvasId=i.canvas&&i.canvas.id?i.canvas.id:null);return i.canvas&&null===i.ctx&&(i.ctx=i.canvas.getContext("2d")),i}function winwheelCreateImage(t){return t&&"function"==typeof t.createImage?t.createImage():"undefined"!=typeof Image?new Image:(console.log("Cannot load images as there is no Image, set the createImage option of the wheel"),null)}function WinwheelSvgCanvas(t,e,i){this.element=t||null,this.svg=null,this.id=this.element&&this.element.id?this.element.id:null,this.dataset=this.element&&this.element.dataset?this.element.dataset:{},this.element&&("svg"==String(this.element.tagName).toLowerCase()?this.svg=this.element:(this.svg=document.createElementNS(winwheelSvgNamespace,"svg"),this.element.appendChild(this.svg))),this.style=this.svg?this.svg.style:{},null==e&&(e=winwheelGetElementSize(this.element,"width",300)),null==i&&(i=winwheelGetElementSize(this.element,"height",150)),this._context=new WinwheelSvgContext(this),this._width=e,this._height=i,this.updateSize()}function WinwheelSvgContext(t){this.canvas=t,winwheelSvgCount++,this._idPrefix="winwheel-"+winwheelSvgCount+"-",this.reset()}function WinwheelSvgGradient(t,e){this.tag=t,this.attributes=e,this.stops=[]}Object.defineProperty(WinwheelSvgCanvas.prototype,"width",{get:function(){return this._width},set:function(t){this._width=t,this.updateSize()}}),Object.defineProperty(WinwheelSvgCanvas.prototype,"height",{get:function(){return this._height},set:function(t){this._height=t,this.updateSize()}}),Object.defineProperty(WinwheelSvgCanvas.prototype,"parentNode",{get:function(){return this.svg?this.svg.parentNode:null}}),Object.defineProperty(WinwheelSvgCanvas.prototype,"nextSibling",{get:function(){return this.svg?this.svg.nextSibling:null}}),WinwheelSvgCanvas.prototype.updateSize=function(){this.svg&&(this.svg.setAttribute("width",this._width),this.svg.setAttribute("height",this._height),this.svg.setAttribute("viewBox","0 0 "+this._width+" "+this._height)),this._context.reset()},WinwheelSvgCanvas.prototype.getContext=function(t){return"2d"==t?this._context:null},WinwheelSvgCanvas.prototype.getBoundingClientRect=function(){return this.svg?this.svg.getBoundingClientRect():{left:0,top:0,width:this._width,height:this._height}},WinwheelSvgCanvas.prototype.addEventListener=function(t,e,i){this.svg&&this.svg.addEventListener(t,e,i)},WinwheelSvgCanvas.prototype.removeEventListener=function(t,e,i){this.svg&&this.svg.removeEventListener(t,e,i)},WinwheelSvgCanvas.prototype.toSVG=function(){return'<svg xmlns="'+winwheelSvgNamespace+'" width="'+this._width+'" height="'+this._height+'" viewBox="0 0 '+this._width+" "+this._height+'">'+this._context.getMarkup()+"</svg>"},WinwheelSvgContext.prototype.reset=function(){this.fillStyle="#000000",this.strokeStyle="#000000",this.lineWidth=1,this.font="10px sans-serif",this.textAlign="start",this.textBaseline="alphabetic",this.globalAlpha=1,this._transform=[1,0,0,1,0,0],this._states=[],this._elements=[],this._defs=[],this._className=null,this._clipId=null,this.beginPath(),this.changed()},WinwheelSvgContext.prototype.setClassName=function(t){this._className=t},WinwheelSvgContext.prototype.save=function(){this._states.push({fillStyle:this.fillStyle,strokeStyle:this.strokeStyle,lineWidth:this.lineWidth,font:this.font,textAlign:this.textAlign,textBaseline:this.textBaseline,globalAlpha:this.globalAlpha,transform:this._transform.slice(),clipId:this._clipId})},WinwheelSvgContext.prototype.restore=function(){let t=this._states.pop();t&&(this.fillStyle=t.fillStyle,this.strokeStyle=t.strokeStyle,this.lineWidth=t.lineWidth,this.font=t.font,this.textAlign=t.textAlign,this.textBaseline=t.textBaseline,this.globalAlpha=t.globalAlpha,this._transform=t.transform,this._clipId=t.clipId)},WinwheelSvgContext.prototype.setTransform=function(t,e,i,n,s,l){this._transform=[t,e,i,n,s,l]},WinwheelSvgContext.prototype.getTransform=function(){let t=this._transform;return{a:t[0],b:t[1],c:t[2],d:t[3],e:t[4],f:t[5]}},WinwheelSvgContext.prototype.resetTransform=function(){this._transform=[1,0,0,1,0,0]},WinwheelSvgContext.prototype.transform=function(t,e,i,n,s,l){let o=this._transform;this._transform=[o[0]*t+o[2]*e,o[1]*t+o[3]*e,o[0]*i+o[2]*n,o[1]*i+o[3]*n,o[0]*s+o[2]*l+o[4],o[1]*s+o[3]*l+o[5]]},WinwheelSvgContext.prototype.translate=function(t,e){this.transform(1,0,0,1,t,e)},WinwheelSvgContext.prototype.rotate=function(t){this.transform(Math.cos(t),Math.sin(t),-Math.sin(t),Math.cos(t),0,0)},WinwheelSvgContext.prototype.scale=function(t,e){this.transform(t,0,0,e,0,0)},WinwheelSvgContext.prototype.transformPoint=function(t,e){let i=this._transform;return{x:i[0]*t+i[2]*e+i[4],y:i[1]*t+i[3]*e+i[5]}},WinwheelSvgContext.prototype.beginPath=function(){this._path="",this._pathPoint=null},WinwheelSvgContext.prototype.closePath=function(){this._path&&(this._path+="Z")},WinwheelSvgContext.prototype.moveTo=function(t,e){this._pathPoint=this.transformPoint(t,e),this._path+="M"+winwheelSvgNumber(this._pathPoint.x)+" "+winwheelSvgNumber(this._pathPoint.y)},WinwheelSvgContext.prototype.lineTo=function(t,e){null===this._pathPoint?this.moveTo(t,e):(this._pathPoint=this.transformPoint(t,e),this._path+="L"+winwheelSvgNumber(this._pathPoint.x)+" "+winwheelSvgNumber(this._pathPoint.y))},WinwheelSvgContext.prototype.rect=function(t,e,i,n){this.moveTo(t,e),this.lineTo(t+i,e),this.lineTo(t+i,e+n),this.lineTo(t,e+n),this.closePath()},WinwheelSvgContext.prototype.arc=function(t,e,i,n,s,l){let o=this._transform,a=winwheelSvgNumber(i*Math.sqrt(o[0]*o[0]+o[1]*o[1])),h=l?n-s:s-n,r=l?-1:1,u=h>=2*Math.PI;0==u&&(h=(h%(2*Math.PI)+2*Math.PI)%(2*Math.PI));let c=function(n){return{x:t+i*Math.cos(n),y:e+i*Math.sin(n)}},g=function(t,e,i){let n=c(e);t._pathPoint=t.transformPoint(n.x,n.y),t._path+="A"+a+" "+a+" 0 "+i+" "+(l?0:1)+" "+winwheelSvgNumber(t._pathPoint.x)+" "+winwheelSvgNumber(t._pathPoint.y)},d=c(n);this.lineTo(d.x,d.y),u?(g(this,n+r*Math.PI,0),g(this,n,0)):h>0&&g(this,n+r*h,h>Math.PI?1:0)},WinwheelSvgContext.prototype.clip=function(){if(this._path){let t=this._idPrefix+"clip-"+(this._defs.length+1),e=this._clipId?' clip-path="url(#'+this._clipId+')"':"";this._defs.push('<clipPath id="'+t+'"'+e+'><path d="'+this._path+'"/></clipPath>'),this._clipId=t}},WinwheelSvgContext.prototype.fill=function(){this._path&&this.addElement("path",{d:this._path,fill:this.getPaint(this.fillStyle)})},WinwheelSvgContext.prototype.stroke=function(){if(this._path){let t=this._transform,e=this._elements[this._elements.length-1],i={stroke:this.getPaint(this.strokeStyle),"stroke-width":winwheelSvgNumber(this.lineWidth*Math.sqrt(t[0]*t[0]+t[1]*t[1]))};e&&"path"==e.tag&&e.attributes.d==this._path&&!e.attributes.stroke&&e.className==this._className&&e.clipId==this._clipId&&1==this.globalAlpha?(e.attributes.stroke=i.stroke,e.attributes["stroke-width"]=i["stroke-width"],this.changed()):(i.d=this._path,i.fill="none",this.addElement("path",i))}},WinwheelSvgContext.prototype.fillText=function(t,e,i){this.addText(t,e,i,{fill:this.getPaint(this.fillStyle)})},WinwheelSvgContext.prototype.strokeText=function(t,e,i){this.addText(t,e,i,{fill:"none",stroke:this.getPaint(this.strokeStyle),"stroke-width":winwheelSvgNumber(this.lineWidth)})},WinwheelSvgContext.prototype.addText=function(t,e,i,n){let s={left:"start",start:"start",right:"end",end:"end",center:"middle"},l={top:"text-before-edge",hanging:"hanging",middle:"central",bottom:"text-after-edge",ideographic:"ideographic"};n.x=winwheelSvgNumber(e),n.y=winwheelSvgNumber(i),n.transform=this.getTransformAttribute(),n.style="font: "+this.font,n["text-anchor"]=s[this.textAlign]?s[this.textAlign]:"start",l[this.textBaseline]&&(n["dominant-baseline"]=l[this.textBaseline]),this.addElement("text",n,String(t))},WinwheelSvgContext.prototype.drawImage=function(t,e,i,n,s){let l=null;"function"==typeof t.toDataURL?l=t.toDataURL():t.currentSrc?l=t.currentSrc:t.src&&(l=t.src),l&&this.addElement("image",{href:l,x:winwheelSvgNumber(e),y:winwheelSvgNumber(i),width:winwheelSvgNumber(void 0!==n?n:t.width),height:winwheelSvgNumber(void 0!==s?s:t.height),transform:this.getTransformAttribute(),preserveAspectRatio:"none"})},WinwheelSvgContext.prototype.clearRect=function(t,e,i,n){let s=this.transformPoint(t,e),l=this.transformPoint(t+i,e+n);s.x<=0&&s.y<=0&&l.x>=this.canvas.width&&l.y>=this.canvas.height&&(this._elements=[],this._defs=[],this.changed())},WinwheelSvgContext.prototype.createLinearGradient=function(t,e,i,n){return new WinwheelSvgGradient("linearGradient",{x1:t,y1:e,x2:i,y2:n})},WinwheelSvgContext.prototype.createRadialGradient=function(t,e,i,n,s,l){return new WinwheelSvgGradient("radialGradient",{fx:t,fy:e,fr:i,cx:n,cy:s,r:l})},WinwheelSvgContext.prototype.getPaint=function(t){if(t instanceof WinwheelSvgGradient){let e=this._idPrefix+"gradient-"+(this._defs.length+1),i="<"+t.tag+' id="'+e+'" gradientUnits="userSpaceOnUse" gradientTransform="'+this.getTransformAttribute()+'"';for(let e in t.attributes)i+=" "+e+'="'+winwheelSvgNumber(t.attributes[e])+'"';i+=">";for(let e=0;e<t.stops.length;e++)i+='<stop offset="'+t.stops[e].offset+'" stop-color="'+winwheelSvgEscape(t.stops[e].color)+'"/>';return this._defs.push(i+"</"+t.tag+">"),"url(#"+e+")"}return t?String(t):"none"},WinwheelSvgContext.prototype.getTransformAttribute=function(){return"matrix("+this._transform.map(winwheelSvgNumber).join(" ")+")"},WinwheelSvgContext.prototype.addElement=function(t,e,i){1!=this.globalAlpha&&(e.opacity=this.globalAlpha),this._elements.push({tag:t,attributes:e,text:void 0!==i?i:null,className:this._className,clipId:this._clipId}),this.changed()},WinwheelSvgContext.prototype.getMarkup=function(){let t=this._defs.length?"<defs>"+this._defs.join("")+"</defs>":"";for(let e=0;e<this._elements.length;e++){let i=this._elements[e],n=e>0?this._elements[e-1].clipId:null,s=e<this._elements.length-1?this._elements[e+1].clipId:null;i.clipId&&i.clipId!=n&&(t+='<g clip-path="url(#'+i.clipId+')">'),t+="<"+i.tag,i.className&&(t+=' class="'+winwheelSvgEscape(i.className)+'"');for(let e in i.attributes)t+=" "+e+'="'+winwheelSvgEscape(i.attributes[e])+'"';null!==i.text?t+=">"+winwheelSvgEscape(i.text)+"</"+i.tag+">":t+="/>",i.clipId&&i.clipId!=s&&(t+="</g>")}return t},WinwheelSvgContext.prototype.changed=function(){let t=this;this.canvas&&this.canvas.svg&&!this._updatePending&&(this._updatePending=!0,Promise.resolve().then(function(){t._updatePending=!1,t.canvas.svg.innerHTML=t.getMarkup()}))},WinwheelSvgGradient.prototype.addColorStop=function(t,e){this.stops.push({offset:t,color:e})};let winwheelSvgNamespace="http://www.w3.org/2000/svg",winwheelSvgCount=0;function winwheelSvgNumber(t){return String(Math.round(1e3*t)/1e3)}function winwheelSvgEscape(t){return String(t).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;")}function winwheelGetElementSize(t,e,i){if(t){let i=parseFloat(t.getAttribute(e));if(i>0)return i;let n="width"==e?t.clientWidth:t.clientHeight;if(n>0)return n}return i}let winwheelPatternTypes=["stripes","dots","crosshatch","zigzag"],winwheelPalettes={bright:["#e6194b","#3cb44b","#ffe119","#4363d8","#f58231","#911eb4","#42d4f4","#f032e6","#bfef45","#fabed4"],pastel:["#fbb4ae","#b3cde3","#ccebc5","#decbe4","#fed9a6","#ffffcc","#e5d8bd","#fddaec"],dark:["#1b9e77","#d95f02","#7570b3","#e7298a","#66a61e","#e6ab02","#a6761d","#666666"],colorBlind:["#e69f00","#56b4e9","#009e73","#f0e442","#0072b2","#d55e00","#cc79a7","#000000"]};function winwheelGetPaletteColors(t,e){let i=void 0!==t.colors?t.colors:"hsl";if(Array.isArray(i))return i;if("hsl"!=i)return winwheelPalettes[i]?winwheelPalettes[i]:[];let n="number"==typeof t.saturation?t.saturation:70,s="number"==typeof t.lightness?t.lightness:55,l="number"==typeof t.hue?t.hue:0,o=function(t,e){return 0==e?t:o(e,t%e)},a=Math.max(1,Math.floor(e/2));for(;a>1&&1!=o(a,e);)a--;let h=[];for(let t=0;t<e;t++){let i=(l+t*a%e*(360/e))%360;h.push("hsl("+Math.round(i)+", "+n+"%, "+s+"%)")}return h}function winwheelParseColor(t,e){if("string"!=typeof t)return null;let i,n=t.trim().toLowerCase();if(i=n.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/)){let t=i[1];return t.length<=4&&(t=t.charAt(0)+t.charAt(0)+t.charAt(1)+t.charAt(1)+t.charAt(2)+t.charAt(2)),{r:parseInt(t.substr(0,2),16),g:parseInt(t.substr(2,2),16),b:parseInt(t.substr(4,2),16)}}if(i=n.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/))return{r:parseFloat(i[1]),g:parseFloat(i[2]),b:parseFloat(i[3])};if(i=n.match(/^hsla?\(\s*([\d.]+)(?:deg)?[\s,]+([\d.]+)%[\s,]+([\d.]+)%/)){let t=parseFloat(i[1])%360/360,e=parseFloat(i[2])/100,n=parseFloat(i[3])/100,s=n<.5?n*(1+e):n+e-n*e,l=2*n-s,o=function(t){return(t=t<0?t+1:t>1?t-1:t)<1/6?l+6*(s-l)*t:t<.5?s:t<2/3?l+(s-l)*(2/3-t)*6:l};return{r:255*o(t+1/3),g:255*o(t),b:255*o(t-1/3)}}if(e&&!(e instanceof WinwheelSvgContext)){let i=e.fillStyle,s=null;return e.fillStyle="#010203",e.fillStyle=t,"string"==typeof e.fillStyle&&"#010203"!=e.fillStyle&&e.fillStyle.toLowerCase()!=n&&(s=winwheelParseColor(e.fillStyle,null)),e.fillStyle=i,s}return null}function winwheelContrastRatio(t,e){let i=function(t){let e=function(t){return(t/=255)<=.03928?t/12.92:Math.pow((t+.055)/1.055,2.4)};return.2126*e(t.r)+.7152*e(t.g)+.0722*e(t.b)};return(Math.max(i(t),i(e))+.05)/(Math.min(i(t),i(e))+.05)}function winwheelGetSectorBounds(t,e,i,n){let s={minX:0,minY:0,maxX:0,maxY:0},l=Math.max(1,Math.ceil((e-t)/5)),o=!0;for(let a=0;a<=l;a++){let h=(t+a/l*(e-t))*Math.PI/180,r=[i,n];for(let t=0;t<r.length;t++){let e=r[t]*Math.sin(h),i=-r[t]*Math.cos(h);o?(s={minX:e,minY:i,maxX:e,maxY:i},o=!1):(s.minX=Math.min(s.minX,e),s.minY=Math.min(s.minY,i),s.maxX=Math.max(s.maxX,e),s.maxY=Math.max(s.maxY,i))}}return s}function winwheelAddPatternPath(t,e,i,n,s){let l=(Math.floor(i.minX/n)-1)*n,o=(Math.floor(i.minY/n)-1)*n,a=(Math.ceil(i.maxX/n)+1)*n,h=(Math.ceil(i.maxY/n)+1)*n;if("dots"==e){let e=Math.max(n/5,s/2);for(let i=o;i<=h;i+=n){for(let s=l+(Math.round(i/n)%2==0?0:n/2);s<=a;s+=n)t.moveTo(s+e,i),t.arc(s,i,e,0,2*Math.PI)}}else if("zigzag"==e)for(let e=o;e<=h;e+=n){t.moveTo(l,e);for(let i=l+n/2,s=!0;i<=a;i+=n/2,s=!s)t.lineTo(i,s?e-n/4:e+n/4)}else{for(let e=o;e<=h;e+=n)t.moveTo(l,e),t.lineTo(a,e);if("crosshatch"==e)for(let e=l;e<=a;e+=n)t.moveTo(e,o),t.lineTo(e,h)}}function winwheelGetFontSetting(t,e,i){let n="";return null!=t&&(n+=t+" "),null!=e&&(n+=e+"px "),null!=i&&(n+=i),n}function winwheelMeasureText(t,e,i,n){if(t&&"function"==typeof t.measureText){let n=t.font;t.font=i;let s=t.measureText(e).width;return t.font=n,s}return e.length*n*.6}function winwheelIsFillSpec(t){return null!==t&&"object"==typeof t&&"string"==typeof t.type&&Array.isArray(t.stops)}function winwheelGetGradientStops(t){let e=[];for(let i=0;i<t.length;i++)"string"==typeof t[i]?e.push({offset:t.length>1?i/(t.length-1):0,color:t[i]}):e.push({offset:t[i].offset,color:t[i].color});return e}function winwheelCreateCanvas(){return"undefined"!=typeof OffscreenCanvas?new OffscreenCanvas(1,1):"undefined"!=typeof document?document.createElement("canvas"):null}function winwheelGetPixelRatio(){return"undefined"!=typeof window&&window.devicePixelRatio?window.devicePixelRatio:1}function winwheelPercentToDegrees(t){let e=0;if(t>0&&t<=100){e=360*(t/100)}return e}function winwheelModulo(t,e){return(t%e+e)%e}let winwheelEasing={"linear.none":function(t){return t},"power1.in":function(t){return winwheelPowerIn(t,2)},"power1.out":function(t){return winwheelPowerOut(t,2)},"power1.inout":function(t){return winwheelPowerInOut(t,2)},"power2.in":function(t){return winwheelPowerIn(t,3)},"power2.out":function(t){return winwheelPowerOut(t,3)},"power2.inout":function(t){return winwheelPowerInOut(t,3)},"power3.in":function(t){return winwheelPowerIn(t,4)},"power3.out":function(t){return winwheelPowerOut(t,4)},"power3.inout":function(t){return winwheelPowerInOut(t,4)},"power4.in":function(t){return winwheelPowerIn(t,5)},"power4.out":function(t){return winwheelPowerOut(t,5)},"power4.inout":function(t){return winwheelPowerInOut(t,5)},"back.in":function(t){return t*t*(2.70158*t-1.70158)},"back.out":function(t){return 1-winwheelEasing["back.in"](1-t)},"back.inout":function(t){return winwheelInOut(t,winwheelEasing["back.in"])},"elastic.in":function(t){return 1-winwheelEasing["elastic.out"](1-t)},"elastic.out":function(t){return 0==t||1==t?t:Math.pow(2,-10*t)*Math.sin((t-.075)*(2*Math.PI)/.3)+1},"elastic.inout":function(t){return winwheelInOut(t,winwheelEasing["elastic.in"])},"bounce.in":function(t){return 1-winwheelEasing["bounce.out"](1-t)},"bounce.out":function(t){return t<1/2.75?7.5625*t*t:t<2/2.75?7.5625*(t-=1.5/2.75)*t+.75:t<2.5/2.75?7.5625*(t-=2.25/2.75)*t+.9375:7.5625*(t-=2.625/2.75)*t+.984375},"bounce.inout":function(t){return winwheelInOut(t,winwheelEasing["bounce.in"])}},winwheelEasingAliases={power0:"linear",quad:"power1",cubic:"power2",quart:"power3",quint:"power4",strong:"power4"};function winwheelPowerIn(t,e){return Math.pow(t,e)}function winwheelPowerOut(t,e){return 1-Math.pow(1-t,e)}function winwheelPowerInOut(t,e){return winwheelInOut(t,function(t){return Math.pow(t,e)})}function winwheelInOut(t,e){return t<.5?e(2*t)/2:1-e(2*(1-t))/2}function winwheelGetEasing(t){if("function"==typeof t)return t;if(t&&"function"==typeof t.getRatio)return function(e){return t.getRatio(e)};if("string"==typeof t){let e=t.toLowerCase().replace(".ease",".");"none"!=e&&"linear"!=e||(e="linear.none");let i=e.split(".");if(void 0!==winwheelEasingAliases[i[0]]&&(i[0]=winwheelEasingAliases[i[0]]),1==i.length&&i.push("linear"==i[0]?"none":"out"),"linear"==i[0]&&(i[1]="none"),e=i.join("."),void 0!==winwheelEasing[e])return winwheelEasing[e];console.log("Easing "+t+" is not known, using linear")}return winwheelEasing["linear.none"]}function WinwheelTween(t,e,i){this.target=t,this.duration=1e3*e,this.ease=winwheelGetEasing(i.ease),this.yoyo=1==i.yoyo,this.repeat=i.repeat?i.repeat:0,this.onUpdate=i.onUpdate,this.onComplete=i.onComplete,this.startValues={},this.endValues={};for(let e in i)"number"==typeof i[e]&&"repeat"!=e&&isNaN(e)&&(this.startValues[e]=t[e],this.endValues[e]=i[e]);this._elapsed=0,this._lastTime=null,this._frameId=null,this._paused=!1,this._killed=!1}function winwheelNow(){return"undefined"!=typeof performance&&"function"==typeof performance.now?performance.now():Date.now()}function winwheelGetAnimationEngine(t){if(t&&"function"==typeof t.to)return t;if("gsap"==t){if("undefined"!=typeof TweenMax)return TweenMax;console.log("TweenMax is not loaded, using the built in animation engine")}return WinwheelTween}function winwheelAnimationLoop(t){t&&(0!=t.animation.clearTheCanvas&&t.clearCanvas(),t.emit("beforeframe"),t.draw(!1),t.emit("frame"),winwheelTriggerSound(t))}function winwheelTriggerSound(t){let e=winwheelNow();if("number"!=typeof t._lastSoundAngle)return t._lastSoundAngle=t.rotationAngle,void(t._lastSoundTime=e);let i=t._lastSoundAngle,n=t.rotationAngle,s=(e-t._lastSoundTime)/1e3;if(t._lastSoundAngle=n,t._lastSoundTime=e,n==i)return;let l=n>i?"clockwise":"anti-clockwise",o=s>0?Math.abs(n-i)/s:0,a=[];for(let e=1;e<=t.numSegments;e++){let s=e;"clockwise"==l&&(s=1==e?t.numSegments:e-1),winwheelGetCrossings(i,n,t.pointerAngle-t.segments[e].startAngle,360,function(t){a.push({angle:t,type:"segment",number:s})})}t.pins&&winwheelGetCrossings(i,n,t.pointerAngle,360/t.pins.number,function(e,i){a.push({angle:e,type:"pin",number:t.getPinNumberAtCrossing(i)})}),a.sort(function(t,e){return"clockwise"==l?t.angle-e.angle:e.angle-t.angle});for(let e=0;e<a.length;e++)"segment"==a[e].type?t.emit("segmentchange",t.segments[a[e].number],a[e].number,o,l):t.emit("pinpass",a[e].number,o,l)}function winwheelGetCrossings(t,e,i,n,s){let l=Math.floor((t-i)/n),o=Math.floor((e-i)/n);for(let t=l+1;t<=o;t++)s(i+t*n,t);for(let t=l;t>o;t--)s(i+t*n,t)}WinwheelTween.to=function(t,e,i){let n=new WinwheelTween(t,e,i);return n.play(),n},WinwheelTween.prototype.play=function(){return 0==this._killed&&null===this._frameId&&(this._paused=!1,this._lastTime=null,this._requestFrame()),this},WinwheelTween.prototype.resume=WinwheelTween.prototype.play,WinwheelTween.prototype.pause=function(){return this._paused=!0,this._cancelFrame(),this},WinwheelTween.prototype.kill=function(){return this._killed=!0,this._cancelFrame(),this},WinwheelTween.prototype.paused=function(){return this._paused},WinwheelTween.prototype.tick=function(t){if(this._frameId=null,this._killed||this._paused)return;null!==this._lastTime&&(this._elapsed+=t-this._lastTime),this._lastTime=t;let e=this.repeat+1,i=0,n=1,s=!1;this.duration>0&&(i=Math.floor(this._elapsed/this.duration),n=(this._elapsed-i*this.duration)/this.duration),-1!=this.repeat&&(this.duration<=0||i>=e)&&(s=!0,i=e-1,n=1),this.yoyo&&i%2==1&&(n=1-n);let l=this.ease(n);for(let t in this.endValues)this.target[t]=this.startValues[t]+(this.endValues[t]-this.startValues[t])*l;"function"==typeof this.onUpdate&&this.onUpdate(),s?(this._killed=!0,"function"==typeof this.onComplete&&this.onComplete()):this._requestFrame()},WinwheelTween.prototype._requestFrame=function(){let t=this;"function"==typeof requestAnimationFrame?this._frameId=requestAnimationFrame(function(e){t.tick(e)}):this._frameId=setTimeout(function(){t.tick(winwheelNow())},16)},WinwheelTween.prototype._cancelFrame=function(){null!==this._frameId&&("function"==typeof cancelAnimationFrame?cancelAnimationFrame(this._frameId):clearTimeout(this._frameId),this._frameId=null)};let winwheelToDrawDuringAnimation=null;function winwheelStopAnimation(t,e){t._spinning=!1;let i=t._spinSettings;if(t._spinResolve){let i=t._spinResolve;t._spinResolve=null,i({status:0!=e?"finished":"cancelled",segment:t.getIndicatedSegment(),segmentNumber:t.getIndicatedSegmentNumber(),rotationAngle:t.rotationAngle})}0!=e?t.emit("spinend",t.getIndicatedSegment()):t.emit("spincancel"),t._spinSettings===i&&winwheelRestoreAnimation(t)}function winwheelEvalCallback(code){eval(code)}function winwheelRestoreAnimation(t){let e=t._spinSettings;if(t._spinSettings=null,e&&t.animation){for(let i in t.animation)t.animation.hasOwnProperty(i)&&"_"!=i.charAt(0)&&!e.hasOwnProperty(i)&&delete t.animation[i];for(let i in e)t.animation[i]=e[i]}}function winwheelLoadedImage(t){if(1!=t._imagesAlreadyDrawn){let e=0;for(let i=1;i<=t.numSegments;i++)null!=t.segments[i].imgData&&t.segments[i].imgData.height&&e++;e==t.numSegments&&(t._imagesAlreadyDrawn=!0,t.draw(),t.emit("imagesloaded"))}}function winwheelResize(t){let e=40;void 0!==t._responsiveMargin&&(e=t._responsiveMargin);let i=window.innerWidth-e,n=t._responsiveMinWidth,s=t._responsiveMinHeight;i<n?i=n:i>t._originalCanvasWidth&&(i=t._originalCanvasWidth);let l=i/t._originalCanvasWidth,o=t._originalCanvasWidth*l,a=t.getCanvasHeight();t._responsiveScaleHeight&&(a=t._originalCanvasHeight*l,a<s?a=s:a>t._originalCanvasHeight&&(a=t._originalCanvasHeight)),t.highDpi&&(t._pixelRatio=winwheelGetPixelRatio()),t.setCanvasSize(o,a),t.scaleFactor=l,t.draw(),t.emit("resize",l)}"undefined"!=typeof module&&module.exports&&(module.exports={Winwheel:Winwheel,Segment:Segment,Animation:Animation,Pin:Pin,PointerGuide:PointerGuide,WinwheelTween:WinwheelTween,WinwheelValidationError:WinwheelValidationError,WinwheelSvgCanvas:WinwheelSvgCanvas,WinwheelSvgContext:WinwheelSvgContext,winwheelEasing:winwheelEasing,winwheelSeededRandom:winwheelSeededRandom,winwheelPercentToDegrees:winwheelPercentToDegrees});
\ No newline at end of file